@@ -0,0 +1,125 @@
+// Loading, validation and change watching for the JSON config files
+// (zones.json, users.json, rules.json).
+
+const fs = require('fs');
+const { ZONE_TYPES } = require('./parser');
+
+const ZONE_FIELDS = ['name', 'type', 'partition', 'groups', 'ignore', 'notifyOnOpen'];
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath
+ * @returns {*} Parsed JSON
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+function readJsonFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Validates a parsed zones.json object. Each zone number maps to a friendly
+ * name, or to an object with the name and optional settings:
+ *   { "name": "Garage Door", "type": "door", "partition": 2,
+ *     "groups": ["perimeter", "garage"], "ignore": false, "notifyOnOpen": true }
+ * @param {*} zones - Parsed JSON
+ * @returns {Object} The same zones if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateZones(zones) {
+  if (!zones || typeof zones !== 'object' || Array.isArray(zones)) {
+    throw new Error('zones must be a JSON object mapping zone numbers to names');
+  }
+
+  const errors = [];
+  for (const key of Object.keys(zones)) {
+    if (!/^\d+$/.test(key)) {
+      errors.push(`zone "${key}": key must be a zone number`);
+    }
+    const zone = zones[key];
+    if (zone && typeof zone === 'object' && !Array.isArray(zone)) {
+      for (const field of Object.keys(zone)) {
+        if (!ZONE_FIELDS.includes(field)) errors.push(`zone "${key}": unknown field "${field}"`);
+      }
+      if (typeof zone.name !== 'string' || !zone.name.trim()) {
+        errors.push(`zone "${key}": name must be a non-empty string`);
+      }
+      if (zone.type !== undefined && !ZONE_TYPES.includes(zone.type)) {
+        errors.push(`zone "${key}": unknown type "${zone.type}" (expected one of ${ZONE_TYPES.join(', ')})`);
+      }
+      if (zone.partition !== undefined && !(Number.isInteger(zone.partition) && zone.partition > 0)) {
+        errors.push(`zone "${key}": partition must be a positive integer`);
+      }
+      if (zone.groups !== undefined && !(Array.isArray(zone.groups) && zone.groups.every(group => typeof group === 'string' && /^[\w-]+$/.test(group)))) {
+        errors.push(`zone "${key}": groups must be a list of names (letters, digits, "-" and "_")`);
+      }
+      for (const flag of ['ignore', 'notifyOnOpen']) {
+        if (zone[flag] !== undefined && typeof zone[flag] !== 'boolean') {
+          errors.push(`zone "${key}": ${flag} must be true or false`);
+        }
+      }
+    } else if (typeof zone !== 'string' || !zone.trim()) {
+      errors.push(`zone "${key}": name must be a non-empty string`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return zones;
+}
+
+/**
+ * Validates a parsed users.json object, which maps user (code) numbers to
+ * names.
+ * @param {*} users - Parsed JSON
+ * @returns {Object} The same users if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateUsers(users) {
+  if (!users || typeof users !== 'object' || Array.isArray(users)) {
+    throw new Error('users must be a JSON object mapping user numbers to names');
+  }
+
+  const errors = [];
+  for (const key of Object.keys(users)) {
+    if (!/^\d+$/.test(key)) {
+      errors.push(`user "${key}": key must be a user number`);
+    }
+    if (typeof users[key] !== 'string' || !users[key].trim()) {
+      errors.push(`user "${key}": name must be a non-empty string`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return users;
+}
+
+/**
+ * Watches a config file for changes (including being created, replaced by
+ * an editor, or deleted). Polls the file's stats, which works reliably for
+ * editors that save by renaming a temp file over the original.
+ * @param {string} filePath
+ * @param {Function} onChange - Called with no arguments after the file changes
+ * @param {Object} [options]
+ * @param {number} [options.interval] - Poll interval in ms (default 2000)
+ * @returns {Function} Stops watching
+ */
+function watchConfigFile(filePath, onChange, options) {
+  const interval = (options && options.interval) || 2000;
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size || curr.ino !== prev.ino) {
+      onChange();
+    }
+  };
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = { readJsonFile, validateZones, validateUsers, watchConfigFile };
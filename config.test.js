@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, validateZones, validateUsers, watchConfigFile } = require('./config');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-config-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ---- readJsonFile ----
+
+describe('readJsonFile', () => {
+  test('parses a JSON file', () => {
+    const filePath = path.join(dir, 'zones.json');
+    fs.writeFileSync(filePath, '{ "1": "Front Door" }');
+    expect(readJsonFile(filePath)).toEqual({ '1': 'Front Door' });
+  });
+
+  test('reports invalid JSON', () => {
+    const filePath = path.join(dir, 'zones.json');
+    fs.writeFileSync(filePath, '{ "1": "Front Door", }');
+    expect(() => readJsonFile(filePath)).toThrow('invalid JSON');
+  });
+
+  test('throws when the file is missing', () => {
+    expect(() => readJsonFile(path.join(dir, 'missing.json'))).toThrow('ENOENT');
+  });
+});
+
+// ---- validateZones ----
+
+describe('validateZones', () => {
+  test('accepts the sample zones', () => {
+    const zones = require('./zones.sample.json');
+    expect(validateZones(zones)).toBe(zones);
+  });
+
+  test('rejects arrays and non-objects', () => {
+    expect(() => validateZones(['Front Door'])).toThrow('zones must be a JSON object');
+    expect(() => validateZones(null)).toThrow('zones must be a JSON object');
+  });
+
+  test('rejects non-numeric keys and empty names', () => {
+    expect(() => validateZones({ 'front': 'Front Door', '2': '' }))
+      .toThrow('zone "2": name must be a non-empty string; zone "front": key must be a zone number');
+  });
+
+  test('accepts zones with a partition', () => {
+    const zones = { '1': 'Front Door', '9': { name: 'Shop Door', partition: 2 } };
+    expect(validateZones(zones)).toBe(zones);
+  });
+
+  test('validates the object form', () => {
+    expect(() => validateZones({ '1': { partition: 0, floor: 2 } }))
+      .toThrow('zone "1": unknown field "floor"; zone "1": name must be a non-empty string; zone "1": partition must be a positive integer');
+  });
+
+  test('accepts zone types, groups and flags', () => {
+    const zones = {
+      '3': { name: 'Garage Door', type: 'door', groups: ['perimeter', 'garage'], notifyOnOpen: true },
+      '8': { name: 'Keyfob', ignore: true }
+    };
+    expect(validateZones(zones)).toBe(zones);
+  });
+
+  test('validates types, groups and flags', () => {
+    expect(() => validateZones({ '3': { name: 'Garage Door', type: 'garage', groups: 'perimeter', ignore: 'yes' } }))
+      .toThrow('zone "3": unknown type "garage" (expected one of door, window, motion, smoke, co, glassbreak); ' +
+        'zone "3": groups must be a list of names (letters, digits, "-" and "_"); zone "3": ignore must be true or false');
+  });
+});
+
+// ---- validateUsers ----
+
+describe('validateUsers', () => {
+  test('accepts the sample users', () => {
+    const users = require('./users.sample.json');
+    expect(validateUsers(users)).toBe(users);
+  });
+
+  test('rejects arrays and non-objects', () => {
+    expect(() => validateUsers(['Alice'])).toThrow('users must be a JSON object');
+  });
+
+  test('reports every problem', () => {
+    expect(() => validateUsers({ 'alice': 'Alice', '3': '', '4': { name: 'Bob' } }))
+      .toThrow('user "3": name must be a non-empty string; user "4": name must be a non-empty string; user "alice": key must be a user number');
+  });
+});
+
+// ---- watchConfigFile ----
+
+describe('watchConfigFile', () => {
+  test('calls back when the file changes', async () => {
+    const filePath = path.join(dir, 'rules.json');
+    fs.writeFileSync(filePath, '[]');
+
+    const changed = new Promise((resolve) => {
+      const stop = watchConfigFile(filePath, () => {
+        stop();
+        resolve();
+      }, { interval: 20 });
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    fs.writeFileSync(filePath, '[{}]');
+
+    await changed;
+  });
+});
@@ -0,0 +1,130 @@
+// EnvisaLink devices (one per EVL4 sending to this listener).
+//
+// devices.json holds a list of devices. Each one is identified by the
+// address its datagrams come from and/or the MAC address in its syslog tag
+// (ENVISALINK[001C2A02BB1F]); when a device lists both, a message has to
+// match both. The MAC is whatever the sender put in the message, so only
+// the address keeps other hosts from sending as a device.
+//
+// A device can have its own zones file, rules file and heartbeat
+// threshold -- anything it leaves out comes from the command line.
+//
+// Without devices.json there is one implicit device, "default", which
+// accepts messages from any sender.
+
+const net = require('net');
+const path = require('path');
+const { normalizeMac } = require('./syslog-header');
+
+const DEFAULT_DEVICE_ID = 'default';
+const DEVICE_FIELDS = ['id', 'name', 'address', 'mac', 'zonesPath', 'rulesPath', 'heartbeatMinutes'];
+
+/**
+ * Validates a parsed devices.json array.
+ * @param {*} devices - Parsed JSON
+ * @returns {Object[]} The same devices if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateDevices(devices) {
+  if (!Array.isArray(devices)) {
+    throw new Error('devices must be a JSON array');
+  }
+  if (devices.length === 0) {
+    throw new Error('devices must list at least one device');
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const bareAddresses = new Map();  // address -> id, for devices without a MAC
+  devices.forEach((device, i) => {
+    if (!device || typeof device !== 'object' || Array.isArray(device)) {
+      errors.push(`device ${i}: must be an object`);
+      return;
+    }
+    const label = `device ${i}${device.id ? ` ("${device.id}")` : ''}`;
+
+    for (const field of Object.keys(device)) {
+      if (!DEVICE_FIELDS.includes(field)) errors.push(`${label}: unknown field "${field}"`);
+    }
+    if (typeof device.id !== 'string' || !/^[\w-]+$/.test(device.id)) {
+      errors.push(`${label}: id is required (letters, digits, "-" and "_" only)`);
+    } else if (ids.has(device.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      ids.add(device.id);
+    }
+    if (device.name !== undefined && (typeof device.name !== 'string' || !device.name.trim())) {
+      errors.push(`${label}: name must be a non-empty string`);
+    }
+
+    if (device.address === undefined && device.mac === undefined) {
+      errors.push(`${label}: address or mac is required to identify the device`);
+    }
+    const addresses = device.address !== undefined ? [].concat(device.address) : [];
+    if ((addresses.length === 0 && device.address !== undefined) || !addresses.every(address => typeof address === 'string' && net.isIP(address))) {
+      errors.push(`${label}: address must be an IP address or a list of them`);
+    }
+    const macs = device.mac !== undefined ? [].concat(device.mac) : [];
+    if ((macs.length === 0 && device.mac !== undefined) || !macs.every(mac => typeof mac === 'string' && normalizeMac(mac))) {
+      errors.push(`${label}: mac must be a MAC address (e.g., "00:1C:2A:02:BB:1F") or a list of them`);
+    }
+    // Two devices at one address can only be told apart by their MACs
+    if (device.mac === undefined) {
+      for (const address of addresses) {
+        if (bareAddresses.has(address)) {
+          errors.push(`${label}: address ${address} is also used by device "${bareAddresses.get(address)}" -- add a mac to tell them apart`);
+        }
+        bareAddresses.set(address, device.id);
+      }
+    }
+
+    for (const field of ['zonesPath', 'rulesPath']) {
+      if (device[field] !== undefined && (typeof device[field] !== 'string' || !device[field].trim())) {
+        errors.push(`${label}: ${field} must be a file path`);
+      }
+    }
+    if (device.heartbeatMinutes !== undefined && !(typeof device.heartbeatMinutes === 'number' && device.heartbeatMinutes >= 0)) {
+      errors.push(`${label}: heartbeatMinutes must be a number of minutes (0 = disabled)`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return devices;
+}
+
+/**
+ * Resolves a validated device's settings, filling in the defaults. Paths are
+ * relative to devices.json.
+ * @param {Object} device - Entry from devices.json
+ * @param {Object} defaults - { zonesPath, rulesPath, heartbeatMinutes } from the command line
+ * @param {string} baseDir - Directory of devices.json
+ * @returns {Object} { id, name, addresses, macs, zonesPath, rulesPath, heartbeatMinutes }
+ */
+function deviceSettings(device, defaults, baseDir) {
+  return {
+    id: device.id,
+    name: device.name || device.id,
+    addresses: device.address !== undefined ? [].concat(device.address) : [],
+    macs: device.mac !== undefined ? [].concat(device.mac).map(normalizeMac) : [],
+    zonesPath: device.zonesPath ? path.resolve(baseDir, device.zonesPath) : defaults.zonesPath,
+    rulesPath: device.rulesPath ? path.resolve(baseDir, device.rulesPath) : defaults.rulesPath,
+    heartbeatMinutes: device.heartbeatMinutes !== undefined ? device.heartbeatMinutes : defaults.heartbeatMinutes
+  };
+}
+
+/**
+ * Finds the device a message came from.
+ * @param {Object[]} devices - Settings from deviceSettings()
+ * @param {string} address - Sender's IP address
+ * @param {string|null} mac - MAC address from the syslog header (normalized)
+ * @returns {Object|null} The first matching device, or null for an unknown sender
+ */
+function identifyDevice(devices, address, mac) {
+  return devices.find(device =>
+    (device.addresses.length === 0 || device.addresses.includes(address)) &&
+    (device.macs.length === 0 || device.macs.includes(mac))) || null;
+}
+
+module.exports = { validateDevices, deviceSettings, identifyDevice, DEFAULT_DEVICE_ID };
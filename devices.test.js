@@ -0,0 +1,93 @@
+const path = require('path');
+const { validateDevices, deviceSettings, identifyDevice } = require('./devices');
+
+const DEFAULTS = { zonesPath: '/etc/evl/zones.json', rulesPath: '/etc/evl/rules.json', heartbeatMinutes: 1440 };
+
+// ---- validateDevices ----
+
+describe('validateDevices', () => {
+  test('accepts the sample devices', () => {
+    const devices = require('./devices.sample.json');
+    expect(validateDevices(devices)).toBe(devices);
+  });
+
+  test('requires a non-empty array', () => {
+    expect(() => validateDevices({ house: {} })).toThrow('devices must be a JSON array');
+    expect(() => validateDevices([])).toThrow('devices must list at least one device');
+  });
+
+  test('reports every problem with the device index', () => {
+    expect(() => validateDevices([
+      { id: 'house', address: '192.168.1.50' },
+      { id: 'house', address: 'evl4.local', mac: '1234', heartbeatMinutes: -1, colour: 'red' },
+      { name: 'Shed' }
+    ])).toThrow('device 1 ("house"): unknown field "colour"; device 1 ("house"): duplicate id; ' +
+      'device 1 ("house"): address must be an IP address or a list of them; ' +
+      'device 1 ("house"): mac must be a MAC address (e.g., "00:1C:2A:02:BB:1F") or a list of them; ' +
+      'device 1 ("house"): heartbeatMinutes must be a number of minutes (0 = disabled); ' +
+      'device 2: id is required (letters, digits, "-" and "_" only); ' +
+      'device 2: address or mac is required to identify the device');
+  });
+
+  test('requires a MAC for devices behind the same address', () => {
+    expect(() => validateDevices([
+      { id: 'house', address: '192.168.1.1' },
+      { id: 'garage', address: '192.168.1.1' }
+    ])).toThrow('device 1 ("garage"): address 192.168.1.1 is also used by device "house" -- add a mac to tell them apart');
+    expect(validateDevices([
+      { id: 'house', address: '192.168.1.1', mac: '001C2A02BB1F' },
+      { id: 'garage', address: '192.168.1.1', mac: '001C2A02BB20' }
+    ])).toHaveLength(2);
+  });
+});
+
+// ---- deviceSettings ----
+
+describe('deviceSettings', () => {
+  test('fills in the defaults', () => {
+    expect(deviceSettings({ id: 'house', address: '192.168.1.50' }, DEFAULTS, '/srv')).toEqual({
+      id: 'house',
+      name: 'house',
+      addresses: ['192.168.1.50'],
+      macs: [],
+      zonesPath: '/etc/evl/zones.json',
+      rulesPath: '/etc/evl/rules.json',
+      heartbeatMinutes: 1440
+    });
+  });
+
+  test('normalizes MACs and resolves paths against the devices file', () => {
+    const settings = deviceSettings({
+      id: 'garage', name: 'Garage', mac: ['001c2a02bb20'], zonesPath: 'garage-zones.json', heartbeatMinutes: 0
+    }, DEFAULTS, '/srv');
+    expect(settings.macs).toEqual(['00:1C:2A:02:BB:20']);
+    expect(settings.zonesPath).toBe(path.resolve('/srv', 'garage-zones.json'));
+    expect(settings.heartbeatMinutes).toBe(0);
+  });
+});
+
+// ---- identifyDevice ----
+
+describe('identifyDevice', () => {
+  const devices = [
+    { id: 'house', addresses: ['192.168.1.50'], macs: ['00:1C:2A:02:BB:1F'] },
+    { id: 'relayed', addresses: ['192.168.1.2'], macs: ['00:1C:2A:02:BB:20'] },
+    { id: 'garage', addresses: ['192.168.1.51'], macs: [] },
+    { id: 'anywhere', addresses: [], macs: ['00:1C:2A:02:BB:21'] }
+  ];
+
+  test('matches on address and MAC', () => {
+    expect(identifyDevice(devices, '192.168.1.50', '00:1C:2A:02:BB:1F').id).toBe('house');
+    expect(identifyDevice(devices, '192.168.1.51', null).id).toBe('garage');
+    expect(identifyDevice(devices, '10.0.0.9', '00:1C:2A:02:BB:21').id).toBe('anywhere');
+  });
+
+  test('requires both when a device lists both', () => {
+    expect(identifyDevice(devices, '192.168.1.50', null)).toBeNull();
+    expect(identifyDevice(devices, '192.168.1.50', '00:1C:2A:02:BB:20')).toBeNull();
+  });
+
+  test('returns null for unknown senders', () => {
+    expect(identifyDevice(devices, '192.168.1.99', null)).toBeNull();
+  });
+});
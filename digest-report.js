@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+//
+// Renders a digest report (see digest.js) from the event store for any
+// date range -- the same report the listener sends with --digestDaily and
+// --digestWeekly.
+//
+// Usage:
+//   node digest-report.js                                   # the last 24 hours
+//   node digest-report.js --period weekly                   # the last 7 days
+//   node digest-report.js --since 2026-10-01 --until 2026-10-08
+//   node digest-report.js --since 2026-10-18 --device garage --json
+//
+//   Options:
+//     --eventsPath  Event store directory (default: ./events)
+//     --since       Start date/time, inclusive (default: one period before --until)
+//     --until       End date/time, exclusive (default: now)
+//     --period      daily or weekly: the range when --since is not given (default: daily)
+//     --device      Only events from this device (its id in devices.json)
+//     --gapMinutes  Silence reported as a heartbeat gap (default: 60)
+//     --json        Print the digest as JSON
+
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { createEventStore, parseDateArg } = require('./event-store');
+const { buildDigest, formatDigest, DIGEST_PERIODS, DEFAULT_GAP_MINUTES } = require('./digest');
+
+const argv = yargs(hideBin(process.argv))
+  .option('eventsPath', { type: 'string', default: path.join(__dirname, 'events'), describe: 'Event store directory' })
+  .option('since', { type: 'string', describe: 'Start date/time (inclusive)' })
+  .option('until', { type: 'string', describe: 'End date/time (exclusive, default: now)' })
+  .option('period', { type: 'string', default: 'daily', choices: Object.keys(DIGEST_PERIODS), describe: 'Range to report when --since is not given' })
+  .option('device', { type: 'string', describe: 'Device id' })
+  .option('gapMinutes', { type: 'number', default: DEFAULT_GAP_MINUTES, describe: 'Silence reported as a heartbeat gap' })
+  .option('json', { type: 'boolean', default: false, describe: 'Print the digest as JSON' })
+  .strict()
+  .argv;
+
+let digest;
+try {
+  const until = parseDateArg(argv.until) || new Date();
+  const since = parseDateArg(argv.since) || new Date(until.getTime() - DIGEST_PERIODS[argv.period] * 24 * 60 * 60 * 1000);
+  if (since >= until) throw new Error('--since must be before --until');
+
+  const store = createEventStore({ dir: argv.eventsPath });
+  const records = store.query({ device: argv.device, since, until });
+  digest = buildDigest(records, { since, until, gapMinutes: argv.gapMinutes });
+} catch (err) {
+  console.error(`Digest failed: ${err.message}`);
+  process.exit(1);
+}
+
+if (argv.json) {
+  console.log(JSON.stringify(digest, null, 2));
+} else {
+  const title = argv.since ? 'Digest' : `${argv.period[0].toUpperCase()}${argv.period.slice(1)} digest`;
+  console.log(formatDigest(digest, { title }).text);
+}
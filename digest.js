@@ -0,0 +1,382 @@
+// Daily and weekly digest reports.
+//
+// A digest summarizes a period's stored events (see event-store.js), for a
+// morning email or ntfy notification instead of one message per door open:
+//
+//   - opens per zone, and each zone's longest open
+//   - the arm/disarm timeline, with users
+//   - alarms, and troubles and tampers
+//   - heartbeat gaps: stretches with no messages from a device
+//   - unrecognized messages (event "Other")
+//
+// buildDigest() works on event records, so the listener's scheduled
+// digests and digest-report.js produce the same report. The scheduler
+// fires at a local time of day ("07:00") or day and time ("Mon 07:00"),
+// and each digest covers the day or week before it.
+
+const { ARM_STATES } = require('./partition-state');
+const { getLocalParts, DAY_NAMES } = require('./schedule');
+
+const DIGEST_PERIODS = { daily: 1, weekly: 7 };   // days covered
+const DEFAULT_GAP_MINUTES = 60;
+const DEFAULT_MAX_ITEMS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function isAlarm(event) {
+  return /^(Zone )?Alarm\b/.test(event) && !/Restore/.test(event);
+}
+
+function isTrouble(event) {
+  return /Trouble|Tamper/.test(event) && !/Restore/.test(event);
+}
+
+function devicePrefix(deviceName) {
+  return deviceName ? `[${deviceName}] ` : '';
+}
+
+/**
+ * Formats a duration for a digest: "45 s", "25 min", "2 h 5 min".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+/**
+ * Parses a digest time: "07:00" (daily) or "Mon 07:00" (weekly).
+ * @param {string} value
+ * @param {boolean} weekly - Whether a day is expected
+ * @returns {Object} { weekday (0 = Sunday, null for daily), minutes (since midnight) }
+ */
+function parseDigestTime(value, weekly) {
+  const parts = String(value).trim().split(/\s+/);
+  const expected = weekly ? 'a day and time such as "Mon 07:00"' : 'a time such as "07:00"';
+  if (parts.length !== (weekly ? 2 : 1)) throw new Error(`expected ${expected} (got "${value}")`);
+
+  const match = TIME_PATTERN.exec(parts[parts.length - 1]);
+  if (!match) throw new Error(`expected ${expected} (got "${value}")`);
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  if (!weekly) return { weekday: null, minutes };
+
+  const weekday = DAY_NAMES.indexOf(parts[0].toLowerCase().substring(0, 3));
+  if (weekday < 0 || parts[0].length < 3) throw new Error(`unknown day "${parts[0]}"`);
+  return { weekday, minutes };
+}
+
+/**
+ * Compiles a digest from a period's event records.
+ * @param {Object[]} records - Stored event records (any order)
+ * @param {Object} options
+ * @param {Date} options.since - Period start (inclusive)
+ * @param {Date} options.until - Period end (exclusive)
+ * @param {Object[]} [options.devices] - { id, name } of every device expected to send,
+ *   so a device that sent nothing shows a gap (default: the devices in the records)
+ * @param {number|Function} [options.gapMinutes] - Silence that counts as a heartbeat gap,
+ *   or (deviceId) => minutes (default 60)
+ * @param {Date} [options.now] - Gaps are only measured up to now (default: the real clock)
+ * @param {number} [options.maxItems] - Most unrecognized messages listed (default 50)
+ * @returns {Object} Digest with since, until, events, zones, arming, alarms, troubles, gaps and unrecognized
+ */
+function buildDigest(records, options) {
+  const since = options.since;
+  const until = options.until;
+  const now = options.now || new Date();
+  const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+  const gapMinutes = typeof options.gapMinutes === 'function' ? options.gapMinutes
+    : () => options.gapMinutes || DEFAULT_GAP_MINUTES;
+
+  // Messages from unknown senders (--unknownSenders flag) are not a device's activity
+  const sorted = records
+    .filter(record => !record.unknownSender)
+    .map(record => ({ record, time: new Date(record.timestamp) }))
+    .sort((a, b) => a.time - b.time);
+
+  const zones = new Map();      // "device zone" -> { device, deviceName, zone, zoneName, opens, longest, openSince }
+  const messageTimes = new Map();   // device -> { name, times: [] }
+  for (const device of options.devices || []) {
+    messageTimes.set(device.id, { name: device.name || null, times: [] });
+  }
+  const arming = [];
+  const alarms = [];
+  const troubles = [];
+  const unrecognized = [];
+
+  for (const { record, time } of sorted) {
+    const device = record.device || null;
+    if (!messageTimes.has(device)) messageTimes.set(device, { name: record.deviceName || null, times: [] });
+    messageTimes.get(device).times.push(time);
+
+    const entry = {
+      time: record.timestamp,
+      device,
+      deviceName: record.deviceName || null,
+      event: record.event,
+      partition: record.partition,
+      zone: record.zone,
+      zoneName: record.zoneName,
+      user: record.user,
+      userName: record.userName,
+      message: record.message
+    };
+
+    if ((record.event === 'Zone Open' || record.event === 'Zone Close') && record.zone !== null) {
+      const key = `${device} ${record.zone}`;
+      if (!zones.has(key)) {
+        zones.set(key, { device, deviceName: entry.deviceName, zone: record.zone, zoneName: record.zoneName, opens: 0, longest: null, openSince: null });
+      }
+      const zone = zones.get(key);
+      zone.zoneName = record.zoneName || zone.zoneName;
+      if (record.event === 'Zone Open') {
+        // A repeated open while already open is the same open
+        if (zone.openSince === null) {
+          zone.opens++;
+          zone.openSince = time;
+        }
+      } else if (zone.openSince !== null) {
+        recordOpen(zone, zone.openSince, time, false);
+        zone.openSince = null;
+      }
+    } else if (ARM_STATES.includes(record.event)) {
+      arming.push(entry);
+    } else if (isAlarm(record.event)) {
+      alarms.push(entry);
+    } else if (isTrouble(record.event)) {
+      troubles.push(entry);
+    } else if (record.event === 'Other') {
+      unrecognized.push(entry);
+    }
+  }
+
+  // Zones still open at the end of the period count up to the end
+  const end = new Date(Math.min(until.getTime(), now.getTime()));
+  for (const zone of zones.values()) {
+    if (zone.openSince !== null) recordOpen(zone, zone.openSince, end, true);
+  }
+
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    events: sorted.length,
+    zones: [...zones.values()]
+      .filter(zone => zone.opens > 0)
+      .sort((a, b) => b.opens - a.opens || String(a.device).localeCompare(String(b.device)) || a.zone - b.zone)
+      .map(zone => ({
+        device: zone.device,
+        deviceName: zone.deviceName,
+        zone: zone.zone,
+        zoneName: zone.zoneName,
+        opens: zone.opens,
+        longestOpenSeconds: zone.longest ? zone.longest.seconds : null,
+        longestOpenAt: zone.longest ? zone.longest.at : null,
+        stillOpen: zone.longest ? zone.longest.stillOpen : false
+      })),
+    arming,
+    alarms,
+    troubles,
+    gaps: findGaps(messageTimes, since, end, gapMinutes),
+    unrecognized: { count: unrecognized.length, messages: unrecognized.slice(-maxItems) }
+  };
+}
+
+function recordOpen(zone, from, to, stillOpen) {
+  const seconds = Math.max(0, Math.round((to - from) / 1000));
+  if (!zone.longest || seconds > zone.longest.seconds) {
+    zone.longest = { seconds, at: from.toISOString(), stillOpen };
+  }
+}
+
+// Silences longer than a device's threshold, including before its first
+// and after its last message in the period
+function findGaps(messageTimes, since, end, gapMinutes) {
+  const gaps = [];
+  for (const [device, { name, times }] of messageTimes) {
+    const thresholdMs = gapMinutes(device) * 60 * 1000;
+    const points = [since, ...times, end];
+    for (let i = 1; i < points.length; i++) {
+      const length = points[i] - points[i - 1];
+      if (length > thresholdMs) {
+        gaps.push({
+          device,
+          deviceName: name,
+          from: points[i - 1].toISOString(),
+          to: points[i].toISOString(),
+          minutes: Math.round(length / 60000)
+        });
+      }
+    }
+  }
+  return gaps.sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Renders a digest as an email (subject and text) and a short ntfy message.
+ * @param {Object} digest - Result of buildDigest()
+ * @param {Object} [options]
+ * @param {string} [options.title] - e.g. "Daily digest" (default "Digest")
+ * @param {Function} [options.formatTime] - Date => text (default toLocaleString)
+ * @param {number} [options.maxItems] - Most lines per section (default 50)
+ * @returns {Object} { subject, title, text, summary }
+ */
+function formatDigest(digest, options) {
+  options = options || {};
+  const title = options.title || 'Digest';
+  const formatTime = options.formatTime || ((date) => date.toLocaleString());
+  const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+  const time = (iso) => formatTime(new Date(iso));
+  const opens = digest.zones.reduce((sum, zone) => sum + zone.opens, 0);
+
+  const lines = [`${title}: ${time(digest.since)} to ${time(digest.until)}`, `${digest.events} event(s)`];
+
+  function section(heading, items, format) {
+    lines.push('', heading);
+    if (items.length === 0) {
+      lines.push('  none');
+      return;
+    }
+    for (const item of items.slice(0, maxItems)) lines.push(`  ${format(item)}`);
+    if (items.length > maxItems) lines.push(`  ... and ${items.length - maxItems} more`);
+  }
+
+  const describe = (entry) => {
+    const where = [];
+    if (entry.zone !== null && entry.zone !== undefined) where.push(entry.zoneName || `zone ${entry.zone}`);
+    if (entry.partition !== null && entry.partition !== undefined) where.push(`partition ${entry.partition}`);
+    if (entry.user !== null && entry.user !== undefined) where.push(`by ${entry.userName || `user ${entry.user}`}`);
+    return `${time(entry.time)} - ${devicePrefix(entry.deviceName)}${entry.event}${where.length ? ` (${where.join(', ')})` : ''}`;
+  };
+
+  section(`Zone opens (${opens})`, digest.zones, (zone) => {
+    const longest = zone.longestOpenSeconds === null ? ''
+      : `, longest ${formatDuration(zone.longestOpenSeconds)} from ${time(zone.longestOpenAt)}${zone.stillOpen ? ' (still open)' : ''}`;
+    return `${devicePrefix(zone.deviceName)}${zone.zoneName || `Zone ${zone.zone}`}: ${zone.opens} open(s)${longest}`;
+  });
+  section('Arm/disarm', digest.arming, describe);
+  section(`Alarms (${digest.alarms.length})`, digest.alarms, describe);
+  section(`Troubles (${digest.troubles.length})`, digest.troubles, describe);
+  section(`Heartbeat gaps (${digest.gaps.length})`, digest.gaps,
+    (gap) => `${devicePrefix(gap.deviceName)}${time(gap.from)} to ${time(gap.to)} (${formatDuration(gap.minutes * 60)})`);
+  section(`Unrecognized messages (${digest.unrecognized.count})`, digest.unrecognized.messages,
+    (entry) => `${time(entry.time)} - ${devicePrefix(entry.deviceName)}${entry.message}`);
+
+  const busiest = digest.zones.slice(0, 3).map(zone => `${zone.zoneName || `Zone ${zone.zone}`} ${zone.opens}`);
+  const summary = [
+    `${digest.events} event(s), ${opens} zone open(s)${busiest.length ? ` (${busiest.join(', ')})` : ''}`,
+    `${digest.arming.length} arm/disarm, ${digest.alarms.length} alarm(s), ${digest.troubles.length} trouble(s)`,
+    `${digest.gaps.length} heartbeat gap(s), ${digest.unrecognized.count} unrecognized message(s)`
+  ].join('\n');
+
+  const alert = digest.alarms.length > 0 ? `, ${digest.alarms.length} alarm(s)` : '';
+  return {
+    subject: `📋 EnvisaLink ${title.toLowerCase()}: ${digest.events} event(s)${alert}`,
+    title: `EnvisaLink ${title.toLowerCase()}`,
+    text: lines.join('\n'),
+    summary
+  };
+}
+
+/**
+ * Creates a scheduler that calls onDue when a digest is due. Checks once a
+ * minute in the given timezone; a digest fires at most once a day, at the
+ * first check at or after its time, and always covers the period up to
+ * that scheduled time.
+ * @param {Object} options
+ * @param {Object[]} options.schedules - { period: "daily" | "weekly", weekday, minutes } (see parseDigestTime())
+ * @param {Function} options.onDue - Called with (period, since, until)
+ * @param {string} [options.timezone] - IANA timezone (default: system timezone)
+ * @param {Function} [options.log] - Logger
+ * @param {Object} [options.clock] - { now, setTimeout, clearTimeout } (defaults to the real clock)
+ * @returns {Object} Scheduler with stop()
+ */
+function createDigestScheduler(options) {
+  const log = options.log || (() => {});
+  const clock = options.clock || {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+  };
+  const lastSent = new Map();   // period -> local day it last fired on
+  let handle = null;
+
+  // Due from the scheduled time until the end of its day, so a check that
+  // comes late (a busy event loop, the clock moving, a time skipped by a DST
+  // change) still sends it
+  function isDue(schedule, local) {
+    if (schedule.weekday !== null && schedule.weekday !== undefined && local.weekday !== schedule.weekday) return false;
+    return local.minutes >= schedule.minutes;
+  }
+
+  function localDay(local) {
+    return `${local.year}-${local.month}-${local.day}`;
+  }
+
+  // The first minute of the local day `day` at or after the schedule's time
+  // (a time skipped by a DST change resolves to when the clocks went
+  // forward), found by bisecting the minutes before `now`
+  function scheduledTime(schedule, now, day) {
+    const reached = (time) => {
+      const local = getLocalParts(new Date(time), options.timezone);
+      return localDay(local) === day && local.minutes >= schedule.minutes;
+    };
+    let before = now - 26 * 60 * 60 * 1000;   // ahead of the day's start
+    let after = now;
+    while (after - before > 60000) {
+      const mid = before + Math.floor((after - before) / 120000) * 60000;
+      if (reached(mid)) after = mid;
+      else before = mid;
+    }
+    return after;
+  }
+
+  function check() {
+    const now = Math.floor(clock.now() / 60000) * 60000;
+    const local = getLocalParts(new Date(now), options.timezone);
+    const day = localDay(local);
+    for (const schedule of options.schedules) {
+      if (!isDue(schedule, local)) continue;
+      if (lastSent.get(schedule.period) === day) continue;
+      lastSent.set(schedule.period, day);
+      // Covers the period up to the scheduled time, however late it goes out
+      const until = new Date(scheduledTime(schedule, now, day));
+      const since = new Date(until.getTime() - DIGEST_PERIODS[schedule.period] * DAY_MS);
+      try {
+        options.onDue(schedule.period, since, until);
+      } catch (err) {
+        log(`Digest: ${schedule.period} digest failed: ${err.message}`);
+      }
+    }
+  }
+
+  // A second into each minute, so a timer firing a little early still
+  // lands in the right minute
+  function scheduleNext() {
+    const delay = 60000 - (clock.now() % 60000) + 1000;
+    handle = clock.setTimeout(() => {
+      check();
+      scheduleNext();
+    }, delay);
+  }
+
+  // A digest whose time has already passed today when the scheduler starts
+  // waits for its next day, rather than going out on every restart
+  const started = getLocalParts(new Date(clock.now()), options.timezone);
+  for (const schedule of options.schedules) {
+    if (isDue(schedule, started)) lastSent.set(schedule.period, localDay(started));
+  }
+
+  scheduleNext();
+
+  return {
+    stop() {
+      if (handle !== null) clock.clearTimeout(handle);
+      handle = null;
+    }
+  };
+}
+
+module.exports = { buildDigest, formatDigest, formatDuration, parseDigestTime, createDigestScheduler, DIGEST_PERIODS, DEFAULT_GAP_MINUTES };
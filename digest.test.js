@@ -0,0 +1,250 @@
+const { buildDigest, formatDigest, formatDuration, parseDigestTime, createDigestScheduler } = require('./digest');
+
+const since = new Date('2026-10-18T12:00:00Z');
+const until = new Date('2026-10-19T12:00:00Z');
+
+function record(timestamp, event, fields) {
+  return Object.assign({
+    timestamp: `2026-10-${timestamp}Z`,
+    event,
+    zone: null,
+    zoneName: null,
+    partition: null,
+    user: null,
+    userName: null,
+    message: event,
+    device: 'house',
+    deviceName: 'House'
+  }, fields);
+}
+
+const garage = { zone: 3, zoneName: 'Garage Door' };
+
+const records = [
+  record('18T13:00:00', 'Zone Open', garage),
+  record('18T13:05:00', 'Zone Close', garage),
+  record('18T14:00:00', 'Zone Open', garage),
+  record('18T14:01:00', 'Zone Open', garage),
+  record('18T14:30:00', 'Zone Close', garage),
+  record('18T20:00:00', 'Armed Stay', { partition: 1, user: 2, userName: 'Alice' }),
+  record('18T20:01:00', 'Zone Trouble', { zone: 9, zoneName: 'Smoke' }),
+  record('18T23:00:00', 'Other', { message: 'System booted' }),
+  record('19T06:00:00', 'Alarm', { zone: 5, zoneName: 'Back Door', partition: 1 }),
+  record('19T06:01:00', 'Alarm Restore', { partition: 1 }),
+  record('19T06:02:00', 'Disarmed', { partition: 1, user: 2, userName: 'Alice' }),
+  record('19T11:00:00', 'Zone Open', { zone: 5, zoneName: 'Back Door' }),
+  record('19T11:00:00', 'Zone Open', { zone: 3, zoneName: 'Garage Door', device: 'garage', deviceName: 'Garage', unknownSender: true })
+];
+
+// ---- buildDigest ----
+
+describe('buildDigest', () => {
+  const digest = buildDigest(records, { since, until, now: new Date('2026-10-19T12:30:00Z'), gapMinutes: 360 });
+
+  test('counts opens per zone and finds the longest open', () => {
+    expect(digest.events).toBe(12);
+    expect(digest.zones).toEqual([
+      { device: 'house', deviceName: 'House', zone: 3, zoneName: 'Garage Door', opens: 2, longestOpenSeconds: 1800, longestOpenAt: '2026-10-18T14:00:00.000Z', stillOpen: false },
+      { device: 'house', deviceName: 'House', zone: 5, zoneName: 'Back Door', opens: 1, longestOpenSeconds: 3600, longestOpenAt: '2026-10-19T11:00:00.000Z', stillOpen: true }
+    ]);
+  });
+
+  test('lists arming, alarms, troubles and unrecognized messages', () => {
+    expect(digest.arming.map(entry => [entry.event, entry.userName])).toEqual([['Armed Stay', 'Alice'], ['Disarmed', 'Alice']]);
+    expect(digest.alarms.map(entry => entry.zoneName)).toEqual(['Back Door']);
+    expect(digest.troubles.map(entry => entry.event)).toEqual(['Zone Trouble']);
+    expect(digest.unrecognized).toEqual({ count: 1, messages: [expect.objectContaining({ message: 'System booted' })] });
+  });
+
+  test('finds heartbeat gaps, including for devices that sent nothing', () => {
+    expect(digest.gaps).toEqual([{ device: 'house', deviceName: 'House', from: '2026-10-18T23:00:00.000Z', to: '2026-10-19T06:00:00.000Z', minutes: 420 }]);
+
+    const quiet = buildDigest([], { since, until, devices: [{ id: 'garage', name: 'Garage' }], gapMinutes: (device) => (device === 'garage' ? 60 : 0) });
+    expect(quiet.gaps).toEqual([{ device: 'garage', deviceName: 'Garage', from: since.toISOString(), to: until.toISOString(), minutes: 1440 }]);
+  });
+
+  test('only measures gaps and open zones up to now', () => {
+    const partial = buildDigest([record('19T09:00:00', 'Zone Open', garage)], { since, until, now: new Date('2026-10-19T10:00:00Z'), gapMinutes: 60 });
+    expect(partial.zones[0]).toMatchObject({ longestOpenSeconds: 3600, stillOpen: true });
+    expect(partial.gaps).toEqual([expect.objectContaining({ from: since.toISOString(), to: '2026-10-19T09:00:00.000Z' })]);
+  });
+});
+
+// ---- formatDigest ----
+
+describe('formatDigest', () => {
+  const digest = buildDigest(records, { since, until, now: until, gapMinutes: 360 });
+  const report = formatDigest(digest, { title: 'Daily digest', formatTime: (date) => date.toISOString().slice(5, 16) });
+
+  test('renders every section', () => {
+    expect(report.subject).toBe('📋 EnvisaLink daily digest: 12 event(s), 1 alarm(s)');
+    expect(report.text).toBe([
+      'Daily digest: 10-18T12:00 to 10-19T12:00',
+      '12 event(s)',
+      '',
+      'Zone opens (3)',
+      '  [House] Garage Door: 2 open(s), longest 30 min from 10-18T14:00',
+      '  [House] Back Door: 1 open(s), longest 1 h from 10-19T11:00 (still open)',
+      '',
+      'Arm/disarm',
+      '  10-18T20:00 - [House] Armed Stay (partition 1, by Alice)',
+      '  10-19T06:02 - [House] Disarmed (partition 1, by Alice)',
+      '',
+      'Alarms (1)',
+      '  10-19T06:00 - [House] Alarm (Back Door, partition 1)',
+      '',
+      'Troubles (1)',
+      '  10-18T20:01 - [House] Zone Trouble (Smoke)',
+      '',
+      'Heartbeat gaps (1)',
+      '  [House] 10-18T23:00 to 10-19T06:00 (7 h)',
+      '',
+      'Unrecognized messages (1)',
+      '  10-18T23:00 - [House] System booted'
+    ].join('\n'));
+  });
+
+  test('writes a short summary for ntfy', () => {
+    expect(report.title).toBe('EnvisaLink daily digest');
+    expect(report.summary).toBe('12 event(s), 3 zone open(s) (Garage Door 2, Back Door 1)\n' +
+      '2 arm/disarm, 1 alarm(s), 1 trouble(s)\n1 heartbeat gap(s), 1 unrecognized message(s)');
+  });
+
+  test('says when a section is empty', () => {
+    const empty = formatDigest(buildDigest([], { since, until, gapMinutes: 2000 }));
+    expect(empty.text).toContain('Alarms (0)\n  none');
+    expect(empty.subject).toBe('📋 EnvisaLink digest: 0 event(s)');
+  });
+});
+
+// ---- formatDuration / parseDigestTime ----
+
+describe('formatDuration', () => {
+  test('uses seconds, minutes and hours', () => {
+    expect(formatDuration(45)).toBe('45 s');
+    expect(formatDuration(25 * 60)).toBe('25 min');
+    expect(formatDuration(125 * 60)).toBe('2 h 5 min');
+  });
+});
+
+describe('parseDigestTime', () => {
+  test('parses daily and weekly times', () => {
+    expect(parseDigestTime('07:00', false)).toEqual({ weekday: null, minutes: 420 });
+    expect(parseDigestTime('monday 7:30', true)).toEqual({ weekday: 1, minutes: 450 });
+  });
+
+  test('rejects malformed times', () => {
+    expect(() => parseDigestTime('7am', false)).toThrow('expected a time such as "07:00" (got "7am")');
+    expect(() => parseDigestTime('07:00', true)).toThrow('expected a day and time such as "Mon 07:00"');
+    expect(() => parseDigestTime('Funday 07:00', true)).toThrow('unknown day "Funday"');
+  });
+});
+
+// ---- createDigestScheduler ----
+
+describe('createDigestScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T06:58:30Z') });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('fires daily and weekly digests once at their time', () => {
+    const due = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 7 * 60 }, { period: 'weekly', weekday: 1, minutes: 7 * 60 }],
+      timezone: 'UTC',
+      onDue: (period, from, to) => due.push([period, from.toISOString(), to.toISOString()])
+    });
+
+    // Sunday 07:00 -- the daily digest only
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    expect(due).toEqual([['daily', '2026-10-17T07:00:00.000Z', '2026-10-18T07:00:00.000Z']]);
+
+    // Monday 07:00 -- both
+    jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(due.slice(1)).toEqual([
+      ['daily', '2026-10-18T07:00:00.000Z', '2026-10-19T07:00:00.000Z'],
+      ['weekly', '2026-10-12T07:00:00.000Z', '2026-10-19T07:00:00.000Z']
+    ]);
+  });
+
+  test('sends a digest whose minute was missed, once', () => {
+    const due = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 7 * 60 }],
+      timezone: 'UTC',
+      onDue: (period, from, to) => due.push(to.toISOString())
+    });
+
+    // The event loop is stuck from 06:59 to 07:10
+    jest.setSystemTime(new Date('2026-10-18T07:10:00Z'));
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    expect(due).toEqual(['2026-10-18T07:00:00.000Z']);
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(due).toHaveLength(1);
+  });
+
+  test('covers the period up to the scheduled time when it goes out late', () => {
+    const due = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 7 * 60 }, { period: 'weekly', weekday: 0, minutes: 7 * 60 }],
+      timezone: 'UTC',
+      onDue: (period, from, to) => due.push([period, from.toISOString(), to.toISOString()])
+    });
+
+    // Suspended from 06:59 until noon
+    jest.setSystemTime(new Date('2026-10-18T12:00:00Z'));
+    jest.advanceTimersByTime(60 * 1000);
+    expect(due).toEqual([
+      ['daily', '2026-10-17T07:00:00.000Z', '2026-10-18T07:00:00.000Z'],
+      ['weekly', '2026-10-11T07:00:00.000Z', '2026-10-18T07:00:00.000Z']
+    ]);
+
+    // The next day's digest picks up where it left off
+    jest.advanceTimersByTime(20 * 60 * 60 * 1000);
+    expect(due[2]).toEqual(['daily', '2026-10-18T07:00:00.000Z', '2026-10-19T07:00:00.000Z']);
+  });
+
+  test('sends a digest scheduled in the hour skipped by DST', () => {
+    // 2026-03-08 02:00 EST jumps to 03:00 EDT in New York
+    jest.setSystemTime(new Date('2026-03-08T06:58:30Z'));
+    const due = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 2 * 60 + 30 }],
+      timezone: 'America/New_York',
+      onDue: (period, from, to) => due.push(to.toISOString())
+    });
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    expect(due).toEqual(['2026-03-08T07:00:00.000Z']);
+  });
+
+  test('waits for the next day when started after the digest time', () => {
+    jest.setSystemTime(new Date('2026-10-18T09:00:00Z'));
+    const due = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 7 * 60 }],
+      timezone: 'UTC',
+      onDue: (period, from, to) => due.push(to.toISOString())
+    });
+    jest.advanceTimersByTime(23 * 60 * 60 * 1000);
+    expect(due).toEqual(['2026-10-19T07:00:00.000Z']);
+  });
+
+  test('logs a digest that fails and keeps going', () => {
+    const logs = [];
+    scheduler = createDigestScheduler({
+      schedules: [{ period: 'daily', weekday: null, minutes: 7 * 60 }],
+      timezone: 'UTC',
+      onDue: () => { throw new Error('event store unreadable'); },
+      log: (message) => logs.push(message)
+    });
+    jest.advanceTimersByTime(25 * 60 * 60 * 1000);
+    expect(logs).toEqual(['Digest: daily digest failed: event store unreadable', 'Digest: daily digest failed: event store unreadable']);
+  });
+});
@@ -10,25 +10,79 @@
 //      - Facility: any value 16-23 (e.g., 20) -- 00 means OFF
 //   2. Configure zones.json with your zone numbers and names
 //
+// zones.json, users.json, rules.json, webhooks.json, forwarders.json,
+// templates.json and policy.json are reloaded automatically when they change, or
+// on SIGHUP (`systemctl reload envisalink-syslog-listener`). An invalid edit
+// is logged and rejected, and the previous config stays active.
+//
+// With several EVL4s, devices.json (see devices.js) names each one and gives
+// it its own zones, rules and heartbeat; zone state, timers, MQTT topics and
+// stored events are kept per device. devices.json is read at startup only.
+//
 // Usage:
 //   sudo node envisalink-syslog-listener.js [options]
 //
 //   Options:
 //     --port              UDP port to listen on (default: 514, requires sudo)
 //     --logPath           Path to the log file (default: ./envisalink-syslog-listener.log)
+//     --logFormat         "text" or "json" (NDJSON with ISO timestamps and the parsed event fields) (default: text)
+//     --logLevel          Lowest level logged: debug, info, warn or error (default: info, debug with --debug)
+//     --logMaxSizeMB      Rotate the log when it reaches N MB (default: 10, 0 = no limit)
+//     --logRotateDaily    Also rotate the log at the start of each day (default: false)
+//     --logKeep           Rotated log files to keep (default: 5, 0 = keep all)
+//     --logGzip           Compress rotated log files (default: false)
 //     --zonesPath         Path to zones.json (default: ./zones.json)
-//     --debug             Enable debug logging to console (default: false)
+//     --usersPath         Path to users.json, user number -> name (default: ./users.json)
+//     --devicesPath       Path to devices.json, for several EVL4s (default: ./devices.json)
+//     --unknownSenders    With devices.json: "drop" or "flag" messages from unknown senders (default: drop)
+//     --debug             Log at debug level, and echo the log to the console (default: false)
 //     --dryRun            Skip sending emails (default: false)
 //     --MAILGUN_API_KEY   Mailgun API key (or set env var)
 //     --MAILGUN_DOMAIN    Mailgun domain (or set env var)
 //     --emailOnOpen       Send email when a zone opens (default: false)
+//     --emailOnOpenZones  Limit --emailOnOpen to these zones, e.g. "group:perimeter,type:door,7" (default: all)
+//     --logZones          Only log zone events for these zones (default: all)
 //     --emailOnAlarm      Send email on alarm events (default: true)
 //     --emailFrom         From address for email alerts (or set env var EMAIL_FROM)
 //     --emailTo           Comma-separated recipient list (or set env var EMAIL_TO)
 //     --GOOGLE_SHEETS_WEBHOOK  Google Apps Script URL for logging to Sheets
-//     --NTFY_TOPIC        ntfy.sh topic for push notifications
+//     --NTFY_TOPIC        Default ntfy topic for push notifications
+//     --NTFY_URL          ntfy server URL (default: https://ntfy.sh)
+//     --NTFY_TOKEN        ntfy access token (or set env var)
+//     --NTFY_USERNAME     ntfy username (or set env var)
+//     --NTFY_PASSWORD     ntfy password (or set env var)
+//     --ntfyTags          Comma-separated tags for ntfy notifications (default: house)
+//     --ntfyClick         URL opened when an ntfy notification is tapped
+//     --ntfyIcon          Icon URL for ntfy notifications
 //     --rulesPath         Path to alert rules config (default: ./rules.json)
+//     --webhooksPath      Path to webhook targets config (default: ./webhooks.json)
+//     --forwardersPath    Path to upstream syslog targets config (default: ./forwarders.json)
+//     --templatesPath     Path to alert message templates (default: ./templates.json)
+//     --policyPath        Path to the notification policy -- quiet hours, rate limits (default: ./policy.json)
 //     --heartbeatMinutes  Alert if no syslog activity for N minutes (0 = disabled)
+//     --syslogFacility    Warn about messages sent with another facility, e.g. 20 or local4 (default: any)
+//     --notifyPartitionChanges  Email/ntfy when a partition is armed, disarmed or goes into alarm (default: false)
+//     --timezone          Timezone for rule schedules and digests, e.g. America/Chicago (default: system timezone)
+//     --latitude          Latitude for "sunrise"/"sunset" in rule schedules
+//     --longitude         Longitude for "sunrise"/"sunset" in rule schedules
+//     --watchConfig       Reload zones.json and rules.json when they change (default: true)
+//     --statePath         Zone state and pending timers, kept across restarts (default: ./state.json, empty = disabled)
+//     --outboxPath        Directory for queued notifications awaiting delivery (default: ./outbox, empty = memory only)
+//     --deliveryMaxAgeMinutes  Give up retrying a notification after N minutes (default: 1440)
+//     --eventsPath        Event store directory (default: ./events, empty = disabled)
+//     --eventRetentionDays  Delete stored events older than N days (default: 365, 0 = keep forever)
+//     --digestDaily       Send a digest of the last 24 hours every day at this time, e.g. 07:00 (default: none)
+//     --digestWeekly      Send a digest of the last 7 days at this day and time, e.g. "Mon 07:00" (default: none)
+//     --digestChannels    Where digests go: email, ntfy or email,ntfy (default: email)
+//     --httpPort          Serve the status API, dashboard, live event stream and Prometheus metrics on this port (0 = disabled)
+//     --httpHost          Address the status server binds to (default: 127.0.0.1; 0.0.0.0 for every interface; or set env var HTTP_HOST)
+//     --HTTP_TOKEN        Bearer token that enables the snooze endpoint (or set env var)
+//     --MQTT_URL          MQTT broker URL, e.g. mqtt://localhost:1883 (or set env var)
+//     --MQTT_USERNAME     MQTT username (or set env var)
+//     --MQTT_PASSWORD     MQTT password (or set env var)
+//     --mqttBaseTopic     Topic prefix for MQTT messages (default: envisalink)
+//     --mqttDiscoveryPrefix  Home Assistant discovery prefix (default: homeassistant)
+//     --mqttDiscovery     Publish Home Assistant discovery configs (default: true)
 //
 // Note: Port 514 requires root/sudo. Alternatively, use a higher port and
 //       redirect with iptables:
@@ -43,31 +97,99 @@ const fs = require('fs');
 const path = require('path');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const { parseSyslogMessage, getZoneName } = require('./parser');
+const { parseSyslogHeader, facilityCode, FACILITIES } = require('./syslog-header');
+const { parseSyslogMessage, getZoneName, getZoneInfo, isIgnoredEvent, getUserName, matchesZoneSelector, validateZoneSelector } = require('./parser');
+const { createEventStore, toEventRecord } = require('./event-store');
+const { createStatusServer } = require('./http-server');
+const { createEventStream } = require('./event-stream');
+const { createMqttPublisher } = require('./mqtt-publisher');
+const { loadState, createStateSaver } = require('./state-file');
+const { createOutbox } = require('./outbox');
+const { validateWebhooks, matchesWebhook, buildRequest, requestHeaders, sendRequest } = require('./webhooks');
+const { validateForwarders, createSyslogForwarder } = require('./syslog-forwarder');
+const { validateTemplates, resolveTemplate, renderText } = require('./templates');
+const { createNotificationPolicy, validatePolicy } = require('./notification-policy');
+const { renderNtfyOptions, buildNtfyRequest, publish: publishNtfy } = require('./ntfy');
+const { createPartitionTracker, partitionStatus, ARM_STATES } = require('./partition-state');
+const { createRulesEngine, validateRules } = require('./rules-engine');
+const { validateDevices, deviceSettings, identifyDevice, DEFAULT_DEVICE_ID } = require('./devices');
+const { readJsonFile, validateZones, validateUsers, watchConfigFile } = require('./config');
+const { createLogger, LEVELS: LOG_LEVELS, FORMATS: LOG_FORMATS } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { buildDigest, formatDigest, parseDigestTime, createDigestScheduler, DEFAULT_GAP_MINUTES } = require('./digest');
 
 const argv = yargs(hideBin(process.argv))
   .option('port', { type: 'number', default: 514, describe: 'UDP port to listen on' })
   .option('logPath', { type: 'string', default: path.join(__dirname, 'envisalink-syslog-listener.log'), describe: 'Log file path' })
+  .option('logFormat', { type: 'string', default: 'text', choices: LOG_FORMATS, describe: 'Log file format (json = NDJSON with the parsed event fields)' })
+  .option('logLevel', { type: 'string', choices: LOG_LEVELS, describe: 'Lowest level logged (default: info, or debug with --debug)' })
+  .option('logMaxSizeMB', { type: 'number', default: 10, describe: 'Rotate the log when it reaches this size in MB (0 = no limit)' })
+  .option('logRotateDaily', { type: 'boolean', default: false, describe: 'Also rotate the log at the start of each day' })
+  .option('logKeep', { type: 'number', default: 5, describe: 'Rotated log files to keep (0 = keep all)' })
+  .option('logGzip', { type: 'boolean', default: false, describe: 'Compress rotated log files' })
   .option('zonesPath', { type: 'string', default: path.join(__dirname, 'zones.json'), describe: 'Path to zones.json' })
-  .option('debug', { type: 'boolean', default: false, describe: 'Enable debug output' })
+  .option('usersPath', { type: 'string', default: path.join(__dirname, 'users.json'), describe: 'Path to users.json' })
+  .option('devicesPath', { type: 'string', default: path.join(__dirname, 'devices.json'), describe: 'Path to devices.json (several EVL4s)' })
+  .option('unknownSenders', { type: 'string', default: 'drop', choices: ['drop', 'flag'], describe: 'With devices.json: drop messages from unknown senders, or log and store them flagged' })
+  .option('debug', { type: 'boolean', default: false, describe: 'Log at debug level and echo the log to the console' })
   .option('dryRun', { type: 'boolean', default: false, describe: 'Skip sending emails' })
   .option('MAILGUN_API_KEY', { type: 'string', default: '', describe: 'Mailgun API key' })
   .option('MAILGUN_DOMAIN', { type: 'string', default: '', describe: 'Mailgun domain' })
   .option('emailOnOpen', { type: 'boolean', default: false, describe: 'Send email when a zone opens' })
+  .option('emailOnOpenZones', { type: 'string', default: '', describe: 'Limit --emailOnOpen to these zones (numbers, group:<name>, type:<type>)' })
+  .option('logZones', { type: 'string', default: '', describe: 'Only log zone events for these zones (numbers, group:<name>, type:<type>)' })
   .option('emailOnAlarm', { type: 'boolean', default: true, describe: 'Send email on alarm events' })
   .option('GOOGLE_SHEETS_WEBHOOK', { type: 'string', default: '', describe: 'Google Apps Script web app URL for logging to Google Sheets' })
-  .option('NTFY_TOPIC', { type: 'string', default: '', describe: 'ntfy.sh topic for push notifications (e.g., my-envisalink-alerts)' })
+  .option('NTFY_TOPIC', { type: 'string', default: '', describe: 'Default ntfy topic for push notifications (e.g., my-envisalink-alerts)' })
+  .option('NTFY_URL', { type: 'string', default: '', describe: 'ntfy server URL (default: https://ntfy.sh)' })
+  .option('NTFY_TOKEN', { type: 'string', default: '', describe: 'ntfy access token' })
+  .option('NTFY_USERNAME', { type: 'string', default: '', describe: 'ntfy username' })
+  .option('NTFY_PASSWORD', { type: 'string', default: '', describe: 'ntfy password' })
+  .option('ntfyTags', { type: 'string', default: 'house', describe: 'Comma-separated tags for ntfy notifications' })
+  .option('ntfyClick', { type: 'string', default: '', describe: 'URL opened when an ntfy notification is tapped' })
+  .option('ntfyIcon', { type: 'string', default: '', describe: 'Icon URL for ntfy notifications' })
   .option('emailFrom', { type: 'string', default: '', describe: 'From address for email alerts (e.g., "EnvisaLink <alerts@example.com>")' })
   .option('emailTo', { type: 'string', default: '', describe: 'Comma-separated list of email recipients' })
   .option('rulesPath', { type: 'string', default: path.join(__dirname, 'rules.json'), describe: 'Path to alert rules config' })
+  .option('webhooksPath', { type: 'string', default: path.join(__dirname, 'webhooks.json'), describe: 'Path to webhook targets config' })
+  .option('forwardersPath', { type: 'string', default: path.join(__dirname, 'forwarders.json'), describe: 'Path to upstream syslog targets config' })
+  .option('templatesPath', { type: 'string', default: path.join(__dirname, 'templates.json'), describe: 'Path to alert message templates' })
+  .option('policyPath', { type: 'string', default: path.join(__dirname, 'policy.json'), describe: 'Path to the notification policy (quiet hours, rate limits, duplicates)' })
   .option('heartbeatMinutes', { type: 'number', default: 0, describe: 'Alert if no syslog activity for this many minutes (0 = disabled)' })
+  .option('syslogFacility', { type: 'string', default: '', describe: 'Syslog facility the EVL4 is configured with, e.g. 20 or local4; other facilities are warned about' })
+  .option('notifyPartitionChanges', { type: 'boolean', default: false, describe: 'Email/ntfy when a partition is armed, disarmed or goes into alarm' })
+  .option('timezone', { type: 'string', default: '', describe: 'IANA timezone for rule schedules and digests (default: system timezone)' })
+  .option('latitude', { type: 'number', describe: 'Latitude for sunrise/sunset rule schedules' })
+  .option('longitude', { type: 'number', describe: 'Longitude for sunrise/sunset rule schedules' })
+  .option('watchConfig', { type: 'boolean', default: true, describe: 'Reload zones.json and rules.json when they change' })
+  .option('statePath', { type: 'string', default: path.join(__dirname, 'state.json'), describe: 'File for zone state and pending timers across restarts (empty = disabled)' })
+  .option('outboxPath', { type: 'string', default: path.join(__dirname, 'outbox'), describe: 'Directory for queued notifications awaiting delivery (empty = memory only)' })
+  .option('deliveryMaxAgeMinutes', { type: 'number', default: 1440, describe: 'Give up retrying a notification after this many minutes' })
+  .option('eventsPath', { type: 'string', default: path.join(__dirname, 'events'), describe: 'Event store directory (empty = disabled)' })
+  .option('eventRetentionDays', { type: 'number', default: 365, describe: 'Delete stored events older than this many days (0 = keep forever)' })
+  .option('digestDaily', { type: 'string', default: '', describe: 'Send a digest of the last 24 hours every day at this time, e.g. 07:00' })
+  .option('digestWeekly', { type: 'string', default: '', describe: 'Send a digest of the last 7 days at this day and time, e.g. "Mon 07:00"' })
+  .option('digestChannels', { type: 'string', default: 'email', describe: 'Where digests are sent: email, ntfy or email,ntfy' })
+  .option('httpPort', { type: 'number', default: 0, describe: 'Serve the status API, dashboard and metrics on this port (0 = disabled)' })
+  .option('httpHost', { type: 'string', describe: 'Address the status server binds to (default: 127.0.0.1; 0.0.0.0 for every interface)' })
+  .option('HTTP_TOKEN', { type: 'string', default: '', describe: 'Bearer token that enables the snooze endpoint' })
+  .option('MQTT_URL', { type: 'string', default: '', describe: 'MQTT broker URL (e.g., mqtt://localhost:1883)' })
+  .option('MQTT_USERNAME', { type: 'string', default: '', describe: 'MQTT username' })
+  .option('MQTT_PASSWORD', { type: 'string', default: '', describe: 'MQTT password' })
+  .option('mqttBaseTopic', { type: 'string', default: 'envisalink', describe: 'Topic prefix for MQTT messages' })
+  .option('mqttDiscoveryPrefix', { type: 'string', default: 'homeassistant', describe: 'Home Assistant MQTT discovery prefix' })
+  .option('mqttDiscovery', { type: 'boolean', default: true, describe: 'Publish Home Assistant discovery configs' })
   .argv;
 
 // Resolve config
 const PORT = argv.port;
 const LOG_PATH = argv.logPath;
 const ZONES_PATH = argv.zonesPath;
+const USERS_PATH = argv.usersPath;
+const DEVICES_PATH = argv.devicesPath;
+const UNKNOWN_SENDERS = argv.unknownSenders;
 const DEBUG = argv.debug;
+const LOG_LEVEL = argv.logLevel || (DEBUG ? 'debug' : 'info');
 const DRY_RUN = argv.dryRun;
 const MAILGUN_API_KEY = argv.MAILGUN_API_KEY || process.env.MAILGUN_API_KEY || '';
 const MAILGUN_DOMAIN = argv.MAILGUN_DOMAIN || process.env.MAILGUN_DOMAIN || '';
@@ -75,10 +197,39 @@ const EMAIL_ON_OPEN = argv.emailOnOpen;
 const EMAIL_ON_ALARM = argv.emailOnAlarm;
 const GOOGLE_SHEETS_WEBHOOK = argv.GOOGLE_SHEETS_WEBHOOK || process.env.GOOGLE_SHEETS_WEBHOOK || '';
 const NTFY_TOPIC = argv.NTFY_TOPIC || process.env.NTFY_TOPIC || '';
+const NTFY_URL = argv.NTFY_URL || process.env.NTFY_URL || 'https://ntfy.sh';
+const NTFY_TOKEN = argv.NTFY_TOKEN || process.env.NTFY_TOKEN || '';
+const NTFY_USERNAME = argv.NTFY_USERNAME || process.env.NTFY_USERNAME || '';
+const NTFY_PASSWORD = argv.NTFY_PASSWORD || process.env.NTFY_PASSWORD || '';
+const NTFY_CONFIG = {
+  url: NTFY_URL,
+  topic: NTFY_TOPIC,
+  tags: argv.ntfyTags.split(',').map(s => s.trim()).filter(Boolean),
+  click: argv.ntfyClick,
+  icon: argv.ntfyIcon
+};
+const NTFY_AUTH = NTFY_TOKEN ? { token: NTFY_TOKEN } : NTFY_USERNAME ? { username: NTFY_USERNAME, password: NTFY_PASSWORD } : null;
 const EMAIL_FROM = argv.emailFrom || process.env.EMAIL_FROM || '';
 const EMAIL_TO = (argv.emailTo || process.env.EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean);
 const RULES_PATH = argv.rulesPath;
+const WEBHOOKS_PATH = argv.webhooksPath;
+const FORWARDERS_PATH = argv.forwardersPath;
+const TEMPLATES_PATH = argv.templatesPath;
+const POLICY_PATH = argv.policyPath;
 const HEARTBEAT_MINUTES = argv.heartbeatMinutes || parseInt(process.env.HEARTBEAT_MINUTES, 10) || 0;
+const NOTIFY_PARTITION_CHANGES = argv.notifyPartitionChanges;
+const SCHEDULE_DEFAULTS = { timezone: argv.timezone || undefined, latitude: argv.latitude, longitude: argv.longitude };
+const STATE_PATH = argv.statePath;
+const OUTBOX_PATH = argv.outboxPath;
+const DELIVERY_MAX_AGE_MINUTES = argv.deliveryMaxAgeMinutes;
+const EVENTS_PATH = argv.eventsPath;
+const EVENT_RETENTION_DAYS = argv.eventRetentionDays;
+const HTTP_PORT = argv.httpPort || parseInt(process.env.HTTP_PORT, 10) || 0;
+const HTTP_HOST = argv.httpHost || process.env.HTTP_HOST || '127.0.0.1';
+const HTTP_TOKEN = argv.HTTP_TOKEN || process.env.HTTP_TOKEN || '';
+const MQTT_URL = argv.MQTT_URL || process.env.MQTT_URL || '';
+const MQTT_USERNAME = argv.MQTT_USERNAME || process.env.MQTT_USERNAME || '';
+const MQTT_PASSWORD = argv.MQTT_PASSWORD || process.env.MQTT_PASSWORD || '';
 
 // Optional mailgun setup -- only require if we need it
 let mg = null;
@@ -89,40 +240,342 @@ if (!DRY_RUN && MAILGUN_API_KEY && MAILGUN_DOMAIN) {
   mg = mailgun.client({ username: 'api', key: MAILGUN_API_KEY });
 }
 
-// Load zone names -- auto-create zones.json from sample if it doesn't exist
+// Log file -- written in the background and rotated (see logger.js)
+const logger = createLogger({
+  path: LOG_PATH,
+  format: argv.logFormat,
+  level: LOG_LEVEL,
+  echo: DEBUG,
+  formatTime: formatLocalTime,
+  maxBytes: Math.max(0, argv.logMaxSizeMB) * 1024 * 1024,
+  daily: argv.logRotateDaily,
+  keep: Math.max(0, argv.logKeep),
+  gzip: argv.logGzip
+});
+// Lines still queued when the process exits (including on a crash) are
+// written synchronously
+process.on('exit', () => logger.flushSync());
+
+// Zone selectors ("7", "group:perimeter", "type:motion") from a comma-separated option
+function parseZoneSelectors(option, value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean).filter(selector => {
+    const problem = validateZoneSelector(selector);
+    if (problem) logWarning(`--${option}: ${problem} -- ignored`);
+    return !problem;
+  });
+}
+
+// The facility set on the EVL4's Syslog Client page (16-23 = local0-local7)
+let SYSLOG_FACILITY = null;
+if (argv.syslogFacility) {
+  SYSLOG_FACILITY = facilityCode(argv.syslogFacility);
+  if (SYSLOG_FACILITY === null) {
+    logWarning(`--syslogFacility must be a facility number or name such as 20 or local4 (got "${argv.syslogFacility}") -- ignored`);
+  }
+}
+
+const EMAIL_ON_OPEN_ZONES = parseZoneSelectors('emailOnOpenZones', argv.emailOnOpenZones);
+const LOG_ZONES = parseZoneSelectors('logZones', argv.logZones);
+
+// Digest schedules ("07:00", "Mon 07:00") and the channels digests go to
+const DIGEST_SCHEDULES = [];
+for (const [period, option] of [['daily', 'digestDaily'], ['weekly', 'digestWeekly']]) {
+  if (!argv[option]) continue;
+  try {
+    DIGEST_SCHEDULES.push(Object.assign({ period }, parseDigestTime(argv[option], period === 'weekly')));
+  } catch (err) {
+    logWarning(`--${option}: ${err.message} -- no ${period} digest will be sent`);
+  }
+}
+const DIGEST_CHANNELS = argv.digestChannels.split(',').map(s => s.trim()).filter(Boolean).filter(channel => {
+  if (channel === 'email' || channel === 'ntfy') return true;
+  logWarning(`--digestChannels: unknown channel "${channel}" (expected email or ntfy) -- ignored`);
+  return false;
+});
+
+if (!/^https?:\/\/[^/]/.test(NTFY_URL)) {
+  logWarning(`--NTFY_URL must be an http:// or https:// URL (got "${NTFY_URL}") -- ntfy notifications will fail`);
+}
+
+// Load devices (optional - no auto-create). Without devices.json there is
+// one implicit device that accepts every sender and uses the command-line
+// zones, rules and heartbeat settings.
+const DEVICE_DEFAULTS = { zonesPath: ZONES_PATH, rulesPath: RULES_PATH, heartbeatMinutes: HEARTBEAT_MINUTES };
+let deviceConfigs = [Object.assign({ id: DEFAULT_DEVICE_ID, name: null, addresses: [], macs: [] }, DEVICE_DEFAULTS)];
+const DEVICES_CONFIGURED = fs.existsSync(DEVICES_PATH);
+if (DEVICES_CONFIGURED) {
+  try {
+    const configured = validateDevices(readJsonFile(DEVICES_PATH));
+    deviceConfigs = configured.map(device => deviceSettings(device, DEVICE_DEFAULTS, path.dirname(path.resolve(DEVICES_PATH))));
+    logToFile(`Loaded ${deviceConfigs.length} device(s) from ${DEVICES_PATH}: ${deviceConfigs.map(d => d.name).join(', ')}`);
+    // The MAC comes from the message itself, so on its own it proves nothing
+    for (const device of deviceConfigs.filter(d => d.addresses.length === 0)) {
+      logWarning(`Device "${device.id}" is identified by its MAC only -- any host on the network can send messages as it. Add its address to ${DEVICES_PATH}`);
+    }
+  } catch (err) {
+    // Falling back to one accept-everything device would let any host on
+    // the LAN send events, so refuse to start instead
+    logError(`Could not load devices file (${DEVICES_PATH}): ${err.message}. Fix or remove it and restart.`);
+    process.exit(1);
+  }
+}
+
+// Auto-create zones.json from sample if it doesn't exist
 const ZONES_SAMPLE_PATH = path.join(__dirname, 'zones.sample.json');
-let zones = {};
-if (!fs.existsSync(ZONES_PATH) && fs.existsSync(ZONES_SAMPLE_PATH)) {
+if (deviceConfigs.some(d => d.zonesPath === ZONES_PATH) && !fs.existsSync(ZONES_PATH) && fs.existsSync(ZONES_SAMPLE_PATH)) {
   fs.copyFileSync(ZONES_SAMPLE_PATH, ZONES_PATH);
   logToFile(`Created ${ZONES_PATH} from ${ZONES_SAMPLE_PATH} -- edit it with your actual zone names`);
 }
+
+// Load user names (optional - no auto-create; CID events show user numbers
+// without it)
+let users = {};
+if (fs.existsSync(USERS_PATH)) {
+  try {
+    users = validateUsers(readJsonFile(USERS_PATH));
+    logToFile(`Loaded ${Object.keys(users).length} user(s) from ${USERS_PATH}`);
+  } catch (err) {
+    logWarning(`Could not load users file (${USERS_PATH}): ${err.message}. User numbers will be used as-is.`);
+  }
+}
+
+// Load webhook targets (optional - no auto-create). Loaded before the rules,
+// which can name a webhook as their action.
+let webhooks = [];
+if (fs.existsSync(WEBHOOKS_PATH)) {
+  try {
+    webhooks = validateWebhooks(readJsonFile(WEBHOOKS_PATH));
+    logToFile(`Loaded ${webhooks.length} webhook(s) from ${WEBHOOKS_PATH}`);
+  } catch (err) {
+    logWarning(`Could not load webhooks file (${WEBHOOKS_PATH}): ${err.message}`);
+  }
+}
+
+// Load upstream syslog targets (optional - no auto-create). Connections are
+// made in the background; TLS file paths are relative to forwarders.json.
+let forwarders = [];
+if (fs.existsSync(FORWARDERS_PATH)) {
+  try {
+    forwarders = validateForwarders(readJsonFile(FORWARDERS_PATH));
+    logToFile(`Loaded ${forwarders.length} syslog forwarder(s) from ${FORWARDERS_PATH}`);
+  } catch (err) {
+    logWarning(`Could not load forwarders file (${FORWARDERS_PATH}): ${err.message}`);
+  }
+}
+const syslogForwarder = createSyslogForwarder({
+  forwarders,
+  baseDir: path.dirname(path.resolve(FORWARDERS_PATH)),
+  log: logToFile
+});
+
+// Load message templates (optional - no auto-create; built-in wording is used
+// for anything templates.json doesn't override)
+let templates = {};
+if (fs.existsSync(TEMPLATES_PATH)) {
+  try {
+    templates = validateTemplates(readJsonFile(TEMPLATES_PATH));
+    logToFile(`Loaded templates for ${Object.keys(templates).length} alert kind(s) from ${TEMPLATES_PATH}`);
+  } catch (err) {
+    logWarning(`Could not load templates file (${TEMPLATES_PATH}): ${err.message}. Using the built-in templates.`);
+  }
+}
+
+// Load the notification policy (optional - no auto-create)
+let policy = {};
+if (fs.existsSync(POLICY_PATH)) {
+  try {
+    policy = validatePolicy(readJsonFile(POLICY_PATH), SCHEDULE_DEFAULTS);
+    logToFile(`Loaded notification policy from ${POLICY_PATH}`);
+  } catch (err) {
+    logWarning(`Could not load policy file (${POLICY_PATH}): ${err.message}. Notifications will not be limited.`);
+  }
+}
+
+// Outbound notification queue -- email, ntfy and Sheets deliveries are
+// retried with backoff until they succeed or reach --deliveryMaxAgeMinutes
+let outbox;
+const outboxOptions = {
+  channels: { email: deliverEmail, ntfy: deliverNtfy, sheets: deliverSheets, webhook: deliverWebhook },
+  maxAgeMinutes: DELIVERY_MAX_AGE_MINUTES,
+  onSuccess: (item) => countNotification(item.channel, 'sent'),
+  onFailure: reportDeliveryFailure,
+  log: logToFile
+};
 try {
-  const raw = fs.readFileSync(ZONES_PATH, 'utf8');
-  zones = JSON.parse(raw);
-  logToFile(`Loaded ${Object.keys(zones).length} zone(s) from ${ZONES_PATH}`);
+  outbox = createOutbox(Object.assign({ dir: OUTBOX_PATH }, outboxOptions));
+  const queued = outbox.load();
+  if (queued > 0) logToFile(`Outbox: resuming ${queued} queued notification(s) from ${OUTBOX_PATH}`);
 } catch (err) {
-  logToFile(`Warning: Could not load zones file (${ZONES_PATH}): ${err.message}. Zone numbers will be used as-is.`);
+  logWarning(`Could not open outbox (${OUTBOX_PATH}): ${err.message}. Notifications will only be retried in memory.`);
+  outbox = createOutbox(outboxOptions);
 }
 
-// Load alert rules (optional - no auto-create)
-let rules = [];
-if (fs.existsSync(RULES_PATH)) {
+// Quiet hours, rate limits and duplicate suppression for email and ntfy
+const notificationPolicy = createNotificationPolicy({
+  policy,
+  onSummary: sendSuppressionSummary,
+  log: logToFile,
+  scheduleDefaults: SCHEDULE_DEFAULTS
+});
+
+// Open the event store (optional - empty --eventsPath disables it)
+let eventStore = null;
+if (EVENTS_PATH) {
   try {
-    const raw = fs.readFileSync(RULES_PATH, 'utf8');
-    rules = JSON.parse(raw);
-    logToFile(`Loaded ${rules.length} alert rule(s) from ${RULES_PATH}`);
+    eventStore = createEventStore({
+      dir: EVENTS_PATH,
+      retentionDays: EVENT_RETENTION_DAYS,
+      onError: (err) => logError(`Failed to store events: ${err.message}`)
+    });
+    const pruned = eventStore.prune();
+    if (pruned.length > 0) logToFile(`Event store: pruned ${pruned.length} file(s) older than ${EVENT_RETENTION_DAYS} days`);
   } catch (err) {
-    logToFile(`Warning: Could not load rules file (${RULES_PATH}): ${err.message}`);
+    logWarning(`Could not open event store (${EVENTS_PATH}): ${err.message}. Events will not be stored.`);
   }
 }
 
-// Zone state tracking for duration-based rules
-const zoneOpenTimers = {};    // "zone:ruleIndex" -> setTimeout ID
-const zoneOpenTimes = {};     // zone -> Date when opened
-const zoneRepeatCounts = {};  // "zone:ruleIndex" -> number of repeat alerts sent
+// Live state for the status API
+const recentEvents = [];      // most recent event records, oldest first
+const RECENT_EVENTS_MAX = 100;
+const startedAt = new Date();
+let messagesReceived = 0;
+let lastMessageTime = Date.now();
+
+// Prometheus counters for GET /metrics; the gauges are read from the live
+// state at scrape time (see the Metrics section)
+const metrics = createMetrics();
+const messageCounter = metrics.counter('envisalink_messages_total', 'Syslog messages received from known devices, by event type and zone');
+const parseCounter = metrics.counter('envisalink_parse_results_total', 'Syslog messages by parse outcome: parsed, unrecognized (event "Other") or unknown_sender');
+const notificationCounter = metrics.counter('envisalink_notifications_total', 'Notifications by channel and outcome: sent, failed (given up on) or suppressed (by the notification policy)');
+const ruleAlertCounter = metrics.counter('envisalink_rule_alerts_total', 'Alert rule alerts fired, by rule condition');
+
+// Live event stream (SSE/WebSocket) -- only served when --httpPort is set
+const eventStream = createEventStream();
+
+// Zone state and pending timers are saved a few seconds after they change,
+// batched, rather than on every event (and right away on shutdown)
+const stateSaver = STATE_PATH
+  ? createStateSaver(STATE_PATH, currentState, { onError: (err) => logWarning(`Could not save state (${STATE_PATH}): ${err.message}`) })
+  : null;
+
+// One entry per EVL4, each with its own zones, partition states, rules
+// engine (zone open times and pending rule timers), live zone states,
+// heartbeat and MQTT topics
+const devices = deviceConfigs.map(createDevice);
+
+// Restore zone state and pending timers from before a restart or crash
+if (STATE_PATH) {
+  try {
+    const saved = loadState(STATE_PATH);
+    if (saved) {
+      // State saved before devices.json existed belongs to the implicit device
+      const savedDevices = saved.devices || { [DEFAULT_DEVICE_ID]: { zones: saved.zones, rules: saved.rules } };
+      for (const device of devices) {
+        const deviceState = savedDevices[device.id];
+        if (!deviceState) continue;
+        for (const zone of Object.keys(deviceState.zones || {})) {
+          device.zoneStates[zone] = { state: deviceState.zones[zone].state, since: new Date(deviceState.zones[zone].since) };
+        }
+        const { restored, overdue, dropped } = device.rulesEngine.restoreState(deviceState.rules);
+        logToFile(`${devicePrefix(device)}Restored state from ${STATE_PATH} (saved ${saved.savedAt}): ${Object.keys(device.zoneStates).length} zone(s), ${restored} timer(s) re-armed (${overdue} overdue), ${dropped} dropped`);
+      }
+    }
+  } catch (err) {
+    logWarning(`Could not restore state (${STATE_PATH}): ${err.message}. Starting fresh.`);
+  }
+}
+
+// ---- Devices ----
+
+function createDevice(settings) {
+  const device = Object.assign({}, settings, {
+    zones: loadZones(settings),
+    zoneStates: {},             // zone -> { state: 'open' | 'closed', since: Date }
+    messagesReceived: 0,
+    lastMessageTime: Date.now(),
+    heartbeatAlertSent: false,
+    mqttPublisher: null
+  });
+  const log = (message) => logToFile(`${devicePrefix(device)}${message}`);
+
+  // Partition arm/alarm state, fed by the rules engine as events arrive
+  device.partitionTracker = createPartitionTracker({ onTransition: (transition) => handlePartitionTransition(device, transition), log });
+
+  // Alert rules engine -- owns the zone open times and pending rule timers
+  device.rulesEngine = createRulesEngine({
+    rules: loadRules(settings),
+    getZoneName: (zoneNumber) => getZoneName(device.zones, zoneNumber),
+    onAlert: (alert) => handleRuleAlert(device, alert),
+    log,
+    debug: (message) => logDebug(`${devicePrefix(device)}${message}`),
+    scheduleDefaults: SCHEDULE_DEFAULTS,
+    onChange: scheduleStateSave,
+    partitions: device.partitionTracker,
+    getZoneInfo: (zoneKey) => getZoneInfo(device.zones, zoneKey)
+  });
+
+  // Optional MQTT output (Home Assistant) -- connects in the background and keeps retrying
+  if (MQTT_URL) {
+    device.mqttPublisher = createMqttPublisher({
+      url: MQTT_URL,
+      username: MQTT_USERNAME,
+      password: MQTT_PASSWORD,
+      baseTopic: DEVICES_CONFIGURED ? `${argv.mqttBaseTopic}/${device.id}` : argv.mqttBaseTopic,
+      discoveryPrefix: argv.mqttDiscoveryPrefix,
+      discovery: argv.mqttDiscovery,
+      deviceName: device.name,
+      zones: device.zones,
+      log
+    });
+  }
+  return device;
+}
+
+// Zone names (optional -- zone numbers are used as-is without them)
+function loadZones(settings) {
+  const prefix = devicePrefix(settings);
+  try {
+    const zones = validateZones(readJsonFile(settings.zonesPath));
+    logToFile(`${prefix}Loaded ${Object.keys(zones).length} zone(s) from ${settings.zonesPath}`);
+    return zones;
+  } catch (err) {
+    logWarning(`${prefix}Could not load zones file (${settings.zonesPath}): ${err.message}. Zone numbers will be used as-is.`);
+    return {};
+  }
+}
+
+// Alert rules (optional - no auto-create)
+function loadRules(settings) {
+  if (!fs.existsSync(settings.rulesPath)) return [];
+  try {
+    const rules = validateRules(readJsonFile(settings.rulesPath), { location: SCHEDULE_DEFAULTS, webhooks: webhooks.map(w => w.name) });
+    logToFile(`${devicePrefix(settings)}Loaded ${rules.length} alert rule(s) from ${settings.rulesPath}`);
+    return rules;
+  } catch (err) {
+    logWarning(`${devicePrefix(settings)}Could not load rules file (${settings.rulesPath}): ${err.message}`);
+    return [];
+  }
+}
+
+// Log prefix naming the device, e.g. "[Garage] " (none for the implicit device)
+function devicePrefix(device) {
+  return device.name ? `[${device.name}] ` : '';
+}
 
 // ---- Helpers ----
 
+function currentState() {
+  const state = { devices: {} };
+  for (const device of devices) {
+    state.devices[device.id] = { zones: device.zoneStates, rules: device.rulesEngine.getState() };
+  }
+  return state;
+}
+
+function scheduleStateSave() {
+  if (stateSaver) stateSaver.schedule();
+}
+
 function formatLocalTime(date) {
   return date.toLocaleString('en-US', {
     year: 'numeric',
@@ -135,254 +588,911 @@ function formatLocalTime(date) {
   });
 }
 
-function logToFile(message) {
-  const line = `${formatLocalTime(new Date())} - ${message}\n`;
-  fs.appendFileSync(LOG_PATH, line);
-  if (DEBUG) console.log(line.trim());
+// fields are only written with --logFormat json
+function logToFile(message, fields) {
+  logger.info(message, fields);
 }
 
-function getZoneNameLocal(zoneNumber) {
-  return getZoneName(zones, zoneNumber);
+function logDebug(message, fields) {
+  logger.debug(message, fields);
+}
+
+function logWarning(message, fields) {
+  logger.warn(message, fields);
+}
+
+function logError(message, fields) {
+  logger.error(message, fields);
+}
+
+// True if a device's zone matches one of the selectors (or there are none)
+function zoneSelected(device, selectors, zoneNumber) {
+  if (selectors.length === 0) return true;
+  const info = getZoneInfo(device.zones, zoneNumber);
+  return selectors.some(selector => matchesZoneSelector(selector, zoneNumber, info));
+}
+
+function getUserNameLocal(userNumber) {
+  return userNumber ? getUserName(users, userNumber) : null;
 }
 
 // ---- Syslog message parsing ----
 
-function parseMessage(raw) {
-  return parseSyslogMessage(raw, zones);
+function parseMessage(raw, device, header) {
+  return parseSyslogMessage(raw, device ? device.zones : {}, users, header);
+}
+
+// Warn once per sender and facility when --syslogFacility doesn't match:
+// either the EVL4 is misconfigured or another device is sending to us
+const facilityWarnings = new Set();
+
+function checkFacility(parsed, source) {
+  const facility = parsed.syslog.facility;
+  if (SYSLOG_FACILITY === null || facility === null || facility === SYSLOG_FACILITY) return;
+  const key = `${source} ${facility}`;
+  if (facilityWarnings.has(key)) return;
+  facilityWarnings.add(key);
+  logWarning(`${source} sent facility ${facility} (${FACILITIES[facility]}), expected ${SYSLOG_FACILITY} (${FACILITIES[SYSLOG_FACILITY]}) -- check the EVL4's Syslog Client settings`);
 }
 
-// ---- Email ----
+// ---- Event store ----
 
-async function sendAlert(subject, text) {
+function storeEvent(record) {
+  if (!eventStore) return;
+  try {
+    eventStore.append(record);
+  } catch (err) {
+    logError(`Failed to store event: ${err.message}`);
+  }
+}
+
+// ---- Outbound notifications ----
+//
+// sendAlert(), sendNtfy() and postToGoogleSheets() queue a delivery in the
+// outbox and return right away. The deliver*() functions do the actual send
+// and throw on failure, so the outbox retries them with backoff.
+
+function sendAlert(subject, text, extra) {
   if (DRY_RUN) {
     logToFile(`[DRY RUN] Would send email: ${subject}`);
     return;
   }
   if (!mg) {
-    if (DEBUG) logToFile(`Mailgun not configured, skipping email: ${subject}`);
+    logDebug(`Mailgun not configured, skipping email: ${subject}`);
     return;
   }
   if (!EMAIL_FROM || EMAIL_TO.length === 0) {
     logToFile(`Email skipped (no --emailFrom/--emailTo configured): ${subject}`);
     return;
   }
+  outbox.enqueue('email', Object.assign({ subject, text }, extra));
+}
 
-  try {
-    const result = await mg.messages.create(MAILGUN_DOMAIN, {
-      from: EMAIL_FROM,
-      to: EMAIL_TO,
-      subject: subject,
-      text: text
-    });
-    logToFile(`Email sent: ${subject} | Response: ${JSON.stringify(result)}`);
-  } catch (err) {
-    logToFile(`Failed to send email: ${err.message}`);
-  }
+async function deliverEmail(payload) {
+  if (!mg || !EMAIL_FROM || EMAIL_TO.length === 0) throw new Error('email is no longer configured');
+  const result = await mg.messages.create(MAILGUN_DOMAIN, {
+    from: EMAIL_FROM,
+    to: EMAIL_TO,
+    subject: payload.subject,
+    text: payload.text
+  });
+  logToFile(`Email sent: ${payload.subject} | Response: ${JSON.stringify(result)}`);
 }
 
 // ---- Google Sheets webhook ----
 
-async function postToGoogleSheets(parsed) {
+function postToGoogleSheets(parsed, device) {
   if (!GOOGLE_SHEETS_WEBHOOK) return;
   if (DRY_RUN) {
     logToFile(`[DRY RUN] Would post to Google Sheets: ${parsed.event}`);
     return;
   }
 
-  const payload = JSON.stringify({
+  outbox.enqueue('sheets', {
     timestamp: formatLocalTime(parsed.timestamp),
+    device: device.name || '',
     event: parsed.event,
     zone: parsed.zone,
     zoneName: parsed.zoneName || '',
     message: parsed.message,
     raw: parsed.raw
   });
+}
 
-  try {
-    const url = new URL(GOOGLE_SHEETS_WEBHOOK);
-    const https = require('https');
-    await new Promise((resolve, reject) => {
-      const req = https.request({
-        hostname: url.hostname,
-        path: url.pathname + url.search,
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
-      }, (res) => {
-        // Google Apps Script redirects (302) on success - follow it
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          https.get(res.headers.location, (r) => { r.resume(); resolve(); });
-        } else {
-          res.resume();
-          resolve();
-        }
-      });
-      req.on('error', reject);
-      req.write(payload);
-      req.end();
+async function deliverSheets(row) {
+  if (!GOOGLE_SHEETS_WEBHOOK) throw new Error('Google Sheets is no longer configured');
+  const payload = JSON.stringify(row);
+  const url = new URL(GOOGLE_SHEETS_WEBHOOK);
+  const https = require('https');
+  await new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: url.hostname,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+    }, (res) => {
+      // Google Apps Script redirects (302) on success - follow it
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        https.get(res.headers.location, (r) => {
+          r.resume();
+          if (r.statusCode >= 400) reject(new Error(`HTTP ${r.statusCode}`));
+          else resolve();
+        }).on('error', reject);
+      } else {
+        res.resume();
+        if (res.statusCode >= 400) reject(new Error(`HTTP ${res.statusCode}`));
+        else resolve();
+      }
     });
-    if (DEBUG) logToFile('Posted to Google Sheets');
-  } catch (err) {
-    logToFile(`Failed to post to Google Sheets: ${err.message}`);
-  }
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+  logDebug('Posted to Google Sheets');
 }
 
-// ---- ntfy.sh push notifications ----
+// ---- ntfy push notifications ----
 
-async function sendNtfy(title, message, priority) {
-  if (!NTFY_TOPIC) return;
+// extra can set the rule's topic, tags, click URL, icon and actions (see
+// ntfy.js); without a topic of its own, a notification goes to --NTFY_TOPIC.
+function sendNtfy(title, message, priority, extra) {
+  const topic = (extra && extra.topic) || NTFY_TOPIC;
+  if (!topic) return;
   if (DRY_RUN) {
-    logToFile(`[DRY RUN] Would send ntfy: ${title}`);
+    logToFile(`[DRY RUN] Would send ntfy to ${topic}: ${title}`);
     return;
   }
+  outbox.enqueue('ntfy', Object.assign({ title, message, priority: priority || 'default' }, extra));
+}
+
+async function deliverNtfy(payload) {
+  if (!payload.topic && !NTFY_TOPIC) throw new Error('ntfy is no longer configured');
+  await publishNtfy(buildNtfyRequest(NTFY_CONFIG, payload), NTFY_AUTH);
+  logDebug(`Sent ntfy: ${payload.title}`);
+}
 
+// ---- Webhooks ----
+
+function webhookActionName(action) {
+  const match = /^webhook:(.+)$/.exec(action || '');
+  return match ? match[1] : null;
+}
+
+function queueWebhook(webhook, context) {
+  if (DRY_RUN) {
+    logToFile(`[DRY RUN] Would call webhook "${webhook.name}": ${context.event}`);
+    return;
+  }
   try {
-    const https = require('https');
-    const payload = message;
-    await new Promise((resolve, reject) => {
-      const req = https.request({
-        hostname: 'ntfy.sh',
-        path: `/${encodeURIComponent(NTFY_TOPIC)}`,
-        method: 'POST',
-        headers: {
-          'Title': title,
-          'Priority': priority || 'default',
-          'Tags': 'house'
-        }
-      }, (res) => {
-        res.resume();
-        resolve();
-      });
-      req.on('error', reject);
-      req.write(payload);
-      req.end();
-    });
-    if (DEBUG) logToFile(`Sent ntfy: ${title}`);
+    outbox.enqueue('webhook', Object.assign({ webhook: webhook.name }, buildRequest(webhook, context)));
   } catch (err) {
-    logToFile(`Failed to send ntfy: ${err.message}`);
+    logToFile(`Failed to build webhook "${webhook.name}" request: ${err.message}`);
   }
 }
 
-// ---- Alert rules engine ----
+function sendWebhooks(record, zoneInfo) {
+  for (const webhook of webhooks) {
+    if (matchesWebhook(webhook, record, zoneInfo)) queueWebhook(webhook, record);
+  }
+}
 
-function startRuleTimer(zoneKey, rule, ruleIndex, delayMs, repeatCount) {
-  const timerKey = `${zoneKey}:${ruleIndex}`;
-  const zoneName = getZoneNameLocal(zoneKey);
+// Template fields for an event (alarm and zone-open emails)
+function eventContext(device, parsed, record) {
+  return Object.assign({ type: 'event' }, record, {
+    zoneType: parsed.zone !== null ? getZoneInfo(device.zones, parsed.zone).type : null,
+    time: parsed.timestamp,
+    verb: ZONE_EVENT_VERBS[parsed.event] || null
+  });
+}
 
-  zoneOpenTimers[timerKey] = setTimeout(async () => {
-    const openedAt = zoneOpenTimes[zoneKey];
-    const totalMs = Date.now() - openedAt.getTime();
-    const totalMinutes = Math.round(totalMs / (60 * 1000));
-    const isRepeat = repeatCount > 0;
-    const label = isRepeat ? 'still open' : 'has been open';
+// Template fields for a rule alert (see templates.js for the full list)
+function ruleAlertContext(device, alert) {
+  const { rule, parsed } = alert;
+  const at = alert.at || new Date();
+  const kind = templateKind(alert.condition);
+  return {
+    type: 'rule',
+    timestamp: at.toISOString(),
+    time: at,
+    device: device.id,
+    deviceName: device.name,
+    rule: rule.description || DEFAULT_RULE_LABELS[kind](alert),
+    description: rule.description || null,
+    ruleId: rule.id !== undefined ? rule.id : null,
+    ruleIndex: alert.ruleIndex,
+    condition: alert.condition,
+    event: alert.event || null,
+    verb: alert.event ? (ZONE_EVENT_VERBS[alert.event] || alert.event) : null,
+    zone: alert.zone !== null && alert.zone !== undefined ? Number(alert.zone) : null,
+    zoneName: alert.zoneName || null,
+    zoneType: alert.zone !== null && alert.zone !== undefined ? getZoneInfo(device.zones, alert.zone).type : null,
+    partition: parsed && parsed.partition ? parsed.partition : (rule.partition || null),
+    user: parsed && parsed.user !== undefined ? parsed.user : null,
+    userName: parsed && parsed.userName ? parsed.userName : null,
+    message: parsed ? parsed.message : null,
+    raw: parsed ? parsed.raw : null,
+    armState: alert.armState,
+    ruleArmState: rule.armState !== undefined ? [].concat(rule.armState) : null,
+    openedAt: alert.openedAt || null,
+    firstAt: alert.firstAt || null,
+    duration: alert.minutes !== undefined ? alert.minutes : null,
+    minutes: alert.minutes !== undefined ? alert.minutes : null,
+    seconds: alert.seconds !== undefined ? alert.seconds : null,
+    count: alert.count !== undefined ? alert.count : null,
+    repeatCount: alert.repeatCount || 0,
+    restarted: !!alert.restarted,
+    summary: kind === 'frequency' ? `${alert.count} ${alert.event} event(s) in ${alert.minutes} min`
+      : kind === 'sequence' ? describeSequence(device, rule) : null
+  };
+}
 
-    logToFile(`Alert rule triggered: ${zoneName} ${label} for ${totalMinutes}+ minutes${isRepeat ? ` (repeat ${repeatCount})` : ''}`);
+const DEFAULT_RULE_LABELS = {
+  open_duration: () => 'Open duration alert',
+  zone_event: (alert) => `${alert.event} alert`,
+  frequency: () => 'Frequency alert',
+  sequence: () => 'Sequence alert'
+};
 
-    if (rule.action === 'email' || rule.action === 'both') {
-      await sendAlert(
-        `⚠️ ${zoneName} ${isRepeat ? 'still ' : ''}open for ${totalMinutes}+ minutes`,
-        `${zoneName} ${label} since ${formatLocalTime(openedAt)}.\n\nRule: ${rule.description || 'Open duration alert'}\nZone: ${zoneKey}\nDuration: ${totalMinutes}+ minutes${isRepeat ? `\nRepeat: ${repeatCount}` : ''}`
-      );
+function templateKind(condition) {
+  return condition === 'zone_open' ? 'zone_event' : condition;
+}
+
+function sendRuleWebhook(device, alert, name) {
+  const webhook = webhooks.find(w => w.name === name);
+  if (!webhook) {
+    logToFile(`Webhook "${name}" for rule "${alert.rule.description || alert.rule.condition}" is not configured`);
+    return;
+  }
+  const context = ruleAlertContext(device, alert);
+  const { webhookBody } = resolveTemplate(templates, templateKind(alert.condition), alert.rule.template);
+  queueWebhook(webhookBody !== undefined ? Object.assign({}, webhook, { body: webhookBody }) : webhook, context);
+}
+
+// Sends a templated email and/or ntfy notification, subject to the
+// notification policy
+function sendTemplated(kind, context, options) {
+  const template = resolveTemplate(templates, kind, options.override);
+  const notice = { kind, event: context.event, zone: context.zone, device: context.device };
+  if (options.email) {
+    const subject = renderText(template.emailSubject, context, formatLocalTime);
+    if (notificationPolicy.check('email', Object.assign({ title: subject }, notice))) {
+      sendAlert(subject, renderText(template.emailBody, context, formatLocalTime));
+    } else {
+      countNotification('email', 'suppressed');
     }
-    if (rule.action === 'ntfy' || rule.action === 'both') {
-      await sendNtfy(
-        `${zoneName} ${isRepeat ? 'still ' : ''}open ${totalMinutes}+ min`,
-        `${isRepeat ? 'Still open' : 'Open'} since ${formatLocalTime(openedAt)}`,
-        'high'
+  }
+  if (options.ntfy && template.ntfyTitle !== undefined) {
+    const title = renderText(template.ntfyTitle, context, formatLocalTime);
+    if (notificationPolicy.check('ntfy', Object.assign({ title }, notice))) {
+      sendNtfy(
+        title,
+        renderText(template.ntfyMessage || '', context, formatLocalTime),
+        options.priority || 'high',
+        renderNtfyOptions(options.ntfyOptions, context)
       );
+    } else {
+      countNotification('ntfy', 'suppressed');
     }
+  }
+}
 
-    // Schedule repeat alert if configured
-    const repeatIntervalMs = (rule.repeatInterval || 0) * 60 * 1000;
-    const nextRepeat = repeatCount + 1;
-    const maxRepeats = rule.maxRepeats || 0;  // 0 = unlimited
+const SUMMARY_MAX_ITEMS = 20;
+
+// Sends the "N notifications suppressed" summary on the channel that
+// suppressed them (not subject to the policy itself)
+function sendSuppressionSummary(channel, { count, items, firstAt }) {
+  const lines = items.slice(0, SUMMARY_MAX_ITEMS).map(item => `- ${formatLocalTime(item.at)}: ${item.title} (${item.reason})`);
+  if (items.length > SUMMARY_MAX_ITEMS) lines.push(`- ... and ${items.length - SUMMARY_MAX_ITEMS} more`);
+  const context = { type: 'summary', time: new Date(), count, firstAt, summary: lines.join('\n') };
+  const template = resolveTemplate(templates, 'suppressed');
+  if (channel === 'email') {
+    sendAlert(renderText(template.emailSubject, context, formatLocalTime), renderText(template.emailBody, context, formatLocalTime));
+  } else {
+    sendNtfy(renderText(template.ntfyTitle, context, formatLocalTime), renderText(template.ntfyMessage, context, formatLocalTime), 'default');
+  }
+}
 
-    if (repeatIntervalMs > 0 && (maxRepeats === 0 || nextRepeat <= maxRepeats)) {
-      zoneRepeatCounts[timerKey] = nextRepeat;
-      startRuleTimer(zoneKey, rule, ruleIndex, repeatIntervalMs, nextRepeat);
-      if (DEBUG) logToFile(`Repeat timer set: ${zoneName} (rule ${ruleIndex}) will alert again in ${rule.repeatInterval} min`);
-    } else {
-      delete zoneOpenTimers[timerKey];
-      delete zoneRepeatCounts[timerKey];
-    }
-  }, delayMs);
+function sendRuleNotifications(alert, context) {
+  const { action } = alert.rule;
+  sendTemplated(templateKind(alert.condition), context, {
+    email: action === 'email' || action === 'both',
+    ntfy: action === 'ntfy' || action === 'both',
+    override: alert.rule.template,
+    ntfyOptions: alert.rule.ntfy
+  });
+}
+
+async function deliverWebhook(payload) {
+  const webhook = webhooks.find(w => w.name === payload.webhook);
+  if (!webhook) throw new Error(`webhook "${payload.webhook}" is no longer configured`);
+  const status = await sendRequest({
+    method: payload.method,
+    url: payload.url,
+    headers: requestHeaders(webhook, payload.contentType),
+    body: payload.body
+  }, { timeoutMs: webhook.timeoutMs });
+  logDebug(`Webhook "${webhook.name}" delivered (HTTP ${status})`);
 }
 
-function evaluateRules(parsed) {
-  if (rules.length === 0 || parsed.zone === null) return;
+// A delivery the outbox gave up on is reported through the other channels.
+// Failure reports are flagged so a failed report is never reported again.
+function reportDeliveryFailure(item, err) {
+  countNotification(item.channel, 'failed');
+  if (item.payload.deliveryFailure) return;
+
+  const what = item.channel === 'email' ? `email "${item.payload.subject}"`
+    : item.channel === 'ntfy' ? `ntfy notification "${item.payload.title}"`
+      : item.channel === 'webhook' ? `webhook "${item.payload.webhook}" (${item.payload.method} ${item.payload.url})`
+        : `Google Sheets row (${item.payload.event} at ${item.payload.timestamp})`;
+  const since = formatLocalTime(new Date(item.createdAt));
+  const detail = `Gave up after ${item.attempts} attempt(s) since ${since}. Last error: ${err.message}`;
+
+  if (item.channel !== 'email') {
+    sendAlert(`⚠️ Failed to deliver ${what}`, `${detail}\n\n${JSON.stringify(item.payload, null, 2)}`, { deliveryFailure: true });
+  }
+  if (item.channel !== 'ntfy') {
+    sendNtfy(`Failed to deliver ${what}`, detail, 'high', { deliveryFailure: true });
+  }
+}
 
-  const zoneKey = String(parsed.zone);
+// ---- Alert rules ----
 
-  if (parsed.event === 'Zone Open') {
-    // Find any open_duration rules for this zone
-    const matchingRules = rules.filter(r => r.condition === 'open_duration' && String(r.zone) === zoneKey);
+function handleRuleAlert(device, alert) {
+  ruleAlertCounter.inc({ device: device.id, condition: alert.condition });
+  const webhookName = webhookActionName(alert.rule.action);
+  if (webhookName) sendRuleWebhook(device, alert, webhookName);
 
-    zoneOpenTimes[zoneKey] = new Date();
+  const context = ruleAlertContext(device, alert);
+  publishRuleAlert(alert, context);
+  sendRuleNotifications(alert, context);
+}
 
-    for (let i = 0; i < matchingRules.length; i++) {
-      const rule = matchingRules[i];
-      const ruleIndex = rules.indexOf(rule);
-      const timerKey = `${zoneKey}:${ruleIndex}`;
-      const delayMs = (rule.minutes || 20) * 60 * 1000;
+// Publishes a rule alert on the live event stream
+function publishRuleAlert(alert, context) {
+  const common = { device: context.device, zone: context.zone, zoneName: context.zoneName, rule: context.rule, ruleIndex: alert.ruleIndex };
+  switch (templateKind(alert.condition)) {
+    case 'open_duration':
+      eventStream.publish('rule', Object.assign({ event: 'Open Duration Alert' }, common, {
+        openedAt: alert.openedAt.toISOString(),
+        minutes: alert.minutes,
+        repeatCount: alert.repeatCount,
+        restarted: !!alert.restarted
+      }));
+      break;
+    case 'zone_event':
+      eventStream.publish('rule', Object.assign({ event: `${alert.event} Alert` }, common, {
+        at: context.timestamp,
+        armState: alert.armState
+      }));
+      break;
+    case 'frequency':
+      eventStream.publish('rule', Object.assign({ event: 'Frequency Alert' }, common, {
+        matched: alert.event,
+        count: alert.count,
+        minutes: alert.minutes,
+        firstAt: alert.firstAt.toISOString(),
+        at: context.timestamp
+      }));
+      break;
+    case 'sequence':
+      eventStream.publish('rule', Object.assign({ event: 'Sequence Alert' }, common, {
+        matched: alert.event,
+        summary: context.summary,
+        firstAt: alert.firstAt ? alert.firstAt.toISOString() : null,
+        at: context.timestamp
+      }));
+      break;
+  }
+}
 
-      // Clear any existing timer and repeat count for this specific rule
-      if (zoneOpenTimers[timerKey]) {
-        clearTimeout(zoneOpenTimers[timerKey]);
-      }
-      delete zoneRepeatCounts[timerKey];
+function describeZoneSelector(device, selector) {
+  const text = String(selector);
+  if (text.startsWith('group:')) return `any ${text.substring(6)} zone`;
+  if (text.startsWith('type:')) return `any ${text.substring(5) === 'co' ? 'CO' : text.substring(5)} zone`;
+  return getZoneName(device.zones, text);
+}
 
-      startRuleTimer(zoneKey, rule, ruleIndex, delayMs, 0);
+function describeStep(device, step) {
+  const events = step.event !== undefined ? [].concat(step.event).join('/') : 'any event';
+  const zoneList = step.zone !== undefined ? ` on ${[].concat(step.zone).map(selector => describeZoneSelector(device, selector)).join('/')}` : '';
+  const partition = step.partition !== undefined ? ` (partition ${step.partition})` : '';
+  return `${events}${zoneList}${partition}`;
+}
+
+function describeSequence(device, rule) {
+  const [first, then] = rule.steps.map(step => describeStep(device, step));
+  if (rule.steps[0].not) return `${then} with no ${first} in the previous ${rule.withinSeconds}s`;
+  if (rule.steps[1].not) return `${first} not followed by ${then} within ${rule.withinSeconds}s`;
+  return `${first} then ${then} within ${rule.withinSeconds}s`;
+}
+
+const ZONE_EVENT_VERBS = {
+  'Zone Open': 'opened',
+  'Zone Close': 'closed',
+  'Zone Alarm': 'in alarm',
+  'Zone Trouble': 'reported trouble',
+  'Zone Tamper': 'tampered',
+  'Zone Restore': 'restored'
+};
+
+// ---- Partition state ----
+
+function handlePartitionTransition(device, transition) {
+  const { partition, from, to, event, user, zone, at } = transition;
+  const zoneName = zone !== null ? getZoneName(device.zones, String(zone)) : null;
+  const userName = getUserNameLocal(user);
+  logToFile(`${devicePrefix(device)}Partition ${partition}: ${from || 'unknown'} -> ${to}${userName ? ` (${userName})` : ''}${zoneName ? ` -- ${zoneName}` : ''}`);
+  eventStream.publish('partition', {
+    event: 'Partition Change',
+    device: device.id,
+    deviceName: device.name,
+    zone,
+    zoneName,
+    partition,
+    previousState: from,
+    state: to,
+    user,
+    userName,
+    at: at.toISOString()
+  });
 
-      if (DEBUG) logToFile(`Timer set: ${getZoneNameLocal(zoneKey)} (rule ${ruleIndex}) will alert in ${rule.minutes} min if not closed`);
+  if (!NOTIFY_PARTITION_CHANGES) return;
+  sendTemplated('partition', {
+    type: 'partition',
+    time: at,
+    timestamp: at.toISOString(),
+    device: device.id,
+    deviceName: device.name,
+    partition,
+    state: to,
+    previousState: from,
+    event,
+    user,
+    userName,
+    zone,
+    zoneName
+  }, { email: true, ntfy: true, priority: to === 'In Alarm' ? 'urgent' : 'default' });
+}
+
+// ---- Config hot reload ----
+
+function reloadZones(device, reason) {
+  const prefix = devicePrefix(device);
+  try {
+    const next = validateZones(readJsonFile(device.zonesPath));
+    device.zones = next;
+    if (device.mqttPublisher) device.mqttPublisher.setZones(device.zones);
+    logToFile(`${prefix}Reloaded ${Object.keys(device.zones).length} zone(s) from ${device.zonesPath} (${reason})`);
+  } catch (err) {
+    logToFile(`${prefix}Rejected zones reload (${device.zonesPath}): ${err.message} -- keeping the previous ${Object.keys(device.zones).length} zone(s)`);
+  }
+}
+
+function reloadUsers(reason) {
+  let next;
+  if (!fs.existsSync(USERS_PATH)) {
+    next = {};
+  } else {
+    try {
+      next = validateUsers(readJsonFile(USERS_PATH));
+    } catch (err) {
+      logToFile(`Rejected users reload (${USERS_PATH}): ${err.message} -- keeping the previous ${Object.keys(users).length} user(s)`);
+      return;
+    }
+  }
+  users = next;
+  logToFile(`Reloaded ${Object.keys(users).length} user(s) from ${USERS_PATH} (${reason})`);
+}
+
+function reloadRules(device, reason) {
+  const prefix = devicePrefix(device);
+  let next;
+  if (!fs.existsSync(device.rulesPath)) {
+    next = [];
+  } else {
+    try {
+      next = validateRules(readJsonFile(device.rulesPath), { location: SCHEDULE_DEFAULTS, webhooks: webhooks.map(w => w.name) });
+    } catch (err) {
+      logToFile(`${prefix}Rejected rules reload (${device.rulesPath}): ${err.message} -- keeping the previous ${device.rulesEngine.getRules().length} rule(s)`);
+      return;
     }
   }
+  const { kept, cancelled } = device.rulesEngine.setRules(next);
+  logToFile(`${prefix}Reloaded ${next.length} alert rule(s) from ${device.rulesPath} (${reason}): ${kept} pending timer(s) kept, ${cancelled} cancelled`);
+}
 
-  if (parsed.event === 'Zone Close') {
-    // Cancel all pending timers for this zone
-    for (const key of Object.keys(zoneOpenTimers)) {
-      if (key.startsWith(`${zoneKey}:`)) {
-        clearTimeout(zoneOpenTimers[key]);
-        delete zoneOpenTimers[key];
-        delete zoneRepeatCounts[key];
+function reloadWebhooks(reason) {
+  let next;
+  if (!fs.existsSync(WEBHOOKS_PATH)) {
+    next = [];
+  } else {
+    try {
+      next = validateWebhooks(readJsonFile(WEBHOOKS_PATH));
+    } catch (err) {
+      logToFile(`Rejected webhooks reload (${WEBHOOKS_PATH}): ${err.message} -- keeping the previous ${webhooks.length} webhook(s)`);
+      return;
+    }
+  }
+  webhooks = next;
+  logToFile(`Reloaded ${webhooks.length} webhook(s) from ${WEBHOOKS_PATH} (${reason})`);
+
+  const names = webhooks.map(w => w.name);
+  for (const device of devices) {
+    for (const rule of device.rulesEngine.getRules()) {
+      const name = webhookActionName(rule.action);
+      if (name && !names.includes(name)) {
+        logWarning(`${devicePrefix(device)}Rule "${rule.description || rule.condition}" uses webhook "${name}", which no longer exists`);
       }
     }
-    delete zoneOpenTimes[zoneKey];
-    if (DEBUG) logToFile(`Timer(s) cleared: zone ${zoneKey} closed before alert`);
   }
 }
 
-// ---- Heartbeat monitoring ----
+function reloadForwarders(reason) {
+  let next;
+  if (!fs.existsSync(FORWARDERS_PATH)) {
+    next = [];
+  } else {
+    try {
+      next = validateForwarders(readJsonFile(FORWARDERS_PATH));
+    } catch (err) {
+      logToFile(`Rejected forwarders reload (${FORWARDERS_PATH}): ${err.message} -- keeping the previous ${forwarders.length} forwarder(s)`);
+      return;
+    }
+  }
+  forwarders = next;
+  syslogForwarder.setForwarders(forwarders);
+  logToFile(`Reloaded ${forwarders.length} syslog forwarder(s) from ${FORWARDERS_PATH} (${reason})`);
+}
 
-let lastMessageTime = Date.now();
-let heartbeatAlertSent = false;
+function reloadTemplates(reason) {
+  let next;
+  if (!fs.existsSync(TEMPLATES_PATH)) {
+    next = {};
+  } else {
+    try {
+      next = validateTemplates(readJsonFile(TEMPLATES_PATH));
+    } catch (err) {
+      logToFile(`Rejected templates reload (${TEMPLATES_PATH}): ${err.message} -- keeping the previous templates`);
+      return;
+    }
+  }
+  templates = next;
+  logToFile(`Reloaded templates for ${Object.keys(templates).length} alert kind(s) from ${TEMPLATES_PATH} (${reason})`);
+}
 
+function reloadPolicy(reason) {
+  let next;
+  if (!fs.existsSync(POLICY_PATH)) {
+    next = {};
+  } else {
+    try {
+      next = validatePolicy(readJsonFile(POLICY_PATH), SCHEDULE_DEFAULTS);
+    } catch (err) {
+      logToFile(`Rejected policy reload (${POLICY_PATH}): ${err.message} -- keeping the previous policy`);
+      return;
+    }
+  }
+  notificationPolicy.setPolicy(next);
+  logToFile(`Reloaded notification policy from ${POLICY_PATH} (${reason})`);
+}
+
+if (argv.watchConfig) {
+  for (const device of devices) {
+    watchConfigFile(device.zonesPath, () => reloadZones(device, 'file changed'));
+    watchConfigFile(device.rulesPath, () => reloadRules(device, 'file changed'));
+  }
+  watchConfigFile(USERS_PATH, () => reloadUsers('file changed'));
+  watchConfigFile(WEBHOOKS_PATH, () => reloadWebhooks('file changed'));
+  watchConfigFile(FORWARDERS_PATH, () => reloadForwarders('file changed'));
+  watchConfigFile(TEMPLATES_PATH, () => reloadTemplates('file changed'));
+  watchConfigFile(POLICY_PATH, () => reloadPolicy('file changed'));
+}
+
+process.on('SIGHUP', () => {
+  logToFile('Received SIGHUP -- reloading zones, users, rules, webhooks, forwarders, templates and policy');
+  for (const device of devices) reloadZones(device, 'SIGHUP');
+  reloadUsers('SIGHUP');
+  reloadWebhooks('SIGHUP');
+  reloadForwarders('SIGHUP');
+  reloadTemplates('SIGHUP');
+  reloadPolicy('SIGHUP');
+  for (const device of devices) reloadRules(device, 'SIGHUP');
+});
+
+// Save state on shutdown (systemctl stop/restart sends SIGTERM, Ctrl+C sends SIGINT)
+const SHUTDOWN_TIMEOUT_MS = 3000;
+let shuttingDown = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logToFile(`Received ${signal} -- saving state and shutting down`);
+    if (stateSaver) stateSaver.save();
+    if (eventStore) eventStore.flush();
+    // Let the log catch up so the shutdown lines are the last ones in it,
+    // but don't hang on a stuck disk
+    setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+    logger.close().catch(() => {}).then(() => process.exit(0));
+  });
+}
+
+// ---- Heartbeat monitoring ----
+
+// Each device has its own threshold (0 = disabled)
 function startHeartbeat() {
-  if (HEARTBEAT_MINUTES <= 0) return;
+  const monitored = devices.filter(device => device.heartbeatMinutes > 0);
+  if (monitored.length === 0) return;
 
   const checkIntervalMs = 60 * 1000;  // Check every minute
-  const thresholdMs = HEARTBEAT_MINUTES * 60 * 1000;
 
-  setInterval(async () => {
-    const elapsed = Date.now() - lastMessageTime;
-    if (elapsed >= thresholdMs && !heartbeatAlertSent) {
-      const hours = Math.round(elapsed / (60 * 60 * 1000) * 10) / 10;
-      logToFile(`Heartbeat alert: no syslog activity for ${hours} hours`);
+  setInterval(() => {
+    for (const device of monitored) checkHeartbeat(device);
+  }, checkIntervalMs);
 
-      await sendAlert(
-        '\uD83D\uDC93 EnvisaLink heartbeat -- no activity',
-        `No syslog messages received for ${hours} hours (threshold: ${HEARTBEAT_MINUTES} minutes).\n\nThis could indicate:\n- The EVL4 is offline or unreachable\n- The syslog client is misconfigured\n- Network issues between the EVL4 and this server\n\nLast message received: ${formatLocalTime(new Date(lastMessageTime))}`
-      );
+  for (const device of monitored) {
+    logToFile(`${devicePrefix(device)}Heartbeat monitoring enabled: alert after ${device.heartbeatMinutes} minutes of inactivity`);
+  }
+}
 
-      await sendNtfy(
-        `No EVL4 activity for ${hours}h`,
-        `No syslog messages since ${formatLocalTime(new Date(lastMessageTime))}`,
-        'high'
-      );
+function checkHeartbeat(device) {
+  const elapsed = Date.now() - device.lastMessageTime;
+  if (elapsed < device.heartbeatMinutes * 60 * 1000 || device.heartbeatAlertSent) return;
+
+  const hours = Math.round(elapsed / (60 * 60 * 1000) * 10) / 10;
+  logToFile(`${devicePrefix(device)}Heartbeat alert: no syslog activity for ${hours} hours`);
+  eventStream.publish('heartbeat', {
+    event: 'Heartbeat Alert',
+    device: device.id,
+    deviceName: device.name,
+    zone: null,
+    hours,
+    thresholdMinutes: device.heartbeatMinutes,
+    lastMessageAt: new Date(device.lastMessageTime).toISOString()
+  });
+
+  sendTemplated('heartbeat', {
+    type: 'heartbeat',
+    time: new Date(),
+    device: device.id,
+    deviceName: device.name,
+    hours,
+    threshold: device.heartbeatMinutes,
+    lastMessageAt: new Date(device.lastMessageTime)
+  }, { email: true, ntfy: true });
+
+  device.heartbeatAlertSent = true;
+}
+
+// ---- Digests ----
+
+// Daily and weekly summaries compiled from the event store. Like the
+// suppression summaries, they are not subject to the notification policy.
+function startDigests() {
+  if (DIGEST_SCHEDULES.length === 0) return;
+  if (!eventStore) {
+    logWarning('Digests need the event store (--eventsPath) -- no digests will be sent');
+    return;
+  }
+  createDigestScheduler({
+    schedules: DIGEST_SCHEDULES,
+    timezone: SCHEDULE_DEFAULTS.timezone,
+    onDue: sendDigest,
+    log: logError
+  });
+}
 
-      heartbeatAlertSent = true;
+function sendDigest(period, since, until) {
+  const digest = buildDigest(eventStore.query({ since, until }), {
+    since,
+    until,
+    devices: devices.map(device => ({ id: device.id, name: device.name })),
+    // A device's heartbeat threshold, if it has one, is also its gap threshold
+    gapMinutes: (id) => {
+      const device = devices.find(d => d.id === id);
+      return device && device.heartbeatMinutes > 0 ? device.heartbeatMinutes : DEFAULT_GAP_MINUTES;
     }
-  }, checkIntervalMs);
+  });
+  const report = formatDigest(digest, { title: period === 'weekly' ? 'Weekly digest' : 'Daily digest', formatTime: formatLocalTime });
+  logToFile(`Sending ${period} digest: ${digest.events} event(s) since ${formatLocalTime(since)}`);
+  if (DIGEST_CHANNELS.includes('email')) sendAlert(report.subject, report.text);
+  if (DIGEST_CHANNELS.includes('ntfy')) sendNtfy(report.title, report.summary, 'low');
+}
+
+// ---- Live state ----
+
+function trackEvent(device, parsed, record) {
+  messagesReceived++;
+  device.messagesReceived++;
+
+  if (parsed.zone !== null && (parsed.event === 'Zone Open' || parsed.event === 'Zone Close')) {
+    const state = parsed.event === 'Zone Open' ? 'open' : 'closed';
+    const key = String(parsed.zone);
+    const zoneStates = device.zoneStates;
+    // Keep the original open time if the panel repeats an open
+    if (!zoneStates[key] || zoneStates[key].state !== state) {
+      zoneStates[key] = { state, since: parsed.timestamp };
+    }
+  }
+
+  recentEvents.push(record);
+  if (recentEvents.length > RECENT_EVENTS_MAX) recentEvents.shift();
+}
+
+function getStatus() {
+  const now = Date.now();
+  const monitored = devices.filter(device => device.heartbeatMinutes > 0);
+  return {
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.floor((now - startedAt.getTime()) / 1000),
+    messagesReceived,
+    lastMessageAt: messagesReceived > 0 ? new Date(lastMessageTime).toISOString() : null,
+    secondsSinceLastMessage: Math.floor((now - lastMessageTime) / 1000),
+    heartbeat: {
+      enabled: monitored.length > 0,
+      thresholdMinutes: HEARTBEAT_MINUTES,
+      alertSent: monitored.some(device => device.heartbeatAlertSent)
+    },
+    devices: devices.map(device => ({
+      id: device.id,
+      name: device.name,
+      messagesReceived: device.messagesReceived,
+      lastMessageAt: device.messagesReceived > 0 ? new Date(device.lastMessageTime).toISOString() : null,
+      heartbeat: {
+        enabled: device.heartbeatMinutes > 0,
+        thresholdMinutes: device.heartbeatMinutes,
+        alertSent: device.heartbeatAlertSent
+      },
+      zonesLoaded: Object.keys(device.zones).length,
+      rulesLoaded: device.rulesEngine.getRules().length
+    })),
+    unknownSenders: [...unknownSenders.values()].map(sender => Object.assign({}, sender, { lastSeenAt: sender.lastSeenAt.toISOString() })),
+    partitions: devices.flatMap(device => Object.entries(device.partitionTracker.getAll()).map(([partition, entry]) => ({
+      device: device.id,
+      deviceName: device.name,
+      partition: Number(partition),
+      status: partitionStatus(entry),
+      state: entry.state,
+      since: entry.since.toISOString(),
+      user: entry.user,
+      userName: getUserNameLocal(entry.user),
+      alarm: entry.alarm ? { since: entry.alarm.since.toISOString(), zone: entry.alarm.zone, user: entry.alarm.user } : null
+    }))),
+    zonesLoaded: devices.reduce((sum, device) => sum + Object.keys(device.zones).length, 0),
+    rulesLoaded: devices.reduce((sum, device) => sum + device.rulesEngine.getRules().length, 0),
+    snoozedRules: devices.flatMap(device => device.rulesEngine.getSnoozes().map(({ id, until }) => ({ device: device.id, id, until: until.toISOString() }))),
+    outbox: outbox.pending(),
+    suppressed: notificationPolicy.pending().map(item => Object.assign({}, item, { summaryAt: item.summaryAt.toISOString() })),
+    forwarders: syslogForwarder.getStatus()
+  };
+}
+
+function getZoneStates() {
+  const now = Date.now();
+  return devices.flatMap(device => {
+    const { zones, zoneStates } = device;
+    const keys = new Set([...Object.keys(zones), ...Object.keys(zoneStates)]);
+    return [...keys]
+      .sort((a, b) => Number(a) - Number(b))
+      .map(key => {
+        const zoneState = zoneStates[key];
+        const isOpen = zoneState && zoneState.state === 'open';
+        const info = getZoneInfo(zones, key);
+        return {
+          device: device.id,
+          deviceName: device.name,
+          zone: Number(key),
+          name: info.name,
+          type: info.type,
+          groups: info.groups,
+          state: zoneState ? zoneState.state : 'unknown',
+          since: zoneState ? zoneState.since.toISOString() : null,
+          openForSeconds: isOpen ? Math.floor((now - zoneState.since.getTime()) / 1000) : null
+        };
+      });
+  });
+}
+
+function getPendingTimers() {
+  const now = Date.now();
+  return devices.flatMap(device => device.rulesEngine.getPendingTimers().map(timer => ({
+    device: device.id,
+    deviceName: device.name,
+    zone: Number(timer.zone),
+    zoneName: getZoneName(device.zones, timer.zone),
+    ruleIndex: timer.ruleIndex,
+    description: timer.rule.description || `${timer.rule.condition} (${timer.rule.minutes} min)`,
+    openedAt: timer.openedAt ? timer.openedAt.toISOString() : null,
+    dueAt: timer.dueAt.toISOString(),
+    remainingSeconds: Math.max(0, Math.floor((timer.dueAt.getTime() - now) / 1000)),
+    repeatCount: timer.repeatCount
+  })));
+}
+
+// Rule IDs are shared across devices when they share a rules file; a
+// snooze applies to the rule on every device that has it
+function snoozeRule(ruleId, minutes) {
+  let until = null;
+  for (const device of devices) {
+    const ends = device.rulesEngine.snooze(ruleId, minutes);
+    if (ends && !until) until = ends;
+  }
+  return until;
+}
+
+// ---- Metrics ----
+
+function countNotification(channel, outcome) {
+  notificationCounter.inc({ channel, outcome });
+}
+
+function countMessage(device, parsed) {
+  messageCounter.inc({ device: device.id, event: parsed.event, zone: parsed.zone });
+  parseCounter.inc({ result: parsed.event === 'Other' ? 'unrecognized' : 'parsed' });
+}
 
-  logToFile(`Heartbeat monitoring enabled: alert after ${HEARTBEAT_MINUTES} minutes of inactivity`);
+metrics.gauge('envisalink_seconds_since_last_message', 'Seconds since the device last sent a syslog message (or since the listener started)', () => {
+  const now = Date.now();
+  return devices.map(device => ({ labels: { device: device.id }, value: Math.floor((now - device.lastMessageTime) / 1000) }));
+});
+
+// Zones whose state is still unknown after a restart are left out
+metrics.gauge('envisalink_zone_open', '1 if the zone is open, 0 if it is closed', () => getZoneStates()
+  .filter(zone => zone.state !== 'unknown')
+  .map(zone => ({ labels: { device: zone.device, zone: zone.zone, name: zone.name }, value: zone.state === 'open' })));
+
+metrics.gauge('envisalink_zone_open_seconds', 'Seconds the zone has been open (0 if it is closed)', () => getZoneStates()
+  .filter(zone => zone.state !== 'unknown')
+  .map(zone => ({ labels: { device: zone.device, zone: zone.zone, name: zone.name }, value: zone.openForSeconds || 0 })));
+
+// One series per arm state, 1 for the partition's current state
+metrics.gauge('envisalink_partition_state', 'Partition arm state (1 for the current state)', () => devices.flatMap(device => {
+  return Object.entries(device.partitionTracker.getAll()).flatMap(([partition, entry]) => ARM_STATES.map(state => ({
+    labels: { device: device.id, partition, state },
+    value: entry.state === state
+  })));
+}));
+
+metrics.gauge('envisalink_partition_alarm', '1 if the partition is in alarm', () => devices.flatMap(device => {
+  return Object.entries(device.partitionTracker.getAll()).map(([partition, entry]) => ({
+    labels: { device: device.id, partition },
+    value: Boolean(entry.alarm)
+  }));
+}));
+
+metrics.gauge('envisalink_rule_timers', 'Pending alert rule timers', () => devices.map(device => ({
+  labels: { device: device.id },
+  value: device.rulesEngine.getPendingTimers().length
+})));
+
+// ---- Unknown senders ----
+
+// Messages from senders that match no device in devices.json. With
+// --unknownSenders drop (the default) they are logged once per sender and
+// dropped; with flag they are logged and stored, but never alert.
+const unknownSenders = new Map();  // "address mac" -> { address, mac, messages, lastSeenAt }
+
+function handleUnknownSender(raw, rinfo, header) {
+  const mac = header.mac;
+  const key = `${rinfo.address} ${mac || ''}`;
+  const sender = unknownSenders.get(key) || { address: rinfo.address, mac, messages: 0, lastSeenAt: null };
+  sender.messages++;
+  sender.lastSeenAt = new Date();
+  unknownSenders.set(key, sender);
+  parseCounter.inc({ result: 'unknown_sender' });
+
+  const label = `unknown sender ${rinfo.address}${mac ? ` (MAC ${mac})` : ''}`;
+  if (UNKNOWN_SENDERS === 'drop') {
+    if (sender.messages === 1) logWarning(`Dropping messages from ${label} -- add it to ${DEVICES_PATH} to accept them`);
+    return;
+  }
+
+  const parsed = parseMessage(raw, null, header);
+  const record = Object.assign(toEventRecord(parsed, rinfo.address, null), { unknownSender: true });
+  logToFile(`[${label}] ${parsed.event}: ${parsed.message}`, record);
+  syslogForwarder.forward(raw, record, parsed.syslog);
+  storeEvent(record);
+  eventStream.publish('event', record);
 }
 
 // ---- Main UDP server ----
@@ -390,7 +1500,7 @@ function startHeartbeat() {
 const server = dgram.createSocket('udp4');
 
 server.on('error', (err) => {
-  logToFile(`Server error: ${err.message}`);
+  logError(`UDP server: ${err.message}`);
   if (err.code === 'EACCES') {
     logToFile('Permission denied -- port 514 requires sudo. Try: sudo node envisalink-syslog-listener.js');
     logToFile('Or use a higher port with --port 5514 and redirect with iptables.');
@@ -399,48 +1509,73 @@ server.on('error', (err) => {
   process.exit(1);
 });
 
-server.on('message', async (msg, rinfo) => {
+server.on('message', (msg, rinfo) => {
   const raw = msg.toString('utf8');
 
-  if (DEBUG) {
-    logToFile(`[RAW] from ${rinfo.address}:${rinfo.port} -- ${raw.trim()}`);
+  logDebug(`[RAW] from ${rinfo.address}:${rinfo.port} -- ${raw.trim()}`, { source: rinfo.address, raw });
+
+  // The header identifies the device, then goes on to the parser
+  const header = parseSyslogHeader(raw);
+  const device = identifyDevice(devices, rinfo.address, header.mac);
+  if (!device) {
+    handleUnknownSender(raw, rinfo, header);
+    return;
   }
+  const prefix = devicePrefix(device);
 
-  const parsed = parseMessage(raw);
+  const parsed = parseMessage(raw, device, header);
+  const record = toEventRecord(parsed, rinfo.address, device);
+  checkFacility(parsed, rinfo.address);
+  countMessage(device, parsed);
+
+  // Upstream collectors get every message, including ignored zones
+  const zoneInfo = parsed.zone !== null ? getZoneInfo(device.zones, parsed.zone) : null;
+  syslogForwarder.forward(raw, record, parsed.syslog, zoneInfo);
 
   // Reset heartbeat tracker
   lastMessageTime = Date.now();
-  heartbeatAlertSent = false;
+  device.lastMessageTime = lastMessageTime;
+  device.heartbeatAlertSent = false;
+
+  // Opens and closes of zones flagged "ignore" in zones.json only keep the
+  // heartbeat alive; their alarms, troubles and tampers go on as usual
+  if (isIgnoredEvent(parsed, zoneInfo)) {
+    logDebug(`${prefix}Ignored: ${parsed.event}: ${parsed.zoneName} -- ${parsed.message}`);
+    return;
+  }
+  trackEvent(device, parsed, record);
 
   // Build a friendly log line
   let logLine;
   if (parsed.zone !== null) {
-    logLine = `${parsed.event}: ${parsed.zoneName} -- ${parsed.message}`;
+    logLine = `${prefix}${parsed.event}: ${parsed.zoneName} -- ${parsed.message}`;
   } else {
-    logLine = `${parsed.event}: ${parsed.message}`;
+    logLine = `${prefix}${parsed.event}: ${parsed.message}`;
   }
 
-  logToFile(logLine);
+  if (parsed.zone === null || zoneSelected(device, LOG_ZONES, parsed.zone)) logToFile(logLine, record);
+  storeEvent(record);
+  eventStream.publish('event', record);
+  if (device.mqttPublisher) device.mqttPublisher.publishEvent(record);
 
-  // Post to Google Sheets
-  await postToGoogleSheets(parsed);
+  // Queue outbound notifications -- delivered (and retried) in the background
+  postToGoogleSheets(parsed, device);
+  sendWebhooks(record, zoneInfo);
 
   // Evaluate alert rules (e.g., zone open too long)
-  evaluateRules(parsed);
+  device.rulesEngine.evaluate(parsed);
 
   // Send email alerts based on configuration
   if (EMAIL_ON_ALARM && parsed.event === 'Alarm') {
-    await sendAlert(
-      `🚨 EnvisaLink Alarm: ${parsed.zoneName || 'System'}`,
-      `An alarm event was detected.\n\nDetails:\n- Event: ${parsed.event}\n- Zone: ${parsed.zoneName || 'N/A'}\n- Raw message: ${parsed.message}\n- Time: ${formatLocalTime(parsed.timestamp)}`
-    );
+    sendTemplated('alarm', eventContext(device, parsed, record), { email: true });
   }
 
-  if (EMAIL_ON_OPEN && parsed.event === 'Zone Open') {
-    await sendAlert(
-      `🚪 Zone Opened: ${parsed.zoneName}`,
-      `A zone was opened.\n\nDetails:\n- Zone: ${parsed.zoneName}\n- Time: ${formatLocalTime(parsed.timestamp)}\n- Raw message: ${parsed.message}`
-    );
+  // --emailOnOpen emails, and email + ntfy for zones flagged notifyOnOpen
+  if (parsed.event === 'Zone Open') {
+    const emailOnOpen = EMAIL_ON_OPEN && zoneSelected(device, EMAIL_ON_OPEN_ZONES, parsed.zone);
+    if (emailOnOpen || zoneInfo.notifyOnOpen) {
+      sendTemplated('open', eventContext(device, parsed, record), { email: true, ntfy: zoneInfo.notifyOnOpen, priority: 'default' });
+    }
   }
 });
 
@@ -448,8 +1583,13 @@ server.on('listening', () => {
   const addr = server.address();
   logToFile(`EnvisaLink syslog listener started on UDP port ${addr.port}`);
   console.log(`EnvisaLink syslog listener started on UDP port ${addr.port}`);
-  console.log(`Logging to: ${LOG_PATH}`);
-  console.log(`Zones config: ${ZONES_PATH} (${Object.keys(zones).length} zone(s) loaded)`);
+  console.log(`Logging to: ${LOG_PATH} (${argv.logFormat}, level ${LOG_LEVEL}${argv.logMaxSizeMB > 0 ? `, rotated at ${argv.logMaxSizeMB} MB` : ''}${argv.logRotateDaily ? ', rotated daily' : ''})`);
+  if (DEVICES_CONFIGURED) {
+    console.log(`Devices: ${devices.map(device => device.id).join(', ')} (from ${DEVICES_PATH}, unknown senders: ${UNKNOWN_SENDERS})`);
+  }
+  for (const device of devices) {
+    console.log(`${devicePrefix(device)}Zones config: ${device.zonesPath} (${Object.keys(device.zones).length} zone(s) loaded)`);
+  }
   if (mg) {
     if (EMAIL_FROM && EMAIL_TO.length > 0) {
       console.log(`Mailgun: configured (from: ${EMAIL_FROM}, to: ${EMAIL_TO.join(', ')})`);
@@ -467,20 +1607,63 @@ server.on('listening', () => {
     console.log('Google Sheets: not configured (no webhook URL)');
   }
   if (NTFY_TOPIC) {
-    console.log(`ntfy: configured (topic: ${NTFY_TOPIC})`);
+    console.log(`ntfy: configured (server: ${NTFY_URL}, topic: ${NTFY_TOPIC}${NTFY_AUTH ? ', with auth' : ''})`);
+  } else {
+    console.log('ntfy: no default topic (only rules with their own ntfy.topic will notify)');
+  }
+  if (MQTT_URL) {
+    console.log(`MQTT: configured (broker: ${MQTT_URL}, base topic: ${argv.mqttBaseTopic}${DEVICES_CONFIGURED ? '/<device>' : ''})`);
   } else {
-    console.log('ntfy: not configured (no topic)');
+    console.log('MQTT: not configured (no broker URL)');
   }
-  if (rules.length > 0) {
-    console.log(`Alert rules: ${rules.length} rule(s) loaded from ${RULES_PATH}`);
+  if (eventStore) {
+    console.log(`Event store: ${EVENTS_PATH} (retention: ${EVENT_RETENTION_DAYS > 0 ? `${EVENT_RETENTION_DAYS} days` : 'forever'})`);
   } else {
-    console.log('Alert rules: none loaded');
+    console.log('Event store: disabled');
+  }
+  for (const device of devices) {
+    const count = device.rulesEngine.getRules().length;
+    console.log(`${devicePrefix(device)}Alert rules: ${count > 0 ? `${count} rule(s) loaded from ${device.rulesPath}` : 'none loaded'}`);
   }
-  if (HEARTBEAT_MINUTES > 0) {
-    console.log(`Heartbeat: alert after ${HEARTBEAT_MINUTES} minutes of inactivity`);
+  if (webhooks.length > 0) {
+    console.log(`Webhooks: ${webhooks.map(w => w.name).join(', ')}`);
+  }
+  if (forwarders.length > 0) {
+    const targets = syslogForwarder.getStatus().map(f => `${f.name} (${f.protocol}://${f.host}:${f.port}, ${f.format})`);
+    console.log(`Syslog forwarding: ${targets.join(', ')}`);
+  }
+  for (const device of devices) {
+    if (device.heartbeatMinutes > 0) {
+      console.log(`${devicePrefix(device)}Heartbeat: alert after ${device.heartbeatMinutes} minutes of inactivity`);
+    }
+  }
+  if (DIGEST_SCHEDULES.length > 0 && eventStore) {
+    const times = DIGEST_SCHEDULES.map(schedule => `${schedule.period} at ${schedule.period === 'weekly' ? argv.digestWeekly : argv.digestDaily}`);
+    console.log(`Digests: ${times.join(', ')} (${DIGEST_CHANNELS.join(', ') || 'no channels'})`);
   }
 
   startHeartbeat();
+  startDigests();
 });
 
 server.bind(PORT);
+
+// ---- Status API and dashboard ----
+
+if (HTTP_PORT > 0) {
+  const statusServer = createStatusServer({
+    status: getStatus,
+    zones: getZoneStates,
+    timers: getPendingTimers,
+    events: (limit) => recentEvents.slice(-limit),
+    snooze: snoozeRule,
+    metrics: metrics.render
+  }, { stream: eventStream, token: HTTP_TOKEN, maxEvents: RECENT_EVENTS_MAX });
+  statusServer.on('error', (err) => {
+    logError(`Status server: ${err.message}`);
+  });
+  statusServer.listen(HTTP_PORT, HTTP_HOST, () => {
+    logToFile(`Status API and dashboard listening on http://${HTTP_HOST}:${HTTP_PORT}/`);
+    console.log(`Dashboard: http://${HTTP_HOST}:${HTTP_PORT}/`);
+  });
+}
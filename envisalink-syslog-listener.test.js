@@ -0,0 +1,97 @@
+const { spawn } = require('child_process');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Runs the listener itself, in dry-run mode on a free port, and reads what
+// it writes to its log file
+jest.setTimeout(30000);
+
+let dir;
+let listener;
+let port;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port: free } = socket.address();
+      socket.close(() => resolve(free));
+    });
+  });
+}
+
+function readLog() {
+  try {
+    return fs.readFileSync(path.join(dir, 'listener.log'), 'utf8');
+  } catch (err) {
+    return '';
+  }
+}
+
+async function waitForLog(text) {
+  for (let waited = 0; waited < 15000; waited += 100) {
+    if (readLog().includes(text)) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`"${text}" never appeared in the log:\n${readLog()}`);
+}
+
+function send(message) {
+  const socket = dgram.createSocket('udp4');
+  const buffer = Buffer.from(`<166>ENVISALINK[001C2A02BB1F]:  ${message}`);
+  return new Promise((resolve, reject) => {
+    socket.send(buffer, port, '127.0.0.1', (err) => {
+      socket.close();
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-listener-'));
+  fs.writeFileSync(path.join(dir, 'zones.json'), JSON.stringify({
+    '2': 'Back Door',
+    '3': { name: 'Garage', ignore: true }
+  }));
+  port = await freePort();
+  const none = path.join(dir, 'none.json');
+  listener = spawn(process.execPath, [
+    path.join(__dirname, 'envisalink-syslog-listener.js'),
+    '--port', String(port),
+    '--dryRun',
+    '--zonesPath', path.join(dir, 'zones.json'),
+    '--logPath', path.join(dir, 'listener.log'),
+    '--usersPath', none, '--rulesPath', none, '--devicesPath', none, '--webhooksPath', none,
+    '--forwardersPath', none, '--templatesPath', none, '--policyPath', none,
+    '--statePath', '', '--outboxPath', '', '--eventsPath', ''
+  ], { cwd: dir, stdio: 'ignore' });
+  await waitForLog(`started on UDP port ${port}`);
+});
+
+afterEach(async () => {
+  if (listener.exitCode === null) {
+    await new Promise((resolve) => {
+      listener.once('exit', resolve);
+      listener.kill('SIGTERM');
+    });
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('zones flagged ignore', () => {
+  test('drop opens and closes', async () => {
+    await send('Zone Open: 3');
+    await send('Zone Open: 2');
+    await waitForLog('Zone Open: Back Door');
+    expect(readLog()).not.toContain('Garage');
+  });
+
+  test('still raise their alarms', async () => {
+    await send('CID Event: 1130010030');
+    await waitForLog('Would send email: 🚨 EnvisaLink Alarm: Garage');
+    expect(readLog()).toContain('Partition 1: unknown -> In Alarm -- Garage');
+  });
+});
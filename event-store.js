@@ -0,0 +1,423 @@
+// Persistent event store for parsed EnvisaLink events.
+//
+// Events are appended as NDJSON (one JSON object per line) to one file per
+// local calendar day, e.g. events/events-2026-10-19.ndjson. A small
+// index.json alongside the data files records, per day file, the event
+// count, size, first/last timestamps and which zones and event types it
+// contains, so queries can skip files that cannot match without reading them.
+//
+// Appends are written in the background, like the log (see logger.js): each
+// append() only queues the line, at the offset it will have in its day file,
+// and the queue is written out with one async write at a time so a slow SD
+// card never holds up the UDP loop. Queries read the day files up to what
+// has been written and add the queued records, so they see every append.
+//
+// The index is written after the data, a few seconds later (and atomically,
+// via a temp file), so a crash can leave it behind the day files. On open,
+// every entry is checked against its file's size and stale or missing
+// entries are rebuilt from the file.
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = 'index.json';
+const INDEX_SAVE_DELAY_MS = 5000;
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+/**
+ * Formats a date as a local YYYY-MM-DD day key.
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Parses a date argument for queries. Date-only strings ("2026-10-01") are
+ * treated as local midnight rather than UTC midnight.
+ * @param {Date|string|number|null} value
+ * @returns {Date|null} Parsed date, or null if empty
+ */
+function parseDateArg(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Builds the stored record for a parsed syslog event.
+ * @param {Object} parsed - Result of parseSyslogMessage()
+ * @param {string} [source] - Address the datagram was received from
+ * @param {Object} [device] - { id, name } of the device that sent it (see devices.js)
+ * @returns {Object} Flat, JSON-serializable event record (with the sender's
+ *   hostname, MAC, facility, severity and clock from the syslog header)
+ */
+function toEventRecord(parsed, source, device) {
+  const syslog = parsed.syslog || {};
+  return {
+    timestamp: parsed.timestamp.toISOString(),
+    event: parsed.event,
+    zone: parsed.zone,
+    zoneName: parsed.zoneName,
+    partition: parsed.partition !== undefined ? parsed.partition : null,
+    user: parsed.user !== undefined ? parsed.user : null,
+    userName: parsed.userName || null,
+    cidCode: parsed.cidCode || null,
+    message: parsed.message,
+    raw: parsed.raw,
+    source: source || null,
+    device: device ? device.id : null,
+    deviceName: device ? device.name || null : null,
+    hostname: syslog.hostname || null,
+    mac: syslog.mac || null,
+    facility: syslog.facility !== undefined ? syslog.facility : null,
+    severity: syslog.severity !== undefined ? syslog.severity : null,
+    deviceTime: syslog.deviceTime ? syslog.deviceTime.toISOString() : null
+  };
+}
+
+/**
+ * Returns true if a stored record matches the given query filters.
+ * @param {Object} record - Stored event record
+ * @param {Object} filters - See createEventStore().query()
+ * @returns {boolean}
+ */
+function matchesFilters(record, filters) {
+  if (filters.zone !== undefined && filters.zone !== null && String(record.zone) !== String(filters.zone)) return false;
+  if (filters.event && record.event !== filters.event) return false;
+  if (filters.partition !== undefined && filters.partition !== null && String(record.partition) !== String(filters.partition)) return false;
+  if (filters.user !== undefined && filters.user !== null && String(record.user) !== String(filters.user)) return false;
+  if (filters.source && record.source !== filters.source) return false;
+  if (filters.device && record.device !== filters.device) return false;
+
+  const time = new Date(record.timestamp).getTime();
+  if (filters.since && time < filters.since.getTime()) return false;
+  if (filters.until && time >= filters.until.getTime()) return false;
+  return true;
+}
+
+/**
+ * Creates an event store rooted at the given directory.
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the day files and index
+ * @param {number} [options.retentionDays] - Delete day files older than this (0 = keep forever)
+ * @param {number} [options.saveDelayMs] - How long index updates are batched before index.json is written
+ * @param {Function} [options.onError] - Called with errors writing queued events (default console.error)
+ * @returns {Object} Store with append(), query(), prune(), flush() and listFiles()
+ */
+function createEventStore(options) {
+  const dir = options.dir;
+  const retentionDays = options.retentionDays || 0;
+  const saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : INDEX_SAVE_DELAY_MS;
+  const onError = options.onError || ((err) => console.error(`Event store ${dir}: ${err.message}`));
+  const indexPath = path.join(dir, INDEX_FILE);
+  let saveTimer = null;
+
+  const queue = [];          // { file, offset, data, record } not yet confirmed on disk, in order
+  const written = new Map(); // day file -> bytes confirmed on disk, for files appended to since open
+  const fds = new Map();     // day file -> open file descriptor
+  let writing = false;
+  let errorReported = false;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let index = {};
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (err) {
+    index = {};
+  }
+  if (verifyIndex()) saveIndex();
+
+  function listFiles() {
+    return fs.readdirSync(dir).filter(f => FILE_PATTERN.test(f)).sort();
+  }
+
+  function saveIndex() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const tmpPath = path.join(dir, `.${INDEX_FILE}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, JSON.stringify(index));
+    fs.renameSync(tmpPath, indexPath);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveIndex, saveDelayMs);
+    if (saveTimer.unref) saveTimer.unref();
+  }
+
+  function reportError(err) {
+    // One report per run of failures, not one per event
+    if (errorReported) return;
+    errorReported = true;
+    onError(err);
+  }
+
+  // Not opened for appending: each chunk is written at the offset it was
+  // given when queued, so writing it a second time (see flush()) is harmless
+  function fdFor(file) {
+    if (!fds.has(file)) {
+      fds.set(file, fs.openSync(path.join(dir, file), fs.constants.O_WRONLY | fs.constants.O_CREAT));
+    }
+    return fds.get(file);
+  }
+
+  function closeFile(file) {
+    if (!fds.has(file)) return;
+    try {
+      fs.closeSync(fds.get(file));
+    } catch (err) {
+      // Already closed
+    }
+    fds.delete(file);
+  }
+
+  // Writes the queued lines of the oldest file with pending appends, one
+  // chunk at a time
+  function pump() {
+    if (writing || queue.length === 0) return;
+    const first = queue[0];
+    let count = 0;
+    while (count < queue.length && queue[count].file === first.file) count++;
+    const chunk = Buffer.concat(queue.slice(0, count).map(item => item.data));
+
+    let fd;
+    try {
+      fd = fdFor(first.file);
+    } catch (err) {
+      dropQueued(first, count, chunk.length, err);
+      pump();
+      return;
+    }
+    writing = true;
+    fs.write(fd, chunk, 0, chunk.length, first.offset, (err) => {
+      writing = false;
+      // flush() may have written (and dequeued) this chunk in the meantime
+      if (queue[0] === first) {
+        if (err) {
+          dropQueued(first, count, chunk.length, err);
+        } else {
+          queue.splice(0, count);
+          written.set(first.file, first.offset + chunk.length);
+          errorReported = false;
+        }
+      }
+      pump();
+    });
+  }
+
+  // Gives up on a chunk that could not be written, moving the file's later
+  // appends back so they don't leave a gap where it should have been
+  function dropQueued(first, count, length, err) {
+    reportError(err);
+    queue.splice(0, count);
+    for (const item of queue) {
+      if (item.file === first.file) item.offset -= length;
+    }
+    if (index[first.file]) index[first.file].size -= length;
+  }
+
+  /**
+   * Writes every queued event and any pending index updates now (call
+   * before exiting). A chunk whose asynchronous write hasn't reported back
+   * is simply written again, at the same offset.
+   */
+  function flush() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        fs.writeSync(fdFor(item.file), item.data, 0, item.data.length, item.offset);
+        written.set(item.file, item.offset + item.data.length);
+      } catch (err) {
+        reportError(err);
+      }
+    }
+    if (saveTimer) saveIndex();
+  }
+
+  function parseLines(text) {
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // Skip a partially written line rather than failing the whole query
+      }
+    }
+    return records;
+  }
+
+  // Reads a day file up to what has been written, plus its queued records
+  function readFile(file) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return [];
+    let contents = fs.readFileSync(filePath);
+    if (written.has(file)) contents = contents.subarray(0, written.get(file));
+    const records = parseLines(contents.toString('utf8'));
+    for (const item of queue) {
+      if (item.file === file) records.push(item.record);
+    }
+    return records;
+  }
+
+  function indexRecord(entry, record) {
+    entry.count++;
+    if (!entry.first || record.timestamp < entry.first) entry.first = record.timestamp;
+    if (!entry.last || record.timestamp > entry.last) entry.last = record.timestamp;
+    if (record.zone !== null && !entry.zones.includes(String(record.zone))) entry.zones.push(String(record.zone));
+    if (record.event && !entry.events.includes(record.event)) entry.events.push(record.event);
+  }
+
+  function emptyEntry() {
+    return { count: 0, size: 0, first: null, last: null, zones: [], events: [] };
+  }
+
+  function indexFile(file) {
+    const contents = fs.readFileSync(path.join(dir, file));
+    const entry = emptyEntry();
+    entry.size = contents.length;
+    for (const record of parseLines(contents.toString('utf8'))) indexRecord(entry, record);
+    return entry;
+  }
+
+  // Rebuilds the entries of day files that changed since the index was
+  // written (or that it doesn't know about) and drops those of deleted files
+  function verifyIndex() {
+    let changed = false;
+    const files = listFiles();
+    for (const file of Object.keys(index)) {
+      if (!files.includes(file)) {
+        delete index[file];
+        changed = true;
+      }
+    }
+    for (const file of files) {
+      const entry = index[file];
+      if (entry && entry.size === fs.statSync(path.join(dir, file)).size) continue;
+      index[file] = indexFile(file);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Queues a record for the file for its local day and updates the index.
+   * The day file is created right away; the line is written in the background.
+   * @param {Object} record - Result of toEventRecord()
+   */
+  function append(record) {
+    const file = `events-${dayKey(new Date(record.timestamp))}.ndjson`;
+    const isNewFile = !index[file];
+    const data = Buffer.from(JSON.stringify(record) + '\n');
+    if (isNewFile) {
+      // Only the current day is appended to, so the previous one can be closed
+      for (const open of [...fds.keys()]) {
+        if (!queue.some(item => item.file === open)) closeFile(open);
+      }
+    }
+    fdFor(file);
+    if (isNewFile) index[file] = emptyEntry();
+    const entry = index[file];
+    if (!written.has(file)) written.set(file, entry.size);
+    queue.push({ file, offset: entry.size, data, record });
+    indexRecord(entry, record);
+    entry.size += data.length;
+    scheduleSave();
+    if (!writing) setImmediate(pump);
+    if (isNewFile) prune();
+  }
+
+  /**
+   * Deletes day files older than the retention period.
+   * @param {Date} [now]
+   * @returns {string[]} Names of the deleted files
+   */
+  function prune(now) {
+    if (retentionDays <= 0) return [];
+    const cutoff = new Date(now || Date.now());
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    const cutoffKey = dayKey(cutoff);
+
+    const deleted = [];
+    for (const file of listFiles()) {
+      const day = file.match(FILE_PATTERN)[1];
+      if (day < cutoffKey && !queue.some(item => item.file === file)) {
+        closeFile(file);
+        fs.unlinkSync(path.join(dir, file));
+        delete index[file];
+        written.delete(file);
+        deleted.push(file);
+      }
+    }
+    if (deleted.length > 0) scheduleSave();
+    return deleted;
+  }
+
+  /**
+   * Returns stored events matching all of the given filters, oldest first.
+   * @param {Object} [filters]
+   * @param {number|string} [filters.zone] - Zone number
+   * @param {string} [filters.event] - Exact event name (e.g., "Zone Open")
+   * @param {number|string} [filters.partition] - Partition number
+   * @param {number|string} [filters.user] - User number
+   * @param {string} [filters.source] - Source address
+   * @param {string} [filters.device] - Device id (see devices.js)
+   * @param {Date|string} [filters.since] - Inclusive lower bound
+   * @param {Date|string} [filters.until] - Exclusive upper bound
+   * @param {number} [filters.limit] - Return only the most recent N matches
+   * @returns {Object[]} Matching event records
+   */
+  function query(filters) {
+    filters = Object.assign({}, filters);
+    filters.since = parseDateArg(filters.since);
+    filters.until = parseDateArg(filters.until);
+
+    const sinceKey = filters.since ? dayKey(filters.since) : null;
+    const untilKey = filters.until ? dayKey(filters.until) : null;
+    const hasZone = filters.zone !== undefined && filters.zone !== null;
+
+    let results = [];
+    for (const file of listFiles()) {
+      const day = file.match(FILE_PATTERN)[1];
+      if (sinceKey && day < sinceKey) continue;
+      if (untilKey && day > untilKey) continue;
+
+      const entry = index[file];
+      if (entry) {
+        if (hasZone && !entry.zones.includes(String(filters.zone))) continue;
+        if (filters.event && !entry.events.includes(filters.event)) continue;
+      }
+
+      for (const record of readFile(file)) {
+        if (matchesFilters(record, filters)) results.push(record);
+      }
+    }
+
+    results.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    if (filters.limit > 0 && results.length > filters.limit) {
+      results = results.slice(results.length - filters.limit);
+    }
+    return results;
+  }
+
+  return { append, query, prune, flush, listFiles };
+}
+
+module.exports = { createEventStore, toEventRecord, parseDateArg, dayKey };
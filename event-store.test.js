@@ -0,0 +1,261 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventStore, toEventRecord, parseDateArg, dayKey } = require('./event-store');
+const { parseSyslogMessage } = require('./parser');
+
+const testZones = {
+  '3': 'Garage Door'
+};
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-events-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function record(timestamp, raw) {
+  const parsed = parseSyslogMessage(raw, testZones);
+  parsed.timestamp = new Date(timestamp);
+  return toEventRecord(parsed, '192.168.1.50');
+}
+
+// ---- toEventRecord ----
+
+describe('toEventRecord', () => {
+  test('flattens a parsed zone event', () => {
+    const rec = record('2026-10-01T12:00:00Z', '<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 3');
+    expect(rec).toEqual({
+      timestamp: '2026-10-01T12:00:00.000Z',
+      event: 'Zone Open',
+      zone: 3,
+      zoneName: 'Garage Door',
+      partition: null,
+      user: null,
+      userName: null,
+      cidCode: null,
+      message: 'Zone Open: 3',
+      raw: '<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 3',
+      source: '192.168.1.50',
+      device: null,
+      deviceName: null,
+      hostname: null,
+      mac: '00:1C:2A:02:BB:1F',
+      facility: 20,
+      severity: 6,
+      deviceTime: null
+    });
+  });
+
+  test('includes CID partition, user and code', () => {
+    const rec = record('2026-10-01T12:00:00Z', '<166>ENVISALINK[001C2A02BB1F]:  CID Event: 1441010020');
+    expect(rec.event).toBe('Disarmed');
+    expect(rec.partition).toBe(1);
+    expect(rec.user).toBe(2);
+    expect(rec.cidCode).toBe('441');
+  });
+
+  test('includes the device that sent the event', () => {
+    const parsed = parseSyslogMessage('Zone Open: 3', testZones);
+    const rec = toEventRecord(parsed, '192.168.1.51', { id: 'garage', name: 'Detached Garage' });
+    expect(rec.device).toBe('garage');
+    expect(rec.deviceName).toBe('Detached Garage');
+  });
+
+  test('includes the hostname and clock from a relayed header', () => {
+    const rec = record('2026-10-01T12:00:00Z', '<166>1 2026-10-01T11:59:58.500Z garage-evl ENVISALINK 001C2A02BB20 - - Zone Close: 3');
+    expect(rec.hostname).toBe('garage-evl');
+    expect(rec.mac).toBe('00:1C:2A:02:BB:20');
+    expect(rec.deviceTime).toBe('2026-10-01T11:59:58.500Z');
+  });
+});
+
+// ---- parseDateArg ----
+
+describe('parseDateArg', () => {
+  test('treats date-only strings as local midnight', () => {
+    const date = parseDateArg('2026-10-01');
+    expect(date.getFullYear()).toBe(2026);
+    expect(date.getMonth()).toBe(9);
+    expect(date.getDate()).toBe(1);
+    expect(date.getHours()).toBe(0);
+  });
+
+  test('returns null for empty values', () => {
+    expect(parseDateArg('')).toBeNull();
+    expect(parseDateArg(undefined)).toBeNull();
+  });
+
+  test('throws on invalid dates', () => {
+    expect(() => parseDateArg('not a date')).toThrow('Invalid date');
+  });
+});
+
+// ---- createEventStore ----
+
+describe('createEventStore', () => {
+  test('appends events to one file per day and updates the index', () => {
+    const store = createEventStore({ dir });
+    const a = record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3');
+    const b = record(new Date(2026, 9, 2, 9, 0), 'Zone Close: 3');
+    store.append(a);
+    store.append(b);
+
+    expect(store.listFiles()).toEqual(['events-2026-10-01.ndjson', 'events-2026-10-02.ndjson']);
+    store.flush();
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    expect(index['events-2026-10-01.ndjson']).toEqual({
+      count: 1,
+      size: fs.statSync(path.join(dir, 'events-2026-10-01.ndjson')).size,
+      first: a.timestamp,
+      last: a.timestamp,
+      zones: ['3'],
+      events: ['Zone Open']
+    });
+  });
+
+  test('queries by zone, event and date range', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.append(record(new Date(2026, 9, 1, 8, 5), 'Zone Close: 3'));
+    store.append(record(new Date(2026, 9, 2, 7, 0), 'Zone Open: 4'));
+    store.append(record(new Date(2026, 9, 3, 7, 30), 'Zone Open: 3'));
+
+    expect(store.query({ zone: 3, event: 'Zone Open' })).toHaveLength(2);
+    expect(store.query({ zone: '4' })).toHaveLength(1);
+    expect(store.query({ since: '2026-10-02' })).toHaveLength(2);
+    expect(store.query({ since: '2026-10-01', until: '2026-10-02' })).toHaveLength(2);
+    expect(store.query({ event: 'Disarmed' })).toHaveLength(0);
+  });
+
+  test('returns only the most recent matches with limit', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.append(record(new Date(2026, 9, 3, 7, 30), 'Zone Open: 3'));
+
+    const results = store.query({ zone: 3, limit: 1 });
+    expect(results).toHaveLength(1);
+    expect(new Date(results[0].timestamp).getDate()).toBe(3);
+  });
+
+  test('queries by CID user and partition', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'CID Event: 1441010020'));
+    store.append(record(new Date(2026, 9, 1, 9, 0), 'CID Event: 3442010010'));
+
+    const results = store.query({ user: 2, partition: 1 });
+    expect(results).toHaveLength(1);
+    expect(results[0].event).toBe('Disarmed');
+  });
+
+  test('queries by device', () => {
+    const store = createEventStore({ dir });
+    const parsed = parseSyslogMessage('Zone Open: 3', testZones);
+    store.append(toEventRecord(parsed, '192.168.1.50', { id: 'house', name: 'House' }));
+    store.append(toEventRecord(parsed, '192.168.1.51', { id: 'garage', name: 'Garage' }));
+
+    const results = store.query({ device: 'garage' });
+    expect(results).toHaveLength(1);
+    expect(results[0].source).toBe('192.168.1.51');
+  });
+
+  test('writes appends in the background and queries see them right away', async () => {
+    const store = createEventStore({ dir });
+    const filePath = path.join(dir, 'events-2026-10-01.ndjson');
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('');
+    expect(store.query({ zone: 3 })).toHaveLength(1);
+
+    for (let waited = 0; waited < 1000 && !fs.readFileSync(filePath, 'utf8'); waited += 10) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).event).toBe('Zone Open');
+    expect(store.query({ zone: 3 })).toHaveLength(1);
+  });
+
+  test('flush writes queued events once, even while a write is in progress', async () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.append(record(new Date(2026, 9, 1, 8, 5), 'Zone Close: 3'));
+    await new Promise(resolve => setImmediate(resolve));
+    store.flush();
+    store.append(record(new Date(2026, 9, 1, 8, 10), 'Zone Open: 3'));
+    store.flush();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const lines = fs.readFileSync(path.join(dir, 'events-2026-10-01.ndjson'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).event)).toEqual(['Zone Open', 'Zone Close', 'Zone Open']);
+    expect(createEventStore({ dir }).query({})).toHaveLength(3);
+  });
+
+  test('rebuilds a missing index from the day files', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.flush();
+    fs.unlinkSync(path.join(dir, 'index.json'));
+
+    const reopened = createEventStore({ dir });
+    expect(reopened.query({ zone: 3 })).toHaveLength(1);
+  });
+
+  test('writes the index once per batch of appends', () => {
+    jest.useFakeTimers();
+    try {
+      const store = createEventStore({ dir, saveDelayMs: 1000 });
+      store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+      store.append(record(new Date(2026, 9, 1, 8, 5), 'Zone Close: 3'));
+      expect(fs.existsSync(path.join(dir, 'index.json'))).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      const saved = fs.readFileSync(path.join(dir, 'index.json'), 'utf8');
+      expect(JSON.parse(saved)['events-2026-10-01.ndjson'].count).toBe(2);
+      expect(saved).not.toContain('\n');
+      expect(fs.readdirSync(dir).filter(f => f.endsWith('.tmp'))).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('rebuilds index entries that are behind their day files', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.flush();
+    // As if the listener crashed after appending but before saving the index
+    fs.appendFileSync(path.join(dir, 'events-2026-10-01.ndjson'),
+      JSON.stringify(record(new Date(2026, 9, 1, 9, 0), 'Zone Open: 5')) + '\n');
+
+    const reopened = createEventStore({ dir });
+    expect(reopened.query({ zone: 5 })).toHaveLength(1);
+    expect(reopened.query({})).toHaveLength(2);
+  });
+
+  test('skips corrupt lines', () => {
+    const store = createEventStore({ dir });
+    store.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+    store.flush();
+    fs.appendFileSync(path.join(dir, 'events-2026-10-01.ndjson'), '{"truncated":\n');
+    expect(store.query({})).toHaveLength(1);
+  });
+
+  test('prunes day files older than the retention period', () => {
+    const writer = createEventStore({ dir });
+    writer.append(record(new Date(2026, 8, 1, 8, 0), 'Zone Open: 3'));
+    writer.append(record(new Date(2026, 9, 1, 8, 0), 'Zone Open: 3'));
+
+    const store = createEventStore({ dir, retentionDays: 7 });
+    const deleted = store.prune(new Date(2026, 9, 5));
+    expect(deleted).toEqual(['events-2026-09-01.ndjson']);
+    expect(store.listFiles()).toEqual(['events-2026-10-01.ndjson']);
+  });
+
+  test('keeps everything when retention is disabled', () => {
+    const store = createEventStore({ dir, retentionDays: 0 });
+    store.append(record(new Date(2020, 0, 1, 8, 0), 'Zone Open: 3'));
+    expect(store.prune()).toEqual([]);
+    expect(store.listFiles()).toEqual([`events-${dayKey(new Date(2020, 0, 1))}.ndjson`]);
+  });
+});
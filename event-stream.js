@@ -0,0 +1,167 @@
+// Live event stream for the status server.
+//
+// Every published item gets a monotonically increasing id and is kept in a
+// small replay buffer, so a client that reconnects with the last id it saw
+// (SSE `Last-Event-ID` header, or `?lastEventId=` for either transport)
+// receives everything it missed that is still buffered.
+//
+// Subscribers can filter with query parameters (comma-separated lists):
+//   ?type=event,rule,heartbeat   item type
+//   ?event=Zone Open,Alarm       parsed event name
+//   ?zone=3,4                    zone number
+
+const { WebSocketServer } = require('ws');
+
+const KEEPALIVE_MS = 25 * 1000;
+
+function parseList(value) {
+  if (!value) return null;
+  const items = value.split(',').map(s => s.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Builds a subscriber filter from URL query parameters.
+ * @param {URLSearchParams} params
+ * @returns {Object} Filter with optional types, events and zones lists
+ */
+function parseFilter(params) {
+  return {
+    types: parseList(params.get('type')),
+    events: parseList(params.get('event')),
+    zones: parseList(params.get('zone'))
+  };
+}
+
+/**
+ * Returns true if a stream item passes a subscriber filter.
+ * @param {Object} item - { id, type, data }
+ * @param {Object} filter - Result of parseFilter()
+ * @returns {boolean}
+ */
+function matchesFilter(item, filter) {
+  if (filter.types && !filter.types.includes(item.type)) return false;
+  if (filter.events && !filter.events.includes(item.data.event)) return false;
+  if (filter.zones) {
+    if (item.data.zone === null || item.data.zone === undefined) return false;
+    if (!filter.zones.includes(String(item.data.zone))) return false;
+  }
+  return true;
+}
+
+/**
+ * Creates an event stream that fans published items out to SSE and
+ * WebSocket subscribers.
+ * @param {Object} [options]
+ * @param {number} [options.bufferSize] - Items kept for resuming clients (default 500)
+ * @returns {Object} Stream with publish(), handleSse(), handleUpgrade(), subscriberCount() and close()
+ */
+function createEventStream(options) {
+  options = options || {};
+  const bufferSize = options.bufferSize || 500;
+  const buffer = [];
+  const subscribers = new Set();
+  const wss = new WebSocketServer({ noServer: true });
+  let nextId = 1;
+
+  function replay(lastEventId, filter, send) {
+    if (!(lastEventId >= 0)) return;
+    for (const item of buffer) {
+      if (item.id > lastEventId && matchesFilter(item, filter)) send(item);
+    }
+  }
+
+  /**
+   * Publishes an item to every matching subscriber.
+   * @param {string} type - "event", "rule" or "heartbeat"
+   * @param {Object} data - JSON-serializable payload
+   * @returns {Object} The published item with its id
+   */
+  function publish(type, data) {
+    const item = { id: nextId++, type, data };
+    buffer.push(item);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const subscriber of subscribers) {
+      if (matchesFilter(item, subscriber.filter)) subscriber.send(item);
+    }
+    return item;
+  }
+
+  /**
+   * Serves a Server-Sent Events subscription.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {URL} url - Parsed request URL
+   */
+  function handleSse(req, res, url) {
+    const filter = parseFilter(url.searchParams);
+    const lastEventId = parseInt(req.headers['last-event-id'] || url.searchParams.get('lastEventId'), 10);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    const subscriber = {
+      filter,
+      send: (item) => res.write(`id: ${item.id}\nevent: ${item.type}\ndata: ${JSON.stringify(item.data)}\n\n`),
+      end: () => res.end()
+    };
+    replay(lastEventId, filter, subscriber.send);
+    subscribers.add(subscriber);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      subscribers.delete(subscriber);
+    });
+  }
+
+  /**
+   * Handles an HTTP upgrade request for a WebSocket subscription. Each
+   * message sent to the client is a JSON object: { id, type, data }.
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} socket
+   * @param {Buffer} head
+   * @param {URL} url - Parsed request URL
+   */
+  function handleUpgrade(req, socket, head, url) {
+    const filter = parseFilter(url.searchParams);
+    const lastEventId = parseInt(url.searchParams.get('lastEventId'), 10);
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const subscriber = {
+        filter,
+        send: (item) => {
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(item));
+        },
+        end: () => ws.terminate()
+      };
+      replay(lastEventId, filter, subscriber.send);
+      subscribers.add(subscriber);
+
+      const keepalive = setInterval(() => ws.ping(), KEEPALIVE_MS);
+      ws.on('close', () => {
+        clearInterval(keepalive);
+        subscribers.delete(subscriber);
+      });
+      ws.on('error', () => ws.terminate());
+    });
+  }
+
+  function subscriberCount() {
+    return subscribers.size;
+  }
+
+  function close() {
+    for (const subscriber of subscribers) subscriber.end();
+    subscribers.clear();
+    wss.close();
+  }
+
+  return { publish, handleSse, handleUpgrade, subscriberCount, close };
+}
+
+module.exports = { createEventStream, parseFilter, matchesFilter };
@@ -0,0 +1,173 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { createEventStream, parseFilter, matchesFilter } = require('./event-stream');
+const { createStatusServer } = require('./http-server');
+
+const provider = {
+  status: () => ({}),
+  zones: () => [],
+  timers: () => [],
+  events: () => []
+};
+
+const zoneOpen = { event: 'Zone Open', zone: 3, zoneName: 'Garage Door' };
+const zoneClose = { event: 'Zone Close', zone: 3, zoneName: 'Garage Door' };
+const disarmed = { event: 'Disarmed', zone: null, partition: 1, user: 2 };
+
+// ---- matchesFilter ----
+
+describe('matchesFilter', () => {
+  function filter(query) {
+    return parseFilter(new URLSearchParams(query));
+  }
+
+  test('matches everything with no filter', () => {
+    expect(matchesFilter({ type: 'event', data: zoneOpen }, filter(''))).toBe(true);
+    expect(matchesFilter({ type: 'heartbeat', data: { event: 'Heartbeat Alert', zone: null } }, filter(''))).toBe(true);
+  });
+
+  test('filters by item type', () => {
+    expect(matchesFilter({ type: 'rule', data: zoneOpen }, filter('type=event'))).toBe(false);
+    expect(matchesFilter({ type: 'rule', data: zoneOpen }, filter('type=event,rule'))).toBe(true);
+  });
+
+  test('filters by event name', () => {
+    expect(matchesFilter({ type: 'event', data: zoneOpen }, filter('event=Zone Open'))).toBe(true);
+    expect(matchesFilter({ type: 'event', data: zoneClose }, filter('event=Zone Open'))).toBe(false);
+  });
+
+  test('filters by zone and excludes zoneless items', () => {
+    expect(matchesFilter({ type: 'event', data: zoneOpen }, filter('zone=3,4'))).toBe(true);
+    expect(matchesFilter({ type: 'event', data: zoneOpen }, filter('zone=4'))).toBe(false);
+    expect(matchesFilter({ type: 'event', data: disarmed }, filter('zone=3'))).toBe(false);
+  });
+});
+
+// ---- SSE and WebSocket subscriptions ----
+
+describe('createEventStream', () => {
+  let stream;
+  let server;
+  let port;
+
+  beforeEach((done) => {
+    stream = createEventStream({ bufferSize: 10 });
+    server = createStatusServer(provider, { stream });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    stream.close();
+    server.close(done);
+  });
+
+  // Opens an SSE connection and resolves with the first `count` messages
+  function readSse(query, count, headers) {
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      const req = http.get({ port, path: `/api/stream${query}`, headers: headers || {} }, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let idx;
+          while ((idx = buffer.indexOf('\n\n')) >= 0) {
+            const block = buffer.substring(0, idx);
+            buffer = buffer.substring(idx + 2);
+            const fields = {};
+            for (const line of block.split('\n')) {
+              const sep = line.indexOf(': ');
+              if (sep > 0) fields[line.substring(0, sep)] = line.substring(sep + 2);
+            }
+            if (fields.data) {
+              messages.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+              if (messages.length === count) {
+                req.destroy();
+                resolve(messages);
+              }
+            }
+          }
+        });
+      });
+      req.on('error', (err) => {
+        if (messages.length < count) reject(err);
+      });
+    });
+  }
+
+  function waitForSubscribers(count) {
+    return new Promise((resolve) => {
+      const check = () => (stream.subscriberCount() >= count ? resolve() : setTimeout(check, 5));
+      check();
+    });
+  }
+
+  test('delivers published items to SSE subscribers with ids', async () => {
+    const received = readSse('', 2);
+    await waitForSubscribers(1);
+    stream.publish('event', zoneOpen);
+    stream.publish('rule', { event: 'Open Duration Alert', zone: 3 });
+
+    const messages = await received;
+    expect(messages[0]).toEqual({ id: 1, type: 'event', data: zoneOpen });
+    expect(messages[1].type).toBe('rule');
+    expect(messages[1].id).toBe(2);
+  });
+
+  test('applies SSE query filters', async () => {
+    const received = readSse('?event=Zone%20Close&zone=3', 1);
+    await waitForSubscribers(1);
+    stream.publish('event', zoneOpen);
+    stream.publish('event', disarmed);
+    stream.publish('event', zoneClose);
+
+    const messages = await received;
+    expect(messages[0].data).toEqual(zoneClose);
+    expect(messages[0].id).toBe(3);
+  });
+
+  test('replays missed items after Last-Event-ID', async () => {
+    stream.publish('event', zoneOpen);
+    stream.publish('event', disarmed);
+    stream.publish('event', zoneClose);
+
+    const messages = await readSse('', 2, { 'Last-Event-ID': '1' });
+    expect(messages.map(m => m.id)).toEqual([2, 3]);
+  });
+
+  test('delivers filtered items over WebSocket and resumes from lastEventId', async () => {
+    stream.publish('event', zoneOpen);
+
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/api/ws?zone=3&lastEventId=0`);
+    const messages = [];
+    const received = new Promise((resolve, reject) => {
+      ws.on('message', (data) => {
+        messages.push(JSON.parse(data));
+        if (messages.length === 2) resolve();
+      });
+      ws.on('error', reject);
+    });
+    await new Promise((resolve) => ws.on('open', resolve));
+    await waitForSubscribers(1);
+    stream.publish('event', disarmed);
+    stream.publish('event', zoneClose);
+
+    await received;
+    ws.close();
+    expect(messages).toEqual([
+      { id: 1, type: 'event', data: zoneOpen },
+      { id: 3, type: 'event', data: zoneClose }
+    ]);
+  });
+
+  test('rejects WebSocket upgrades on other paths', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/api/nope`);
+    await expect(new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+//
+// Queries the event store written by the listener.
+//
+// Usage:
+//   node events.js                                  # all stored events
+//   node events.js --zone 3 --event "Zone Open"     # every garage door open
+//   node events.js --zone 3 --event "Zone Open" --last 1
+//   node events.js --event Disarmed --since 2026-10-13 --until 2026-10-14
+//   node events.js --user 2 --json                  # raw NDJSON records
+//
+//   Options:
+//     --eventsPath  Event store directory (default: ./events)
+//     --zone        Only events for this zone number
+//     --event       Only this event type (e.g., "Zone Open", "Disarmed")
+//     --partition   Only events for this partition
+//     --user        Only events by this user number
+//     --source      Only events received from this address
+//     --device      Only events from this device (its id in devices.json)
+//     --since       Start date/time, inclusive (e.g., 2026-10-01 or 2026-10-01T18:00)
+//     --until       End date/time, exclusive
+//     --last        Only show the most recent N matches
+//     --json        Print matching records as NDJSON
+
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { createEventStore } = require('./event-store');
+
+const argv = yargs(hideBin(process.argv))
+  .option('eventsPath', { type: 'string', default: path.join(__dirname, 'events'), describe: 'Event store directory' })
+  .option('zone', { type: 'string', describe: 'Zone number' })
+  .option('event', { type: 'string', describe: 'Event type (e.g., "Zone Open")' })
+  .option('partition', { type: 'string', describe: 'Partition number' })
+  .option('user', { type: 'string', describe: 'User number' })
+  .option('source', { type: 'string', describe: 'Source address' })
+  .option('device', { type: 'string', describe: 'Device id' })
+  .option('since', { type: 'string', describe: 'Start date/time (inclusive)' })
+  .option('until', { type: 'string', describe: 'End date/time (exclusive)' })
+  .option('last', { type: 'number', default: 0, describe: 'Only show the most recent N matches' })
+  .option('json', { type: 'boolean', default: false, describe: 'Print records as NDJSON' })
+  .strict()
+  .argv;
+
+let results;
+try {
+  const store = createEventStore({ dir: argv.eventsPath });
+  results = store.query({
+    zone: argv.zone,
+    event: argv.event,
+    partition: argv.partition,
+    user: argv.user,
+    source: argv.source,
+    device: argv.device,
+    since: argv.since,
+    until: argv.until,
+    limit: argv.last
+  });
+} catch (err) {
+  console.error(`Query failed: ${err.message}`);
+  process.exit(1);
+}
+
+for (const record of results) {
+  if (argv.json) {
+    console.log(JSON.stringify(record));
+    continue;
+  }
+  const device = record.deviceName ? `[${record.deviceName}] ` : '';
+  const who = record.zone !== null ? `${record.zoneName} -- ` : '';
+  console.log(`${new Date(record.timestamp).toLocaleString()} - ${device}${record.event}: ${who}${record.message}`);
+}
+
+if (!argv.json) {
+  console.log(`${results.length} event(s)`);
+}
@@ -18,6 +18,9 @@
 // New events are inserted at the top (row 2) so the most recent entry is
 // always visible first. To append to the bottom instead, replace the
 // insertRowBefore/setValues block with: sheet.appendRow([...]);
+//
+// With several EVL4s (devices.json), the zone name is prefixed with the
+// device name, e.g. "[Garage] Side Door".
 
 function doPost(e) {
   var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
@@ -29,7 +32,7 @@ function doPost(e) {
     data.timestamp,
     data.event,
     data.zone || '',
-    data.zoneName || '',
+    (data.device && data.zoneName ? '[' + data.device + '] ' : '') + (data.zoneName || ''),
     data.message
   ]]);
 
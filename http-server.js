@@ -0,0 +1,222 @@
+// Optional HTTP status API and dashboard for the listener.
+//
+// The server itself holds no state -- every endpoint calls back into the
+// listener through the provider functions passed to createStatusServer(),
+// so the JSON always reflects the listener's live in-memory state.
+//
+// Endpoints:
+//   GET /               Self-contained HTML dashboard (zone grid)
+//   GET /api/status     Uptime, last message time and heartbeat status
+//   GET /api/zones      Every known zone with its current state (?state=open, ?device=<id> to filter)
+//   GET /api/timers     Pending alert rule timers
+//   GET /api/events     Most recent events (?limit=N, 1 to options.maxEvents)
+//   GET /api/stream     Live events over Server-Sent Events (see event-stream.js)
+//   GET /metrics        Prometheus metrics (see metrics.js)
+//   WS  /api/ws         Live events over WebSocket
+//   POST /api/rules/<id>/snooze   Snooze a rule's alerts (?minutes=N, default 60; 0 ends the snooze)
+//
+// Snoozing changes what the listener alerts on, so unlike the read-only
+// endpoints it needs the token passed as options.token, sent as
+// "Authorization: Bearer <token>", and refuses cross-origin requests from
+// browsers. Without a token the endpoint is disabled.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+
+const DASHBOARD_PATH = path.join(__dirname, 'dashboard.html');
+const SNOOZE_PATH = /^\/api\/rules\/([^/]+)\/snooze$/;
+const DEFAULT_EVENTS_LIMIT = 20;
+const DEFAULT_MAX_EVENTS = 100;
+const DEFAULT_SNOOZE_MINUTES = 60;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+function sendText(res, contentType, text) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(text),
+    'Cache-Control': 'no-store'
+  });
+  res.end(text);
+}
+
+// Constant-time comparison of the Authorization header with the token
+function hasToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Browsers send Origin (and Sec-Fetch-Site) with cross-origin requests;
+// the ntfy app, curl and the like send neither
+function isCrossOrigin(req) {
+  if (req.headers['sec-fetch-site'] === 'cross-site') return true;
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch (err) {
+    return true;
+  }
+}
+
+function sendHtml(res, html) {
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': Buffer.byteLength(html),
+    'Cache-Control': 'no-store'
+  });
+  res.end(html);
+}
+
+/**
+ * Creates (but does not start) the status HTTP server.
+ * @param {Object} provider - Callbacks returning live listener state
+ * @param {Function} provider.status - () => status object
+ * @param {Function} provider.zones - () => array of zone state objects
+ * @param {Function} provider.timers - () => array of pending rule timers
+ * @param {Function} provider.events - (limit) => array of recent event records
+ * @param {Function} [provider.snooze] - (ruleId, minutes) => Date the snooze ends, or null for an unknown rule
+ * @param {Function} [provider.metrics] - () => metrics in the Prometheus text format
+ * @param {Object} [options]
+ * @param {string} [options.dashboardPath] - Path to the dashboard HTML file
+ * @param {Object} [options.stream] - Event stream from createEventStream() for /api/stream and /api/ws
+ * @param {string} [options.token] - Bearer token required by the snooze endpoint (disabled without one)
+ * @param {number} [options.maxEvents] - Most events /api/events returns (the listener's buffer size, default 100)
+ * @returns {http.Server}
+ */
+function createStatusServer(provider, options) {
+  options = options || {};
+  const dashboardHtml = fs.readFileSync(options.dashboardPath || DASHBOARD_PATH, 'utf8');
+  const stream = options.stream || null;
+  const token = options.token || '';
+  const maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    const snoozeMatch = SNOOZE_PATH.exec(url.pathname);
+    if (snoozeMatch && provider.snooze) {
+      handleSnooze(req, res, decodeURIComponent(snoozeMatch[1]), url);
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      switch (url.pathname) {
+        case '/':
+        case '/index.html':
+          sendHtml(res, dashboardHtml);
+          return;
+        case '/api/status':
+          sendJson(res, 200, provider.status());
+          return;
+        case '/api/zones': {
+          let zones = provider.zones();
+          const state = url.searchParams.get('state');
+          if (state) zones = zones.filter(z => z.state === state);
+          const device = url.searchParams.get('device');
+          if (device) zones = zones.filter(z => z.device === device);
+          sendJson(res, 200, zones);
+          return;
+        }
+        case '/api/timers':
+          sendJson(res, 200, provider.timers());
+          return;
+        case '/api/events': {
+          const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_EVENTS_LIMIT;
+          sendJson(res, 200, provider.events(Math.max(1, Math.min(limit, maxEvents))));
+          return;
+        }
+        case '/metrics':
+          if (provider.metrics) {
+            sendText(res, METRICS_CONTENT_TYPE, provider.metrics());
+            return;
+          }
+          sendJson(res, 404, { error: 'Not found' });
+          return;
+        case '/api/stream':
+          if (stream) {
+            stream.handleSse(req, res, url);
+            return;
+          }
+          sendJson(res, 404, { error: 'Not found' });
+          return;
+        default:
+          sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  function handleSnooze(req, res, ruleId, url) {
+    req.resume();
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!token) {
+      sendJson(res, 403, { error: 'Snoozing is disabled -- set --HTTP_TOKEN to enable it' });
+      return;
+    }
+    if (isCrossOrigin(req)) {
+      sendJson(res, 403, { error: 'Cross-origin requests are not allowed' });
+      return;
+    }
+    if (!hasToken(req, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Missing or wrong token' });
+      return;
+    }
+    const param = url.searchParams.get('minutes');
+    const minutes = param === null ? DEFAULT_SNOOZE_MINUTES : Number(param);
+    if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_SNOOZE_MINUTES) {
+      sendJson(res, 400, { error: `minutes must be a number from 0 to ${MAX_SNOOZE_MINUTES}` });
+      return;
+    }
+    try {
+      const until = provider.snooze(ruleId, minutes);
+      if (!until) {
+        sendJson(res, 404, { error: `No rule with id "${ruleId}"` });
+        return;
+      }
+      sendJson(res, 200, { id: ruleId, minutes, until: minutes > 0 ? until.toISOString() : null });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  }
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!stream || url.pathname !== '/api/ws') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    stream.handleUpgrade(req, socket, head, url);
+  });
+
+  return server;
+}
+
+module.exports = { createStatusServer };
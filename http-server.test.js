@@ -0,0 +1,145 @@
+const http = require('http');
+const { createStatusServer } = require('./http-server');
+
+const provider = {
+  status: () => ({ uptimeSeconds: 42, lastMessageAt: null, heartbeat: { enabled: false, alertSent: false } }),
+  zones: () => [
+    { device: 'house', zone: 1, name: 'Front Door', state: 'closed', since: null, openForSeconds: null },
+    { device: 'garage', zone: 3, name: 'Garage Door', state: 'open', since: '2026-10-01T12:00:00.000Z', openForSeconds: 600 }
+  ],
+  timers: () => [{ zone: 3, zoneName: 'Garage Door', ruleIndex: 0, remainingSeconds: 600 }],
+  events: jest.fn((limit) => [{ event: 'Zone Open', zone: 3 }, { event: 'Zone Close', zone: 1 }].slice(-limit)),
+  snooze: (id, minutes) => (id === 'garage-open' ? new Date(Date.UTC(2026, 9, 1, 12, minutes)) : null),
+  metrics: () => '# TYPE envisalink_rule_timers gauge\nenvisalink_rule_timers{device="house"} 1\n'
+};
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = createStatusServer(provider, { token: 's3cret' });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+function request(urlPath, method, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${urlPath}`, { method: method || 'GET', headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('createStatusServer', () => {
+  test('serves the dashboard at /', async () => {
+    const res = await request('/');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.body).toContain('EnvisaLink Zones');
+  });
+
+  test('serves status JSON', async () => {
+    const res = await request('/api/status');
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body).uptimeSeconds).toBe(42);
+  });
+
+  test('serves all zones and filters by state', async () => {
+    const all = JSON.parse((await request('/api/zones')).body);
+    expect(all).toHaveLength(2);
+
+    const open = JSON.parse((await request('/api/zones?state=open')).body);
+    expect(open).toHaveLength(1);
+    expect(open[0].name).toBe('Garage Door');
+    expect(open[0].openForSeconds).toBe(600);
+  });
+
+  test('filters zones by device', async () => {
+    const zones = JSON.parse((await request('/api/zones?device=house')).body);
+    expect(zones.map(z => z.name)).toEqual(['Front Door']);
+  });
+
+  test('keeps the event limit between 1 and maxEvents', async () => {
+    for (const [limit, expected] of [['-5', 1], ['0', 20], ['abc', 20], ['1000', 100]]) {
+      await request(`/api/events?limit=${limit}`);
+      expect(provider.events).toHaveBeenLastCalledWith(expected);
+    }
+    expect(JSON.parse((await request('/api/events?limit=-5')).body)).toEqual([{ event: 'Zone Close', zone: 1 }]);
+  });
+
+  test('serves pending timers', async () => {
+    const timers = JSON.parse((await request('/api/timers')).body);
+    expect(timers[0].remainingSeconds).toBe(600);
+  });
+
+  test('limits recent events', async () => {
+    const events = JSON.parse((await request('/api/events?limit=1')).body);
+    expect(events).toEqual([{ event: 'Zone Close', zone: 1 }]);
+  });
+
+  test('serves Prometheus metrics as text', async () => {
+    const res = await request('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(res.body).toContain('envisalink_rule_timers{device="house"} 1');
+  });
+
+  test('returns 404 for unknown paths', async () => {
+    const res = await request('/nope');
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('rejects non-GET methods', async () => {
+    const res = await request('/api/status', 'POST');
+    expect(res.statusCode).toBe(405);
+  });
+
+  const auth = { Authorization: 'Bearer s3cret' };
+
+  test('snoozes a rule', async () => {
+    const res = await request('/api/rules/garage-open/snooze?minutes=30', 'POST', auth);
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ id: 'garage-open', minutes: 30, until: '2026-10-01T12:30:00.000Z' });
+
+    expect(JSON.parse((await request('/api/rules/garage-open/snooze', 'POST', auth)).body).minutes).toBe(60);
+    expect((await request('/api/rules/nope/snooze', 'POST', auth)).statusCode).toBe(404);
+    expect((await request('/api/rules/garage-open/snooze?minutes=-1', 'POST', auth)).statusCode).toBe(400);
+    expect((await request('/api/rules/garage-open/snooze?minutes=1e9', 'POST', auth)).statusCode).toBe(400);
+    expect((await request('/api/rules/garage-open/snooze')).statusCode).toBe(405);
+  });
+
+  test('only snoozes with the token, from the same origin', async () => {
+    const path = '/api/rules/garage-open/snooze';
+    expect((await request(path, 'POST')).statusCode).toBe(401);
+    expect((await request(path, 'POST', { Authorization: 'Bearer wrong' })).statusCode).toBe(401);
+    expect((await request(path, 'POST', { ...auth, Origin: 'http://evil.example' })).statusCode).toBe(403);
+    expect((await request(path, 'POST', { ...auth, 'Sec-Fetch-Site': 'cross-site' })).statusCode).toBe(403);
+    expect((await request(path, 'POST', { ...auth, Origin: baseUrl })).statusCode).toBe(200);
+  });
+
+  test('disables snoozing without a token', async () => {
+    const open = createStatusServer(provider);
+    await new Promise(resolve => open.listen(0, '127.0.0.1', resolve));
+    try {
+      const res = await new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${open.address().port}/api/rules/garage-open/snooze`, { method: 'POST' }, resolve);
+        req.on('error', reject);
+        req.end();
+      });
+      res.resume();
+      expect(res.statusCode).toBe(403);
+    } finally {
+      await new Promise(resolve => open.close(resolve));
+    }
+  });
+});
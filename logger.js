@@ -0,0 +1,337 @@
+// Log file writer with levels, JSON output and rotation.
+//
+// Lines are written in the background: each call only queues the line, and
+// the queue is written out with one async write at a time, so a slow SD
+// card never holds up the UDP loop. If the disk stalls, the queue is capped
+// and the oldest lines are dropped (with a note in the log).
+//
+// Formats:
+//   text  Oct 19, 2026, 2:03:07 PM CDT - Zone Open: Garage Door -- Zone Open: 003
+//   json  {"time":"2026-10-19T19:03:07.123Z","level":"info","msg":"Zone Open: ...","event":"Zone Open","zone":3,...}
+//
+// The log is rotated when it reaches a size and/or at the first write of a
+// new day. Rotated files are named after when they were rotated
+// (envisalink-syslog-listener.log.20261019-000005), optionally gzipped, and
+// only the newest few are kept.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['text', 'json'];
+const TEXT_PREFIXES = { debug: '', info: '', warn: 'Warning: ', error: 'Error: ' };
+const DEFAULT_MAX_PENDING = 10000;
+const ROTATE = Symbol('rotate');
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Local date and time for rotated file names: 20261019-140307
+function fileStamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function localDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Formats one log line (without the newline).
+ * @param {string} format - "text" or "json"
+ * @param {string} level - One of LEVELS
+ * @param {string} message
+ * @param {Object} [fields] - Extra fields (JSON only)
+ * @param {Date} time
+ * @param {Function} [formatTime] - Date => text timestamp (default ISO)
+ * @returns {string}
+ */
+function formatLine(format, level, message, fields, time, formatTime) {
+  if (format === 'json') {
+    return JSON.stringify(Object.assign({ time: time.toISOString(), level, msg: message }, fields));
+  }
+  const stamp = formatTime ? formatTime(time) : time.toISOString();
+  return `${stamp} - ${TEXT_PREFIXES[level]}${message}`;
+}
+
+/**
+ * Lists a log file's rotated copies, oldest first.
+ * @param {string} logPath
+ * @returns {string[]} Full paths
+ */
+function rotatedFiles(logPath) {
+  const dir = path.dirname(logPath);
+  const base = path.basename(logPath);
+  const pattern = /^\.\d{8}-\d{6}(?:-\d+)?(?:\.gz)?$/;
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    return [];
+  }
+  return names
+    .filter(name => name.startsWith(base) && pattern.test(name.slice(base.length)))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Creates a logger.
+ * @param {Object} options
+ * @param {string} options.path - Log file
+ * @param {string} [options.format] - "text" (default) or "json"
+ * @param {string} [options.level] - Lowest level written: "debug", "info" (default), "warn" or "error"
+ * @param {boolean} [options.echo] - Also print each line to the console
+ * @param {Function} [options.formatTime] - Date => timestamp for text lines (default ISO)
+ * @param {number} [options.maxBytes] - Rotate when the file would grow past this size (0 = never)
+ * @param {boolean} [options.daily] - Rotate at the first write of each day
+ * @param {number} [options.keep] - Rotated files to keep (default 5, 0 = keep all)
+ * @param {boolean} [options.gzip] - Compress rotated files
+ * @param {number} [options.maxPending] - Most lines queued while a write is in progress (default 10000)
+ * @param {Function} [options.now] - Returns the current Date (for tests)
+ * @param {Function} [options.onError] - Called with write, rotation and compression errors (default console.error)
+ * @returns {Object} Logger with debug(), info(), warn(), error(), isEnabled(), flush(), flushSync() and close()
+ */
+function createLogger(options) {
+  const logPath = options.path;
+  const format = FORMATS.includes(options.format) ? options.format : 'text';
+  const minLevel = Math.max(0, LEVELS.indexOf(options.level || 'info'));
+  const maxBytes = options.maxBytes || 0;
+  const keep = options.keep === undefined ? 5 : options.keep;
+  const maxPending = options.maxPending || DEFAULT_MAX_PENDING;
+  const now = options.now || (() => new Date());
+  const onError = options.onError || ((err) => console.error(`Log file ${logPath}: ${err.message}`));
+
+  let fd = null;
+  let size = 0;              // bytes in the current file, including queued lines
+  let day = null;            // local day of the current file's last line
+  const queue = [];          // lines and ROTATE markers, in order
+  let queuedLines = 0;
+  let dropped = 0;
+  let writing = false;
+  let inFlight = null;       // chunk handed to fs.write() whose callback hasn't run yet
+  let background = 0;        // compressions and cleanups in progress
+  let idleWaiters = [];
+  let errorReported = false;
+
+  function reportError(err) {
+    // One report per run of failures, not one per line
+    if (errorReported) return;
+    errorReported = true;
+    onError(err);
+  }
+
+  // The size and day of an existing file are only read at startup; after
+  // that they are counted as lines are queued
+  function open(initial) {
+    try {
+      fd = fs.openSync(logPath, 'a');
+      if (initial) {
+        const stats = fs.fstatSync(fd);
+        size = stats.size;
+        day = stats.size > 0 ? localDay(stats.mtime) : null;
+      }
+    } catch (err) {
+      fd = null;
+      reportError(err);
+    }
+  }
+
+  function settle() {
+    // A pending "dropped N lines" warning is still to be queued
+    if (writing || queue.length > 0 || background > 0 || dropped > 0) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  function pump() {
+    if (writing) return;
+    if (queue.length === 0) {
+      settle();
+      return;
+    }
+    writing = true;
+
+    if (queue[0] === ROTATE) {
+      queue.shift();
+      rotateFile(() => {
+        writing = false;
+        pump();
+      });
+      return;
+    }
+
+    let chunk = '';
+    while (queue.length > 0 && queue[0] !== ROTATE) {
+      chunk += queue.shift();
+      queuedLines--;
+    }
+    if (fd === null) open();
+    if (fd === null) {
+      writing = false;
+      pump();
+      return;
+    }
+    inFlight = chunk;
+    fs.write(fd, chunk, (err) => {
+      inFlight = null;
+      if (err) reportError(err);
+      else errorReported = false;
+      writing = false;
+      pump();
+    });
+  }
+
+  // Renames the current file aside and starts a new one. Compression and
+  // cleanup of old files carry on in the background.
+  function rotateFile(done) {
+    const stamp = fileStamp(now());
+    let target = `${logPath}.${stamp}`;
+    for (let n = 1; fs.existsSync(target) || fs.existsSync(`${target}.gz`); n++) target = `${logPath}.${stamp}-${n}`;
+
+    const closing = fd;
+    fd = null;
+    const finish = () => {
+      fs.rename(logPath, target, (err) => {
+        open();
+        done();
+        if (err) {
+          if (err.code !== 'ENOENT') reportError(err);
+          return;
+        }
+        afterRotate(target);
+      });
+    };
+    if (closing === null) finish();
+    else fs.close(closing, finish);
+  }
+
+  function afterRotate(rotated) {
+    background++;
+    const cleanup = () => {
+      prune();
+      background--;
+      settle();
+    };
+    if (!options.gzip) {
+      cleanup();
+      return;
+    }
+    pipeline(fs.createReadStream(rotated), zlib.createGzip(), fs.createWriteStream(`${rotated}.gz`), (err) => {
+      if (err) {
+        reportError(err);
+        fs.unlink(`${rotated}.gz`, () => cleanup());
+        return;
+      }
+      fs.unlink(rotated, () => cleanup());
+    });
+  }
+
+  function prune() {
+    if (keep <= 0) return;
+    const files = rotatedFiles(logPath);
+    // A file being compressed shows up twice (plain and .gz); count it once
+    const rotations = [...new Set(files.map(file => file.replace(/\.gz$/, '')))].sort();
+    for (const old of rotations.slice(0, Math.max(0, rotations.length - keep))) {
+      for (const file of [old, `${old}.gz`]) {
+        fs.unlink(file, () => {});
+      }
+    }
+  }
+
+  function write(level, message, fields) {
+    if (LEVELS.indexOf(level) < minLevel) return;
+    const time = now();
+    const line = `${formatLine(format, level, message, fields, time, options.formatTime)}\n`;
+    if (options.echo) console.log(line.trimEnd());
+
+    const bytes = Buffer.byteLength(line);
+    const today = localDay(time);
+    if (size > 0 && ((maxBytes > 0 && size + bytes > maxBytes) || (options.daily && day !== null && day !== today))) {
+      queue.push(ROTATE);
+      size = 0;
+    }
+    size += bytes;
+    day = today;
+
+    queue.push(line);
+    queuedLines++;
+    if (queuedLines > maxPending) dropOldest();
+    if (!writing) setImmediate(pump);
+  }
+
+  function dropOldest() {
+    const index = queue.findIndex(item => item !== ROTATE);
+    queue.splice(index, 1);
+    queuedLines--;
+    dropped++;
+    // Say so once the disk catches up
+    if (dropped === 1) {
+      setImmediate(() => {
+        const count = dropped;
+        dropped = 0;
+        write('warn', `Log writes fell behind -- dropped ${count} line(s)`);
+      });
+    }
+  }
+
+  /**
+   * Resolves once every queued line is written and rotated files are
+   * compressed and cleaned up.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    return new Promise((resolve) => {
+      idleWaiters.push(resolve);
+      pump();
+    });
+  }
+
+  /**
+   * Writes every queued line right away (for process exit). Pending
+   * rotations are skipped. A chunk whose asynchronous write hasn't reported
+   * back is written again first, so it lands before the later lines -- at
+   * worst those lines appear twice, rather than not at all or out of order.
+   */
+  function flushSync() {
+    const lines = (inFlight || '') + queue.filter(item => item !== ROTATE).join('');
+    inFlight = null;
+    queue.length = 0;
+    queuedLines = 0;
+    if (!lines) return;
+    try {
+      if (fd === null) open();
+      if (fd !== null) fs.writeSync(fd, lines);
+    } catch (err) {
+      reportError(err);
+    }
+  }
+
+  /**
+   * Writes everything queued and closes the file.
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    await flush();
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+  }
+
+  open(true);
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    isEnabled: (level) => LEVELS.indexOf(level) >= minLevel,
+    flush,
+    flushSync,
+    close
+  };
+}
+
+module.exports = { createLogger, formatLine, rotatedFiles, LEVELS, FORMATS };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createLogger, formatLine, rotatedFiles } = require('./logger');
+
+let dir;
+let logPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-log-'));
+  logPath = path.join(dir, 'listener.log');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A clock the tests move by hand
+function fakeClock(start) {
+  let time = new Date(start).getTime();
+  return {
+    now: () => new Date(time),
+    set: (value) => { time = new Date(value).getTime(); }
+  };
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+// ---- formatLine ----
+
+describe('formatLine', () => {
+  const time = new Date('2026-10-19T19:03:07.123Z');
+
+  test('writes text lines with a level prefix for warnings and errors', () => {
+    expect(formatLine('text', 'info', 'Zone Open: Garage Door', {}, time)).toBe('2026-10-19T19:03:07.123Z - Zone Open: Garage Door');
+    expect(formatLine('text', 'warn', 'Could not load rules', {}, time, () => 'then')).toBe('then - Warning: Could not load rules');
+    expect(formatLine('text', 'error', 'Bad devices file', null, time, () => 'then')).toBe('then - Error: Bad devices file');
+  });
+
+  test('writes JSON lines with the extra fields', () => {
+    expect(JSON.parse(formatLine('json', 'info', 'Zone Open', { event: 'Zone Open', zone: 3 }, time))).toEqual({
+      time: '2026-10-19T19:03:07.123Z', level: 'info', msg: 'Zone Open', event: 'Zone Open', zone: 3
+    });
+  });
+});
+
+// ---- createLogger ----
+
+describe('createLogger', () => {
+  test('writes in the background, in order', async () => {
+    const logger = createLogger({ path: logPath });
+    logger.info('one');
+    logger.warn('two');
+    expect(fs.readFileSync(logPath, 'utf8')).toBe('');
+    await logger.close();
+    expect(readLines(logPath).map(line => line.slice(line.indexOf(' - ') + 3))).toEqual(['one', 'Warning: two']);
+  });
+
+  test('drops lines below the level', async () => {
+    const logger = createLogger({ path: logPath, format: 'json', level: 'info' });
+    expect(logger.isEnabled('debug')).toBe(false);
+    logger.debug('timer set');
+    logger.info('Zone Open', { zone: 3 });
+    await logger.close();
+    expect(readLines(logPath).map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ level: 'info', msg: 'Zone Open', zone: 3 })
+    ]);
+  });
+
+  test('writes queued lines synchronously on exit', () => {
+    const logger = createLogger({ path: logPath });
+    logger.info('shutting down');
+    logger.flushSync();
+    expect(readLines(logPath)).toHaveLength(1);
+  });
+
+  test('writes a chunk still in flight before the queued lines on exit', async () => {
+    const logger = createLogger({ path: logPath });
+    const write = jest.spyOn(fs, 'write').mockImplementation(() => {});
+    try {
+      logger.info('first');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(write).toHaveBeenCalledTimes(1);
+      logger.info('second');
+      logger.flushSync();
+    } finally {
+      write.mockRestore();
+    }
+    expect(readLines(logPath).map(line => line.replace(/^.* - /, ''))).toEqual(['first', 'second']);
+  });
+
+  test('caps the queue when writes fall behind', async () => {
+    const logger = createLogger({ path: logPath, maxPending: 3 });
+    for (let n = 1; n <= 5; n++) logger.info(`line ${n}`);
+    await logger.flush();
+    await logger.close();
+    const lines = readLines(logPath).map(line => line.slice(line.indexOf(' - ') + 3));
+    expect(lines).toEqual(['line 3', 'line 4', 'line 5', 'Warning: Log writes fell behind -- dropped 2 line(s)']);
+  });
+
+  test('rotates by size and keeps the newest files', async () => {
+    const clock = fakeClock('2026-10-19T12:00:00');
+    const logger = createLogger({ path: logPath, maxBytes: 100, keep: 2, now: clock.now });
+    for (let n = 1; n <= 4; n++) {
+      clock.set(`2026-10-19T12:00:0${n}`);
+      logger.info(`${'x'.repeat(60)} ${n}`);
+      await logger.flush();
+    }
+    await logger.close();
+
+    expect(rotatedFiles(logPath).map(file => path.basename(file))).toEqual(['listener.log.20261019-120003', 'listener.log.20261019-120004']);
+    expect(readLines(logPath)).toEqual([expect.stringMatching(/ 4$/)]);
+    expect(readLines(path.join(dir, 'listener.log.20261019-120004'))).toEqual([expect.stringMatching(/ 3$/)]);
+  });
+
+  test('rotates daily and gzips the old file', async () => {
+    const clock = fakeClock('2026-10-19T23:59:58');
+    const logger = createLogger({ path: logPath, daily: true, gzip: true, now: clock.now });
+    logger.info('before midnight');
+    await logger.flush();
+    clock.set('2026-10-20T00:00:05');
+    logger.info('after midnight');
+    await logger.close();
+
+    const [rotated] = rotatedFiles(logPath);
+    expect(path.basename(rotated)).toBe('listener.log.20261020-000005.gz');
+    expect(zlib.gunzipSync(fs.readFileSync(rotated)).toString()).toMatch(/ - before midnight\n$/);
+    expect(readLines(logPath)).toEqual([expect.stringMatching(/ - after midnight$/)]);
+  });
+
+  test('rotates a file left over from an earlier day', async () => {
+    fs.writeFileSync(logPath, 'old line\n');
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.utimesSync(logPath, yesterday, yesterday);
+
+    const logger = createLogger({ path: logPath, daily: true });
+    logger.info('today');
+    await logger.close();
+    expect(rotatedFiles(logPath)).toHaveLength(1);
+    expect(readLines(logPath)).toHaveLength(1);
+  });
+
+  test('reports a file it cannot write once, and keeps going', async () => {
+    const errors = [];
+    const logger = createLogger({ path: path.join(dir, 'missing', 'listener.log'), onError: (err) => errors.push(err.code) });
+    logger.info('one');
+    logger.info('two');
+    await logger.close();
+    expect(errors).toEqual(['ENOENT']);
+  });
+});
@@ -0,0 +1,121 @@
+// Prometheus metrics for the status server's GET /metrics.
+//
+// A small registry that renders the Prometheus text exposition format
+// (version 0.0.4), so no client library is needed. Counters live here and
+// are incremented as things happen; gauges are read from the listener's
+// live state by a collect function at scrape time, so they never go stale.
+//
+//   # HELP envisalink_messages_total Syslog messages received
+//   # TYPE envisalink_messages_total counter
+//   envisalink_messages_total{device="house",event="Zone Open",zone="3"} 12
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set: {device="house",zone="3"}. Null and undefined
+ * values become empty strings; an empty set formats as ''.
+ * @param {Object} [labels]
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels || {});
+  if (names.length === 0) return '';
+  const pairs = names.map(name => {
+    const value = labels[name] === null || labels[name] === undefined ? '' : labels[name];
+    return `${name}="${escapeLabelValue(value)}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+/**
+ * Creates a metrics registry.
+ * @returns {Object} Registry with counter(), gauge() and render()
+ */
+function createMetrics() {
+  const metrics = [];   // { name, help, type, samples() }, in registration order
+
+  function register(name, help, type, samples) {
+    if (!NAME_PATTERN.test(name)) throw new Error(`invalid metric name "${name}"`);
+    if (metrics.some(metric => metric.name === name)) throw new Error(`metric "${name}" is already registered`);
+    metrics.push({ name, help, type, samples });
+  }
+
+  /**
+   * Registers a counter.
+   * @param {string} name - Metric name (by convention ending in _total)
+   * @param {string} help - One-line description
+   * @returns {Object} Counter with inc(labels, amount) and get(labels)
+   */
+  function counter(name, help) {
+    const values = new Map();   // formatted labels -> { labels, value }
+    register(name, help, 'counter', () => [...values.values()]);
+    return {
+      inc(labels, amount) {
+        const key = formatLabels(labels);
+        const entry = values.get(key) || { labels: Object.assign({}, labels), value: 0 };
+        entry.value += amount === undefined ? 1 : amount;
+        values.set(key, entry);
+      },
+      get(labels) {
+        const entry = values.get(formatLabels(labels));
+        return entry ? entry.value : 0;
+      }
+    };
+  }
+
+  /**
+   * Registers a gauge read at scrape time.
+   * @param {string} name - Metric name
+   * @param {string} help - One-line description
+   * @param {Function} collect - () => number, or array of { labels, value }
+   */
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => {
+      const result = collect();
+      return Array.isArray(result) ? result : [{ labels: {}, value: result }];
+    });
+  }
+
+  /**
+   * Renders every metric in the text exposition format. A gauge whose
+   * collect function throws is left out rather than failing the scrape.
+   * @returns {string}
+   */
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch (err) {
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of samples) {
+        lines.push(`${metric.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createMetrics, formatLabels, CONTENT_TYPE };
@@ -0,0 +1,56 @@
+const { createMetrics, formatLabels } = require('./metrics');
+
+// ---- formatLabels ----
+
+describe('formatLabels', () => {
+  test('escapes quotes, backslashes and newlines', () => {
+    expect(formatLabels({})).toBe('');
+    expect(formatLabels({ device: 'house', zone: 3, name: 'Garage "Big" Door\\\n' }))
+      .toBe('{device="house",zone="3",name="Garage \\"Big\\" Door\\\\\\n"}');
+    expect(formatLabels({ zone: null })).toBe('{zone=""}');
+  });
+});
+
+// ---- createMetrics ----
+
+describe('createMetrics', () => {
+  test('renders counters by label set', () => {
+    const metrics = createMetrics();
+    const messages = metrics.counter('envisalink_messages_total', 'Syslog messages received');
+    messages.inc({ event: 'Zone Open', zone: 3 });
+    messages.inc({ event: 'Zone Open', zone: 3 });
+    messages.inc({ event: 'Other', zone: null }, 5);
+    expect(messages.get({ event: 'Zone Open', zone: 3 })).toBe(2);
+    expect(metrics.render()).toBe(
+      '# HELP envisalink_messages_total Syslog messages received\n' +
+      '# TYPE envisalink_messages_total counter\n' +
+      'envisalink_messages_total{event="Zone Open",zone="3"} 2\n' +
+      'envisalink_messages_total{event="Other",zone=""} 5\n');
+  });
+
+  test('reads gauges at render time', () => {
+    const metrics = createMetrics();
+    let open = [{ labels: { zone: 3 }, value: true }];
+    metrics.gauge('envisalink_zone_open', 'Whether the zone is open', () => open);
+    metrics.gauge('envisalink_seconds_since_last_message', 'Seconds since the last message', () => 12.5);
+    expect(metrics.render()).toContain('envisalink_zone_open{zone="3"} 1\n');
+    expect(metrics.render()).toContain('envisalink_seconds_since_last_message 12.5\n');
+
+    open = [{ labels: { zone: 3 }, value: false }];
+    expect(metrics.render()).toContain('envisalink_zone_open{zone="3"} 0\n');
+  });
+
+  test('leaves out a gauge whose collect function throws', () => {
+    const metrics = createMetrics();
+    metrics.gauge('broken', 'Throws', () => { throw new Error('boom'); });
+    metrics.gauge('working', 'Works', () => 1);
+    expect(metrics.render()).toBe('# HELP working Works\n# TYPE working gauge\nworking 1\n');
+  });
+
+  test('rejects invalid and duplicate names', () => {
+    const metrics = createMetrics();
+    metrics.counter('envisalink_messages_total', 'Messages');
+    expect(() => metrics.counter('envisalink_messages_total', 'Again')).toThrow('metric "envisalink_messages_total" is already registered');
+    expect(() => metrics.gauge('zone-open', 'Dashes', () => 0)).toThrow('invalid metric name "zone-open"');
+  });
+});
@@ -0,0 +1,269 @@
+// MQTT output with Home Assistant auto-discovery.
+//
+// Topics (with the default base topic "envisalink"):
+//   envisalink/status                   "online" / "offline" (retained, LWT)
+//   envisalink/zone/<n>/state           "open" / "closed" (retained)
+//   envisalink/partition/<p>/state      "disarmed", "armed_home", "armed_away",
+//                                       "armed_night", "armed" or "triggered" (retained)
+//   envisalink/partition/<p>/attributes JSON with the user and time of the last change (retained)
+//   envisalink/events                   Every parsed event as JSON (not retained)
+//
+// Discovery configs are published (retained) under the Home Assistant
+// discovery prefix so each zone in zones.json appears as a binary_sensor
+// and each partition as a sensor, grouped under one "EnvisaLink" device.
+// A zone's device class comes from its `type` in zones.json, else it is
+// guessed from the name; zones flagged `ignore` are left out.
+//
+// With several EVL4s (see devices.js) each device gets its own publisher,
+// base topic ("envisalink/garage") and Home Assistant device.
+
+const mqtt = require('mqtt');
+const { getZoneInfo } = require('./parser');
+
+// Arm/disarm events from the parser -> Home Assistant alarm panel states
+const PARTITION_STATES = {
+  'Disarmed': 'disarmed',
+  'Armed Stay': 'armed_home',
+  'Armed Away': 'armed_away',
+  'Armed Night': 'armed_night',
+  'Armed': 'armed',
+  'Alarm': 'triggered'
+};
+
+// zones.json zone types -> Home Assistant binary_sensor device classes
+const DEVICE_CLASSES = {
+  door: 'door',
+  window: 'window',
+  motion: 'motion',
+  smoke: 'smoke',
+  co: 'carbon_monoxide',
+  glassbreak: 'tamper'
+};
+
+// Discovery IDs can't contain "/", which a per-device base topic has
+function discoveryId(baseTopic) {
+  return baseTopic.replace(/\//g, '_');
+}
+
+/**
+ * Guesses a Home Assistant binary_sensor device_class from a zone name.
+ * @param {string} name - Friendly zone name (e.g., "Living Room Motion")
+ * @returns {string} device_class (defaults to "door")
+ */
+function guessDeviceClass(name) {
+  const lower = String(name).toLowerCase();
+  if (lower.includes('garage')) return 'garage_door';
+  if (lower.includes('motion')) return 'motion';
+  if (lower.includes('window')) return 'window';
+  if (lower.includes('smoke') || lower.includes('fire')) return 'smoke';
+  if (/\bco\b|carbon monoxide/.test(lower)) return 'carbon_monoxide';
+  if (lower.includes('glass')) return 'tamper';
+  if (lower.includes('water') || lower.includes('flood') || lower.includes('leak')) return 'moisture';
+  return 'door';
+}
+
+/**
+ * Returns a zone's device_class: from its declared type (a "door" named like
+ * a garage door is a garage_door), else guessed from its name.
+ * @param {Object} info - Zone settings from getZoneInfo()
+ * @returns {string}
+ */
+function zoneDeviceClass(info) {
+  const guessed = guessDeviceClass(info.name);
+  if (!info.type) return guessed;
+  return info.type === 'door' && guessed === 'garage_door' ? guessed : DEVICE_CLASSES[info.type];
+}
+
+/**
+ * Builds the Home Assistant discovery messages for the given zones.
+ * @param {Object} zones - Map of zone number (string) to a name or { name, type, ... }
+ * @param {Object} options - { baseTopic, discoveryPrefix, deviceName }
+ * @returns {Object[]} Array of { topic, payload } (payload is an object)
+ */
+function buildZoneDiscovery(zones, options) {
+  const device = buildDevice(options);
+  return Object.keys(zones).filter(key => !getZoneInfo(zones, key).ignore).map(key => {
+    const info = getZoneInfo(zones, key);
+    const name = info.name;
+    const uniqueId = `${discoveryId(options.baseTopic)}_zone_${key}`;
+    return {
+      topic: `${options.discoveryPrefix}/binary_sensor/${uniqueId}/config`,
+      payload: {
+        name,
+        unique_id: uniqueId,
+        state_topic: `${options.baseTopic}/zone/${key}/state`,
+        payload_on: 'open',
+        payload_off: 'closed',
+        device_class: zoneDeviceClass(info),
+        availability_topic: `${options.baseTopic}/status`,
+        device
+      }
+    };
+  });
+}
+
+/**
+ * Builds the Home Assistant discovery message for a partition state sensor.
+ * @param {number|string} partition
+ * @param {Object} options - { baseTopic, discoveryPrefix, deviceName }
+ * @returns {Object} { topic, payload }
+ */
+function buildPartitionDiscovery(partition, options) {
+  const uniqueId = `${discoveryId(options.baseTopic)}_partition_${partition}`;
+  return {
+    topic: `${options.discoveryPrefix}/sensor/${uniqueId}/config`,
+    payload: {
+      name: `Partition ${partition}`,
+      unique_id: uniqueId,
+      state_topic: `${options.baseTopic}/partition/${partition}/state`,
+      json_attributes_topic: `${options.baseTopic}/partition/${partition}/attributes`,
+      icon: 'mdi:shield-home',
+      availability_topic: `${options.baseTopic}/status`,
+      device: buildDevice(options)
+    }
+  };
+}
+
+function buildDevice(options) {
+  return {
+    identifiers: [discoveryId(options.baseTopic)],
+    name: options.deviceName ? `EnvisaLink ${options.deviceName}` : 'EnvisaLink',
+    manufacturer: 'EyezOn',
+    model: 'EnvisaLink 4 (syslog)'
+  };
+}
+
+/**
+ * Connects to an MQTT broker and returns a publisher for parsed events.
+ * @param {Object} options
+ * @param {string} options.url - Broker URL (e.g., mqtt://localhost:1883)
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} [options.baseTopic] - Topic prefix (default "envisalink")
+ * @param {string} [options.discoveryPrefix] - Home Assistant discovery prefix (default "homeassistant")
+ * @param {boolean} [options.discovery] - Publish discovery configs (default true)
+ * @param {string} [options.deviceName] - Device name, for listeners with several EVL4s
+ * @param {Object} [options.zones] - Map of zone number (string) to friendly name
+ * @param {Function} [options.log] - Logger for connection status and errors
+ * @returns {Object} Publisher with publishEvent(), setZones(), client and close()
+ */
+function createMqttPublisher(options) {
+  const settings = {
+    baseTopic: options.baseTopic || 'envisalink',
+    discoveryPrefix: options.discoveryPrefix || 'homeassistant',
+    deviceName: options.deviceName || null
+  };
+  const discovery = options.discovery !== false;
+  let zones = options.zones || {};
+  const log = options.log || (() => {});
+  const statusTopic = `${settings.baseTopic}/status`;
+  const announcedPartitions = new Set();
+  let errorReported = false;
+
+  const client = mqtt.connect(options.url, {
+    username: options.username || undefined,
+    password: options.password || undefined,
+    reconnectPeriod: 5000,
+    will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+  });
+
+  function publish(topic, payload, retain) {
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    client.publish(topic, message, { retain: !!retain, qos: 1 }, (err) => {
+      if (err) log(`MQTT publish to ${topic} failed: ${err.message}`);
+    });
+  }
+
+  function announcePartition(partition) {
+    if (!discovery || announcedPartitions.has(String(partition))) return;
+    announcedPartitions.add(String(partition));
+    const message = buildPartitionDiscovery(partition, settings);
+    publish(message.topic, message.payload, true);
+  }
+
+  client.on('connect', () => {
+    log(`MQTT connected to ${options.url}`);
+    errorReported = false;
+    publish(statusTopic, 'online', true);
+    if (discovery) {
+      for (const message of buildZoneDiscovery(zones, settings)) {
+        publish(message.topic, message.payload, true);
+      }
+      // Re-announce partitions seen before a reconnect
+      const partitions = [...announcedPartitions];
+      announcedPartitions.clear();
+      for (const partition of partitions) announcePartition(partition);
+    }
+  });
+  // Log only the first error of an outage, not every reconnect attempt
+  client.on('error', (err) => {
+    if (errorReported) return;
+    errorReported = true;
+    log(`MQTT error: ${err.message} -- will keep retrying`);
+  });
+
+  /**
+   * Publishes a parsed event: the events topic, plus retained zone or
+   * partition state when the event changes one.
+   * @param {Object} record - Event record from toEventRecord()
+   */
+  function publishEvent(record) {
+    publish(`${settings.baseTopic}/events`, record, false);
+
+    if (record.zone !== null && (record.event === 'Zone Open' || record.event === 'Zone Close')) {
+      publish(`${settings.baseTopic}/zone/${record.zone}/state`, record.event === 'Zone Open' ? 'open' : 'closed', true);
+    }
+
+    const partitionState = PARTITION_STATES[record.event];
+    if (partitionState && record.partition !== null && record.partition !== undefined) {
+      announcePartition(record.partition);
+      publish(`${settings.baseTopic}/partition/${record.partition}/state`, partitionState, true);
+      publish(`${settings.baseTopic}/partition/${record.partition}/attributes`, {
+        event: record.event,
+        user: record.user,
+        userName: record.userName,
+        changedAt: record.timestamp
+      }, true);
+    }
+  }
+
+  /**
+   * Replaces the zone map (e.g., after zones.json is reloaded) and refreshes
+   * the discovery configs. Zones that were removed get an empty retained
+   * config, which removes them from Home Assistant.
+   * @param {Object} newZones - Map of zone number (string) to friendly name
+   */
+  function setZones(newZones) {
+    const announced = (zoneMap) => Object.keys(zoneMap).filter(key => !getZoneInfo(zoneMap, key).ignore);
+    const removed = announced(zones).filter(key => !announced(newZones).includes(key));
+    zones = newZones;
+    if (!discovery || !client.connected) return;
+
+    for (const key of removed) {
+      publish(`${settings.discoveryPrefix}/binary_sensor/${discoveryId(settings.baseTopic)}_zone_${key}/config`, '', true);
+    }
+    for (const message of buildZoneDiscovery(zones, settings)) {
+      publish(message.topic, message.payload, true);
+    }
+  }
+
+  /**
+   * Marks the listener offline and disconnects.
+   * @returns {Promise<void>}
+   */
+  function close() {
+    return new Promise((resolve) => {
+      if (!client.connected) {
+        client.end(true, {}, () => resolve());
+        return;
+      }
+      client.publish(statusTopic, 'offline', { retain: true, qos: 1 }, () => {
+        client.end(false, {}, () => resolve());
+      });
+    });
+  }
+
+  return { publishEvent, setZones, client, close };
+}
+
+module.exports = { createMqttPublisher, buildZoneDiscovery, buildPartitionDiscovery, guessDeviceClass, PARTITION_STATES };
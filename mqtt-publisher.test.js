@@ -0,0 +1,185 @@
+const net = require('net');
+const mqtt = require('mqtt');
+const aedes = require('aedes');
+const { createMqttPublisher, buildZoneDiscovery, guessDeviceClass } = require('./mqtt-publisher');
+const { parseSyslogMessage } = require('./parser');
+const { toEventRecord } = require('./event-store');
+
+const testZones = {
+  '1': 'Front Door',
+  '3': 'Garage Door',
+  '4': 'Living Room Motion'
+};
+
+function record(raw) {
+  return toEventRecord(parseSyslogMessage(raw, testZones), '192.168.1.50');
+}
+
+// ---- guessDeviceClass ----
+
+describe('guessDeviceClass', () => {
+  test('maps common zone names to device classes', () => {
+    expect(guessDeviceClass('Front Door')).toBe('door');
+    expect(guessDeviceClass('Garage Door')).toBe('garage_door');
+    expect(guessDeviceClass('Living Room Motion')).toBe('motion');
+    expect(guessDeviceClass('Master Bedroom Window')).toBe('window');
+    expect(guessDeviceClass('Hallway Smoke')).toBe('smoke');
+    expect(guessDeviceClass('Basement CO')).toBe('carbon_monoxide');
+  });
+});
+
+// ---- buildZoneDiscovery ----
+
+describe('buildZoneDiscovery', () => {
+  test('builds one binary_sensor config per zone', () => {
+    const messages = buildZoneDiscovery(testZones, { baseTopic: 'envisalink', discoveryPrefix: 'homeassistant' });
+    expect(messages).toHaveLength(3);
+    expect(messages[1].topic).toBe('homeassistant/binary_sensor/envisalink_zone_3/config');
+    expect(messages[1].payload).toMatchObject({
+      name: 'Garage Door',
+      unique_id: 'envisalink_zone_3',
+      state_topic: 'envisalink/zone/3/state',
+      payload_on: 'open',
+      payload_off: 'closed',
+      device_class: 'garage_door',
+      availability_topic: 'envisalink/status'
+    });
+  });
+
+  test('names the device and keeps "/" out of IDs for a per-device base topic', () => {
+    const messages = buildZoneDiscovery(testZones, { baseTopic: 'envisalink/garage', discoveryPrefix: 'homeassistant', deviceName: 'Garage' });
+    expect(messages[1].topic).toBe('homeassistant/binary_sensor/envisalink_garage_zone_3/config');
+    expect(messages[1].payload).toMatchObject({
+      unique_id: 'envisalink_garage_zone_3',
+      state_topic: 'envisalink/garage/zone/3/state',
+      availability_topic: 'envisalink/garage/status'
+    });
+    expect(messages[1].payload.device).toMatchObject({ identifiers: ['envisalink_garage'], name: 'EnvisaLink Garage' });
+  });
+
+  test('uses the declared zone type and leaves out ignored zones', () => {
+    const zones = {
+      '1': { name: 'Front Door', type: 'door' },
+      '3': { name: 'Garage Door', type: 'door' },
+      '6': { name: 'Den', type: 'glassbreak' },
+      '7': { name: 'Hallway', type: 'co' },
+      '8': { name: 'Keyfob', ignore: true }
+    };
+    const messages = buildZoneDiscovery(zones, { baseTopic: 'envisalink', discoveryPrefix: 'homeassistant' });
+    expect(messages.map(m => [m.payload.name, m.payload.device_class])).toEqual([
+      ['Front Door', 'door'],
+      ['Garage Door', 'garage_door'],
+      ['Den', 'tamper'],
+      ['Hallway', 'carbon_monoxide']
+    ]);
+  });
+});
+
+// ---- createMqttPublisher against an in-process broker ----
+
+describe('createMqttPublisher', () => {
+  let broker;
+  let server;
+  let url;
+  let subscriber;
+  let publisher;
+  let received;
+
+  beforeEach(async () => {
+    broker = aedes.createBroker();
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    received = {};
+    subscriber = mqtt.connect(url);
+    subscriber.on('message', (topic, payload, packet) => {
+      received[topic] = { payload: payload.toString(), retain: packet.retain };
+    });
+    await subscriber.subscribeAsync('#');
+  });
+
+  afterEach(async () => {
+    if (publisher) await publisher.close();
+    await subscriber.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+    publisher = null;
+  });
+
+  function waitFor(topic, expected) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const check = () => {
+        if (received[topic] && (expected === undefined || received[topic].payload === expected)) {
+          resolve(received[topic]);
+        } else if (Date.now() - started > 2000) {
+          reject(new Error(`Timed out waiting for ${topic}`));
+        } else {
+          setTimeout(check, 10);
+        }
+      };
+      check();
+    });
+  }
+
+  function connectPublisher() {
+    publisher = createMqttPublisher({ url, zones: testZones });
+    return new Promise((resolve) => publisher.client.once('connect', resolve));
+  }
+
+  test('publishes availability and discovery configs on connect', async () => {
+    await connectPublisher();
+    await waitFor('envisalink/status', 'online');
+    const config = await waitFor('homeassistant/binary_sensor/envisalink_zone_4/config');
+    expect(JSON.parse(config.payload).device_class).toBe('motion');
+  });
+
+  test('publishes retained zone state and the event', async () => {
+    await connectPublisher();
+    publisher.publishEvent(record('<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 3'));
+
+    await waitFor('envisalink/zone/3/state', 'open');
+    const event = await waitFor('envisalink/events');
+    expect(JSON.parse(event.payload)).toMatchObject({ event: 'Zone Open', zone: 3, zoneName: 'Garage Door' });
+
+    publisher.publishEvent(record('<166>ENVISALINK[001C2A02BB1F]:  Zone Closed: 3'));
+    await waitFor('envisalink/zone/3/state', 'closed');
+  });
+
+  test('publishes partition arm state from CID events', async () => {
+    await connectPublisher();
+    publisher.publishEvent(record('<166>ENVISALINK[001C2A02BB1F]:  CID Event: 3442010020'));
+
+    await waitFor('envisalink/partition/1/state', 'armed_away');
+    const attributes = await waitFor('envisalink/partition/1/attributes');
+    expect(JSON.parse(attributes.payload)).toMatchObject({ event: 'Armed Away', user: 2 });
+    const config = await waitFor('homeassistant/sensor/envisalink_partition_1/config');
+    expect(JSON.parse(config.payload).state_topic).toBe('envisalink/partition/1/state');
+
+    publisher.publishEvent(record('<166>ENVISALINK[001C2A02BB1F]:  CID Event: 1442010020'));
+    await waitFor('envisalink/partition/1/state', 'disarmed');
+  });
+
+  test('retains zone state for late subscribers', async () => {
+    await connectPublisher();
+    publisher.publishEvent(record('Zone Open: 1'));
+    await waitFor('envisalink/zone/1/state', 'open');
+
+    const late = mqtt.connect(url);
+    const message = await new Promise((resolve) => {
+      late.on('message', (topic, payload, packet) => resolve({ payload: payload.toString(), retain: packet.retain }));
+      late.subscribe('envisalink/zone/1/state');
+    });
+    await late.endAsync();
+    expect(message).toEqual({ payload: 'open', retain: true });
+  });
+
+  test('marks the listener offline on close', async () => {
+    await connectPublisher();
+    await waitFor('envisalink/status', 'online');
+    await publisher.close();
+    publisher = null;
+    await waitFor('envisalink/status', 'offline');
+  });
+});
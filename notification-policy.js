@@ -0,0 +1,273 @@
+// Notification policy -- quiet hours, rate limits and duplicate suppression
+// for the email and ntfy channels.
+//
+// policy.json looks like:
+//   {
+//     "quietHours": {
+//       "email": { "times": [{ "from": "22:00", "to": "07:00" }] },  // a schedule (see schedule.js)
+//       "ntfy": { "days": "weekdays", "times": [{ "from": "09:00", "to": "17:00" }] }
+//     },
+//     "rateLimits": {
+//       "email": { "count": 10, "minutes": 60 },   // per channel
+//       "ntfy": { "count": 30, "minutes": 60 },
+//       "zone": { "count": 3, "minutes": 15 }      // per zone, on each channel
+//     },
+//     "duplicateMinutes": 10                       // identical titles within this window
+//   }
+//
+// Every notification is checked before it is queued: a duplicate of one
+// sent within duplicateMinutes is suppressed, then (unless it is an alarm)
+// quiet hours and rate limits apply. Alarms -- the alarm email and rule
+// alerts for "Alarm"/"Zone Alarm" events -- are only ever deduplicated.
+//
+// Suppressed notifications are collected per channel, and once the window
+// that suppressed them has ended (and the channel is out of quiet hours) a
+// single "N notifications suppressed" summary goes to onSummary.
+
+const { isInSchedule, validateSchedule } = require('./schedule');
+
+const CHANNELS = ['email', 'ntfy'];
+const ALARM_EVENTS = ['Alarm', 'Zone Alarm'];
+const QUIET_RECHECK_MS = 60 * 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+/**
+ * Validates a parsed policy.json object.
+ * @param {*} policy - Parsed JSON
+ * @param {Object} [location] - { latitude, longitude }, needed for sunrise/sunset quiet hours
+ * @returns {Object} The same policy if valid
+ * @throws {Error} Listing every problem found
+ */
+function validatePolicy(policy, location) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('policy must be a JSON object');
+  }
+
+  const errors = [];
+  for (const key of Object.keys(policy)) {
+    if (!['quietHours', 'rateLimits', 'duplicateMinutes'].includes(key)) {
+      errors.push(`unknown setting "${key}" (expected quietHours, rateLimits or duplicateMinutes)`);
+    }
+  }
+
+  const quietHours = policy.quietHours || {};
+  for (const channel of Object.keys(quietHours)) {
+    if (!CHANNELS.includes(channel)) {
+      errors.push(`quietHours: unknown channel "${channel}" (expected ${CHANNELS.join(' or ')})`);
+      continue;
+    }
+    for (const problem of validateSchedule(quietHours[channel], location)) {
+      errors.push(`quietHours.${channel}: ${problem}`);
+    }
+  }
+
+  const rateLimits = policy.rateLimits || {};
+  for (const key of Object.keys(rateLimits)) {
+    if (!CHANNELS.includes(key) && key !== 'zone') {
+      errors.push(`rateLimits: unknown limit "${key}" (expected ${CHANNELS.join(', ')} or zone)`);
+      continue;
+    }
+    const limit = rateLimits[key] || {};
+    if (!isPositiveInteger(limit.count)) errors.push(`rateLimits.${key}.count must be a positive integer`);
+    if (!isPositiveNumber(limit.minutes)) errors.push(`rateLimits.${key}.minutes must be a positive number`);
+  }
+
+  if (policy.duplicateMinutes !== undefined && !(typeof policy.duplicateMinutes === 'number' && policy.duplicateMinutes >= 0)) {
+    errors.push('duplicateMinutes must be a non-negative number');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return policy;
+}
+
+/**
+ * Returns true if a notification is for an alarm, which skips quiet hours
+ * and rate limits.
+ * @param {Object} notice - { kind, event }
+ * @returns {boolean}
+ */
+function isAlarm(notice) {
+  return notice.kind === 'alarm' || ALARM_EVENTS.includes(notice.event);
+}
+
+/**
+ * Creates a notification policy.
+ * @param {Object} options
+ * @param {Object} [options.policy] - Validated policy.json contents
+ * @param {Function} [options.onSummary] - (channel, { count, items, firstAt }) when suppressed notifications are summarized
+ * @param {Function} [options.log] - Logger
+ * @param {Object} [options.scheduleDefaults] - { timezone, latitude, longitude } for quiet hours
+ * @param {Object} [options.clock] - { now, setTimeout, clearTimeout } (defaults to the real clock)
+ * @returns {Object} Policy with check(), setPolicy(), pending() and stop()
+ */
+function createNotificationPolicy(options) {
+  options = options || {};
+  const onSummary = options.onSummary || (() => {});
+  const log = options.log || (() => {});
+  const scheduleDefaults = options.scheduleDefaults || {};
+  const clock = options.clock || {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+  };
+
+  let policy = options.policy || {};
+  const sent = {};          // channel -> [ms] of recent sends (rate limit window)
+  const zoneSent = {};      // "channel:zone" or "channel:device:zone" -> [ms]
+  const lastTitles = {};    // "channel:title" -> ms last sent
+  const suppressed = {};    // channel -> { items, flushAt, handle }
+
+  function isQuiet(channel, date) {
+    const schedule = (policy.quietHours || {})[channel];
+    return !!schedule && isInSchedule(schedule, date, scheduleDefaults);
+  }
+
+  // Drops entries older than the window; returns the window end of the oldest one kept
+  function trim(times, windowMs, now) {
+    while (times.length > 0 && times[0] <= now - windowMs) times.shift();
+    return times.length > 0 ? times[0] + windowMs : now;
+  }
+
+  // Zones are counted per device: zone 3 of one panel is not zone 3 of another
+  function zoneKey(channel, notice) {
+    return notice.device ? `${channel}:${notice.device}:${notice.zone}` : `${channel}:${notice.zone}`;
+  }
+
+  // Returns [reason, windowEnd] if the notification must be suppressed
+  function suppression(channel, notice, now) {
+    const duplicateMs = (policy.duplicateMinutes || 0) * 60 * 1000;
+    const titleKey = `${channel}:${notice.title}`;
+    if (duplicateMs > 0 && lastTitles[titleKey] > now - duplicateMs) {
+      return ['duplicate', lastTitles[titleKey] + duplicateMs];
+    }
+    if (isAlarm(notice)) return null;
+
+    if (isQuiet(channel, new Date(now))) return ['quiet hours', now + QUIET_RECHECK_MS];
+
+    const limits = policy.rateLimits || {};
+    if (limits[channel]) {
+      const times = sent[channel] || [];
+      const windowEnd = trim(times, limits[channel].minutes * 60 * 1000, now);
+      if (times.length >= limits[channel].count) return ['rate limit', windowEnd];
+    }
+    if (limits.zone && notice.zone !== null && notice.zone !== undefined) {
+      const times = zoneSent[zoneKey(channel, notice)] || [];
+      const windowEnd = trim(times, limits.zone.minutes * 60 * 1000, now);
+      if (times.length >= limits.zone.count) return ['zone rate limit', windowEnd];
+    }
+    return null;
+  }
+
+  function record(channel, notice, now) {
+    (sent[channel] = sent[channel] || []).push(now);
+    if (notice.zone !== null && notice.zone !== undefined) {
+      const key = zoneKey(channel, notice);
+      (zoneSent[key] = zoneSent[key] || []).push(now);
+    }
+    lastTitles[`${channel}:${notice.title}`] = now;
+
+    // Forget titles whose duplicate window has passed
+    const duplicateMs = (policy.duplicateMinutes || 0) * 60 * 1000;
+    for (const key of Object.keys(lastTitles)) {
+      if (lastTitles[key] <= now - duplicateMs) delete lastTitles[key];
+    }
+  }
+
+  function scheduleSummary(channel, bucket) {
+    if (bucket.handle) clock.clearTimeout(bucket.handle);
+    bucket.handle = clock.setTimeout(() => flush(channel), Math.max(0, bucket.flushAt - clock.now()));
+  }
+
+  function flush(channel) {
+    const bucket = suppressed[channel];
+    if (!bucket) return;
+    bucket.handle = null;
+    const now = clock.now();
+    if (isQuiet(channel, new Date(now))) {
+      bucket.flushAt = now + QUIET_RECHECK_MS;
+      scheduleSummary(channel, bucket);
+      return;
+    }
+
+    delete suppressed[channel];
+    log(`Notification policy: ${bucket.items.length} ${channel} notification(s) suppressed since ${new Date(bucket.items[0].at).toISOString()}`);
+    try {
+      onSummary(channel, {
+        count: bucket.items.length,
+        items: bucket.items.map(item => ({ title: item.title, reason: item.reason, at: new Date(item.at) })),
+        firstAt: new Date(bucket.items[0].at)
+      });
+    } catch (err) {
+      log(`Suppression summary failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Checks a notification against the policy. An allowed notification
+   * counts toward the rate limits; a suppressed one is held for the summary.
+   * @param {string} channel - "email" or "ntfy"
+   * @param {Object} notice - { title, kind, event, zone, device }
+   * @returns {boolean} true if the notification should be sent
+   */
+  function check(channel, notice) {
+    const now = clock.now();
+    const result = suppression(channel, notice, now);
+    if (!result) {
+      record(channel, notice, now);
+      return true;
+    }
+
+    const [reason, windowEnd] = result;
+    const bucket = suppressed[channel] = suppressed[channel] || { items: [], flushAt: 0, handle: null };
+    bucket.items.push({ title: notice.title, reason, at: now });
+    log(`Notification policy: ${channel} "${notice.title}" suppressed (${reason})`);
+    if (windowEnd > bucket.flushAt) {
+      bucket.flushAt = windowEnd;
+      scheduleSummary(channel, bucket);
+    }
+    return false;
+  }
+
+  /**
+   * Replaces the policy. Send history and pending summaries are kept.
+   * @param {Object} newPolicy - Validated policy.json contents
+   */
+  function setPolicy(newPolicy) {
+    policy = newPolicy || {};
+  }
+
+  /**
+   * Returns the suppressed notifications awaiting a summary.
+   * @returns {Object[]} { channel, count, summaryAt }
+   */
+  function pending() {
+    return Object.keys(suppressed).map(channel => ({
+      channel,
+      count: suppressed[channel].items.length,
+      summaryAt: new Date(suppressed[channel].flushAt)
+    }));
+  }
+
+  /**
+   * Cancels pending summaries.
+   */
+  function stop() {
+    for (const channel of Object.keys(suppressed)) {
+      if (suppressed[channel].handle) clock.clearTimeout(suppressed[channel].handle);
+      delete suppressed[channel];
+    }
+  }
+
+  return { check, setPolicy, pending, stop };
+}
+
+module.exports = { createNotificationPolicy, validatePolicy, isAlarm, CHANNELS };
@@ -0,0 +1,151 @@
+const { createNotificationPolicy, validatePolicy, isAlarm } = require('./notification-policy');
+
+const MINUTE = 60 * 1000;
+
+let policy;
+let summaries;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+  summaries = [];
+});
+
+afterEach(() => {
+  if (policy) policy.stop();
+  policy = null;
+  jest.useRealTimers();
+});
+
+function createPolicy(config) {
+  policy = createNotificationPolicy({
+    policy: config,
+    onSummary: (channel, summary) => summaries.push(Object.assign({ channel }, summary)),
+    scheduleDefaults: { timezone: 'UTC' }
+  });
+  return policy;
+}
+
+function open(zone, title) {
+  return { kind: 'open', event: 'Zone Open', zone, title: title || `Zone ${zone} opened` };
+}
+
+// ---- validatePolicy ----
+
+describe('validatePolicy', () => {
+  test('accepts the sample policy', () => {
+    const config = require('./policy.sample.json');
+    expect(validatePolicy(config)).toBe(config);
+  });
+
+  test('accepts a full policy', () => {
+    const config = {
+      quietHours: { email: { times: [{ from: '22:00', to: '07:00' }] } },
+      rateLimits: { email: { count: 10, minutes: 60 }, zone: { count: 3, minutes: 15 } },
+      duplicateMinutes: 10
+    };
+    expect(validatePolicy(config)).toBe(config);
+  });
+
+  test('reports every problem', () => {
+    expect(() => validatePolicy({
+      quietHours: { sms: {}, ntfy: { times: [{ from: '25:00', to: '07:00' }] } },
+      rateLimits: { email: { count: 0, minutes: 60 }, partition: {} },
+      duplicateMinutes: -1,
+      mute: true
+    })).toThrow('unknown setting "mute" (expected quietHours, rateLimits or duplicateMinutes); ' +
+      'quietHours: unknown channel "sms" (expected email or ntfy); ' +
+      'quietHours.ntfy: schedule.times[0].from must be "HH:MM", "sunrise" or "sunset"; ' +
+      'rateLimits.email.count must be a positive integer; ' +
+      'rateLimits: unknown limit "partition" (expected email, ntfy or zone); ' +
+      'duplicateMinutes must be a non-negative number');
+  });
+});
+
+// ---- isAlarm ----
+
+describe('isAlarm', () => {
+  test('recognizes alarm emails and zone alarm rule alerts', () => {
+    expect(isAlarm({ kind: 'alarm' })).toBe(true);
+    expect(isAlarm({ kind: 'zone_event', event: 'Zone Alarm' })).toBe(true);
+    expect(isAlarm(open(3))).toBe(false);
+  });
+});
+
+// ---- createNotificationPolicy ----
+
+describe('createNotificationPolicy', () => {
+  test('allows everything without a policy', () => {
+    createPolicy();
+    for (let i = 0; i < 50; i++) expect(policy.check('email', open(3))).toBe(true);
+    expect(policy.pending()).toEqual([]);
+  });
+
+  test('suppresses duplicates within the window and summarizes them when it ends', async () => {
+    createPolicy({ duplicateMinutes: 10 });
+    const alarm = { kind: 'alarm', event: 'Alarm', zone: 3, title: 'EnvisaLink Alarm: Garage Door' };
+
+    expect(policy.check('email', alarm)).toBe(true);
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    expect(policy.check('email', alarm)).toBe(false);
+    expect(policy.check('email', alarm)).toBe(false);
+    expect(policy.check('ntfy', alarm)).toBe(true);
+    expect(policy.pending()).toEqual([{ channel: 'email', count: 2, summaryAt: new Date('2026-10-01T12:10:00Z') }]);
+
+    await jest.advanceTimersByTimeAsync(9 * MINUTE);
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({ channel: 'email', count: 2, firstAt: new Date('2026-10-01T12:01:00Z') });
+    expect(summaries[0].items[0]).toEqual({ title: 'EnvisaLink Alarm: Garage Door', reason: 'duplicate', at: new Date('2026-10-01T12:01:00Z') });
+    expect(policy.check('email', alarm)).toBe(true);
+  });
+
+  test('applies per-channel rate limits over a sliding window', async () => {
+    createPolicy({ rateLimits: { email: { count: 3, minutes: 60 } } });
+    expect([1, 2, 3, 4, 5].map(zone => policy.check('email', open(zone)))).toEqual([true, true, true, false, false]);
+    expect(policy.check('ntfy', open(6))).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+    expect(summaries.map(s => [s.channel, s.count, s.items[0].reason])).toEqual([['email', 2, 'rate limit']]);
+    expect(policy.check('email', open(7))).toBe(true);
+  });
+
+  test('applies per-zone rate limits on each channel', () => {
+    createPolicy({ rateLimits: { zone: { count: 2, minutes: 15 } } });
+    expect([3, 3, 3, 2].map(zone => policy.check('email', open(zone)))).toEqual([true, true, false, true]);
+    expect(policy.pending()[0]).toMatchObject({ channel: 'email', count: 1, summaryAt: new Date('2026-10-01T12:15:00Z') });
+  });
+
+  test('counts the same zone number on different devices separately', () => {
+    createPolicy({ rateLimits: { zone: { count: 1, minutes: 15 } } });
+    const garage = Object.assign(open(3), { device: 'garage', title: 'Garage: Zone 3 opened' });
+    expect(policy.check('email', open(3))).toBe(true);
+    expect(policy.check('email', garage)).toBe(true);
+    expect(policy.check('email', Object.assign({}, garage, { title: 'again' }))).toBe(false);
+  });
+
+  test('holds notifications during quiet hours but lets alarms through', async () => {
+    jest.setSystemTime(new Date('2026-10-01T22:30:00Z'));
+    createPolicy({ quietHours: { ntfy: { times: [{ from: '22:00', to: '07:00' }] } }, rateLimits: { ntfy: { count: 1, minutes: 1 } } });
+
+    expect(policy.check('ntfy', open(3))).toBe(false);
+    expect(policy.check('email', open(3))).toBe(true);
+    expect(policy.check('ntfy', { kind: 'zone_event', event: 'Zone Alarm', zone: 3, title: 'Garage Door in alarm' })).toBe(true);
+    expect(policy.check('ntfy', { kind: 'alarm', event: 'Alarm', zone: 3, title: 'Alarm' })).toBe(true);
+
+    // The summary waits until quiet hours are over
+    await jest.advanceTimersByTimeAsync(8 * 60 * MINUTE);
+    expect(summaries).toHaveLength(0);
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({ channel: 'ntfy', count: 1 });
+    expect(summaries[0].items[0].reason).toBe('quiet hours');
+  });
+
+  test('picks up a new policy', () => {
+    createPolicy({ rateLimits: { email: { count: 1, minutes: 60 } } });
+    expect(policy.check('email', open(1))).toBe(true);
+    expect(policy.check('email', open(2))).toBe(false);
+    policy.setPolicy({});
+    expect(policy.check('email', open(3))).toBe(true);
+  });
+});
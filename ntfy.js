@@ -0,0 +1,183 @@
+// ntfy push notifications (ntfy.sh or a self-hosted server).
+//
+// Notifications are published as JSON to the server's root URL, so titles
+// and messages can hold any text and one server can serve several topics.
+// A rule can override the default topic and add its own priority, tags,
+// click URL, icon and action buttons with an `ntfy` object; string fields
+// may contain {{field}} placeholders, filled from the alert (see
+// templates.js). As with webhooks, auth is left out of the queued request
+// and added when each attempt is made.
+
+const { renderTemplate, sendRequest } = require('./webhooks');
+const { PLACEHOLDERS } = require('./templates');
+
+const PRIORITIES = { min: 1, low: 2, default: 3, high: 4, max: 5, urgent: 5 };
+const ACTION_TYPES = ['view', 'http', 'broadcast'];
+const MAX_ACTIONS = 3;
+const OPTION_FIELDS = ['topic', 'priority', 'tags', 'click', 'icon', 'actions'];
+const TOPIC = /^[\w-]{1,64}$/;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Converts a priority name ("high") or number (1-5) to ntfy's number.
+ * @param {string|number} priority
+ * @returns {number|undefined} undefined if it isn't a valid priority
+ */
+function toPriority(priority) {
+  if (typeof priority === 'number') return Number.isInteger(priority) && priority >= 1 && priority <= 5 ? priority : undefined;
+  return PRIORITIES[String(priority).toLowerCase()];
+}
+
+function unknownPlaceholders(value, field, errors) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  for (const match of (text || '').matchAll(PLACEHOLDER)) {
+    const name = match[1].split('.')[0];
+    if (!PLACEHOLDERS.includes(name)) errors.push(`ntfy.${field}: unknown placeholder "{{${name}}}"`);
+  }
+}
+
+function validateAction(action, i, errors) {
+  const field = `actions[${i}]`;
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    errors.push(`ntfy.${field} must be an object`);
+    return;
+  }
+  if (!ACTION_TYPES.includes(action.action)) {
+    errors.push(`ntfy.${field}: unsupported action "${action.action}" (expected one of ${ACTION_TYPES.join(', ')})`);
+  }
+  if (typeof action.label !== 'string' || action.label === '') {
+    errors.push(`ntfy.${field}: label is required`);
+  }
+  if ((action.action === 'view' || action.action === 'http') && typeof action.url !== 'string') {
+    errors.push(`ntfy.${field}: url is required for ${action.action} actions`);
+  }
+  if (action.clear !== undefined && typeof action.clear !== 'boolean') {
+    errors.push(`ntfy.${field}: clear must be true or false`);
+  }
+  unknownPlaceholders(action, field, errors);
+}
+
+/**
+ * Validates a rule's `ntfy` options.
+ * @param {*} options
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateNtfyOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['ntfy must be an object'];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(options)) {
+    if (!OPTION_FIELDS.includes(field)) {
+      errors.push(`ntfy: unknown field "${field}" (expected one of ${OPTION_FIELDS.join(', ')})`);
+    }
+  }
+  if (options.topic !== undefined && !(typeof options.topic === 'string' && TOPIC.test(options.topic))) {
+    errors.push('ntfy.topic must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (options.priority !== undefined && toPriority(options.priority) === undefined) {
+    errors.push(`ntfy.priority must be 1-5 or one of ${Object.keys(PRIORITIES).join(', ')}`);
+  }
+  if (options.tags !== undefined && !(Array.isArray(options.tags) && options.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('ntfy.tags must be a list of strings');
+  }
+  for (const field of ['click', 'icon']) {
+    if (options[field] === undefined) continue;
+    if (typeof options[field] !== 'string') errors.push(`ntfy.${field} must be a URL`);
+    else unknownPlaceholders(options[field], field, errors);
+  }
+  if (options.actions !== undefined) {
+    if (!Array.isArray(options.actions)) {
+      errors.push('ntfy.actions must be a list');
+    } else {
+      if (options.actions.length > MAX_ACTIONS) errors.push(`ntfy.actions: at most ${MAX_ACTIONS} actions are allowed`);
+      options.actions.forEach((action, i) => validateAction(action, i, errors));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Renders a rule's `ntfy` options for one alert: placeholders in the click
+ * URL, icon and actions are filled from the alert fields.
+ * @param {Object} [options] - A rule's `ntfy` options
+ * @param {Object} context - Alert fields (see templates.js)
+ * @returns {Object} { topic, priority, tags, click, icon, actions } (only the fields that are set)
+ */
+function renderNtfyOptions(options, context) {
+  const rendered = {};
+  for (const field of OPTION_FIELDS) {
+    if (!options || options[field] === undefined) continue;
+    rendered[field] = ['click', 'icon', 'actions'].includes(field) ? renderTemplate(options[field], context) : options[field];
+  }
+  return rendered;
+}
+
+/**
+ * Builds the publish request for a notification. Fields the notification
+ * doesn't set fall back to the channel defaults.
+ * @param {Object} config - { url, topic, tags, click, icon }
+ * @param {Object} notification - { title, message, priority, topic, tags, click, icon, actions }
+ * @returns {Object} { method, url, body, contentType }
+ */
+function buildNtfyRequest(config, notification) {
+  const message = {
+    topic: notification.topic || config.topic,
+    title: notification.title,
+    message: notification.message
+  };
+  const priority = toPriority(notification.priority !== undefined ? notification.priority : 'default');
+  if (priority !== undefined) message.priority = priority;
+  const tags = notification.tags || config.tags;
+  if (tags && tags.length > 0) message.tags = tags;
+  for (const field of ['click', 'icon']) {
+    const value = notification[field] || config[field];
+    if (value) message[field] = value;
+  }
+  if (notification.actions && notification.actions.length > 0) message.actions = notification.actions;
+
+  return {
+    method: 'POST',
+    url: config.url.replace(/\/+$/, '') + '/',
+    body: JSON.stringify(message),
+    contentType: 'application/json'
+  };
+}
+
+/**
+ * Returns the headers for a publish request, including auth.
+ * @param {Object} [auth] - { token } or { username, password }
+ * @param {string} contentType
+ * @returns {Object}
+ */
+function ntfyHeaders(auth, contentType) {
+  const headers = { 'Content-Type': contentType };
+  if (auth && auth.token) {
+    headers['Authorization'] = `Bearer ${auth.token}`;
+  } else if (auth && auth.username) {
+    headers['Authorization'] = `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`;
+  }
+  return headers;
+}
+
+/**
+ * Publishes a request from buildNtfyRequest().
+ * @param {Object} request
+ * @param {Object} [auth] - { token } or { username, password }
+ * @param {Object} [options] - { timeoutMs }
+ * @returns {Promise<number>} Resolves with the status code; rejects on network errors and HTTP 4xx/5xx
+ */
+function publish(request, auth, options) {
+  return sendRequest(Object.assign({}, request, { headers: ntfyHeaders(auth, request.contentType) }), options);
+}
+
+module.exports = {
+  validateNtfyOptions,
+  renderNtfyOptions,
+  buildNtfyRequest,
+  ntfyHeaders,
+  publish,
+  toPriority,
+  PRIORITIES
+};
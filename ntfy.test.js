@@ -0,0 +1,153 @@
+const http = require('http');
+const {
+  validateNtfyOptions,
+  renderNtfyOptions,
+  buildNtfyRequest,
+  ntfyHeaders,
+  publish
+} = require('./ntfy');
+
+const config = { url: 'http://ntfy.local:8080/', topic: 'house-alerts', tags: ['house'], click: '', icon: '' };
+
+// ---- validateNtfyOptions ----
+
+describe('validateNtfyOptions', () => {
+  test('accepts every option', () => {
+    expect(validateNtfyOptions({
+      topic: 'garage',
+      priority: 5,
+      tags: ['warning', 'car'],
+      click: 'http://pi:8080/',
+      icon: 'https://example.com/garage.png',
+      actions: [
+        { action: 'view', label: 'Open dashboard', url: 'http://pi:8080/', clear: true },
+        { action: 'http', label: 'Snooze 1h', url: 'http://pi:8080/api/rules/{{ruleId}}/snooze?minutes=60', method: 'POST' }
+      ]
+    })).toEqual([]);
+  });
+
+  test('reports every problem', () => {
+    expect(validateNtfyOptions({
+      topic: 'no spaces',
+      priority: 'loud',
+      colour: 'red',
+      click: '{{zoneNmae}}',
+      actions: [{ action: 'open', label: '' }, { action: 'view', label: 'Open' }, {}, {}]
+    })).toEqual([
+      'ntfy: unknown field "colour" (expected one of topic, priority, tags, click, icon, actions)',
+      'ntfy.topic must be 1-64 letters, digits, "-" or "_"',
+      'ntfy.priority must be 1-5 or one of min, low, default, high, max, urgent',
+      'ntfy.click: unknown placeholder "{{zoneNmae}}"',
+      'ntfy.actions: at most 3 actions are allowed',
+      'ntfy.actions[0]: unsupported action "open" (expected one of view, http, broadcast)',
+      'ntfy.actions[0]: label is required',
+      'ntfy.actions[1]: url is required for view actions',
+      'ntfy.actions[2]: unsupported action "undefined" (expected one of view, http, broadcast)',
+      'ntfy.actions[2]: label is required',
+      'ntfy.actions[3]: unsupported action "undefined" (expected one of view, http, broadcast)',
+      'ntfy.actions[3]: label is required'
+    ]);
+  });
+});
+
+// ---- renderNtfyOptions ----
+
+describe('renderNtfyOptions', () => {
+  test('fills placeholders in URLs and actions', () => {
+    const options = {
+      topic: 'garage',
+      priority: 'max',
+      actions: [{ action: 'http', label: 'Snooze {{zoneName}}', url: 'http://pi/api/rules/{{ruleId}}/snooze', method: 'POST' }]
+    };
+    expect(renderNtfyOptions(options, { ruleId: 'garage-open', zoneName: 'Garage Door' })).toEqual({
+      topic: 'garage',
+      priority: 'max',
+      actions: [{ action: 'http', label: 'Snooze Garage Door', url: 'http://pi/api/rules/garage-open/snooze', method: 'POST' }]
+    });
+    expect(renderNtfyOptions(undefined, {})).toEqual({});
+  });
+});
+
+// ---- buildNtfyRequest ----
+
+describe('buildNtfyRequest', () => {
+  test('publishes JSON to the server root with the channel defaults', () => {
+    const request = buildNtfyRequest(config, { title: 'Garage open', message: 'Since 12:00', priority: 'high' });
+    expect(request).toMatchObject({ method: 'POST', url: 'http://ntfy.local:8080/', contentType: 'application/json' });
+    expect(JSON.parse(request.body)).toEqual({
+      topic: 'house-alerts', title: 'Garage open', message: 'Since 12:00', priority: 4, tags: ['house']
+    });
+  });
+
+  test('lets a notification override the topic, tags, click URL and icon', () => {
+    const request = buildNtfyRequest(Object.assign({}, config, { url: 'https://example.com/ntfy' }), {
+      title: 'Alarm',
+      message: 'Zone 3',
+      topic: 'alarms',
+      priority: 5,
+      tags: [],
+      click: 'http://pi:8080/',
+      actions: [{ action: 'view', label: 'Open dashboard', url: 'http://pi:8080/' }]
+    });
+    expect(request.url).toBe('https://example.com/ntfy/');
+    expect(JSON.parse(request.body)).toEqual({
+      topic: 'alarms', title: 'Alarm', message: 'Zone 3', priority: 5, click: 'http://pi:8080/',
+      actions: [{ action: 'view', label: 'Open dashboard', url: 'http://pi:8080/' }]
+    });
+  });
+});
+
+// ---- ntfyHeaders ----
+
+describe('ntfyHeaders', () => {
+  test('adds bearer or basic auth', () => {
+    expect(ntfyHeaders({ token: 'tk_abc' }, 'application/json'))
+      .toEqual({ 'Content-Type': 'application/json', 'Authorization': 'Bearer tk_abc' });
+    expect(ntfyHeaders({ username: 'u', password: 'p' }, 'application/json').Authorization).toBe('Basic dTpw');
+    expect(ntfyHeaders(null, 'application/json')).toEqual({ 'Content-Type': 'application/json' });
+  });
+});
+
+// ---- publish ----
+
+describe('publish', () => {
+  let server;
+  let received;
+  let statusCode;
+
+  beforeEach(async () => {
+    received = [];
+    statusCode = 200;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.statusCode = statusCode;
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('publishes to a self-hosted server with auth', async () => {
+    const local = Object.assign({}, config, { url: `http://127.0.0.1:${server.address().port}` });
+    const request = buildNtfyRequest(local, { title: '🚪 Garage open', message: 'Since 12:00', priority: 'high', topic: 'garage' });
+    expect(await publish(request, { token: 'tk_abc' })).toBe(200);
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ method: 'POST', url: '/' });
+    expect(received[0].headers).toMatchObject({ 'authorization': 'Bearer tk_abc', 'content-type': 'application/json' });
+    expect(JSON.parse(received[0].body)).toMatchObject({ topic: 'garage', title: '🚪 Garage open', priority: 4 });
+  });
+
+  test('rejects when the server refuses the message', async () => {
+    statusCode = 403;
+    const local = Object.assign({}, config, { url: `http://127.0.0.1:${server.address().port}` });
+    await expect(publish(buildNtfyRequest(local, { title: 't', message: 'm' }), null)).rejects.toThrow('HTTP 403');
+  });
+});
@@ -0,0 +1,201 @@
+// Durable outbox for outbound notifications (email, ntfy, Google Sheets).
+//
+// Every delivery is written to the outbox directory as its own JSON file
+// before the first attempt, and removed once it succeeds. Failed deliveries
+// are retried with exponential backoff until they succeed or grow older
+// than maxAgeMinutes, at which point they are dropped and handed to
+// onFailure (and successful ones to onSuccess). Deliveries left on disk
+// by a crash or restart are picked up again when the outbox is created.
+//
+// The outbox knows nothing about the channels themselves -- each channel is
+// an async function that takes the queued payload and throws on failure.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASE_DELAY_MS = 5 * 1000;
+const DEFAULT_MAX_DELAY_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_AGE_MINUTES = 24 * 60;
+
+/**
+ * Returns the delay before retry number `attempts` (1 = first retry).
+ * @param {number} attempts - Failed attempts so far
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempts, baseDelayMs, maxDelayMs) {
+  return Math.min(baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), maxDelayMs);
+}
+
+/**
+ * Creates an outbox.
+ * @param {Object} options
+ * @param {Object} options.channels - channel name -> async (payload) => {}
+ * @param {string} [options.dir] - Outbox directory (empty = keep deliveries in memory only)
+ * @param {number} [options.maxAgeMinutes] - Give up on deliveries older than this (default 1440)
+ * @param {number} [options.baseDelayMs] - First retry delay (default 5s), doubled on each retry
+ * @param {number} [options.maxDelayMs] - Longest retry delay (default 10 min)
+ * @param {Function} [options.onSuccess] - Called with the item when a delivery succeeds
+ * @param {Function} [options.onFailure] - Called with (item, err) when a delivery is given up on
+ * @param {Function} [options.log] - Logger
+ * @param {Object} [options.clock] - { now, setTimeout, clearTimeout } (defaults to the real clock)
+ * @returns {Object} Outbox with enqueue(), pending(), load() and stop()
+ */
+function createOutbox(options) {
+  const channels = options.channels || {};
+  const dir = options.dir || '';
+  const maxAgeMs = (options.maxAgeMinutes !== undefined ? options.maxAgeMinutes : DEFAULT_MAX_AGE_MINUTES) * 60 * 1000;
+  const baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+  const onSuccess = options.onSuccess || (() => {});
+  const onFailure = options.onFailure || (() => {});
+  const log = options.log || (() => {});
+  const clock = options.clock || {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+  };
+
+  const items = new Map();   // id -> { item, handle }
+  let counter = 0;
+  let stopped = false;
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  function itemPath(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function write(item) {
+    if (!dir) return;
+    try {
+      const tmpPath = path.join(dir, `.${item.id}.tmp`);
+      fs.writeFileSync(tmpPath, JSON.stringify(item) + '\n');
+      fs.renameSync(tmpPath, itemPath(item.id));
+    } catch (err) {
+      log(`Outbox: could not write ${item.channel} delivery ${item.id}: ${err.message}`);
+    }
+  }
+
+  function remove(item) {
+    items.delete(item.id);
+    if (!dir) return;
+    try {
+      fs.unlinkSync(itemPath(item.id));
+    } catch (err) {
+      if (err.code !== 'ENOENT') log(`Outbox: could not remove delivery ${item.id}: ${err.message}`);
+    }
+  }
+
+  function schedule(item) {
+    const delay = Math.max(0, item.nextAttemptAt - clock.now());
+    const handle = clock.setTimeout(() => attempt(item), delay);
+    items.set(item.id, { item, handle });
+  }
+
+  async function attempt(item) {
+    if (stopped || !items.has(item.id)) return;
+    const send = channels[item.channel];
+
+    try {
+      if (!send) throw new Error(`unknown channel "${item.channel}"`);
+      await send(item.payload);
+      if (item.attempts > 0) log(`Outbox: ${item.channel} delivery ${item.id} succeeded after ${item.attempts + 1} attempts`);
+      remove(item);
+      try {
+        onSuccess(item);
+      } catch (err) {
+        log(`Outbox: success handler failed: ${err.message}`);
+      }
+      return;
+    } catch (err) {
+      item.attempts++;
+      item.lastError = err.message;
+    }
+
+    if (stopped) return;
+    const age = clock.now() - new Date(item.createdAt).getTime();
+    const delay = backoffDelay(item.attempts, baseDelayMs, maxDelayMs);
+    if (age + delay > maxAgeMs) {
+      log(`Outbox: giving up on ${item.channel} delivery ${item.id} after ${item.attempts} attempt(s): ${item.lastError}`);
+      remove(item);
+      try {
+        onFailure(item, new Error(item.lastError));
+      } catch (err) {
+        log(`Outbox: failure handler failed: ${err.message}`);
+      }
+      return;
+    }
+
+    item.nextAttemptAt = clock.now() + delay;
+    log(`Outbox: ${item.channel} delivery ${item.id} failed (${item.lastError}), retrying in ${Math.round(delay / 1000)}s`);
+    write(item);
+    schedule(item);
+  }
+
+  /**
+   * Queues a delivery and attempts it right away. Returns without waiting
+   * for the delivery.
+   * @param {string} channel - Channel name
+   * @param {Object} payload - JSON-serializable payload for the channel
+   * @returns {string} Delivery id
+   */
+  function enqueue(channel, payload) {
+    const now = clock.now();
+    const id = `${now}-${process.pid}-${counter++}`;
+    const item = { id, channel, payload, createdAt: new Date(now).toISOString(), attempts: 0, nextAttemptAt: now, lastError: null };
+    write(item);
+    schedule(item);
+    return id;
+  }
+
+  /**
+   * Picks up deliveries left in the outbox directory by a previous run.
+   * @returns {number} Deliveries loaded
+   */
+  function load() {
+    if (!dir) return 0;
+    let loaded = 0;
+    for (const file of fs.readdirSync(dir).sort()) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const item = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (items.has(item.id)) continue;
+        schedule(item);
+        loaded++;
+      } catch (err) {
+        log(`Outbox: skipping unreadable delivery ${file}: ${err.message}`);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Returns the queued deliveries, oldest first.
+   * @returns {Object[]} { id, channel, createdAt, attempts, nextAttemptAt, lastError }
+   */
+  function pending() {
+    return Array.from(items.values()).map(({ item }) => ({
+      id: item.id,
+      channel: item.channel,
+      createdAt: item.createdAt,
+      attempts: item.attempts,
+      nextAttemptAt: new Date(item.nextAttemptAt).toISOString(),
+      lastError: item.lastError
+    }));
+  }
+
+  /**
+   * Cancels pending retries. Queued deliveries stay on disk for the next run.
+   */
+  function stop() {
+    stopped = true;
+    for (const { handle } of items.values()) clock.clearTimeout(handle);
+    items.clear();
+  }
+
+  return { enqueue, load, pending, stop };
+}
+
+module.exports = { createOutbox, backoffDelay };
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutbox, backoffDelay } = require('./outbox');
+
+const SECOND = 1000;
+
+let dir;
+let outbox;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-outbox-'));
+});
+
+afterEach(() => {
+  if (outbox) outbox.stop();
+  outbox = null;
+  jest.useRealTimers();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function flakyChannel(failures) {
+  const calls = [];
+  const send = jest.fn(async (payload) => {
+    calls.push(Date.now());
+    if (calls.length <= failures) throw new Error('network down');
+  });
+  send.calls = calls;
+  return send;
+}
+
+// ---- backoffDelay ----
+
+describe('backoffDelay', () => {
+  test('doubles up to the maximum', () => {
+    expect([1, 2, 3, 4, 10].map(n => backoffDelay(n, 5000, 30000))).toEqual([5000, 10000, 20000, 30000, 30000]);
+  });
+});
+
+// ---- createOutbox ----
+
+describe('createOutbox', () => {
+  test('delivers right away without blocking the caller', async () => {
+    const ntfy = flakyChannel(0);
+    outbox = createOutbox({ dir, channels: { ntfy } });
+
+    outbox.enqueue('ntfy', { title: 'Garage open' });
+    expect(ntfy).not.toHaveBeenCalled();
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(ntfy).toHaveBeenCalledWith({ title: 'Garage open' });
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+    expect(outbox.pending()).toEqual([]);
+  });
+
+  test('retries with exponential backoff until delivered', async () => {
+    const email = flakyChannel(3);
+    outbox = createOutbox({ dir, channels: { email }, baseDelayMs: 5 * SECOND });
+
+    outbox.enqueue('email', { subject: 'Alarm' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(outbox.pending()[0]).toMatchObject({ channel: 'email', attempts: 1, lastError: 'network down' });
+
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    const start = new Date('2026-10-01T12:00:00Z').getTime();
+    expect(email.calls.map(t => (t - start) / SECOND)).toEqual([0, 5, 15, 35]);
+    expect(outbox.pending()).toEqual([]);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('reports each delivery that succeeds', async () => {
+    const delivered = [];
+    outbox = createOutbox({ channels: { ntfy: flakyChannel(1) }, onSuccess: (item) => delivered.push([item.channel, item.attempts]) });
+    outbox.enqueue('ntfy', { title: 'Back door open' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(delivered).toEqual([]);
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(delivered).toEqual([['ntfy', 1]]);
+  });
+
+  test('gives up after the max age and reports the failure', async () => {
+    const email = flakyChannel(Infinity);
+    const failures = [];
+    outbox = createOutbox({
+      dir,
+      channels: { email },
+      baseDelayMs: 60 * SECOND,
+      maxAgeMinutes: 5,
+      onFailure: (item, err) => failures.push([item.channel, item.payload.subject, item.attempts, err.message])
+    });
+
+    outbox.enqueue('email', { subject: 'Alarm' });
+    await jest.advanceTimersByTimeAsync(10 * 60 * SECOND);
+
+    // Attempts at 0, 1 and 3 minutes; the next retry (7 minutes) would be too old
+    expect(email).toHaveBeenCalledTimes(3);
+    expect(failures).toEqual([['email', 'Alarm', 3, 'network down']]);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('reports deliveries to unknown channels as failures', async () => {
+    const failures = [];
+    outbox = createOutbox({ channels: {}, maxAgeMinutes: 0, onFailure: (item) => failures.push(item.channel) });
+    outbox.enqueue('pager', {});
+    await jest.advanceTimersByTimeAsync(0);
+    expect(failures).toEqual(['pager']);
+  });
+
+  test('picks up deliveries left on disk by a previous run', async () => {
+    const down = createOutbox({ dir, channels: { ntfy: flakyChannel(Infinity) } });
+    down.enqueue('ntfy', { title: 'Back door open' });
+    await jest.advanceTimersByTimeAsync(0);
+    down.stop();
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    const ntfy = flakyChannel(0);
+    outbox = createOutbox({ dir, channels: { ntfy } });
+    expect(outbox.load()).toBe(1);
+    expect(outbox.pending()[0].attempts).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(5 * SECOND);
+    expect(ntfy).toHaveBeenCalledWith({ title: 'Back door open' });
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('keeps deliveries in memory when no directory is given', async () => {
+    const sheets = flakyChannel(1);
+    outbox = createOutbox({ channels: { sheets } });
+    outbox.enqueue('sheets', { event: 'Zone Open' });
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(sheets).toHaveBeenCalledTimes(2);
+    expect(outbox.load()).toBe(0);
+  });
+});
@@ -1,10 +1,13 @@
 // Parsing and helper functions for EnvisaLink syslog messages.
 // Extracted into a separate module for testability.
 
+const { parseSyslogHeader } = require('./syslog-header');
+
 /**
  * Ademco Contact ID (CID) event code lookup table.
  * Format: Q-EEE-PP-CCC where Q=qualifier, EEE=event, PP=partition, CCC=user/zone
- * Qualifier: 1 = new event (opening/disarm), 3 = restore (closing/arm)
+ * Qualifier: 1 = new event (opening/disarm), 3 = restore (closing/arm),
+ *            6 = previously reported condition still present (status report)
  *
  * Note: Not all CID codes are confirmed to be sent via syslog by the EVL4.
  * Arm/disarm (441/442/443) are confirmed. Other codes are included for
@@ -14,109 +17,478 @@
  * Reference: SIA DC-05-1999.09 (Ademco Contact ID Protocol)
  */
 const CID_EVENT_CODES = {
-  // Alarms
+  // Medical alarms
   '100': 'Medical Alarm',
+  '101': 'Personal Emergency',
+  '102': 'Fail to Report In',
+  // Fire alarms
   '110': 'Fire Alarm',
+  '111': 'Smoke Alarm',
+  '112': 'Combustion Alarm',
+  '113': 'Water Flow Alarm',
+  '114': 'Heat Alarm',
   '115': 'Fire Alarm (pull station)',
+  '116': 'Duct Alarm',
+  '117': 'Flame Alarm',
+  '118': 'Fire Near Alarm',
+  // Panic alarms
   '120': 'Panic Alarm',
   '121': 'Duress Alarm',
+  '122': 'Silent Panic Alarm',
+  '123': 'Audible Panic Alarm',
+  // Burglar alarms
   '130': 'Burglary Alarm',
   '131': 'Perimeter Alarm',
   '132': 'Interior Alarm',
+  '133': '24 Hour Alarm',
   '134': 'Entry/Exit Alarm',
+  '135': 'Day/Night Alarm',
+  '136': 'Outdoor Alarm',
   '137': 'Tamper Alarm',
+  '138': 'Burglary Near Alarm',
+  '139': 'Intrusion Verifier',
+  // General alarms
   '140': 'General Alarm',
-  // Supervisory / Trouble
+  '141': 'Polling Loop Open Alarm',
+  '142': 'Polling Loop Short Alarm',
+  '143': 'Expansion Module Failure Alarm',
+  '144': 'Sensor Tamper Alarm',
+  '145': 'Expansion Module Tamper Alarm',
+  '146': 'Silent Burglary Alarm',
+  '147': 'Sensor Supervision Failure',
+  // 24 hour non-burglary alarms
+  '150': '24 Hour Non-Burglary Alarm',
+  '151': 'Gas Detected',
+  '152': 'Refrigeration Alarm',
+  '153': 'Loss of Heat',
+  '154': 'Water Leakage',
+  '155': 'Foil Break',
+  '156': 'Day Trouble',
+  '157': 'Low Bottled Gas Level',
+  '158': 'High Temperature',
+  '159': 'Low Temperature',
+  '161': 'Loss of Air Flow',
+  '162': 'Carbon Monoxide Detected',
+  '163': 'Tank Level',
+  // Fire supervisory
+  '200': 'Fire Supervisory',
+  '201': 'Low Water Pressure',
+  '202': 'Low CO2',
+  '203': 'Gate Valve Sensor',
+  '204': 'Low Water Level',
+  '205': 'Pump Activated',
+  '206': 'Pump Failure',
+  // System troubles
+  '300': 'System Trouble',
   '301': 'AC Power Loss',
   '302': 'Low Battery',
+  '303': 'RAM Checksum Bad',
+  '304': 'ROM Checksum Bad',
   '305': 'System Reset',
+  '306': 'Panel Programming Changed',
+  '307': 'Self-Test Failure',
+  '308': 'System Shutdown',
+  '309': 'Battery Test Failure',
+  '310': 'Ground Fault',
+  '311': 'Battery Missing/Dead',
+  '312': 'Power Supply Overcurrent',
+  '313': 'Engineer Reset',
+  // Sounder/relay troubles
+  '320': 'Sounder/Relay Trouble',
+  '321': 'Bell 1 Trouble',
+  '322': 'Bell 2 Trouble',
+  '323': 'Alarm Relay Trouble',
+  '324': 'Trouble Relay Trouble',
+  '325': 'Reversing Relay Trouble',
+  '326': 'Notification Appliance Circuit 3 Trouble',
+  '327': 'Notification Appliance Circuit 4 Trouble',
+  // System peripheral troubles
+  '330': 'System Peripheral Trouble',
+  '331': 'Polling Loop Open',
+  '332': 'Polling Loop Short',
+  '333': 'Expansion Module Failure',
+  '334': 'Repeater Failure',
+  '335': 'Local Printer Out of Paper',
+  '336': 'Local Printer Failure',
+  '337': 'Expansion Module DC Loss',
+  '338': 'Expansion Module Low Battery',
+  '339': 'Expansion Module Reset',
+  '341': 'Expansion Module Tamper',
+  '342': 'Expansion Module AC Loss',
+  '343': 'Expansion Module Self-Test Failure',
+  '344': 'RF Receiver Jam',
+  // Communication troubles
   '350': 'Communication Failure',
+  '351': 'Telco 1 Fault',
+  '352': 'Telco 2 Fault',
+  '353': 'Long Range Radio Fault',
+  '354': 'Failure to Communicate',
+  '355': 'Loss of Radio Supervision',
+  '356': 'Loss of Central Polling',
+  '357': 'Long Range Radio VSWR Problem',
+  // Protection loop troubles
+  '370': 'Protection Loop Trouble',
+  '371': 'Protection Loop Open',
+  '372': 'Protection Loop Short',
   '373': 'Fire Trouble',
+  '374': 'Exit Error Alarm',
+  '375': 'Panic Zone Trouble',
+  '376': 'Hold-Up Zone Trouble',
+  '377': 'Swinger Trouble',
+  '378': 'Cross-Zone Trouble',
+  // Sensor troubles
   '380': 'Sensor Trouble',
   '381': 'Loss of Supervision',
+  '382': 'Loss of Supervision (RPM)',
   '383': 'Sensor Tamper',
+  '384': 'RF Low Battery',
+  '385': 'Smoke Detector High Sensitivity',
+  '386': 'Smoke Detector Low Sensitivity',
+  '387': 'Intrusion Detector High Sensitivity',
+  '388': 'Intrusion Detector Low Sensitivity',
+  '389': 'Sensor Self-Test Failure',
+  '391': 'Sensor Watch Trouble',
+  '392': 'Drift Compensation Error',
+  '393': 'Maintenance Alert',
   // Open/Close (arm/disarm)
   '400': 'Open/Close',
   '401': 'Open/Close by User',
+  '402': 'Group Open/Close',
   '403': 'Open/Close (auto)',
+  '404': 'Late to Open/Close',
+  '405': 'Deferred Open/Close',
+  '406': 'Cancel',
   '407': 'Remote Arm/Disarm',
   '408': 'Quick Arm',
   '409': 'Keyswitch Arm/Disarm',
+  // Remote access
+  '411': 'Callback Request',
+  '412': 'Successful Download/Access',
+  '413': 'Unsuccessful Access',
+  '414': 'System Shutdown Command',
+  '415': 'Dialer Shutdown Command',
+  '416': 'Successful Upload',
+  // Access control
+  '421': 'Access Denied',
+  '422': 'Access Granted',
+  '423': 'Forced Access',
+  '424': 'Egress Denied',
+  '425': 'Egress Granted',
+  '426': 'Access Door Propped Open',
+  '427': 'Access Point Door Status Monitor Trouble',
+  '428': 'Access Point Request to Exit Trouble',
+  '429': 'Access Program Mode Entry',
+  '430': 'Access Program Mode Exit',
+  '431': 'Access Threat Level Change',
+  '432': 'Access Relay/Trigger Failure',
+  '433': 'Access Request to Exit Shunt',
+  '434': 'Access Door Status Monitor Shunt',
+  // Arm/disarm by mode
   '441': 'Armed Stay/Disarmed',
   '442': 'Armed Away/Disarmed',
   '443': 'Armed Night/Disarmed',
+  // Open/Close exceptions
+  '450': 'Exception Open/Close',
+  '451': 'Early Open/Close',
+  '452': 'Late Open/Close',
+  '453': 'Failed to Open',
+  '454': 'Failed to Close',
+  '455': 'Auto-Arm Failed',
+  '456': 'Partial Arm',
+  '457': 'Exit Error',
+  '458': 'User on Premises',
+  '459': 'Recent Close',
+  '461': 'Wrong Code Entry',
+  '462': 'Legal Code Entry',
+  '463': 'Re-arm after Alarm',
+  '464': 'Auto-Arm Time Extended',
+  '465': 'Panic Alarm Reset',
+  '466': 'Service On/Off Premises',
+  // System disables
+  '501': 'Access Reader Disable',
+  '520': 'Sounder/Relay Disable',
+  '521': 'Bell 1 Disable',
+  '522': 'Bell 2 Disable',
+  '523': 'Alarm Relay Disable',
+  '524': 'Trouble Relay Disable',
+  '525': 'Reversing Relay Disable',
+  '526': 'Notification Appliance Circuit 3 Disable',
+  '527': 'Notification Appliance Circuit 4 Disable',
+  '531': 'Module Added',
+  '532': 'Module Removed',
+  '551': 'Dialer Disabled',
+  '552': 'Radio Transmitter Disabled',
+  '553': 'Remote Upload/Download Disabled',
+  // Bypasses
+  '570': 'Zone Bypass',
+  '571': 'Fire Bypass',
+  '572': '24 Hour Zone Bypass',
+  '573': 'Burglary Bypass',
+  '574': 'Group Bypass',
+  '575': 'Swinger Bypass',
+  '576': 'Access Zone Shunt',
+  '577': 'Access Point Bypass',
   // Test
   '601': 'Manual Test',
   '602': 'Periodic Test',
-  '616': 'Service Request'
+  '603': 'Periodic RF Transmission',
+  '604': 'Fire Test',
+  '605': 'Status Report to Follow',
+  '606': 'Listen-in to Follow',
+  '607': 'Walk Test Mode',
+  '608': 'Periodic Test (trouble present)',
+  '609': 'Video Transmitter Active',
+  '611': 'Point Tested OK',
+  '612': 'Point Not Tested',
+  '613': 'Intrusion Zone Walk Tested',
+  '614': 'Fire Zone Walk Tested',
+  '615': 'Panic Zone Walk Tested',
+  '616': 'Service Request',
+  // Event log
+  '621': 'Event Log Reset',
+  '622': 'Event Log 50% Full',
+  '623': 'Event Log 90% Full',
+  '624': 'Event Log Overflow',
+  '625': 'Time/Date Reset',
+  '626': 'Time/Date Inaccurate',
+  '627': 'Program Mode Entry',
+  '628': 'Program Mode Exit',
+  '629': '32 Hour Event Log Marker',
+  // Scheduling
+  '630': 'Schedule Change',
+  '631': 'Exception Schedule Change',
+  '632': 'Access Schedule Change',
+  // Personnel monitoring
+  '641': 'Senior Watch Trouble',
+  '642': 'Latch-Key Supervision',
+  // Miscellaneous
+  '654': 'System Inactivity'
+};
+
+// Codes whose CCC is a user number; for every other code it is a zone
+const CID_USER_CODES = [
+  '121', '313',
+  '400', '401', '402', '403', '404', '405', '406', '407', '408',
+  '411', '412', '413', '414', '415', '416',
+  '421', '422', '423', '424', '425', '429', '430', '431',
+  '441', '442', '443',
+  '450', '451', '452', '453', '454', '455', '456', '457', '458', '459',
+  '462', '463', '464', '466',
+  '574', '604', '607', '625', '627', '628', '630', '631', '632', '642'
+];
+
+// Arm/disarm codes: qualifier 1 is a disarm (opening), 3 an arm (closing)
+const CID_ARM_CODES = {
+  '400': 'Armed', '401': 'Armed', '403': 'Armed', '407': 'Armed', '408': 'Armed', '409': 'Armed',
+  '441': 'Armed Stay', '442': 'Armed Away', '443': 'Armed Night'
 };
 
+// Restore names that read better than "<name> Restored"
+const CID_RESTORE_NAMES = {
+  '301': 'AC Power Restored',
+  '302': 'Battery Restored',
+  '350': 'Communication Restored',
+  '570': 'Zone Unbypassed',
+  '571': 'Fire Unbypassed',
+  '572': '24 Hour Zone Unbypassed',
+  '573': 'Burglary Unbypassed',
+  '574': 'Group Unbypassed',
+  '575': 'Swinger Unbypassed',
+  '607': 'Walk Test Mode Ended'
+};
+
+/**
+ * Returns true if a CID event code is an alarm (the 100 series).
+ * @param {string} eventCode - Three-digit event code
+ * @returns {boolean}
+ */
+function isCIDAlarm(eventCode) {
+  return eventCode[0] === '1';
+}
+
+/**
+ * Returns whether a CID event's CCC field is a user number or a zone number.
+ * @param {string} eventCode - Three-digit event code
+ * @returns {string|null} "user", "zone", or null for codes not in the table
+ */
+function cidFieldType(eventCode) {
+  if (!CID_EVENT_CODES[eventCode]) return null;
+  return CID_USER_CODES.includes(eventCode) ? 'user' : 'zone';
+}
+
 /**
  * Parses a CID (Contact ID) event string like "1441010020".
+ *
+ * Events are named for what happened: arm codes become "Armed Stay",
+ * "Disarmed", etc.; every alarm code becomes "Alarm" and its restore
+ * "Alarm Restore" (the description says which alarm); other codes use their
+ * description, with a restore name like "AC Power Restored" for qualifier 3
+ * and "(still present)" appended for status reports (qualifier 6).
+ *
  * @param {string} cidStr - The raw CID numeric string (10 digits)
- * @returns {Object|null} Parsed CID data or null if invalid
+ * @returns {Object|null} Parsed CID data or null if invalid. `zone` or `user`
+ *   is set from CCC depending on the code (neither when CCC is 000 or the
+ *   code is unknown; `zoneOrUser` always has the raw number).
  */
 function parseCID(cidStr) {
   if (!cidStr || cidStr.length < 9) return null;
 
-  const qualifier = cidStr[0];           // 1 = new event/disarm, 3 = restore/arm
+  const qualifier = cidStr[0];           // 1 = new event/disarm, 3 = restore/arm, 6 = status
   const eventCode = cidStr.substring(1, 4); // e.g., "441"
   const partition = parseInt(cidStr.substring(4, 6), 10); // e.g., 1
   const zoneOrUser = parseInt(cidStr.substring(6, 9), 10); // e.g., 2
 
   const codeInfo = CID_EVENT_CODES[eventCode];
+  const name = codeInfo || `CID ${eventCode}`;
+  const restore = qualifier === '3';
+  const status = qualifier === '6';
 
-  // Determine the friendly event name
+  // Determine the friendly event name and description
   let event;
-  const isArm = ['400', '401', '403', '407', '408', '409', '441', '442', '443'].includes(eventCode);
-  const isAlarm = parseInt(eventCode, 10) >= 100 && parseInt(eventCode, 10) < 200;
-
-  if (isArm) {
-    if (qualifier === '1') {
-      event = 'Disarmed';
-    } else if (qualifier === '3') {
-      if (eventCode === '441') event = 'Armed Stay';
-      else if (eventCode === '442') event = 'Armed Away';
-      else if (eventCode === '443') event = 'Armed Night';
-      else event = 'Armed';
-    } else {
-      event = codeInfo || `CID ${eventCode}`;
-    }
-  } else if (isAlarm) {
-    event = 'Alarm';
+  let description = codeInfo || `Unknown (${eventCode})`;
+  if (CID_ARM_CODES[eventCode] && (qualifier === '1' || restore)) {
+    event = restore ? CID_ARM_CODES[eventCode] : 'Disarmed';
+  } else if (isCIDAlarm(eventCode)) {
+    event = restore ? 'Alarm Restore' : 'Alarm';
+    if (restore && codeInfo) description = `${codeInfo} Restore`;
+  } else if (restore) {
+    event = CID_RESTORE_NAMES[eventCode] || `${name} Restored`;
+    if (codeInfo) description = event;
   } else {
-    event = codeInfo || `CID ${eventCode}`;
+    event = name;
   }
+  if (status) {
+    event = `${event} (still present)`;
+    description = `${description} (still present)`;
+  }
+
+  const fieldType = cidFieldType(eventCode);
+  const number = zoneOrUser > 0 ? zoneOrUser : null;
 
   return {
     qualifier,
     eventCode,
     event,
+    restore,
     partition,
     zoneOrUser,
-    description: codeInfo || `Unknown (${eventCode})`
+    zone: fieldType === 'zone' ? number : null,
+    user: fieldType === 'user' ? number : null,
+    description
+  };
+}
+
+// Zone types a zones.json entry can declare
+const ZONE_TYPES = ['door', 'window', 'motion', 'smoke', 'co', 'glassbreak'];
+const GROUP_NAME = /^[\w-]+$/;
+
+/**
+ * Returns a zone's settings from a zones dictionary, with defaults filled in.
+ * @param {Object} zones - Map of zone number (string) to a name or { name, type, partition, groups, ignore, notifyOnOpen }
+ * @param {number|string} zoneNumber - The zone number to look up
+ * @returns {Object} { name, type, partition, groups, ignore, notifyOnOpen } (type and partition null if not declared)
+ */
+function getZoneInfo(zones, zoneNumber) {
+  const zone = zones[String(zoneNumber)];
+  const settings = zone && typeof zone === 'object' ? zone : {};
+  return {
+    name: getZoneName(zones, zoneNumber),
+    type: settings.type || null,
+    partition: settings.partition !== undefined ? settings.partition : null,
+    groups: settings.groups || [],
+    ignore: !!settings.ignore,
+    notifyOnOpen: !!settings.notifyOnOpen
   };
 }
 
+// "ignore" only quiets a zone's routine traffic -- alarms, troubles and
+// tampers from an ignored zone (including CID alarms naming it) still count
+const IGNORABLE_EVENTS = ['Zone Open', 'Zone Close', 'Zone Restore'];
+
+/**
+ * Returns true if an event is dropped because its zone is flagged "ignore".
+ * @param {Object} parsed - Result of parseSyslogMessage()
+ * @param {Object} info - The zone's settings from getZoneInfo()
+ * @returns {boolean}
+ */
+function isIgnoredEvent(parsed, info) {
+  return !!info && info.ignore && IGNORABLE_EVENTS.includes(parsed.event);
+}
+
+/**
+ * Checks a zone selector: a zone number, "group:<name>" or "type:<type>".
+ * @param {*} selector
+ * @returns {string|null} The problem, or null if valid
+ */
+function validateZoneSelector(selector) {
+  const text = String(selector);
+  if (/^\d+$/.test(text)) return null;
+  if (text.startsWith('group:')) {
+    return GROUP_NAME.test(text.substring(6)) ? null : `"${text}": group names can only contain letters, digits, "-" and "_"`;
+  }
+  if (text.startsWith('type:')) {
+    return ZONE_TYPES.includes(text.substring(5)) ? null : `"${text}": unknown zone type (expected one of ${ZONE_TYPES.join(', ')})`;
+  }
+  return `"${text}" must be a zone number, "group:<name>" or "type:<type>"`;
+}
+
+/**
+ * Returns true if a zone matches a zone selector.
+ * @param {number|string} selector - A zone number, "group:<name>" or "type:<type>"
+ * @param {number|string} zoneNumber
+ * @param {Object} info - The zone's settings from getZoneInfo()
+ * @returns {boolean}
+ */
+function matchesZoneSelector(selector, zoneNumber, info) {
+  const text = String(selector);
+  if (text.startsWith('group:')) return info.groups.includes(text.substring(6));
+  if (text.startsWith('type:')) return info.type === text.substring(5);
+  return text === String(zoneNumber);
+}
+
 /**
  * Returns a friendly zone name from a zones dictionary.
- * @param {Object} zones - Map of zone number (string) to friendly name
+ * @param {Object} zones - Map of zone number (string) to a name or { name, ... }
  * @param {number|string} zoneNumber - The zone number to look up
  * @returns {string} Friendly name like "Front Door (zone 3)" or "zone 3" if not found
  */
 function getZoneName(zones, zoneNumber) {
   const key = String(zoneNumber);
-  if (zones[key]) {
-    return zones[key];
+  const zone = zones[key];
+  if (zone) {
+    return typeof zone === 'string' ? zone : zone.name;
   }
   return `Zone ${key}`;
 }
 
+/**
+ * Returns a friendly user name from a users dictionary.
+ * @param {Object} users - Map of user number (string) to name
+ * @param {number|string} userNumber - The user number to look up
+ * @returns {string} Name like "Alice", or "User 3" if not found
+ */
+function getUserName(users, userNumber) {
+  const key = String(userNumber);
+  return (users && users[key]) || `User ${key}`;
+}
+
+/**
+ * Returns the partition a zone is declared to belong to.
+ * @param {Object} zones - Map of zone number (string) to a name or { name, partition, ... }
+ * @param {number|string} zoneNumber - The zone number to look up
+ * @returns {number|null} null if the zone doesn't declare one
+ */
+function getZonePartition(zones, zoneNumber) {
+  const zone = zones[String(zoneNumber)];
+  return zone && typeof zone === 'object' && zone.partition !== undefined ? zone.partition : null;
+}
+
 /**
  * Parses a raw syslog message from the EnvisaLink 4.
  *
- * Syslog messages from the EVL4 look roughly like:
- *   <priority>timestamp hostname ENVISALINK[pid]: message content
+ * Syslog messages from the EVL4 look like:
+ *   <166>ENVISALINK[001C2A02BB1F]: message content
+ * (see syslog-header.js for the header formats understood)
  *
  * Common messages include:
  *   Zone Open: 003       (zone 3 opened)
@@ -126,11 +498,17 @@ function getZoneName(zones, zoneNumber) {
  *   Disarmed: ...        (system disarmed)
  *
  * @param {string} raw - The raw syslog message string
- * @param {Object} zones - Map of zone number (string) to friendly name
- * @returns {Object} Parsed result with event, zone, zoneName, message, raw
+ * @param {Object} zones - Map of zone number (string) to a name or { name, partition, ... }
+ * @param {Object} [users] - Map of user number (string) to name
+ * @param {Object} [header] - parseSyslogHeader(raw), for a caller that has already parsed it
+ * @returns {Object} Parsed result with event, zone, zoneName, message, raw and
+ *   syslog (the header fields from parseSyslogHeader(), without content)
+ *   (and partition, for zones that declare one; partition, user, userName
+ *   and cidCode for CID events)
  */
-function parseSyslogMessage(raw, zones) {
+function parseSyslogMessage(raw, zones, users, header) {
   zones = zones || {};
+  users = users || {};
 
   const result = {
     raw: raw.trim(),
@@ -141,23 +519,26 @@ function parseSyslogMessage(raw, zones) {
     message: null
   };
 
-  // Strip syslog header - find the content after "]: " or after the app name
-  let content = raw;
+  header = header || parseSyslogHeader(raw, result.timestamp);
+  const { content: headerContent, ...syslog } = header;
+  result.syslog = syslog;
 
-  // Try to extract content after "]: "
-  const bracketIdx = raw.indexOf(']: ');
-  if (bracketIdx >= 0) {
-    content = raw.substring(bracketIdx + 3).trim();
-  } else {
-    // Try to find content after "ENVISALINK" or similar marker
-    const markers = ['ENVISALINK', 'envisalink', 'EVL4', 'evl4'];
-    for (const marker of markers) {
-      const idx = raw.indexOf(marker);
-      if (idx >= 0) {
-        content = raw.substring(idx + marker.length).trim();
-        // Strip leading colon or brackets
-        content = content.replace(/^[\[:\]\s]+/, '').trim();
-        break;
+  // Without a recognizable tag, find the content after "]: " or the app name
+  let content = headerContent;
+  if (!header.appName) {
+    const bracketIdx = content.indexOf(']: ');
+    if (bracketIdx >= 0) {
+      content = content.substring(bracketIdx + 3).trim();
+    } else {
+      const markers = ['ENVISALINK', 'envisalink', 'EVL4', 'evl4'];
+      for (const marker of markers) {
+        const idx = content.indexOf(marker);
+        if (idx >= 0) {
+          content = content.substring(idx + marker.length).trim();
+          // Strip leading colon or brackets
+          content = content.replace(/^[\[:\]\s]+/, '').trim();
+          break;
+        }
       }
     }
   }
@@ -174,6 +555,8 @@ function parseSyslogMessage(raw, zones) {
     result.event = `Zone ${action}`;
     result.zone = parseInt(zoneMatch[2], 10);
     result.zoneName = getZoneName(zones, result.zone);
+    const partition = getZonePartition(zones, result.zone);
+    if (partition !== null) result.partition = partition;
     return result;
   }
 
@@ -206,10 +589,21 @@ function parseSyslogMessage(raw, zones) {
     if (cid) {
       result.event = cid.event;
       result.partition = cid.partition;
-      result.user = cid.zoneOrUser;
-      const userStr = cid.zoneOrUser ? `, user ${cid.zoneOrUser}` : '';
+      result.cidCode = cid.eventCode;
+      let whoStr = '';
+      if (cid.zone !== null) {
+        result.zone = cid.zone;
+        result.zoneName = getZoneName(zones, cid.zone);
+        whoStr = `, zone ${cid.zone} (${result.zoneName})`;
+      } else if (cid.user !== null) {
+        result.user = cid.user;
+        result.userName = getUserName(users, cid.user);
+        whoStr = users[String(cid.user)] ? `, user ${cid.user} (${result.userName})` : `, user ${cid.user}`;
+      } else if (cid.zoneOrUser) {
+        whoStr = `, zone/user ${cid.zoneOrUser}`;
+      }
       const partStr = cid.partition ? `partition ${cid.partition}` : '';
-      result.message = `${content} (${cid.description}${partStr ? ', ' + partStr : ''}${userStr})`;
+      result.message = `${content} (${cid.description}${partStr ? ', ' + partStr : ''}${whoStr})`;
       return result;
     }
   }
@@ -219,4 +613,17 @@ function parseSyslogMessage(raw, zones) {
   return result;
 }
 
-module.exports = { parseSyslogMessage, getZoneName, parseCID, CID_EVENT_CODES };
+module.exports = {
+  parseSyslogMessage,
+  getZoneName,
+  getZoneInfo,
+  isIgnoredEvent,
+  getUserName,
+  getZonePartition,
+  validateZoneSelector,
+  matchesZoneSelector,
+  parseCID,
+  CID_EVENT_CODES,
+  CID_USER_CODES,
+  ZONE_TYPES
+};
@@ -1,4 +1,17 @@
-const { parseSyslogMessage, getZoneName, parseCID } = require('./parser');
+const {
+  parseSyslogMessage,
+  getZoneName,
+  getZoneInfo,
+  isIgnoredEvent,
+  getUserName,
+  getZonePartition,
+  validateZoneSelector,
+  matchesZoneSelector,
+  parseCID,
+  CID_EVENT_CODES,
+  CID_USER_CODES
+} = require('./parser');
+const { parseSyslogHeader } = require('./syslog-header');
 
 // Sample zones config for testing
 const testZones = {
@@ -28,6 +41,106 @@ describe('getZoneName', () => {
   test('returns generic name when zones dictionary is empty', () => {
     expect(getZoneName({}, 1)).toBe('Zone 1');
   });
+
+  test('returns the name from the object form', () => {
+    expect(getZoneName({ '12': { name: 'Shop Door', partition: 2 } }, 12)).toBe('Shop Door');
+  });
+});
+
+// ---- getZoneInfo and zone selectors ----
+
+describe('getZoneInfo', () => {
+  const zones = {
+    '1': 'Front Door',
+    '3': { name: 'Garage Door', type: 'door', groups: ['perimeter', 'garage'], notifyOnOpen: true }
+  };
+
+  test('fills in defaults for the string form', () => {
+    expect(getZoneInfo(zones, 1)).toEqual({ name: 'Front Door', type: null, partition: null, groups: [], ignore: false, notifyOnOpen: false });
+    expect(getZoneInfo(zones, 42).name).toBe('Zone 42');
+  });
+
+  test('returns the settings of the object form', () => {
+    expect(getZoneInfo(zones, '3')).toEqual({
+      name: 'Garage Door', type: 'door', partition: null, groups: ['perimeter', 'garage'], ignore: false, notifyOnOpen: true
+    });
+  });
+
+  test('matches zone numbers, groups and types', () => {
+    const info = getZoneInfo(zones, 3);
+    expect(matchesZoneSelector('3', 3, info)).toBe(true);
+    expect(matchesZoneSelector(3, '3', info)).toBe(true);
+    expect(matchesZoneSelector('group:garage', 3, info)).toBe(true);
+    expect(matchesZoneSelector('type:door', 3, info)).toBe(true);
+    expect(matchesZoneSelector('type:window', 3, info)).toBe(false);
+    expect(matchesZoneSelector('group:garage', 1, getZoneInfo(zones, 1))).toBe(false);
+  });
+
+  test('validates selectors', () => {
+    expect(validateZoneSelector('12')).toBeNull();
+    expect(validateZoneSelector('group:upstairs-windows')).toBeNull();
+    expect(validateZoneSelector('type:co')).toBeNull();
+    expect(validateZoneSelector('type:garage')).toBe('"type:garage": unknown zone type (expected one of door, window, motion, smoke, co, glassbreak)');
+    expect(validateZoneSelector('group:')).toContain('group names can only contain');
+    expect(validateZoneSelector('garage')).toBe('"garage" must be a zone number, "group:<name>" or "type:<type>"');
+  });
+});
+
+// ---- getUserName ----
+
+describe('isIgnoredEvent', () => {
+  const ignored = getZoneInfo({ '3': { name: 'Garage', ignore: true } }, 3);
+
+  test('drops the opens, closes and restores of ignored zones', () => {
+    for (const event of ['Zone Open', 'Zone Close', 'Zone Restore']) {
+      expect(isIgnoredEvent({ event, zone: 3 }, ignored)).toBe(true);
+    }
+    expect(isIgnoredEvent({ event: 'Zone Open', zone: 2 }, getZoneInfo({ '2': 'Back Door' }, 2))).toBe(false);
+    expect(isIgnoredEvent({ event: 'Zone Open', zone: null }, null)).toBe(false);
+  });
+
+  test('keeps their alarms, troubles and tampers', () => {
+    for (const event of ['Alarm', 'Zone Alarm', 'Zone Trouble', 'Zone Tamper']) {
+      expect(isIgnoredEvent({ event, zone: 3 }, ignored)).toBe(false);
+    }
+    const cidAlarm = parseSyslogMessage('CID Event: 1130010030', { '3': { name: 'Garage', ignore: true } });
+    expect(cidAlarm.zone).toBe(3);
+    expect(isIgnoredEvent(cidAlarm, ignored)).toBe(false);
+  });
+});
+
+describe('getUserName', () => {
+  const users = { '2': 'Master', '3': 'Alice' };
+
+  test('returns the name for a known user', () => {
+    expect(getUserName(users, 3)).toBe('Alice');
+    expect(getUserName(users, '2')).toBe('Master');
+  });
+
+  test('returns a generic name for an unknown user', () => {
+    expect(getUserName(users, 40)).toBe('User 40');
+    expect(getUserName(undefined, 5)).toBe('User 5');
+  });
+});
+
+// ---- getZonePartition ----
+
+describe('getZonePartition', () => {
+  const zones = { '1': 'Front Door', '12': { name: 'Shop Door', partition: 2 } };
+
+  test('returns the partition a zone declares', () => {
+    expect(getZonePartition(zones, 12)).toBe(2);
+  });
+
+  test('returns null for zones without one', () => {
+    expect(getZonePartition(zones, 1)).toBeNull();
+    expect(getZonePartition(zones, 99)).toBeNull();
+  });
+
+  test('zone events carry their zone\'s partition', () => {
+    expect(parseSyslogMessage('Zone Open: 12', zones)).toMatchObject({ zone: 12, zoneName: 'Shop Door', partition: 2 });
+    expect(parseSyslogMessage('Zone Open: 1', zones).partition).toBeUndefined();
+  });
 });
 
 // ---- parseSyslogMessage: zone events ----
@@ -184,6 +297,14 @@ describe('parseSyslogMessage - header stripping', () => {
     expect(result.event).toBe('Zone Open');
     expect(result.zone).toBe(1);
   });
+
+  test('uses a header the caller has already parsed', () => {
+    const raw = '<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 3';
+    const header = parseSyslogHeader(raw);
+    const result = parseSyslogMessage(raw, testZones, {}, header);
+    expect({ ...result, timestamp: null }).toEqual({ ...parseSyslogMessage(raw, testZones), timestamp: null });
+    expect(result.syslog.mac).toBe(header.mac);
+  });
 });
 
 // ---- parseSyslogMessage: edge cases ----
@@ -290,6 +411,57 @@ describe('parseCID', () => {
     const cid = parseCID('1999010010');
     expect(cid.event).toBe('CID 999');
     expect(cid.description).toBe('Unknown (999)');
+    expect(cid.zone).toBeNull();
+    expect(cid.user).toBeNull();
+    expect(parseCID('3999010010').event).toBe('CID 999 Restored');
+  });
+
+  test('reports alarm restores separately from new alarms', () => {
+    expect(parseCID('1130010030')).toMatchObject({ event: 'Alarm', restore: false, description: 'Burglary Alarm' });
+    expect(parseCID('3130010030')).toMatchObject({ event: 'Alarm Restore', restore: true, description: 'Burglary Alarm Restore' });
+    expect(parseCID('3110010050').event).toBe('Alarm Restore');
+  });
+
+  test('names trouble restores', () => {
+    expect(parseCID('3301010000')).toMatchObject({ event: 'AC Power Restored', description: 'AC Power Restored' });
+    expect(parseCID('3302010000').event).toBe('Battery Restored');
+    expect(parseCID('3383010070').event).toBe('Sensor Tamper Restored');
+    expect(parseCID('3570010070').event).toBe('Zone Unbypassed');
+  });
+
+  test('marks status reports of conditions still present', () => {
+    expect(parseCID('6301010000')).toMatchObject({ event: 'AC Power Loss (still present)', restore: false });
+    expect(parseCID('6130010030').event).toBe('Alarm (still present)');
+  });
+
+  test('reads CCC as a zone or user depending on the code', () => {
+    expect(parseCID('1130010030')).toMatchObject({ zone: 3, user: null, zoneOrUser: 3 });
+    expect(parseCID('1121010050')).toMatchObject({ event: 'Alarm', zone: null, user: 5 });
+    expect(parseCID('3441010020')).toMatchObject({ zone: null, user: 2 });
+    expect(parseCID('1409010060')).toMatchObject({ event: 'Disarmed', zone: 6, user: null });
+    expect(parseCID('1301010000')).toMatchObject({ zone: null, user: null, zoneOrUser: 0 });
+  });
+
+  test('every code in the table parses with its description', () => {
+    for (const code of Object.keys(CID_EVENT_CODES)) {
+      const cid = parseCID(`1${code}01007`);
+      expect(cid.description).toBe(CID_EVENT_CODES[code]);
+      expect(cid.event).toBe(code[0] === '1' ? 'Alarm' : (['441', '442', '443', '400', '401', '403', '407', '408', '409'].includes(code) ? 'Disarmed' : CID_EVENT_CODES[code]));
+      expect(CID_USER_CODES.includes(code) ? cid.user : cid.zone).toBe(7);
+
+      const restore = parseCID(`3${code}01007`);
+      expect(restore.restore).toBe(true);
+      expect(restore.event).not.toBe(cid.event);
+    }
+  });
+
+  test('the code table covers every Contact ID family', () => {
+    const families = new Set(Object.keys(CID_EVENT_CODES).map(code => code.substring(0, 2)));
+    for (const family of ['10', '11', '12', '13', '14', '15', '16', '20', '30', '31', '32', '33', '34', '35', '37', '38', '39',
+      '40', '41', '42', '43', '44', '45', '46', '50', '52', '53', '55', '57', '60', '61', '62', '63', '64', '65']) {
+      expect(families).toContain(family);
+    }
+    expect(CID_USER_CODES.every(code => CID_EVENT_CODES[code])).toBe(true);
   });
 });
 
@@ -302,6 +474,7 @@ describe('parseSyslogMessage - CID events', () => {
     expect(result.event).toBe('Armed Stay');
     expect(result.user).toBe(2);
     expect(result.partition).toBe(1);
+    expect(result.cidCode).toBe('441');
     expect(result.message).toContain('Armed Stay/Disarmed');
     expect(result.message).toContain('user 2');
   });
@@ -328,6 +501,27 @@ describe('parseSyslogMessage - CID events', () => {
     expect(result.message).toContain('Burglary Alarm');
   });
 
+  test('parses a CID zone alarm with the zone and its name', () => {
+    const result = parseSyslogMessage('<166>ENVISALINK[001C2A02BB1F]:  CID Event: 1130010030', testZones);
+    expect(result).toMatchObject({ event: 'Alarm', zone: 3, zoneName: 'Garage Door', partition: 1 });
+    expect(result.user).toBeUndefined();
+    expect(result.message).toBe('CID Event: 1130010030 (Burglary Alarm, partition 1, zone 3 (Garage Door))');
+  });
+
+  test('parses a CID alarm restore', () => {
+    const result = parseSyslogMessage('<166>ENVISALINK[001C2A02BB1F]:  CID Event: 3130010030', testZones);
+    expect(result.event).toBe('Alarm Restore');
+    expect(result.message).toContain('Burglary Alarm Restore');
+  });
+
+  test('names the user from the users map', () => {
+    const users = { '2': 'Alice' };
+    const result = parseSyslogMessage('<166>ENVISALINK[001C2A02BB1F]:  CID Event: 1441010020', testZones, users);
+    expect(result).toMatchObject({ event: 'Disarmed', user: 2, userName: 'Alice' });
+    expect(result.message).toBe('CID Event: 1441010020 (Armed Stay/Disarmed, partition 1, user 2 (Alice))');
+    expect(parseSyslogMessage('CID Event: 1441010030', testZones, users).userName).toBe('User 3');
+  });
+
   test('parses CID with unknown code as Other', () => {
     const raw = '<166>ENVISALINK[001C2A02BB1F]:  CID Event: 1999010010';
     const result = parseSyslogMessage(raw, testZones);
@@ -0,0 +1,134 @@
+// Partition state tracker.
+//
+// Follows each partition through disarmed, armed (stay/away/night) and in
+// alarm, from CID arm/disarm/alarm events and the panel's text messages.
+// Events without a partition number count as partition 1, except zone
+// events, which belong to the partition their zone declares in zones.json.
+//
+// A partition's `state` is its arm state; an alarm is tracked alongside it
+// (a partition armed away can be in alarm) and is cleared by disarming.
+// The combined status -- "In Alarm" while an alarm is active, otherwise the
+// arm state -- is what transitions are reported on.
+
+const ARM_STATES = ['Disarmed', 'Armed', 'Armed Stay', 'Armed Away', 'Armed Night'];
+const ALARM_EVENTS = ['Alarm', 'Zone Alarm'];
+const IN_ALARM = 'In Alarm';
+const DEFAULT_PARTITION = 1;
+
+/**
+ * Returns a partition's combined status: "In Alarm" or its arm state.
+ * @param {Object} [entry] - Tracker entry
+ * @returns {string|null} null if the partition's state is unknown
+ */
+function partitionStatus(entry) {
+  if (!entry) return null;
+  return entry.alarm ? IN_ALARM : entry.state;
+}
+
+/**
+ * Creates a partition state tracker.
+ * @param {Object} [options]
+ * @param {Function} [options.onTransition] - Called with { partition, from, to, event, user, zone, at } when a partition's status changes
+ * @param {Function} [options.log] - Logger
+ * @param {Object} [options.clock] - { now } (defaults to the real clock)
+ * @returns {Object} Tracker with update(), get(), getAll(), getState() and restoreState()
+ */
+function createPartitionTracker(options) {
+  options = options || {};
+  const onTransition = options.onTransition || (() => {});
+  const log = options.log || (() => {});
+  const clock = options.clock || { now: () => Date.now() };
+
+  const partitions = {};  // partition -> { state, since, user, alarm: { since, zone, user } | null }
+
+  /**
+   * Applies a parsed event. Only arm/disarm and alarm events change state.
+   * @param {Object} parsed - Result of parseSyslogMessage()
+   * @returns {boolean} true if the event was a partition event
+   */
+  function update(parsed) {
+    const isArmEvent = ARM_STATES.includes(parsed.event);
+    if (!isArmEvent && !ALARM_EVENTS.includes(parsed.event)) return false;
+
+    const partition = String(parsed.partition || DEFAULT_PARTITION);
+    const at = new Date(clock.now());
+    const user = parsed.user !== undefined ? parsed.user : null;
+    const previous = partitions[partition];
+    const from = partitionStatus(previous);
+
+    if (isArmEvent) {
+      // Disarming silences an alarm; arming again starts fresh
+      partitions[partition] = { state: parsed.event, since: at, user, alarm: null };
+    } else {
+      const entry = partitions[partition] || { state: null, since: at, user: null, alarm: null };
+      if (!entry.alarm) entry.alarm = { since: at, zone: parsed.zone !== null && parsed.zone !== undefined ? parsed.zone : null, user };
+      partitions[partition] = entry;
+    }
+
+    const to = partitionStatus(partitions[partition]);
+    if (to !== from) {
+      const transition = { partition: Number(partition), from, to, event: parsed.event, user, zone: parsed.zone !== undefined ? parsed.zone : null, at };
+      try {
+        onTransition(transition);
+      } catch (err) {
+        log(`Partition transition handler failed: ${err.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns one partition's state.
+   * @param {number|string} partition
+   * @returns {Object|null} { state, since, user, alarm } or null if unknown
+   */
+  function get(partition) {
+    return partitions[String(partition || DEFAULT_PARTITION)] || null;
+  }
+
+  /**
+   * Returns every known partition's state.
+   * @returns {Object} partition -> { state, since, user, alarm }
+   */
+  function getAll() {
+    return Object.assign({}, partitions);
+  }
+
+  /**
+   * Returns a JSON-serializable snapshot.
+   * @returns {Object} partition -> { state, since, user, alarm }
+   */
+  function getState() {
+    const snapshot = {};
+    for (const partition of Object.keys(partitions)) {
+      const entry = partitions[partition];
+      snapshot[partition] = {
+        state: entry.state,
+        since: entry.since.toISOString(),
+        user: entry.user,
+        alarm: entry.alarm ? Object.assign({}, entry.alarm, { since: entry.alarm.since.toISOString() }) : null
+      };
+    }
+    return snapshot;
+  }
+
+  /**
+   * Restores a snapshot from getState().
+   * @param {Object} [snapshot]
+   */
+  function restoreState(snapshot) {
+    for (const partition of Object.keys(snapshot || {})) {
+      const saved = snapshot[partition];
+      partitions[partition] = {
+        state: saved.state,
+        since: new Date(saved.since),
+        user: saved.user,
+        alarm: saved.alarm ? Object.assign({}, saved.alarm, { since: new Date(saved.alarm.since) }) : null
+      };
+    }
+  }
+
+  return { update, get, getAll, getState, restoreState };
+}
+
+module.exports = { createPartitionTracker, partitionStatus, ARM_STATES, IN_ALARM, DEFAULT_PARTITION };
@@ -0,0 +1,99 @@
+const { createPartitionTracker, partitionStatus, IN_ALARM } = require('./partition-state');
+const { parseSyslogMessage } = require('./parser');
+
+const testZones = {
+  '3': { name: 'Garage Door', partition: 2 },
+  '4': 'Living Room Motion'
+};
+
+const MINUTE = 60 * 1000;
+
+let transitions;
+let tracker;
+
+function event(raw) {
+  return parseSyslogMessage(raw, testZones);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+  transitions = [];
+  tracker = createPartitionTracker({ onTransition: (transition) => transitions.push(transition) });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ---- update ----
+
+describe('createPartitionTracker - update', () => {
+  test('records who armed each partition and when', () => {
+    expect(tracker.update(event('CID Event: 3442020030'))).toBe(true);
+    jest.advanceTimersByTime(MINUTE);
+    expect(tracker.update(event('Armed Stay'))).toBe(true);
+
+    expect(tracker.get(2)).toEqual({ state: 'Armed Away', since: new Date('2026-10-01T12:00:00Z'), user: 3, alarm: null });
+    expect(tracker.get(1)).toMatchObject({ state: 'Armed Stay', since: new Date('2026-10-01T12:01:00Z'), user: null });
+    expect(Object.keys(tracker.getAll())).toEqual(['1', '2']);
+  });
+
+  test('ignores events that are not partition events', () => {
+    expect(tracker.update(event('Zone Open: 4'))).toBe(false);
+    expect(tracker.getAll()).toEqual({});
+    expect(transitions).toEqual([]);
+  });
+
+  test('reports transitions, but not repeats of the same state', () => {
+    tracker.update(event('CID Event: 3442010050'));
+    tracker.update(event('CID Event: 3442010050'));
+    tracker.update(event('CID Event: 1442010050'));
+
+    expect(transitions.map(t => [t.partition, t.from, t.to, t.user])).toEqual([
+      [1, null, 'Armed Away', 5],
+      [1, 'Armed Away', 'Disarmed', 5]
+    ]);
+    expect(transitions[0].at).toEqual(new Date('2026-10-01T12:00:00Z'));
+  });
+
+  test('goes into alarm on top of the arm state until disarmed', () => {
+    tracker.update(event('CID Event: 3442020030'));
+    jest.advanceTimersByTime(MINUTE);
+    tracker.update(event('Zone Alarm: 3'));
+    tracker.update(event('CID Event: 1130020030'));
+
+    const entry = tracker.get(2);
+    expect(entry.state).toBe('Armed Away');
+    expect(entry.alarm).toEqual({ since: new Date('2026-10-01T12:01:00Z'), zone: 3, user: null });
+    expect(partitionStatus(entry)).toBe(IN_ALARM);
+
+    tracker.update(event('CID Event: 1442020030'));
+    expect(partitionStatus(tracker.get(2))).toBe('Disarmed');
+    expect(transitions.map(t => t.to)).toEqual(['Armed Away', IN_ALARM, 'Disarmed']);
+    expect(transitions[1]).toMatchObject({ partition: 2, from: 'Armed Away', event: 'Zone Alarm', zone: 3 });
+  });
+
+  test('logs a failing transition handler and keeps tracking', () => {
+    const log = jest.fn();
+    tracker = createPartitionTracker({ onTransition: () => { throw new Error('boom'); }, log });
+    tracker.update(event('Armed Night'));
+    expect(log).toHaveBeenCalledWith('Partition transition handler failed: boom');
+    expect(tracker.get(1).state).toBe('Armed Night');
+  });
+});
+
+// ---- persistence ----
+
+describe('createPartitionTracker - persistence', () => {
+  test('restores a snapshot, including an active alarm', () => {
+    tracker.update(event('CID Event: 3442020030'));
+    tracker.update(event('Zone Alarm: 3'));
+    const snapshot = JSON.parse(JSON.stringify(tracker.getState()));
+
+    const restored = createPartitionTracker();
+    restored.restoreState(snapshot);
+    expect(restored.get(2)).toEqual(tracker.get(2));
+    expect(partitionStatus(restored.get(2))).toBe(IN_ALARM);
+  });
+});
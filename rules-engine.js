@@ -0,0 +1,794 @@
+// Alert rules engine.
+//
+// Evaluates parsed events against the rules from rules.json and owns the
+// per-zone timers for duration-based rules. The engine knows nothing about
+// email, ntfy or any other channel -- triggered rules are handed to the
+// onAlert callback, which decides how to notify.
+//
+// Timers are keyed "zone:ruleIndex". When the rules are replaced at runtime
+// (hot reload), pending timers are matched to the new rules by identity --
+// the rule's `id` field if it has one, otherwise its exact content -- so
+// unchanged rules keep their timers and removed rules have theirs cancelled.
+//
+// Each event is also fed to a partition tracker (see partition-state.js) --
+// the listener's, or the engine's own -- so any rule can carry an `armState`
+// condition. A rule's partition is its `partition` field, else the partition
+// its zone belongs to, else 1. Any rule can also carry a `schedule` (see
+// schedule.js) limiting when it is active.
+//
+// A rule's `zone` can be a zone number or a "group:<name>" or "type:<type>"
+// selector matched against the zone settings in zones.json (frequency rules
+// and sequence steps also take a list). Timers stay per zone, so a group
+// rule times each of its zones separately.
+//
+// Frequency rules keep a sliding window of recent matching event times per
+// rule (keyed by identity, so a reload keeps the counts of unchanged rules).
+// After a frequency alert the window is cleared and the rule ignores further
+// events until its cooldown ends, so one burst produces one alert.
+//
+// Sequence rules correlate two steps within `withinSeconds`: "A then B"
+// alerts on B, "NOT A then B" alerts on a B with no A before it, and
+// "A then NOT B" starts a timer on A that B cancels. Their state is also
+// keyed by rule identity.
+//
+// A rule with an `id` can be snoozed for a while (e.g. from an ntfy action
+// button): its timers and counters keep running, but its alerts are dropped.
+//
+// getState()/restoreState() snapshot the open times, arm states, snoozes and
+// pending open_duration timers so they survive a restart; onChange is called
+// after anything in the snapshot changes.
+
+const { isInSchedule, validateSchedule } = require('./schedule');
+const { validateTemplate } = require('./templates');
+const { validateNtfyOptions } = require('./ntfy');
+const { createPartitionTracker, partitionStatus, ARM_STATES, IN_ALARM, DEFAULT_PARTITION } = require('./partition-state');
+const { validateZoneSelector, matchesZoneSelector } = require('./parser');
+
+const SUPPORTED_CONDITIONS = ['open_duration', 'zone_open', 'zone_event', 'frequency', 'sequence'];
+const ZONE_EVENTS = ['Zone Open', 'Zone Close', 'Zone Alarm', 'Zone Trouble', 'Zone Tamper', 'Zone Restore'];
+const SUPPORTED_ACTIONS = ['email', 'ntfy', 'both'];
+const WEBHOOK_ACTION = /^webhook:([\w.-]+)$/;   // "webhook:<name>" -- see webhooks.js
+const RULE_ARM_STATES = ARM_STATES.concat(IN_ALARM);
+const DEFAULT_MINUTES = 20;
+const NO_ZONE_INFO = { type: null, partition: null, groups: [] };
+
+/**
+ * Returns the events a zone_open/zone_event/frequency rule reacts to.
+ * @param {Object} rule
+ * @returns {string[]}
+ */
+function ruleEvents(rule) {
+  if (rule.condition === 'zone_open') return ['Zone Open'];
+  if (rule.event === undefined) return ['Zone Open'];
+  return Array.isArray(rule.event) ? rule.event : [rule.event];
+}
+
+/**
+ * Returns true if an event's zone is one a rule applies to. A frequency rule
+ * without a zone matches every event.
+ * @param {Object} rule
+ * @param {string|null} zoneKey
+ * @param {Object} [zoneInfo] - The zone's settings (see getZoneInfo() in parser.js)
+ * @returns {boolean}
+ */
+function matchesZone(rule, zoneKey, zoneInfo) {
+  if (rule.zone === undefined) return rule.condition === 'frequency';
+  if (zoneKey === null) return false;
+  return toList(rule.zone).some(selector => matchesZoneSelector(selector, zoneKey, zoneInfo || NO_ZONE_INFO));
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Returns true if a parsed event matches one step of a sequence rule. Every
+ * matcher the step sets (zone, event, partition) must match.
+ * @param {Object} step - { zone, event, partition }
+ * @param {Object} parsed - Result of parseSyslogMessage()
+ * @param {Object} [zoneInfo] - The event zone's settings, for group/type selectors
+ * @returns {boolean}
+ */
+function matchesStep(step, parsed, zoneInfo) {
+  if (step.event !== undefined && !toList(step.event).includes(parsed.event)) return false;
+  if (step.zone !== undefined) {
+    if (parsed.zone === null || parsed.zone === undefined) return false;
+    if (!toList(step.zone).some(selector => matchesZoneSelector(selector, parsed.zone, zoneInfo || NO_ZONE_INFO))) return false;
+  }
+  if (step.partition !== undefined && Number(parsed.partition || DEFAULT_PARTITION) !== Number(step.partition)) return false;
+  return true;
+}
+
+function validateZones(zone, label, errors) {
+  if (Array.isArray(zone) ? zone.length === 0 : zone === null || zone === '') {
+    errors.push(`${label} must be a zone number or a list of zone numbers`);
+    return;
+  }
+  for (const selector of toList(zone)) {
+    const problem = validateZoneSelector(selector);
+    if (problem) errors.push(`${label}: ${problem}`);
+  }
+}
+
+function validateSequence(rule, label, errors) {
+  const steps = rule.steps;
+  if (!(typeof rule.withinSeconds === 'number' && rule.withinSeconds > 0)) {
+    errors.push(`${label}: withinSeconds must be a positive number`);
+  }
+  if (!Array.isArray(steps) || steps.length !== 2) {
+    errors.push(`${label}: steps must be a list of two steps`);
+    return;
+  }
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`${label}: steps[${i}] must be an object`);
+      return;
+    }
+    if (step.zone === undefined && step.event === undefined) {
+      errors.push(`${label}: steps[${i}] needs a zone or an event`);
+    }
+    if (step.zone !== undefined) validateZones(step.zone, `${label}: steps[${i}].zone`, errors);
+    if (step.partition !== undefined && !(Number.isInteger(Number(step.partition)) && Number(step.partition) > 0)) {
+      errors.push(`${label}: steps[${i}].partition must be a positive integer`);
+    }
+  });
+  if (steps.every(step => step && step.not)) {
+    errors.push(`${label}: only one step can be "not"`);
+  }
+}
+
+/**
+ * Validates a parsed rules.json array.
+ * @param {*} rules - Parsed JSON
+ * @param {Object} [options]
+ * @param {Object} [options.location] - { latitude, longitude } for sunrise/sunset schedules
+ * @param {string[]} [options.webhooks] - Known webhook names (unchecked if omitted)
+ * @returns {Object[]} The same rules if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateRules(rules, options) {
+  options = options || {};
+  if (!Array.isArray(rules)) {
+    throw new Error('rules must be a JSON array');
+  }
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`rule ${i}: must be an object`);
+      return;
+    }
+    const label = `rule ${i}${rule.description ? ` ("${rule.description}")` : ''}`;
+
+    if (!SUPPORTED_CONDITIONS.includes(rule.condition)) {
+      errors.push(`${label}: unsupported condition "${rule.condition}"`);
+    }
+    if (rule.condition === 'frequency') {
+      if (rule.zone !== undefined) validateZones(rule.zone, `${label}: zone`, errors);
+      if (!(Number.isInteger(rule.count) && rule.count > 0)) {
+        errors.push(`${label}: count must be a positive integer`);
+      }
+      for (const eventName of ruleEvents(rule)) {
+        if (typeof eventName !== 'string' || !eventName) {
+          errors.push(`${label}: event must be an event name or a list of event names`);
+        }
+      }
+    } else if (rule.condition === 'sequence') {
+      validateSequence(rule, label, errors);
+    } else if (rule.zone === undefined || rule.zone === null || rule.zone === '' || Array.isArray(rule.zone)) {
+      errors.push(`${label}: zone is required`);
+    } else {
+      validateZones(rule.zone, `${label}: zone`, errors);
+    }
+    const webhookAction = typeof rule.action === 'string' && WEBHOOK_ACTION.exec(rule.action);
+    if (webhookAction) {
+      if (options.webhooks && !options.webhooks.includes(webhookAction[1])) {
+        errors.push(`${label}: unknown webhook "${webhookAction[1]}"`);
+      }
+    } else if (!SUPPORTED_ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: unsupported action "${rule.action}"`);
+    }
+    if (rule.armState !== undefined) {
+      const states = Array.isArray(rule.armState) ? rule.armState : [rule.armState];
+      for (const state of states) {
+        if (!RULE_ARM_STATES.includes(state)) {
+          errors.push(`${label}: unsupported armState "${state}" (expected one of ${RULE_ARM_STATES.join(', ')})`);
+        }
+      }
+    }
+    if (rule.condition === 'zone_event' && rule.event !== undefined) {
+      for (const eventName of ruleEvents(rule)) {
+        if (!ZONE_EVENTS.includes(eventName)) {
+          errors.push(`${label}: unsupported event "${eventName}" (expected one of ${ZONE_EVENTS.join(', ')})`);
+        }
+      }
+    }
+    if (rule.schedule !== undefined) {
+      for (const problem of validateSchedule(rule.schedule, options.location)) {
+        errors.push(`${label}: ${problem}`);
+      }
+    }
+    if (rule.template !== undefined) {
+      for (const problem of validateTemplate(rule.template)) {
+        errors.push(`${label}: ${problem}`);
+      }
+    }
+    if (rule.ntfy !== undefined) {
+      for (const problem of validateNtfyOptions(rule.ntfy)) {
+        errors.push(`${label}: ${problem}`);
+      }
+    }
+    if (rule.partition !== undefined && !(Number.isInteger(Number(rule.partition)) && Number(rule.partition) > 0)) {
+      errors.push(`${label}: partition must be a positive integer`);
+    }
+    for (const field of ['minutes', 'repeatInterval', 'maxRepeats', 'cooldown']) {
+      if (rule[field] !== undefined && !(typeof rule[field] === 'number' && rule[field] >= 0)) {
+        errors.push(`${label}: ${field} must be a non-negative number`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return rules;
+}
+
+/**
+ * Returns the identity used to match a rule across reloads.
+ * @param {Object} rule
+ * @returns {string}
+ */
+function ruleIdentity(rule) {
+  return rule.id !== undefined ? `id:${rule.id}` : `json:${JSON.stringify(rule)}`;
+}
+
+/**
+ * Returns true if a rule's armState condition (if any) matches the current
+ * state of its partition. "Armed" matches any armed state, and "In Alarm"
+ * matches a partition with an active alarm. A rule with an armState never
+ * matches before the partition's state is known.
+ * @param {Object} rule
+ * @param {Object} armStates - partition -> { state, since, user, alarm } (see partition-state.js)
+ * @param {number|string} [partition] - The rule's partition (default: rule.partition, else 1)
+ * @returns {boolean}
+ */
+function matchesArmState(rule, armStates, partition) {
+  if (rule.armState === undefined) return true;
+  const current = armStates[String(partition || rule.partition || DEFAULT_PARTITION)];
+  if (!current) return false;
+  const wanted = Array.isArray(rule.armState) ? rule.armState : [rule.armState];
+  return wanted.some(state => {
+    if (state === IN_ALARM) return !!current.alarm;
+    return !!current.state && (state === current.state || (state === 'Armed' && current.state.startsWith('Armed')));
+  });
+}
+
+/**
+ * Creates a rules engine.
+ * @param {Object} options
+ * @param {Object[]} [options.rules] - Validated rules
+ * @param {Function} [options.getZoneName] - (zoneKey) => friendly name
+ * @param {Function} [options.onAlert] - Called with an alert object when a rule triggers
+ * @param {Function} [options.log] - Logger
+ * @param {boolean|Function} [options.debug] - Log timer activity: true to use options.log, or a logger of its own
+ * @param {Object} [options.clock] - { now, setTimeout, clearTimeout } (defaults to the real clock)
+ * @param {Object} [options.scheduleDefaults] - { timezone, latitude, longitude } for rule schedules
+ * @param {Function} [options.onChange] - Called after the open times, arm states or timers change
+ * @param {Object} [options.partitions] - Partition tracker from createPartitionTracker() (default: the engine's own)
+ * @param {Function} [options.getZoneInfo] - (zoneKey) => the zone's settings from zones.json (see getZoneInfo() in parser.js)
+ * @returns {Object} Engine with evaluate(), setRules(), getRules(), snooze(), getSnoozes(), getPendingTimers(), getOpenTimes(), getArmStates(), getState(), restoreState() and stop()
+ */
+function createRulesEngine(options) {
+  options = options || {};
+  const getZoneName = options.getZoneName || (zoneKey => `Zone ${zoneKey}`);
+  const onAlert = options.onAlert || (() => {});
+  const log = options.log || (() => {});
+  const logDebug = typeof options.debug === 'function' ? options.debug : (options.debug ? log : () => {});
+  const scheduleDefaults = options.scheduleDefaults || {};
+  const onChange = options.onChange || (() => {});
+  const getZoneInfo = options.getZoneInfo || (() => NO_ZONE_INFO);
+  const clock = options.clock || {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+  };
+
+  let rules = options.rules || [];
+  let timers = {};            // "zone:ruleIndex" -> timer entry
+  const openTimes = {};       // zone -> Date when opened
+  const partitions = options.partitions || createPartitionTracker({ clock, log });
+  const frequency = {};       // rule identity -> { hits: [ms], cooldownUntil }
+  const sequences = {};       // rule identity -> { lastFirst, pending }
+  const snoozes = {};         // rule id -> ms until which its alerts are dropped
+  let changed = false;        // snapshot state changed since the last onChange
+
+  function flushChange() {
+    if (!changed) return;
+    changed = false;
+    try {
+      onChange();
+    } catch (err) {
+      log(`State change handler failed: ${err.message}`);
+    }
+  }
+
+  function timerKey(entry) {
+    return `${entry.zone}:${entry.ruleIndex}`;
+  }
+
+  function startTimer(entry, delayMs) {
+    entry.dueAt = clock.now() + delayMs;
+    entry.handle = clock.setTimeout(() => fire(entry), delayMs);
+    timers[timerKey(entry)] = entry;
+    changed = true;
+  }
+
+  function cancelTimer(key) {
+    clock.clearTimeout(timers[key].handle);
+    delete timers[key];
+    changed = true;
+  }
+
+  function fire(entry) {
+    const key = timerKey(entry);
+    if (timers[key] !== entry) return;  // cancelled or replaced by a reload
+
+    const rule = entry.rule;
+    const zoneName = getZoneName(entry.zone);
+    const openedAt = openTimes[entry.zone] || new Date(clock.now());
+    const totalMinutes = Math.round((clock.now() - openedAt.getTime()) / (60 * 1000));
+    const repeatCount = entry.repeatCount;
+    const isRepeat = repeatCount > 0;
+    const label = isRepeat ? 'still open' : 'has been open';
+    const restarted = !!entry.restarted;
+    entry.restarted = false;
+
+    log(`Alert rule triggered: ${zoneName} ${label} for ${totalMinutes}+ minutes${isRepeat ? ` (repeat ${repeatCount})` : ''}${restarted ? ' (overdue after restart)' : ''}`);
+
+    // Schedule repeat alert if configured
+    const repeatIntervalMs = (rule.repeatInterval || 0) * 60 * 1000;
+    const nextRepeat = repeatCount + 1;
+    const maxRepeats = rule.maxRepeats || 0;  // 0 = unlimited
+
+    if (repeatIntervalMs > 0 && (maxRepeats === 0 || nextRepeat <= maxRepeats)) {
+      entry.repeatCount = nextRepeat;
+      startTimer(entry, repeatIntervalMs);
+      logDebug(`Repeat timer set: ${zoneName} (rule ${entry.ruleIndex}) will alert again in ${rule.repeatInterval} min`);
+    } else {
+      delete timers[key];
+      changed = true;
+    }
+    flushChange();
+
+    return notify({
+      rule,
+      ruleIndex: entry.ruleIndex,
+      zone: entry.zone,
+      zoneName,
+      event: 'Zone Open',
+      openedAt,
+      minutes: totalMinutes,
+      repeatCount,
+      restarted
+    });
+  }
+
+  function ruleMatchesZone(rule, zoneKey) {
+    return matchesZone(rule, zoneKey, zoneKey !== null ? getZoneInfo(zoneKey) : NO_ZONE_INFO);
+  }
+
+  // The rule's own partition, else the partition of the zone it fired for
+  // (or of its single zone number), else the default
+  function rulePartition(rule, zoneKey) {
+    if (rule.partition !== undefined) return rule.partition;
+    if ((zoneKey === null || zoneKey === undefined) && /^\d+$/.test(String(rule.zone))) zoneKey = String(rule.zone);
+    const zonePartition = zoneKey !== null && zoneKey !== undefined ? getZoneInfo(zoneKey).partition : null;
+    return zonePartition || DEFAULT_PARTITION;
+  }
+
+  // Arm state and schedule conditions shared by every rule type
+  function isActive(rule, date, zoneKey) {
+    return matchesArmState(rule, partitions.getAll(), rulePartition(rule, zoneKey)) && isInSchedule(rule.schedule, date, scheduleDefaults);
+  }
+
+  function notify(alert) {
+    const id = alert.rule.id;
+    if (id !== undefined && snoozes[id] > clock.now()) {
+      log(`Alert dropped: rule "${id}" is snoozed until ${new Date(snoozes[id]).toISOString()}`);
+      return Promise.resolve();
+    }
+    const current = partitions.get(rulePartition(alert.rule, alert.zone));
+    alert.condition = alert.rule.condition;
+    alert.armState = current ? current.state : null;
+    return Promise.resolve()
+      .then(() => onAlert(alert))
+      .catch(err => log(`Alert handler failed: ${err.message}`));
+  }
+
+  // Cancels timers for rules that only run in an arm state we just left
+  function cancelInactiveTimers(parsed) {
+    const armStates = partitions.getAll();
+    for (const key of Object.keys(timers)) {
+      const entry = timers[key];
+      if (entry.rule.armState !== undefined && !matchesArmState(entry.rule, armStates, rulePartition(entry.rule, entry.zone))) {
+        logDebug(`Timer cancelled: ${getZoneName(entry.zone)} (rule ${entry.ruleIndex}) -- partition is now ${parsed.event}`);
+        cancelTimer(key);
+      }
+    }
+  }
+
+  /**
+   * Evaluates a parsed event, starting or cancelling rule timers.
+   * @param {Object} parsed - Result of parseSyslogMessage()
+   */
+  function evaluate(parsed) {
+    const now = new Date(clock.now());
+    if (partitions.update(parsed)) {
+      changed = true;
+      cancelInactiveTimers(parsed);
+    }
+    if (parsed.zone !== null) {
+      evaluateZoneEvent(parsed, now);
+    }
+    countFrequency(parsed, now);
+    evaluateSequences(parsed, now);
+    flushChange();
+  }
+
+  function evaluateZoneEvent(parsed, now) {
+    const zoneKey = String(parsed.zone);
+
+    if (parsed.event === 'Zone Open') {
+      openTimes[zoneKey] = now;
+      changed = true;
+    }
+
+    rules.forEach((rule, ruleIndex) => {
+      if (rule.condition === 'frequency' || !ruleMatchesZone(rule, zoneKey)) return;
+
+      if (rule.condition === 'zone_open' || rule.condition === 'zone_event') {
+        if (!ruleEvents(rule).includes(parsed.event) || !isActive(rule, now, zoneKey)) return;
+        const armState = rule.armState !== undefined ? ` while ${partitionStatus(partitions.get(rulePartition(rule, zoneKey)))}` : '';
+        log(`Alert rule triggered: ${getZoneName(zoneKey)} -- ${parsed.event}${armState}`);
+        notify({ rule, ruleIndex, zone: zoneKey, zoneName: getZoneName(zoneKey), event: parsed.event, parsed, at: now, openedAt: openTimes[zoneKey] || now, minutes: 0, repeatCount: 0 });
+        return;
+      }
+
+      if (rule.condition === 'open_duration' && parsed.event === 'Zone Open') {
+        // Clear any existing timer and repeat count for this specific rule
+        const key = `${zoneKey}:${ruleIndex}`;
+        if (timers[key]) cancelTimer(key);
+        if (!isActive(rule, now, zoneKey)) return;
+
+        startTimer({ zone: zoneKey, ruleIndex, rule, repeatCount: 0 }, (rule.minutes || DEFAULT_MINUTES) * 60 * 1000);
+
+        logDebug(`Timer set: ${getZoneName(zoneKey)} (rule ${ruleIndex}) will alert in ${rule.minutes || DEFAULT_MINUTES} min if not closed`);
+      }
+    });
+
+    if (parsed.event === 'Zone Close') {
+      // Cancel all pending timers for this zone
+      let cleared = 0;
+      for (const key of Object.keys(timers)) {
+        if (key.startsWith(`${zoneKey}:`)) {
+          cancelTimer(key);
+          cleared++;
+        }
+      }
+      if (openTimes[zoneKey]) {
+        delete openTimes[zoneKey];
+        changed = true;
+      }
+      if (cleared > 0) logDebug(`Timer(s) cleared: zone ${zoneKey} closed before alert`);
+    }
+  }
+
+  function countFrequency(parsed, now) {
+    const zoneKey = parsed.zone !== null && parsed.zone !== undefined ? String(parsed.zone) : null;
+    rules.forEach((rule, ruleIndex) => {
+      if (rule.condition !== 'frequency') return;
+      if (!ruleMatchesZone(rule, zoneKey) || !ruleEvents(rule).includes(parsed.event) || !isActive(rule, now, zoneKey)) return;
+
+      const identity = ruleIdentity(rule);
+      const state = frequency[identity] || (frequency[identity] = { hits: [], cooldownUntil: 0 });
+      const nowMs = now.getTime();
+      if (nowMs < state.cooldownUntil) return;
+
+      const windowMs = (rule.minutes || DEFAULT_MINUTES) * 60 * 1000;
+      state.hits.push(nowMs);
+      while (state.hits.length > 0 && (state.hits[0] <= nowMs - windowMs || state.hits.length > rule.count)) {
+        state.hits.shift();
+      }
+      logDebug(`Frequency: rule ${ruleIndex} has ${state.hits.length}/${rule.count} ${parsed.event} event(s) in the last ${rule.minutes || DEFAULT_MINUTES} min`);
+      if (state.hits.length < rule.count) return;
+
+      const firstAt = new Date(state.hits[0]);
+      state.hits = [];
+      state.cooldownUntil = nowMs + (rule.cooldown !== undefined ? rule.cooldown : (rule.minutes || DEFAULT_MINUTES)) * 60 * 1000;
+
+      const zoneName = zoneKey !== null ? getZoneName(zoneKey) : null;
+      log(`Alert rule triggered: ${rule.count} ${parsed.event} event(s)${zoneName ? ` (latest ${zoneName})` : ''} within ${rule.minutes || DEFAULT_MINUTES} min`);
+      notify({ rule, ruleIndex, zone: zoneKey, zoneName, event: parsed.event, parsed, at: now, firstAt, count: rule.count, minutes: rule.minutes || DEFAULT_MINUTES, repeatCount: 0 });
+    });
+  }
+
+  function evaluateSequences(parsed, now) {
+    const zoneKey = parsed.zone !== null && parsed.zone !== undefined ? String(parsed.zone) : null;
+    const zoneInfo = zoneKey !== null ? getZoneInfo(zoneKey) : NO_ZONE_INFO;
+    rules.forEach((rule, ruleIndex) => {
+      if (rule.condition !== 'sequence') return;
+      const [first, then] = rule.steps;
+      const identity = ruleIdentity(rule);
+      const state = sequences[identity] || (sequences[identity] = { lastFirst: null, pending: null });
+      const windowMs = rule.withinSeconds * 1000;
+      const nowMs = now.getTime();
+
+      // Check the second step before recording the first, so one event
+      // matching both steps never pairs with itself
+      if (matchesStep(then, parsed, zoneInfo)) {
+        if (then.not) {
+          if (state.pending) {
+            clock.clearTimeout(state.pending.handle);
+            state.pending = null;
+            logDebug(`Sequence: rule ${ruleIndex} satisfied by ${parsed.event}`);
+          }
+        } else {
+          const recent = state.lastFirst !== null && nowMs - state.lastFirst.at <= windowMs;
+          if (recent !== !!first.not && isActive(rule, now, zoneKey)) {
+            const firstEvent = first.not ? null : state.lastFirst;
+            state.lastFirst = null;
+            log(`Alert rule triggered: sequence ${rule.description ? `"${rule.description}"` : `rule ${ruleIndex}`} -- ${parsed.event}`);
+            notify(sequenceAlert(rule, ruleIndex, parsed, now, firstEvent));
+          }
+        }
+      }
+
+      if (matchesStep(first, parsed, zoneInfo)) {
+        state.lastFirst = { at: nowMs, event: parsed.event, zone: parsed.zone };
+        if (then.not && !state.pending && isActive(rule, now, zoneKey)) {
+          const pending = { dueAt: nowMs + windowMs, firstEvent: state.lastFirst, parsed };
+          pending.handle = clock.setTimeout(() => {
+            if (sequences[identity] !== state || state.pending !== pending) return;
+            state.pending = null;
+            const currentIndex = rules.findIndex(r => ruleIdentity(r) === identity);
+            if (currentIndex < 0) return;
+            const current = rules[currentIndex];
+            log(`Alert rule triggered: sequence ${current.description ? `"${current.description}"` : `rule ${currentIndex}`} -- no follow-up within ${current.withinSeconds}s`);
+            notify(sequenceAlert(current, currentIndex, pending.parsed, new Date(clock.now()), pending.firstEvent));
+          }, windowMs);
+          state.pending = pending;
+          logDebug(`Sequence: rule ${ruleIndex} waiting ${rule.withinSeconds}s for a follow-up to ${parsed.event}`);
+        }
+      }
+    });
+  }
+
+  function sequenceAlert(rule, ruleIndex, parsed, at, firstEvent) {
+    const zoneKey = parsed.zone !== null && parsed.zone !== undefined ? String(parsed.zone) : null;
+    return {
+      rule,
+      ruleIndex,
+      zone: zoneKey,
+      zoneName: zoneKey !== null ? getZoneName(zoneKey) : null,
+      event: parsed.event,
+      parsed,
+      at,
+      firstAt: firstEvent ? new Date(firstEvent.at) : null,
+      seconds: rule.withinSeconds,
+      repeatCount: 0
+    };
+  }
+
+  function clearSequence(identity) {
+    const state = sequences[identity];
+    if (state && state.pending) clock.clearTimeout(state.pending.handle);
+    delete sequences[identity];
+  }
+
+  /**
+   * Replaces the active rules, carrying over pending timers whose rule still
+   * exists and cancelling the rest.
+   * @param {Object[]} newRules - Validated rules
+   * @returns {Object} { kept, cancelled } timer counts
+   */
+  function setRules(newRules) {
+    const available = new Map();
+    newRules.forEach((rule, i) => {
+      const identity = ruleIdentity(rule);
+      if (!available.has(identity)) available.set(identity, []);
+      available.get(identity).push(i);
+    });
+
+    const carried = [];
+    let cancelled = 0;
+    for (const key of Object.keys(timers)) {
+      const entry = timers[key];
+      const candidates = available.get(ruleIdentity(entry.rule)) || [];
+      const matchIndex = candidates.findIndex(i => ruleMatchesZone(newRules[i], entry.zone));
+      if (matchIndex < 0) {
+        logDebug(`Timer cancelled: ${getZoneName(entry.zone)} (rule ${entry.ruleIndex}) was removed`);
+        cancelTimer(key);
+        cancelled++;
+        continue;
+      }
+      const newIndex = candidates.splice(matchIndex, 1)[0];
+      carried.push({ entry, newIndex });
+    }
+
+    const rescheduled = [];
+    timers = {};
+    for (const { entry, newIndex } of carried) {
+      const newRule = newRules[newIndex];
+      if ((newRule.minutes || DEFAULT_MINUTES) !== (entry.rule.minutes || DEFAULT_MINUTES)) {
+        rescheduled.push(entry);
+      }
+      entry.ruleIndex = newIndex;
+      entry.rule = newRule;
+      timers[timerKey(entry)] = entry;
+    }
+
+    // A rule matched by id may have a new duration -- re-measure it from the open time
+    for (const entry of rescheduled) {
+      if (entry.repeatCount > 0 || !openTimes[entry.zone]) continue;
+      clock.clearTimeout(entry.handle);
+      const dueAt = openTimes[entry.zone].getTime() + (entry.rule.minutes || DEFAULT_MINUTES) * 60 * 1000;
+      startTimer(entry, Math.max(0, dueAt - clock.now()));
+    }
+
+    // Frequency windows and sequences follow their rule's identity; drop those of removed rules
+    const identities = new Set(newRules.map(ruleIdentity));
+    for (const identity of Object.keys(frequency)) {
+      if (!identities.has(identity)) delete frequency[identity];
+    }
+    for (const identity of Object.keys(sequences)) {
+      if (!identities.has(identity)) clearSequence(identity);
+    }
+
+    rules = newRules;
+    flushChange();
+    return { kept: carried.length, cancelled };
+  }
+
+  function getRules() {
+    return rules;
+  }
+
+  /**
+   * Drops a rule's alerts for a while. Only rules with an `id` can be snoozed.
+   * @param {string} id - The rule's id
+   * @param {number} minutes - How long to snooze (0 ends a snooze)
+   * @returns {Date|null} When the snooze ends, or null if no rule has this id
+   */
+  function snooze(id, minutes) {
+    if (!rules.some(rule => rule.id !== undefined && String(rule.id) === String(id))) return null;
+    const until = clock.now() + minutes * 60 * 1000;
+    if (minutes > 0) {
+      snoozes[id] = until;
+      log(`Rule "${id}" snoozed for ${minutes} minute(s)`);
+    } else {
+      delete snoozes[id];
+      log(`Rule "${id}" snooze ended`);
+    }
+    changed = true;
+    flushChange();
+    return new Date(until);
+  }
+
+  /**
+   * Returns the rules that are currently snoozed.
+   * @returns {Object[]} { id, until }
+   */
+  function getSnoozes() {
+    const now = clock.now();
+    return Object.keys(snoozes)
+      .filter(id => snoozes[id] > now)
+      .map(id => ({ id, until: new Date(snoozes[id]) }));
+  }
+
+  /**
+   * Returns the pending rule timers.
+   * @returns {Object[]} { zone, ruleIndex, rule, openedAt, dueAt, repeatCount }
+   */
+  function getPendingTimers() {
+    return Object.values(timers).map(entry => ({
+      zone: entry.zone,
+      ruleIndex: entry.ruleIndex,
+      rule: entry.rule,
+      openedAt: openTimes[entry.zone] || null,
+      dueAt: new Date(entry.dueAt),
+      repeatCount: entry.repeatCount
+    }));
+  }
+
+  function getOpenTimes() {
+    return Object.assign({}, openTimes);
+  }
+
+  /**
+   * Returns the last known arm state of each partition.
+   * @returns {Object} partition -> { state, since, user }
+   */
+  function getArmStates() {
+    return partitions.getAll();
+  }
+
+  /**
+   * Returns a JSON-serializable snapshot of the open times, arm states,
+   * snoozes and pending open_duration timers. Timers refer to their rule by
+   * identity.
+   * @returns {Object} { openTimes, armStates, snoozes, timers }
+   */
+  function getState() {
+    const snapshotOpenTimes = {};
+    for (const zone of Object.keys(openTimes)) snapshotOpenTimes[zone] = openTimes[zone].toISOString();
+    return {
+      openTimes: snapshotOpenTimes,
+      armStates: partitions.getState(),
+      snoozes: Object.fromEntries(getSnoozes().map(({ id, until }) => [id, until.toISOString()])),
+      timers: Object.values(timers).map(entry => ({
+        zone: entry.zone,
+        rule: ruleIdentity(entry.rule),
+        dueAt: new Date(entry.dueAt).toISOString(),
+        repeatCount: entry.repeatCount
+      }))
+    };
+  }
+
+  /**
+   * Restores a snapshot from getState(), typically after a restart. Timers
+   * are re-armed with their remaining time; overdue ones fire right away
+   * with `restarted: true` on the alert. Timers whose rule no longer exists
+   * are dropped.
+   * @param {Object} state - Snapshot from getState()
+   * @returns {Object} { restored, overdue, dropped } timer counts
+   */
+  function restoreState(state) {
+    const result = { restored: 0, overdue: 0, dropped: 0 };
+    if (!state) return result;
+
+    for (const zone of Object.keys(state.openTimes || {})) {
+      openTimes[zone] = new Date(state.openTimes[zone]);
+    }
+    partitions.restoreState(state.armStates);
+    for (const id of Object.keys(state.snoozes || {})) {
+      const until = new Date(state.snoozes[id]).getTime();
+      if (until > clock.now()) snoozes[id] = until;
+    }
+
+    for (const saved of state.timers || []) {
+      const ruleIndex = rules.findIndex((rule, i) =>
+        rule.condition === 'open_duration' && ruleMatchesZone(rule, saved.zone) &&
+        ruleIdentity(rule) === saved.rule && !timers[`${saved.zone}:${i}`]);
+      if (ruleIndex < 0) {
+        logDebug(`Timer dropped on restore: ${getZoneName(saved.zone)} -- its rule no longer exists`);
+        result.dropped++;
+        continue;
+      }
+
+      const entry = { zone: saved.zone, ruleIndex, rule: rules[ruleIndex], repeatCount: saved.repeatCount || 0 };
+      const remainingMs = new Date(saved.dueAt).getTime() - clock.now();
+      if (remainingMs <= 0) {
+        entry.restarted = true;
+        result.overdue++;
+      }
+      startTimer(entry, Math.max(0, remainingMs));
+      result.restored++;
+    }
+
+    changed = false;
+    return result;
+  }
+
+  /**
+   * Cancels every pending timer, including sequence timers.
+   */
+  function stop() {
+    for (const key of Object.keys(timers)) cancelTimer(key);
+    for (const identity of Object.keys(sequences)) clearSequence(identity);
+  }
+
+  return { evaluate, setRules, getRules, snooze, getSnoozes, getPendingTimers, getOpenTimes, getArmStates, getState, restoreState, stop };
+}
+
+module.exports = { createRulesEngine, validateRules, ruleIdentity, matchesArmState, matchesStep, SUPPORTED_CONDITIONS, SUPPORTED_ACTIONS, ARM_STATES, ZONE_EVENTS };
@@ -0,0 +1,849 @@
+const { createRulesEngine, validateRules, matchesArmState, matchesStep } = require('./rules-engine');
+const { parseSyslogMessage, getZoneInfo } = require('./parser');
+
+const testZones = {
+  '2': 'Back Door',
+  '3': 'Garage Door'
+};
+
+const garageRule = {
+  description: 'Garage open 20+ minutes',
+  zone: '3',
+  condition: 'open_duration',
+  minutes: 20,
+  action: 'ntfy',
+  repeatInterval: 30,
+  maxRepeats: 2
+};
+
+const backDoorRule = {
+  description: 'Back door open 10+ minutes',
+  zone: '2',
+  condition: 'open_duration',
+  minutes: 10,
+  action: 'email'
+};
+
+const MINUTE = 60 * 1000;
+
+function event(raw) {
+  return parseSyslogMessage(raw, testZones);
+}
+
+function createEngine(rules) {
+  const alerts = [];
+  const engine = createRulesEngine({
+    rules,
+    getZoneName: (zone) => testZones[zone] || `Zone ${zone}`,
+    onAlert: (alert) => alerts.push(alert)
+  });
+  return { engine, alerts };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ---- validateRules ----
+
+describe('validateRules', () => {
+  test('accepts the sample rules', () => {
+    const rules = require('./rules.sample.json');
+    expect(validateRules(rules)).toBe(rules);
+  });
+
+  test('rejects a non-array', () => {
+    expect(() => validateRules({ zone: '3' })).toThrow('rules must be a JSON array');
+  });
+
+  test('reports every problem with the rule index', () => {
+    expect(() => validateRules([
+      garageRule,
+      { description: 'Broken', zone: '', condition: 'opened_too_long', action: 'sms', minutes: -5 }
+    ])).toThrow('rule 1 ("Broken"): unsupported condition "opened_too_long"; rule 1 ("Broken"): zone is required; ' +
+      'rule 1 ("Broken"): unsupported action "sms"; rule 1 ("Broken"): minutes must be a non-negative number');
+  });
+});
+
+// ---- open_duration ----
+
+describe('createRulesEngine - open_duration', () => {
+  test('alerts when a zone stays open past the threshold', async () => {
+    const { engine, alerts } = createEngine([backDoorRule]);
+    engine.evaluate(event('Zone Open: 2'));
+
+    await jest.advanceTimersByTimeAsync(9 * MINUTE);
+    expect(alerts).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(1 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ zone: '2', zoneName: 'Back Door', minutes: 10, repeatCount: 0, rule: backDoorRule });
+    expect(engine.getPendingTimers()).toHaveLength(0);
+  });
+
+  test('cancels the timer when the zone closes', async () => {
+    const { engine, alerts } = createEngine([backDoorRule]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+    engine.evaluate(event('Zone Close: 2'));
+
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(alerts).toHaveLength(0);
+    expect(engine.getOpenTimes()).toEqual({});
+  });
+
+  test('repeats up to maxRepeats while the zone stays open', async () => {
+    const { engine, alerts } = createEngine([garageRule]);
+    engine.evaluate(event('Zone Open: 3'));
+
+    await jest.advanceTimersByTimeAsync(200 * MINUTE);
+    expect(alerts.map(a => [a.minutes, a.repeatCount])).toEqual([[20, 0], [50, 1], [80, 2]]);
+  });
+
+  test('ignores events for zones without rules', async () => {
+    const { engine, alerts } = createEngine([backDoorRule]);
+    engine.evaluate(event('Zone Open: 3'));
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('lists pending timers with their deadlines', () => {
+    const { engine } = createEngine([garageRule, backDoorRule]);
+    engine.evaluate(event('Zone Open: 3'));
+
+    const timers = engine.getPendingTimers();
+    expect(timers).toHaveLength(1);
+    expect(timers[0]).toMatchObject({ zone: '3', ruleIndex: 0, repeatCount: 0 });
+    expect(timers[0].dueAt.toISOString()).toBe('2026-10-01T12:20:00.000Z');
+  });
+});
+
+// ---- setRules (hot reload) ----
+
+describe('createRulesEngine - setRules', () => {
+  test('keeps timers for rules that still exist, re-indexed', async () => {
+    const { engine, alerts } = createEngine([backDoorRule, garageRule]);
+    engine.evaluate(event('Zone Open: 3'));
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+
+    const result = engine.setRules([garageRule]);
+    expect(result).toEqual({ kept: 1, cancelled: 0 });
+    expect(engine.getPendingTimers()[0].ruleIndex).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].minutes).toBe(20);
+    expect(alerts[0].ruleIndex).toBe(0);
+  });
+
+  test('cancels timers for removed rules', async () => {
+    const { engine, alerts } = createEngine([garageRule, backDoorRule]);
+    engine.evaluate(event('Zone Open: 3'));
+    engine.evaluate(event('Zone Open: 2'));
+
+    const result = engine.setRules([backDoorRule]);
+    expect(result).toEqual({ kept: 1, cancelled: 1 });
+
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+    expect(alerts.map(a => a.zone)).toEqual(['2']);
+  });
+
+  test('treats an edited rule without an id as a new rule', () => {
+    const { engine } = createEngine([garageRule]);
+    engine.evaluate(event('Zone Open: 3'));
+
+    const result = engine.setRules([Object.assign({}, garageRule, { minutes: 5 })]);
+    expect(result).toEqual({ kept: 0, cancelled: 1 });
+  });
+
+  test('re-measures a rule matched by id when its duration changes', async () => {
+    const rule = Object.assign({ id: 'garage' }, garageRule);
+    const { engine, alerts } = createEngine([rule]);
+    engine.evaluate(event('Zone Open: 3'));
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+    engine.setRules([Object.assign({}, rule, { minutes: 10 })]);
+    expect(engine.getPendingTimers()[0].dueAt.toISOString()).toBe('2026-10-01T12:10:00.000Z');
+
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].minutes).toBe(10);
+  });
+
+  test('applies new rules to zones opened after the reload', async () => {
+    const { engine, alerts } = createEngine([]);
+    engine.setRules([backDoorRule]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(alerts).toHaveLength(1);
+  });
+});
+
+// ---- armState ----
+
+describe('createRulesEngine - armState', () => {
+  const motionWhileAway = {
+    description: 'Motion while away',
+    zone: '4',
+    condition: 'zone_open',
+    armState: 'Armed Away',
+    action: 'ntfy'
+  };
+
+  const backDoorWhileNight = Object.assign({}, backDoorRule, {
+    description: 'Back door open 10+ minutes at night',
+    armState: 'Armed Night'
+  });
+
+  test('tracks arm state per partition from CID and text events', () => {
+    const { engine } = createEngine([]);
+    engine.evaluate(event('CID Event: 3442020030'));
+    engine.evaluate(event('Armed Stay'));
+
+    const states = engine.getArmStates();
+    expect(states['2']).toMatchObject({ state: 'Armed Away', user: 3 });
+    expect(states['1'].state).toBe('Armed Stay');
+  });
+
+  test('zone_open alerts immediately only in the matching arm state', async () => {
+    const { engine, alerts } = createEngine([motionWhileAway]);
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+
+    engine.evaluate(event('CID Event: 3442010010'));
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ condition: 'zone_open', zone: '4', armState: 'Armed Away' });
+
+    engine.evaluate(event('CID Event: 1442010010'));
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('"Armed" matches any armed state', () => {
+    const rule = Object.assign({}, motionWhileAway, { armState: 'Armed' });
+    const { engine } = createEngine([rule]);
+
+    engine.evaluate(event('Armed Night'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(true);
+    engine.evaluate(event('Disarmed'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(false);
+  });
+
+  test('uses the rule partition for the arm state', () => {
+    const rule = Object.assign({}, motionWhileAway, { partition: 2 });
+    const { engine } = createEngine([rule]);
+
+    engine.evaluate(event('CID Event: 3442010010'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(false);
+    engine.evaluate(event('CID Event: 3442020010'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(true);
+  });
+
+  test('open_duration only starts its timer in the matching arm state', async () => {
+    const { engine, alerts } = createEngine([backDoorWhileNight]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+    expect(alerts).toHaveLength(0);
+    engine.evaluate(event('Zone Close: 2'));
+
+    engine.evaluate(event('Armed Night'));
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].armState).toBe('Armed Night');
+  });
+
+  test('cancels open_duration timers when the partition leaves the arm state', async () => {
+    const { engine, alerts } = createEngine([backDoorWhileNight]);
+    engine.evaluate(event('Armed Night'));
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+    engine.evaluate(event('Disarmed'));
+    expect(engine.getPendingTimers()).toHaveLength(0);
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('uses the partition the rule\'s zone declares', async () => {
+    const zones = { '4': { name: 'Shop Motion', partition: 2 } };
+    const alerts = [];
+    const engine = createRulesEngine({
+      rules: [motionWhileAway],
+      getZoneInfo: (zone) => getZoneInfo(zones, zone),
+      onAlert: (alert) => alerts.push(alert)
+    });
+
+    engine.evaluate(parseSyslogMessage('CID Event: 3442010010', zones));
+    engine.evaluate(parseSyslogMessage('Zone Open: 4', zones));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+
+    engine.evaluate(parseSyslogMessage('CID Event: 3442020010', zones));
+    engine.evaluate(parseSyslogMessage('Zone Open: 4', zones));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('"In Alarm" matches while the partition has an active alarm', () => {
+    const rule = Object.assign({}, motionWhileAway, { armState: 'In Alarm' });
+    const { engine } = createEngine([rule]);
+
+    engine.evaluate(event('Armed Away'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(false);
+    engine.evaluate(event('Zone Alarm: 3'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(true);
+    expect(matchesArmState(Object.assign({}, rule, { armState: 'Armed Away' }), engine.getArmStates())).toBe(true);
+    engine.evaluate(event('Disarmed'));
+    expect(matchesArmState(rule, engine.getArmStates())).toBe(false);
+  });
+
+  test('validates armState and partition', () => {
+    expect(() => validateRules([Object.assign({}, motionWhileAway, { armState: 'Armed Vacation' })]))
+      .toThrow('unsupported armState "Armed Vacation"');
+    expect(() => validateRules([Object.assign({}, motionWhileAway, { armState: ['Armed Away', 'Armed Night'], partition: 0 })]))
+      .toThrow('partition must be a positive integer');
+    expect(validateRules([Object.assign({}, motionWhileAway, { armState: ['Armed Away', 'Armed Night'] })])).toHaveLength(1);
+  });
+});
+
+// ---- zone_event and schedules ----
+
+describe('createRulesEngine - zone_event and schedules', () => {
+  const tamperRule = {
+    description: 'Garage tamper or trouble',
+    zone: '3',
+    condition: 'zone_event',
+    event: ['Zone Tamper', 'Zone Trouble'],
+    action: 'ntfy'
+  };
+
+  const backDoorAtNight = Object.assign({}, backDoorRule, {
+    description: 'Back door open 10+ minutes overnight',
+    schedule: { times: [{ from: '22:00', to: '06:00' }], timezone: 'UTC' }
+  });
+
+  test('zone_event alerts on each listed event', async () => {
+    const { engine, alerts } = createEngine([tamperRule]);
+    engine.evaluate(event('Zone Open: 3'));
+    engine.evaluate(event('Zone Tamper: 3'));
+    engine.evaluate(event('Zone Trouble: 3'));
+    await Promise.resolve();
+    expect(alerts.map(a => [a.condition, a.event])).toEqual([['zone_event', 'Zone Tamper'], ['zone_event', 'Zone Trouble']]);
+  });
+
+  test('zone_event defaults to Zone Open', async () => {
+    const { engine, alerts } = createEngine([{ zone: '3', condition: 'zone_event', action: 'email' }]);
+    engine.evaluate(event('Zone Close: 3'));
+    engine.evaluate(event('Zone Open: 3'));
+    await Promise.resolve();
+    expect(alerts.map(a => a.event)).toEqual(['Zone Open']);
+  });
+
+  test('zone_event only alerts inside its schedule', async () => {
+    const rule = Object.assign({}, tamperRule, { schedule: { days: 'weekends', timezone: 'UTC' } });
+    const { engine, alerts } = createEngine([rule]);
+    engine.evaluate(event('Zone Tamper: 3')); // Thursday
+    jest.setSystemTime(new Date('2026-10-03T12:00:00Z')); // Saturday
+    engine.evaluate(event('Zone Tamper: 3'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('open_duration only starts its timer inside its schedule', async () => {
+    const { engine, alerts } = createEngine([backDoorAtNight]);
+    engine.evaluate(event('Zone Open: 2'));
+    expect(engine.getPendingTimers()).toHaveLength(0);
+    engine.evaluate(event('Zone Close: 2'));
+
+    jest.setSystemTime(new Date('2026-10-01T23:00:00Z'));
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('validates events and schedules', () => {
+    expect(() => validateRules([Object.assign({}, tamperRule, { event: 'Zone Wobble' })]))
+      .toThrow('rule 0 ("Garage tamper or trouble"): unsupported event "Zone Wobble"');
+    expect(() => validateRules([Object.assign({}, tamperRule, { schedule: { times: [{ from: 'sunset', to: '06:00' }] } })]))
+      .toThrow('schedule.times[0].from: "sunset" requires --latitude and --longitude');
+    expect(validateRules([Object.assign({}, tamperRule, { schedule: { times: [{ from: 'sunset', to: '06:00' }] } })],
+      { location: { latitude: 40.7, longitude: -74 } })).toHaveLength(1);
+  });
+});
+
+// ---- frequency ----
+
+describe('createRulesEngine - zone groups and types', () => {
+  const zones = {
+    '1': { name: 'Front Door', type: 'door', groups: ['perimeter'] },
+    '2': { name: 'Back Door', type: 'door', groups: ['perimeter'], partition: 2 },
+    '4': { name: 'Hall Motion', type: 'motion' }
+  };
+
+  function createZoneEngine(rules) {
+    const alerts = [];
+    const engine = createRulesEngine({
+      rules,
+      getZoneName: (zone) => getZoneInfo(zones, zone).name,
+      getZoneInfo: (zone) => getZoneInfo(zones, zone),
+      onAlert: (alert) => alerts.push(alert)
+    });
+    return { engine, alerts };
+  }
+
+  function zoneEvent(raw) {
+    return parseSyslogMessage(raw, zones);
+  }
+
+  test('times each zone of a group rule separately', async () => {
+    const rule = { description: 'Perimeter door left open', zone: 'group:perimeter', condition: 'open_duration', minutes: 10, action: 'ntfy' };
+    const { engine, alerts } = createZoneEngine([rule]);
+    engine.evaluate(zoneEvent('Zone Open: 1'));
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+    engine.evaluate(zoneEvent('Zone Open: 2'));
+    engine.evaluate(zoneEvent('Zone Open: 4'));
+    expect(engine.getPendingTimers().map(t => t.zone)).toEqual(['1', '2']);
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(alerts.map(a => a.zoneName)).toEqual(['Front Door', 'Back Door']);
+  });
+
+  test('matches zone events by type', async () => {
+    const rule = { zone: 'type:motion', condition: 'zone_open', action: 'ntfy' };
+    const { engine, alerts } = createZoneEngine([rule]);
+    engine.evaluate(zoneEvent('Zone Open: 1'));
+    engine.evaluate(zoneEvent('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts.map(a => a.zone)).toEqual(['4']);
+  });
+
+  test('checks the arm state of the partition of the zone that fired', async () => {
+    const rule = { zone: 'group:perimeter', condition: 'zone_open', armState: 'Armed Away', action: 'ntfy' };
+    const { engine, alerts } = createZoneEngine([rule]);
+    engine.evaluate(zoneEvent('CID Event: 3442020010'));
+    engine.evaluate(zoneEvent('Zone Open: 1'));
+    engine.evaluate(zoneEvent('Zone Open: 2'));
+    await Promise.resolve();
+    expect(alerts.map(a => [a.zone, a.armState])).toEqual([['2', 'Armed Away']]);
+  });
+
+  test('counts frequency events and matches sequence steps by group and type', async () => {
+    const { engine, alerts } = createZoneEngine([
+      { condition: 'frequency', zone: ['group:perimeter', '4'], event: 'Zone Open', count: 3, minutes: 5, action: 'email' },
+      { condition: 'sequence', steps: [{ zone: 'type:door', event: 'Zone Open' }, { zone: 'type:motion', event: 'Zone Open' }], withinSeconds: 30, action: 'ntfy' }
+    ]);
+    engine.evaluate(zoneEvent('Zone Open: 1'));
+    engine.evaluate(zoneEvent('Zone Open: 2'));
+    engine.evaluate(zoneEvent('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts.map(a => a.condition).sort()).toEqual(['frequency', 'sequence']);
+  });
+
+  test('keeps a group rule\'s timers across a reload and a restart', async () => {
+    const rule = { id: 'perimeter', zone: 'group:perimeter', condition: 'open_duration', minutes: 10, action: 'ntfy' };
+    const { engine } = createZoneEngine([rule]);
+    engine.evaluate(zoneEvent('Zone Open: 2'));
+    expect(engine.setRules([Object.assign({}, rule)])).toEqual({ kept: 1, cancelled: 0 });
+
+    const restored = createZoneEngine([rule]).engine;
+    expect(restored.restoreState(JSON.parse(JSON.stringify(engine.getState())))).toMatchObject({ restored: 1, dropped: 0 });
+    engine.stop();
+    restored.stop();
+  });
+
+  test('validates zone selectors', () => {
+    expect(() => validateRules([
+      { zone: 'group:back porch', condition: 'zone_open', action: 'ntfy' },
+      { zone: ['type:door', 'type:garage'], condition: 'frequency', count: 2, action: 'ntfy' },
+      { condition: 'sequence', steps: [{ zone: 'upstairs' }, { event: 'Alarm' }], withinSeconds: 10, action: 'ntfy' }
+    ])).toThrow('rule 0: zone: "group:back porch": group names can only contain letters, digits, "-" and "_"; ' +
+      'rule 1: zone: "type:garage": unknown zone type (expected one of door, window, motion, smoke, co, glassbreak); ' +
+      'rule 2: steps[0].zone: "upstairs" must be a zone number, "group:<name>" or "type:<type>"');
+  });
+});
+
+describe('createRulesEngine - frequency', () => {
+  const shedBursts = {
+    description: 'Shed door opened 3+ times in 10 minutes',
+    zone: '5',
+    condition: 'frequency',
+    count: 3,
+    minutes: 10,
+    cooldown: 30,
+    action: 'ntfy'
+  };
+
+  async function advance(minutes) {
+    await jest.advanceTimersByTimeAsync(minutes * MINUTE);
+  }
+
+  test('alerts when the count is reached inside the window', async () => {
+    const { engine, alerts } = createEngine([shedBursts]);
+    engine.evaluate(event('Zone Open: 5'));
+    await advance(4);
+    engine.evaluate(event('Zone Open: 5'));
+    await advance(4);
+    engine.evaluate(event('Zone Open: 5'));
+    await Promise.resolve();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ condition: 'frequency', zone: '5', event: 'Zone Open', count: 3, minutes: 10 });
+    expect(alerts[0].firstAt.toISOString()).toBe('2026-10-01T12:00:00.000Z');
+  });
+
+  test('slides the window past old events', async () => {
+    const { engine, alerts } = createEngine([shedBursts]);
+    engine.evaluate(event('Zone Open: 5'));
+    await advance(6);
+    engine.evaluate(event('Zone Open: 5'));
+    await advance(6);
+    engine.evaluate(event('Zone Open: 5'));  // the first open is now 12 minutes old
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+
+    await advance(1);
+    engine.evaluate(event('Zone Open: 5'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('sends one alert per burst until the cooldown ends', async () => {
+    const { engine, alerts } = createEngine([shedBursts]);
+    for (let i = 0; i < 9; i++) engine.evaluate(event('Zone Open: 5'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+
+    await advance(30);
+    for (let i = 0; i < 3; i++) engine.evaluate(event('Zone Open: 5'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(2);
+  });
+
+  test('counts an event type across every zone when no zone is given', async () => {
+    const rule = { description: 'Alarm storm', condition: 'frequency', event: ['Alarm', 'Zone Alarm'], count: 3, minutes: 60, action: 'email' };
+    const { engine, alerts } = createEngine([rule]);
+    engine.evaluate(event('Zone Alarm: 2'));
+    engine.evaluate(event('Zone Open: 2'));
+    engine.evaluate(event('Zone Alarm: 3'));
+    engine.evaluate(event('CID Event: 1130010040'));
+    await Promise.resolve();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ event: 'Alarm', count: 3 });
+  });
+
+  test('counts a group of zones together', async () => {
+    const rule = Object.assign({}, shedBursts, { zone: ['2', '3'] });
+    const { engine, alerts } = createEngine([rule]);
+    engine.evaluate(event('Zone Open: 2'));
+    engine.evaluate(event('Zone Open: 5'));
+    engine.evaluate(event('Zone Open: 3'));
+    engine.evaluate(event('Zone Open: 2'));
+    await Promise.resolve();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ zone: '2', zoneName: 'Back Door' });
+  });
+
+  test('keeps the window of an unchanged rule across a reload', async () => {
+    const { engine, alerts } = createEngine([shedBursts]);
+    engine.evaluate(event('Zone Open: 5'));
+    engine.evaluate(event('Zone Open: 5'));
+    engine.setRules([backDoorRule, shedBursts]);
+    engine.evaluate(event('Zone Open: 5'));
+    await Promise.resolve();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].ruleIndex).toBe(1);
+  });
+
+  test('validates count, zone and cooldown', () => {
+    expect(() => validateRules([Object.assign({}, shedBursts, { count: 0, cooldown: -1 })]))
+      .toThrow('count must be a positive integer; rule 0 ("Shed door opened 3+ times in 10 minutes"): cooldown must be a non-negative number');
+    expect(() => validateRules([Object.assign({}, shedBursts, { zone: [] })])).toThrow('zone must be a zone number or a list of zone numbers');
+    expect(() => validateRules([Object.assign({}, backDoorRule, { zone: ['2'] })])).toThrow('zone is required');
+    expect(validateRules([{ condition: 'frequency', event: 'Alarm', count: 3, action: 'email' }])).toHaveLength(1);
+  });
+});
+
+// ---- sequence ----
+
+describe('createRulesEngine - sequence', () => {
+  const SECOND = 1000;
+
+  const motionWithoutEntry = {
+    description: 'Motion without the front door opening first',
+    condition: 'sequence',
+    steps: [
+      { zone: '1', event: 'Zone Open', not: true },
+      { zone: '4', event: 'Zone Open' }
+    ],
+    withinSeconds: 120,
+    armState: 'Armed',
+    action: 'both'
+  };
+
+  const entryNotDisarmed = {
+    description: 'Back door opened and not disarmed',
+    condition: 'sequence',
+    steps: [
+      { zone: '2', event: 'Zone Open' },
+      { event: 'Disarmed', partition: 1, not: true }
+    ],
+    withinSeconds: 30,
+    action: 'ntfy'
+  };
+
+  const doorThenMotion = {
+    condition: 'sequence',
+    steps: [{ zone: '2', event: 'Zone Open' }, { zone: '4', event: 'Zone Open' }],
+    withinSeconds: 60,
+    action: 'ntfy'
+  };
+
+  test('"A then B" alerts on B when A came within the window', async () => {
+    const { engine, alerts } = createEngine([doorThenMotion]);
+    engine.evaluate(event('Zone Open: 4'));
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(45 * SECOND);
+    engine.evaluate(event('Zone Open: 4'));
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ condition: 'sequence', zone: '4', event: 'Zone Open', seconds: 60 });
+    expect(alerts[0].firstAt.toISOString()).toBe('2026-10-01T12:00:00.000Z');
+  });
+
+  test('"A then B" ignores a B after the window', async () => {
+    const { engine, alerts } = createEngine([doorThenMotion]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(61 * SECOND);
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('"NOT A then B" alerts on B without a recent A', async () => {
+    const { engine, alerts } = createEngine([motionWithoutEntry]);
+    engine.evaluate(event('Armed Away'));
+    engine.evaluate(event('Zone Open: 1'));
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(120 * SECOND);
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ zone: '4', firstAt: null, armState: 'Armed Away' });
+  });
+
+  test('"NOT A then B" respects the rule arm state', async () => {
+    const { engine, alerts } = createEngine([motionWithoutEntry]);
+    engine.evaluate(event('Disarmed'));
+    engine.evaluate(event('Zone Open: 4'));
+    await Promise.resolve();
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('"A then NOT B" alerts when B does not follow in time', async () => {
+    const { engine, alerts } = createEngine([entryNotDisarmed]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(29 * SECOND);
+    expect(alerts).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(1 * SECOND);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ zone: '2', event: 'Zone Open', seconds: 30 });
+  });
+
+  test('"A then NOT B" is cancelled by B', async () => {
+    const { engine, alerts } = createEngine([entryNotDisarmed]);
+    engine.evaluate(event('Zone Open: 2'));
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    engine.evaluate(event('CID Event: 1401020010'));  // disarmed, partition 2
+    engine.evaluate(event('Disarmed'));
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('cancels pending sequences of removed rules and on stop', async () => {
+    const { engine, alerts } = createEngine([entryNotDisarmed]);
+    engine.evaluate(event('Zone Open: 2'));
+    engine.setRules([]);
+    engine.setRules([entryNotDisarmed]);
+    engine.evaluate(event('Zone Open: 2'));
+    engine.stop();
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('matchesStep checks every matcher the step sets', () => {
+    expect(matchesStep({ event: 'Disarmed', partition: 2 }, event('CID Event: 1401020010'))).toBe(true);
+    expect(matchesStep({ event: 'Disarmed', partition: 1 }, event('CID Event: 1401020010'))).toBe(false);
+    expect(matchesStep({ zone: ['2', '3'] }, event('Zone Close: 3'))).toBe(true);
+    expect(matchesStep({ zone: '2' }, event('Disarmed'))).toBe(false);
+  });
+
+  test('validates steps and window', () => {
+    expect(() => validateRules([{ condition: 'sequence', steps: [{ zone: '1' }], action: 'ntfy' }]))
+      .toThrow('rule 0: withinSeconds must be a positive number; rule 0: steps must be a list of two steps');
+    expect(() => validateRules([{ condition: 'sequence', steps: [{ zone: '1', not: true }, { partition: 0, not: true }], withinSeconds: 5, action: 'ntfy' }]))
+      .toThrow('rule 0: steps[1] needs a zone or an event; rule 0: steps[1].partition must be a positive integer; rule 0: only one step can be "not"');
+    expect(validateRules([motionWithoutEntry, entryNotDisarmed])).toHaveLength(2);
+  });
+});
+
+// ---- getState / restoreState ----
+
+describe('createRulesEngine - persistence', () => {
+  test('snapshots open times, arm states and timers', () => {
+    const { engine } = createEngine([garageRule]);
+    engine.evaluate(event('Armed Stay'));
+    engine.evaluate(event('Zone Open: 3'));
+
+    const state = JSON.parse(JSON.stringify(engine.getState()));
+    expect(state.openTimes).toEqual({ '3': '2026-10-01T12:00:00.000Z' });
+    expect(state.armStates['1']).toMatchObject({ state: 'Armed Stay', since: '2026-10-01T12:00:00.000Z' });
+    expect(state.timers).toEqual([{ zone: '3', rule: `json:${JSON.stringify(garageRule)}`, dueAt: '2026-10-01T12:20:00.000Z', repeatCount: 0 }]);
+  });
+
+  test('calls onChange after state changes only', () => {
+    const onChange = jest.fn();
+    const engine = createRulesEngine({ rules: [garageRule], onChange });
+    engine.evaluate(event('Zone Open: 3'));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    engine.evaluate(event('Zone Tamper: 5'));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    engine.evaluate(event('Zone Close: 3'));
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  test('re-arms restored timers with their remaining time', async () => {
+    const { engine: before } = createEngine([garageRule]);
+    before.evaluate(event('Zone Open: 3'));
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+    const state = JSON.parse(JSON.stringify(before.getState()));
+    before.stop();
+
+    const { engine, alerts } = createEngine([garageRule]);
+    expect(engine.restoreState(state)).toEqual({ restored: 1, overdue: 0, dropped: 0 });
+    expect(engine.getOpenTimes()['3'].toISOString()).toBe('2026-10-01T12:00:00.000Z');
+
+    await jest.advanceTimersByTimeAsync(5 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ minutes: 20, restarted: false });
+  });
+
+  test('fires overdue timers right away and keeps the repeat count', async () => {
+    const { engine: before } = createEngine([garageRule]);
+    before.evaluate(event('Zone Open: 3'));
+    await jest.advanceTimersByTimeAsync(25 * MINUTE);
+    const state = JSON.parse(JSON.stringify(before.getState()));
+    before.stop();
+
+    jest.setSystemTime(new Date('2026-10-01T13:00:00Z'));
+    const { engine, alerts } = createEngine([garageRule]);
+    expect(engine.restoreState(state)).toEqual({ restored: 1, overdue: 1, dropped: 0 });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ minutes: 60, repeatCount: 1, restarted: true });
+    expect(engine.getPendingTimers()[0].repeatCount).toBe(2);
+  });
+
+  test('drops timers whose rule no longer exists', () => {
+    const { engine: before } = createEngine([garageRule]);
+    before.evaluate(event('Zone Open: 3'));
+    const state = before.getState();
+    before.stop();
+
+    const { engine } = createEngine([backDoorRule]);
+    expect(engine.restoreState(state)).toEqual({ restored: 0, overdue: 0, dropped: 1 });
+    expect(engine.getPendingTimers()).toHaveLength(0);
+  });
+});
+
+// ---- webhook actions ----
+
+describe('validateRules - webhook actions', () => {
+  const rule = Object.assign({}, backDoorRule, { action: 'webhook:node-red' });
+
+  test('accepts a webhook action', () => {
+    expect(validateRules([rule])).toHaveLength(1);
+    expect(validateRules([rule], { webhooks: ['node-red'] })).toHaveLength(1);
+  });
+
+  test('rejects unknown webhooks when the names are given', () => {
+    expect(() => validateRules([rule], { webhooks: ['n8n'] })).toThrow('rule 0 ("Back door open 10+ minutes"): unknown webhook "node-red"');
+    expect(() => validateRules([Object.assign({}, rule, { action: 'webhook:' })])).toThrow('unsupported action "webhook:"');
+  });
+});
+
+// ---- template overrides ----
+
+describe('validateRules - template', () => {
+  test('accepts a rule template and reports unknown placeholders', () => {
+    const rule = Object.assign({}, garageRule, { template: { ntfyTitle: '{{zoneName}} offen seit {{duration}} min' } });
+    expect(validateRules([rule])).toHaveLength(1);
+    expect(() => validateRules([Object.assign({}, garageRule, { template: { ntfyTitle: '{{zoneNmae}} open' } })]))
+      .toThrow('rule 0 ("Garage open 20+ minutes"): template.ntfyTitle: unknown placeholder "{{zoneNmae}}"');
+  });
+});
+
+// ---- ntfy options and snoozing ----
+
+describe('validateRules - ntfy', () => {
+  test('validates per-rule ntfy options', () => {
+    const rule = Object.assign({}, garageRule, {
+      ntfy: { topic: 'garage', priority: 'urgent', tags: ['warning'], actions: [{ action: 'view', label: 'Open dashboard', url: 'http://pi:8080/' }] }
+    });
+    expect(validateRules([rule])).toHaveLength(1);
+    expect(() => validateRules([Object.assign({}, garageRule, { ntfy: { priority: 9, tags: 'warning' } })]))
+      .toThrow('rule 0 ("Garage open 20+ minutes"): ntfy.priority must be 1-5 or one of min, low, default, high, max, urgent; ' +
+        'rule 0 ("Garage open 20+ minutes"): ntfy.tags must be a list of strings');
+  });
+});
+
+describe('createRulesEngine - snooze', () => {
+  const rule = Object.assign({ id: 'garage-open' }, garageRule);
+
+  test('drops alerts while a rule is snoozed', async () => {
+    const { engine, alerts } = createEngine([rule]);
+    engine.evaluate(event('Zone Open: 3'));
+    expect(engine.snooze('garage-open', 30).toISOString()).toBe('2026-10-01T12:30:00.000Z');
+    expect(engine.snooze('nope', 30)).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(20 * MINUTE);
+    expect(alerts).toHaveLength(0);
+    expect(engine.getPendingTimers()[0].repeatCount).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ minutes: 50, repeatCount: 1 });
+    engine.stop();
+  });
+
+  test('keeps snoozes across a restart', () => {
+    const { engine: before } = createEngine([rule]);
+    before.snooze('garage-open', 60);
+    const state = JSON.parse(JSON.stringify(before.getState()));
+    expect(state.snoozes).toEqual({ 'garage-open': '2026-10-01T13:00:00.000Z' });
+
+    const { engine } = createEngine([rule]);
+    engine.restoreState(state);
+    expect(engine.getSnoozes()).toEqual([{ id: 'garage-open', until: new Date('2026-10-01T13:00:00.000Z') }]);
+  });
+});
@@ -0,0 +1,401 @@
+// Scenario replay and simulation.
+//
+// A scenario is a timeline of syslog messages, each at an offset from the
+// start. It can come from:
+//
+//   - a scenario file (see scenario.sample.json): events with an `at`
+//     offset from the start or an `after` offset from the previous event
+//     ("90s", "20m", "1h30m", or a number of seconds), each with a
+//     `message` (wrapped in an EVL4 syslog header) or a complete `raw` line
+//   - the event history: an events directory or one of its day files
+//   - a listener log: [RAW] lines (written with --debug), or with
+//     --logFormat json, the raw field of the event lines
+//
+// replayScenario() sends the timeline to a running listener, optionally
+// compressed (speed 60 = an hour a minute) and jittered. runScenario()
+// drives parseSyslogMessage() and the rules engine in-process on a virtual
+// clock, so a whole scenario -- "garage open 20 minutes, then every 30" --
+// runs instantly and its alerts can be asserted in Jest.
+
+const fs = require('fs');
+const path = require('path');
+const { parseSyslogMessage, getZoneName, getZoneInfo } = require('./parser');
+const { createRulesEngine, validateRules } = require('./rules-engine');
+const { createEventStore, parseDateArg } = require('./event-store');
+const { validateZones, validateUsers } = require('./config');
+
+const DEFAULT_MAC = '001C2A02BB1F';
+const OFFSET_PATTERN = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+const OFFSET_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const TEXT_RAW_LINE = /^(.+?) - \[RAW\] from \S+ -- (.*)$/;
+
+/**
+ * Wraps a message in the EVL4's syslog header.
+ * @param {string} message - e.g. "Zone Open: 3"
+ * @param {string} [mac] - Sender MAC in the tag (default 001C2A02BB1F)
+ * @returns {string}
+ */
+function toSyslogLine(message, mac) {
+  return `<166>ENVISALINK[${mac || DEFAULT_MAC}]:  ${message}`;
+}
+
+/**
+ * Parses an offset: "90s", "20m", "1h30m", "250ms", or a number of seconds.
+ * @param {string|number} value
+ * @returns {number} Milliseconds
+ */
+function parseOffset(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value * 1000;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1000;
+  if (!/^((\d+(\.\d+)?)(ms|s|m|h|d))+$/.test(text)) {
+    throw new Error(`invalid offset "${value}" (expected e.g. 90s, 20m, 1h30m or a number of seconds)`);
+  }
+  let total = 0;
+  for (const match of text.matchAll(OFFSET_PATTERN)) total += Number(match[1]) * OFFSET_UNITS[match[2]];
+  return total;
+}
+
+/**
+ * Validates a parsed scenario file and turns it into a timeline.
+ * @param {*} scenario - Parsed JSON
+ * @returns {Object} { description, start, durationMs, events: [{ offsetMs, raw }], zones, users, rules }
+ * @throws {Error} Listing every problem found
+ */
+function parseScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new Error('a scenario must be a JSON object with an "events" list');
+  }
+  const errors = [];
+  const offset = (label, value) => {
+    try {
+      return parseOffset(value);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+      return 0;
+    }
+  };
+
+  let start = null;
+  if (scenario.start !== undefined) {
+    try {
+      start = parseDateArg(scenario.start);
+    } catch (err) {
+      errors.push(`start: ${err.message}`);
+    }
+  }
+  const durationMs = scenario.duration !== undefined ? offset('duration', scenario.duration) : null;
+
+  if (!Array.isArray(scenario.events) || scenario.events.length === 0) {
+    errors.push('events must be a non-empty list');
+  }
+  const events = [];
+  let previous = 0;
+  (Array.isArray(scenario.events) ? scenario.events : []).forEach((event, index) => {
+    const label = `event ${index}`;
+    if (!event || typeof event !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (event.at !== undefined && event.after !== undefined) errors.push(`${label}: use "at" or "after", not both`);
+    if ((typeof event.message === 'string') === (typeof event.raw === 'string')) errors.push(`${label}: needs a "message" or a "raw" line`);
+
+    const offsetMs = event.at !== undefined ? offset(label, event.at) : previous + (event.after !== undefined ? offset(label, event.after) : 0);
+    if (offsetMs < previous) errors.push(`${label}: at ${event.at} is before the previous event`);
+    previous = Math.max(previous, offsetMs);
+    events.push({ offsetMs, raw: typeof event.raw === 'string' ? event.raw : toSyslogLine(event.message, event.mac) });
+  });
+
+  // Zones, users and rules can be given inline for a self-contained scenario
+  const sections = { zones: validateZones, users: validateUsers, rules: validateRules };
+  for (const [section, validate] of Object.entries(sections)) {
+    if (scenario[section] === undefined) continue;
+    try {
+      validate(scenario[section]);
+    } catch (err) {
+      errors.push(`${section}: ${err.message}`);
+    }
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return {
+    description: scenario.description || null,
+    start,
+    durationMs,
+    events,
+    zones: scenario.zones || null,
+    users: scenario.users || null,
+    rules: scenario.rules || null
+  };
+}
+
+// A timeline from timestamped raw lines, starting at the first one
+function fromTimestamped(items, description) {
+  const sorted = items.filter(item => !isNaN(item.time.getTime())).sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) throw new Error(`no replayable messages in ${description}`);
+  const start = sorted[0].time;
+  return {
+    description,
+    start,
+    durationMs: null,
+    events: sorted.map(item => ({ offsetMs: item.time - start, raw: item.raw })),
+    zones: null,
+    users: null,
+    rules: null
+  };
+}
+
+function parseJsonLines(lines) {
+  return lines.map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return null;   // a partially written line
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Loads a scenario from a scenario file, the event history (a directory or
+ * day file) or a listener log (text or JSON).
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Date|string} [options.since] - Only history/log messages from this time
+ * @param {Date|string} [options.until] - Only history/log messages before this time
+ * @returns {Object} Scenario, as from parseScenario()
+ */
+function loadScenario(filePath, options) {
+  options = options || {};
+  const since = parseDateArg(options.since);
+  const until = parseDateArg(options.until);
+  const inRange = (time) => (!since || time >= since) && (!until || time < until);
+  const name = path.basename(filePath);
+
+  if (fs.statSync(filePath).isDirectory()) {
+    const records = createEventStore({ dir: filePath }).query({ since, until });
+    return fromTimestamped(records.map(record => ({ time: new Date(record.timestamp), raw: record.raw })), `event history in ${name}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  let first = null;
+  try {
+    first = JSON.parse(lines[0]);
+  } catch (err) {
+    // Not JSON lines -- a scenario file spread over several lines, or a text log
+  }
+
+  if (!first) {
+    let scenario = null;
+    try {
+      scenario = JSON.parse(text);
+    } catch (err) {
+      // A text log
+    }
+    if (scenario) return parseScenario(scenario);
+
+    const items = [];
+    for (const line of lines) {
+      const match = TEXT_RAW_LINE.exec(line);
+      if (match) items.push({ time: new Date(match[1]), raw: match[2] });
+    }
+    if (items.length === 0) throw new Error(`no [RAW] lines in ${name} -- text logs need --debug to record the raw messages`);
+    return fromTimestamped(items.filter(item => inRange(item.time)), `log ${name}`);
+  }
+
+  if (first.events !== undefined) return parseScenario(first);
+
+  const entries = parseJsonLines(lines);
+  if (first.timestamp !== undefined) {
+    // An event history day file
+    return fromTimestamped(entries.filter(entry => entry.raw).map(entry => ({ time: new Date(entry.timestamp), raw: entry.raw }))
+      .filter(item => inRange(item.time)), `event history ${name}`);
+  }
+
+  // A JSON log: the [RAW] debug lines if it has them, else the event lines
+  const rawLines = entries.filter(entry => entry.raw && /^\[RAW\]/.test(entry.msg || ''));
+  const eventLines = entries.filter(entry => entry.raw && entry.event);
+  return fromTimestamped((rawLines.length > 0 ? rawLines : eventLines).map(entry => ({ time: new Date(entry.time), raw: entry.raw }))
+    .filter(item => inRange(item.time)), `log ${name}`);
+}
+
+/**
+ * Moves each event by a random amount of up to jitterMs either way,
+ * keeping their order.
+ * @param {Object[]} events - [{ offsetMs, raw }]
+ * @param {number} jitterMs
+ * @param {Function} [random] - () => number in [0, 1) (default Math.random)
+ * @returns {Object[]} New events
+ */
+function applyJitter(events, jitterMs, random) {
+  if (!jitterMs) return events;
+  random = random || Math.random;
+  let previous = 0;
+  return events.map(event => {
+    const offsetMs = Math.max(previous, Math.round(event.offsetMs + (random() * 2 - 1) * jitterMs));
+    previous = offsetMs;
+    return Object.assign({}, event, { offsetMs });
+  });
+}
+
+/**
+ * Sends a scenario's messages in real time (divided by speed).
+ * @param {Object} scenario - From parseScenario() or loadScenario()
+ * @param {Object} options
+ * @param {Function} options.send - async (raw) => {} sends one message
+ * @param {number} [options.speed] - Time compression: 60 = an hour a minute (default 1)
+ * @param {number} [options.jitterMs] - Random shift of each event, before compression
+ * @param {Function} [options.random] - () => number in [0, 1)
+ * @param {Function} [options.onSend] - Called with ({ offsetMs, raw }) after each message is sent
+ * @param {Object} [options.clock] - { now, setTimeout } (defaults to the real clock)
+ * @returns {Promise<number>} Messages sent
+ */
+async function replayScenario(scenario, options) {
+  const speed = options.speed > 0 ? options.speed : 1;
+  const onSend = options.onSend || (() => {});
+  const clock = options.clock || { now: () => Date.now(), setTimeout: (fn, ms) => setTimeout(fn, ms) };
+  const events = applyJitter(scenario.events, options.jitterMs, options.random);
+  const startedAt = clock.now();
+
+  for (const event of events) {
+    const wait = startedAt + event.offsetMs / speed - clock.now();
+    if (wait > 0) await new Promise(resolve => clock.setTimeout(resolve, wait));
+    await options.send(event.raw);
+    onSend(event);
+  }
+  return events.length;
+}
+
+/**
+ * Creates a virtual clock for runScenario(). Time only moves when step()
+ * is called.
+ * @param {number} start - Epoch milliseconds
+ * @returns {Object} Clock with now(), setTimeout(), clearTimeout(), step() and pending()
+ */
+function createVirtualClock(start) {
+  let time = start;
+  let nextId = 1;
+  const timers = new Map();   // id -> { at, fn }
+
+  return {
+    now: () => time,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { at: time + Math.max(0, ms || 0), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    /**
+     * Runs the earliest timer due by `until`, moving the clock to it, or
+     * moves the clock to `until` if none is due.
+     * @param {number} until - Epoch milliseconds
+     * @returns {boolean} true if a timer ran
+     */
+    step(until) {
+      let dueId = null;
+      let next = null;
+      for (const [id, timer] of timers) {
+        // Ties run in the order they were set
+        if (timer.at <= until && (!next || timer.at < next.at)) {
+          dueId = id;
+          next = timer;
+        }
+      }
+      if (!next) {
+        time = Math.max(time, until);
+        return false;
+      }
+      timers.delete(dueId);
+      time = Math.max(time, next.at);
+      next.fn();
+      return true;
+    },
+    pending: () => timers.size
+  };
+}
+
+// Lets alert handlers, which the rules engine calls from a promise, run
+// before the virtual clock moves on
+async function settle() {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+/**
+ * Runs a scenario in-process: each message is parsed and evaluated by a
+ * rules engine on a virtual clock, and the clock runs on to the end of the
+ * scenario so rule timers fire.
+ * @param {Object} scenario - From parseScenario() or loadScenario()
+ * @param {Object} [options]
+ * @param {Object} [options.zones] - Zones (default: the scenario's own)
+ * @param {Object} [options.users] - User names (default: the scenario's own)
+ * @param {Object[]} [options.rules] - Validated rules (default: the scenario's own)
+ * @param {Date} [options.start] - Virtual start time (default: the scenario's start, else now)
+ * @param {number} [options.durationMs] - How long to run (default: the scenario's duration, else its last event)
+ * @param {number} [options.jitterMs] - Random shift of each event
+ * @param {Function} [options.random] - () => number in [0, 1)
+ * @param {Object} [options.scheduleDefaults] - { timezone, latitude, longitude } for rule schedules
+ * @returns {Promise<Object>} { events: [{ at, offsetMs, event, zone, zoneName, ... }], alerts: [{ at, offsetMs, condition, rule, zone, zoneName, repeatCount, ... }] }
+ */
+async function runScenario(scenario, options) {
+  options = options || {};
+  const zones = options.zones || scenario.zones || {};
+  const users = options.users || scenario.users || {};
+  const start = (options.start || scenario.start || new Date()).getTime();
+  const events = applyJitter(scenario.events, options.jitterMs, options.random);
+  const lastOffset = events.length > 0 ? events[events.length - 1].offsetMs : 0;
+  const durationMs = Math.max(lastOffset, options.durationMs || scenario.durationMs || 0);
+
+  const clock = createVirtualClock(start);
+  const stamp = (record) => Object.assign({ at: new Date(clock.now()), offsetMs: clock.now() - start }, record);
+  const results = { events: [], alerts: [] };
+
+  const engine = createRulesEngine({
+    rules: options.rules || scenario.rules || [],
+    getZoneName: (zoneNumber) => getZoneName(zones, zoneNumber),
+    getZoneInfo: (zoneKey) => getZoneInfo(zones, zoneKey),
+    onAlert: (alert) => results.alerts.push(stamp(alert)),
+    scheduleDefaults: options.scheduleDefaults,
+    clock
+  });
+
+  async function runUntil(time) {
+    while (clock.step(time)) await settle();
+  }
+
+  for (const event of events) {
+    await runUntil(start + event.offsetMs);
+    const parsed = parseSyslogMessage(event.raw, zones, users);
+    parsed.timestamp = new Date(clock.now());
+    results.events.push(stamp(parsed));
+    engine.evaluate(parsed);
+    await settle();
+  }
+  await runUntil(start + durationMs);
+  engine.stop();
+  return results;
+}
+
+/**
+ * Formats an offset as h:mm:ss, e.g. "+0:20:00".
+ * @param {number} offsetMs
+ * @returns {string}
+ */
+function formatOffset(offsetMs) {
+  const seconds = Math.round(offsetMs / 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `+${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+module.exports = {
+  toSyslogLine,
+  parseOffset,
+  parseScenario,
+  loadScenario,
+  applyJitter,
+  replayScenario,
+  createVirtualClock,
+  runScenario,
+  formatOffset
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  toSyslogLine,
+  parseOffset,
+  parseScenario,
+  loadScenario,
+  applyJitter,
+  replayScenario,
+  createVirtualClock,
+  runScenario,
+  formatOffset
+} = require('./scenario');
+
+const MINUTE = 60 * 1000;
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-scenario-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ---- parseOffset / parseScenario ----
+
+describe('parseOffset', () => {
+  test('accepts units and plain seconds', () => {
+    expect(parseOffset('90s')).toBe(90 * 1000);
+    expect(parseOffset('1h30m')).toBe(90 * MINUTE);
+    expect(parseOffset('250ms')).toBe(250);
+    expect(parseOffset(45)).toBe(45 * 1000);
+    expect(parseOffset('0')).toBe(0);
+    expect(() => parseOffset('soon')).toThrow('invalid offset "soon"');
+  });
+});
+
+describe('parseScenario', () => {
+  test('accepts the sample scenario', () => {
+    const scenario = parseScenario(require('./scenario.sample.json'));
+    expect(scenario.start).toEqual(new Date(2026, 9, 19, 21, 0));
+    expect(scenario.durationMs).toBe(120 * MINUTE);
+    expect(scenario.events.map(event => event.offsetMs / 1000)).toEqual([0, 300, 330, 5700, 6300]);
+    expect(scenario.events[0].raw).toBe(toSyslogLine('Zone Open: 3'));
+  });
+
+  test('reports every problem', () => {
+    expect(() => parseScenario({
+      duration: 'later',
+      events: [{ at: '10m', message: 'Zone Open: 3' }, { at: '5m', after: '1m' }, { raw: 'x', message: 'y' }],
+      rules: [{ condition: 'open_duration' }]
+    })).toThrow('duration: invalid offset "later" (expected e.g. 90s, 20m, 1h30m or a number of seconds); ' +
+      'event 1: use "at" or "after", not both; event 1: needs a "message" or a "raw" line; event 1: at 5m is before the previous event; ' +
+      'event 2: needs a "message" or a "raw" line; rules: rule 0: zone is required');
+    expect(() => parseScenario({ events: [] })).toThrow('events must be a non-empty list');
+  });
+});
+
+// ---- loadScenario ----
+
+describe('loadScenario', () => {
+  const raw = (zone) => toSyslogLine(`Zone Open: ${zone}`);
+
+  test('loads a text log from its [RAW] lines', () => {
+    const logPath = path.join(dir, 'listener.log');
+    fs.writeFileSync(logPath, [
+      'Oct 19, 2026, 09:00:00 PM UTC - EnvisaLink syslog listener started on UDP port 514',
+      `Oct 19, 2026, 09:00:00 PM UTC - [RAW] from 192.168.1.50:514 -- ${raw(3)}`,
+      'Oct 19, 2026, 09:00:00 PM UTC - Zone Open: Garage Door -- Zone Open: 3',
+      `Oct 19, 2026, 09:20:30 PM UTC - [RAW] from 192.168.1.50:514 -- ${raw(2)}`
+    ].join('\n'));
+    const scenario = loadScenario(logPath);
+    expect(scenario.start.toISOString()).toBe('2026-10-19T21:00:00.000Z');
+    expect(scenario.events).toEqual([{ offsetMs: 0, raw: raw(3) }, { offsetMs: 20.5 * MINUTE, raw: raw(2) }]);
+  });
+
+  test('tells text logs without [RAW] lines to use --debug', () => {
+    const logPath = path.join(dir, 'listener.log');
+    fs.writeFileSync(logPath, 'Oct 19, 2026, 09:00:00 PM UTC - Zone Open: Garage Door -- Zone Open: 3\n');
+    expect(() => loadScenario(logPath)).toThrow('no [RAW] lines in listener.log -- text logs need --debug');
+  });
+
+  test('loads the event lines of a JSON log', () => {
+    const logPath = path.join(dir, 'listener.log');
+    fs.writeFileSync(logPath, [
+      { time: '2026-10-19T21:00:00.000Z', level: 'info', msg: 'Listener started' },
+      { time: '2026-10-19T21:00:00.000Z', level: 'info', msg: 'Zone Open: Garage Door', event: 'Zone Open', raw: raw(3) },
+      { time: '2026-10-19T21:01:00.000Z', level: 'info', msg: 'Zone Open: Back Door', event: 'Zone Open', raw: raw(2) }
+    ].map(line => JSON.stringify(line)).join('\n'));
+    expect(loadScenario(logPath, { since: '2026-10-19T21:00:30Z' }).events).toEqual([{ offsetMs: 0, raw: raw(2) }]);
+  });
+
+  test('loads the event history by date range', () => {
+    const { createEventStore } = require('./event-store');
+    const { parseSyslogMessage } = require('./parser');
+    const { toEventRecord } = require('./event-store');
+    const store = createEventStore({ dir });
+    for (const [time, zone] of [['2026-10-18T12:00:00Z', 1], ['2026-10-19T12:00:00Z', 3], ['2026-10-19T12:05:00Z', 2]]) {
+      const parsed = parseSyslogMessage(raw(zone), {});
+      parsed.timestamp = new Date(time);
+      store.append(toEventRecord(parsed, '192.168.1.50'));
+    }
+    store.flush();
+    const scenario = loadScenario(dir, { since: '2026-10-19T00:00:00Z' });
+    expect(scenario.start.toISOString()).toBe('2026-10-19T12:00:00.000Z');
+    expect(scenario.events).toEqual([{ offsetMs: 0, raw: raw(3) }, { offsetMs: 5 * MINUTE, raw: raw(2) }]);
+  });
+});
+
+// ---- applyJitter / replayScenario ----
+
+describe('applyJitter', () => {
+  test('moves events either way but keeps their order', () => {
+    const events = [{ offsetMs: 0 }, { offsetMs: 1000 }, { offsetMs: 1100 }];
+    const randoms = [0.5, 1, 0];
+    expect(applyJitter(events, 500, () => randoms.shift()).map(event => event.offsetMs)).toEqual([0, 1500, 1500]);
+    expect(applyJitter(events, 0)).toBe(events);
+  });
+});
+
+describe('replayScenario', () => {
+  test('sends each message at its compressed offset', async () => {
+    const clock = createVirtualClock(0);
+    const sent = [];
+    const scenario = parseScenario({ events: [{ at: 0, message: 'Zone Open: 3' }, { at: '20m', message: 'Zone Close: 3' }] });
+    const done = replayScenario(scenario, {
+      speed: 60,
+      clock,
+      send: async (line) => sent.push([clock.now(), line])
+    });
+
+    await Promise.resolve();
+    expect(sent).toEqual([[0, toSyslogLine('Zone Open: 3')]]);
+    clock.step(20 * 1000);
+    expect(await done).toBe(2);
+    expect(sent[1]).toEqual([20 * 1000, toSyslogLine('Zone Close: 3')]);
+  });
+});
+
+// ---- runScenario ----
+
+describe('runScenario', () => {
+  test('runs the sample scenario on a virtual clock', async () => {
+    const { events, alerts } = await runScenario(parseScenario(require('./scenario.sample.json')));
+
+    expect(events.map(event => [formatOffset(event.offsetMs), event.event, event.zoneName || event.userName])).toEqual([
+      ['+0:00:00', 'Zone Open', 'Garage Door'],
+      ['+0:05:00', 'Zone Open', 'Back Door'],
+      ['+0:05:30', 'Zone Close', 'Back Door'],
+      ['+1:35:00', 'Zone Close', 'Garage Door'],
+      ['+1:45:00', 'Armed Stay', 'User 2']
+    ]);
+    expect(events[0].timestamp).toEqual(new Date(2026, 9, 19, 21, 0));
+
+    // Open 20 minutes, then repeats every 30 (at most 2) until it closes
+    expect(alerts.map(alert => [formatOffset(alert.offsetMs), alert.rule.id, alert.minutes, alert.repeatCount])).toEqual([
+      ['+0:20:00', 'garage-open', 20, 0],
+      ['+0:50:00', 'garage-open', 50, 1],
+      ['+1:20:00', 'garage-open', 80, 2]
+    ]);
+  });
+
+  test('stops the alerts when the door closes in time', async () => {
+    const scenario = parseScenario(Object.assign({}, require('./scenario.sample.json'), {
+      events: [{ at: 0, message: 'Zone Open: 3' }, { at: '19m', message: 'Zone Close: 3' }]
+    }));
+    const { alerts } = await runScenario(scenario);
+    expect(alerts).toEqual([]);
+  });
+
+  test('runs past the last event for the duration', async () => {
+    const scenario = parseScenario({ events: [{ at: 0, message: 'Zone Open: 3' }] });
+    const rules = require('./scenario.sample.json').rules;
+    expect((await runScenario(scenario, { rules })).alerts).toEqual([]);
+    expect((await runScenario(scenario, { rules, durationMs: 30 * MINUTE })).alerts).toHaveLength(1);
+  });
+});
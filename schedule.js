@@ -0,0 +1,206 @@
+// Schedule (active time window) matching for alert rules.
+//
+// A schedule looks like:
+//   {
+//     "days": ["Mon", "Tue", "Wed", "Thu", "Fri"],     // or "weekdays" / "weekends"
+//     "times": [{ "from": "23:00", "to": "06:00" }],  // HH:MM, "sunrise" or "sunset"
+//     "timezone": "America/Chicago"                   // IANA name (default: system timezone)
+//   }
+//
+// Every field is optional: no days means every day, no times means all day.
+// A range whose `to` is earlier than its `from` crosses midnight, and belongs
+// to the day it starts on -- Fri 23:00-06:00 also covers early Saturday.
+// "sunrise" and "sunset" need a latitude/longitude.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
+  everyday: DAY_NAMES
+};
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = {};
+
+function getFormatter(timezone) {
+  const key = timezone || '';
+  if (!formatters[key]) {
+    formatters[key] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    });
+  }
+  return formatters[key];
+}
+
+/**
+ * Returns the local calendar parts of a date in a timezone.
+ * @param {Date} date
+ * @param {string} [timezone] - IANA timezone (default: system timezone)
+ * @returns {Object} { year, month, day, weekday (0 = Sunday), minutes (since midnight) }
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Calculates sunrise and sunset for a calendar date (sunrise equation,
+ * accurate to a minute or two).
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {Object|null} { sunrise: Date, sunset: Date }, or null during polar day/night
+ */
+function getSunTimes(year, month, day, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const julianNoon = Date.UTC(year, month - 1, day, 12) / 86400000 + 2440587.5;
+  const n = Math.round(julianNoon - 2451545.0);
+  const meanSolarNoon = n - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+  const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = 2451545.0 + meanSolarNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+  const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.44 * rad));
+  const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+    (Math.cos(latitude * rad) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+
+  const hourAngle = Math.acos(cosHourAngle) / rad;
+  const toDate = (julian) => new Date(Math.round((julian - 2440587.5) * 86400000));
+  return {
+    sunrise: toDate(transit - hourAngle / 360),
+    sunset: toDate(transit + hourAngle / 360)
+  };
+}
+
+function normalizeDays(days) {
+  if (days === undefined) return null;
+  const list = typeof days === 'string' ? [days] : days;
+  const result = new Set();
+  for (const day of list) {
+    const key = String(day).toLowerCase();
+    if (DAY_GROUPS[key]) {
+      DAY_GROUPS[key].forEach(d => result.add(DAY_NAMES.indexOf(d)));
+    } else {
+      result.add(DAY_NAMES.indexOf(key.substring(0, 3)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Validates a rule's schedule object.
+ * @param {*} schedule
+ * @param {Object} [location] - { latitude, longitude }, needed for sunrise/sunset
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateSchedule(schedule, location) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const errors = [];
+  if (schedule.days !== undefined) {
+    const list = typeof schedule.days === 'string' ? [schedule.days] : schedule.days;
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push('schedule.days must be a day name, "weekdays", "weekends" or a list of day names');
+    } else {
+      for (const day of list) {
+        const key = String(day).toLowerCase();
+        if (!DAY_GROUPS[key] && (key.length < 3 || !DAY_NAMES.includes(key.substring(0, 3)))) {
+          errors.push(`schedule.days: unknown day "${day}"`);
+        }
+      }
+    }
+  }
+
+  if (schedule.times !== undefined) {
+    if (!Array.isArray(schedule.times) || schedule.times.length === 0) {
+      errors.push('schedule.times must be a list of { "from": "HH:MM", "to": "HH:MM" } ranges');
+    } else {
+      schedule.times.forEach((range, i) => {
+        for (const field of ['from', 'to']) {
+          const value = range && range[field];
+          if (value === 'sunrise' || value === 'sunset') {
+            if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+              errors.push(`schedule.times[${i}].${field}: "${value}" requires --latitude and --longitude`);
+            }
+          } else if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+            errors.push(`schedule.times[${i}].${field} must be "HH:MM", "sunrise" or "sunset"`);
+          }
+        }
+      });
+    }
+  }
+
+  if (schedule.timezone !== undefined) {
+    try {
+      getFormatter(schedule.timezone);
+    } catch (err) {
+      errors.push(`schedule.timezone: unknown timezone "${schedule.timezone}"`);
+    }
+  }
+
+  return errors;
+}
+
+function resolveTime(value, local, timezone, location) {
+  const match = TIME_PATTERN.exec(value);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+
+  const sun = getSunTimes(local.year, local.month, local.day, location.latitude, location.longitude);
+  if (!sun) return null;
+  return getLocalParts(sun[value], timezone).minutes;
+}
+
+/**
+ * Returns true if a date falls inside a schedule's active window.
+ * @param {Object} [schedule] - Rule schedule (undefined = always active)
+ * @param {Date} date
+ * @param {Object} [defaults] - { timezone, latitude, longitude }
+ * @returns {boolean}
+ */
+function isInSchedule(schedule, date, defaults) {
+  if (!schedule) return true;
+  defaults = defaults || {};
+  const timezone = schedule.timezone || defaults.timezone;
+  const local = getLocalParts(date, timezone);
+  const days = normalizeDays(schedule.days);
+  const dayMatches = (weekday) => !days || days.has(weekday);
+
+  if (!schedule.times) return dayMatches(local.weekday);
+
+  const previousDay = (local.weekday + 6) % 7;
+  return schedule.times.some(range => {
+    const from = resolveTime(range.from, local, timezone, defaults);
+    const to = resolveTime(range.to, local, timezone, defaults);
+    if (from === null || to === null) return false;
+
+    if (from <= to) {
+      return dayMatches(local.weekday) && local.minutes >= from && local.minutes < to;
+    }
+    // Crosses midnight: the late part belongs to today, the early part to yesterday's window
+    return (dayMatches(local.weekday) && local.minutes >= from) ||
+      (dayMatches(previousDay) && local.minutes < to);
+  });
+}
+
+module.exports = { isInSchedule, validateSchedule, getSunTimes, getLocalParts, DAY_NAMES };
@@ -0,0 +1,95 @@
+const { isInSchedule, validateSchedule, getSunTimes, getLocalParts } = require('./schedule');
+
+const UTC = { timezone: 'UTC' };
+
+// ---- getLocalParts ----
+
+describe('getLocalParts', () => {
+  test('converts to the given timezone', () => {
+    // 2026-10-02 03:30 UTC is Thursday 22:30 in Chicago (CDT)
+    expect(getLocalParts(new Date('2026-10-02T03:30:00Z'), 'America/Chicago'))
+      .toEqual({ year: 2026, month: 10, day: 1, weekday: 4, minutes: 22 * 60 + 30 });
+  });
+});
+
+// ---- getSunTimes ----
+
+describe('getSunTimes', () => {
+  test('calculates sunrise and sunset to within a few minutes', () => {
+    const sun = getSunTimes(2026, 6, 21, 40.7128, -74.006);
+    // New York, summer solstice: sunrise ~09:25 UTC, sunset ~00:31 UTC next day
+    expect(Math.abs(sun.sunrise - new Date('2026-06-21T09:25:00Z'))).toBeLessThan(3 * 60 * 1000);
+    expect(Math.abs(sun.sunset - new Date('2026-06-22T00:31:00Z'))).toBeLessThan(3 * 60 * 1000);
+  });
+
+  test('returns null during polar night', () => {
+    expect(getSunTimes(2026, 12, 21, 78.22, 15.65)).toBeNull();
+  });
+});
+
+// ---- validateSchedule ----
+
+describe('validateSchedule', () => {
+  test('accepts day names, groups and time ranges', () => {
+    expect(validateSchedule({ days: 'weekdays', times: [{ from: '22:00', to: '06:00' }], timezone: 'Europe/London' })).toEqual([]);
+    expect(validateSchedule({ days: ['Saturday', 'sun'] })).toEqual([]);
+  });
+
+  test('reports bad days, times and timezones', () => {
+    expect(validateSchedule({ days: ['Funday'], times: [{ from: '25:00', to: '6' }], timezone: 'Mars/Olympus' })).toEqual([
+      'schedule.days: unknown day "Funday"',
+      'schedule.times[0].from must be "HH:MM", "sunrise" or "sunset"',
+      'schedule.times[0].to must be "HH:MM", "sunrise" or "sunset"',
+      'schedule.timezone: unknown timezone "Mars/Olympus"'
+    ]);
+    expect(validateSchedule([])).toEqual(['schedule must be an object']);
+  });
+
+  test('requires a location for sunrise and sunset', () => {
+    const schedule = { times: [{ from: 'sunset', to: 'sunrise' }] };
+    expect(validateSchedule(schedule)).toHaveLength(2);
+    expect(validateSchedule(schedule, { latitude: 40.7, longitude: -74 })).toEqual([]);
+  });
+});
+
+// ---- isInSchedule ----
+
+describe('isInSchedule', () => {
+  test('treats a missing schedule as always active', () => {
+    expect(isInSchedule(undefined, new Date())).toBe(true);
+  });
+
+  test('matches days of the week', () => {
+    const schedule = { days: 'weekends' };
+    expect(isInSchedule(schedule, new Date('2026-10-03T12:00:00Z'), UTC)).toBe(true); // Saturday
+    expect(isInSchedule(schedule, new Date('2026-10-05T12:00:00Z'), UTC)).toBe(false); // Monday
+  });
+
+  test('matches a same-day range, exclusive of the end', () => {
+    const schedule = { times: [{ from: '09:00', to: '17:00' }] };
+    expect(isInSchedule(schedule, new Date('2026-10-01T09:00:00Z'), UTC)).toBe(true);
+    expect(isInSchedule(schedule, new Date('2026-10-01T17:00:00Z'), UTC)).toBe(false);
+  });
+
+  test('assigns a range that crosses midnight to the day it starts', () => {
+    const schedule = { days: ['Fri'], times: [{ from: '23:00', to: '06:00' }] };
+    expect(isInSchedule(schedule, new Date('2026-10-02T23:30:00Z'), UTC)).toBe(true); // Fri 23:30
+    expect(isInSchedule(schedule, new Date('2026-10-03T05:59:00Z'), UTC)).toBe(true); // Sat 05:59
+    expect(isInSchedule(schedule, new Date('2026-10-02T05:00:00Z'), UTC)).toBe(false); // Fri 05:00 (Thursday's night)
+    expect(isInSchedule(schedule, new Date('2026-10-03T23:30:00Z'), UTC)).toBe(false); // Sat 23:30
+  });
+
+  test('uses the schedule timezone over the default', () => {
+    const schedule = { times: [{ from: '22:00', to: '23:00' }], timezone: 'America/Chicago' };
+    expect(isInSchedule(schedule, new Date('2026-10-02T03:30:00Z'), UTC)).toBe(true);
+    expect(isInSchedule({ times: schedule.times }, new Date('2026-10-02T03:30:00Z'), UTC)).toBe(false);
+  });
+
+  test('resolves sunset to sunrise from the default location', () => {
+    const schedule = { times: [{ from: 'sunset', to: 'sunrise' }] };
+    const defaults = { timezone: 'America/New_York', latitude: 40.7128, longitude: -74.006 };
+    expect(isInSchedule(schedule, new Date('2026-06-21T16:00:00Z'), defaults)).toBe(false); // noon
+    expect(isInSchedule(schedule, new Date('2026-06-22T03:00:00Z'), defaults)).toBe(true); // 11pm
+    expect(isInSchedule(schedule, new Date('2026-06-22T08:00:00Z'), defaults)).toBe(true); // 4am
+  });
+});
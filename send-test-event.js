@@ -1,48 +1,152 @@
 #!/usr/bin/env node
 //
-// Sends a fake EVL4 syslog message to the listener for testing.
+// Sends fake EVL4 syslog messages to the listener for testing: a single
+// message, or a whole scenario (see scenario.js) -- a scenario file, the
+// event history or a listener log -- replayed with its original timing.
 //
 // Usage:
 //   node send-test-event.js                    # sends a Zone Open for zone 9
 //   node send-test-event.js "Zone Closed: 4"   # sends a custom message
 //   node send-test-event.js --port 5514        # send to a different port
 //   node send-test-event.js --host 192.168.1.5 # send to a remote host
+//
+//   node send-test-event.js --scenario scenario.sample.json --speed 60
+//   node send-test-event.js --scenario events --since 2026-10-18 --until 2026-10-19 --speed 3600 --jitter 30
+//   node send-test-event.js --scenario envisalink-syslog-listener.log --speed 10
+//   node send-test-event.js --scenario scenario.sample.json --inProcess    # no listener needed
+//
+//   Options:
+//     --host        Listener address (default: 127.0.0.1)
+//     --port        Listener UDP port (default: 514)
+//     --scenario    Scenario file, events directory or day file, or listener log to replay
+//     --since       Only replay history/log messages from this date/time
+//     --until       Only replay history/log messages before this date/time
+//     --speed       Time compression: 60 plays an hour in a minute (default: 1)
+//     --jitter      Move each message by up to N seconds either way, at random (default: 0)
+//     --inProcess   Run the scenario through the parser and rules engine on a virtual
+//                   clock and print the events and alerts, instead of sending it
+//     --duration    With --inProcess: keep the clock running this long, e.g. 2h (default: the scenario's)
+//     --zonesPath   With --inProcess: zones.json (default: the scenario's zones)
+//     --usersPath   With --inProcess: users.json (default: the scenario's users)
+//     --rulesPath   With --inProcess: rules.json (default: the scenario's rules)
+//     --timezone    With --inProcess: timezone for rule schedules (default: system timezone)
+//     --json        With --inProcess: print the events and alerts as JSON
 
 const dgram = require('dgram');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { toSyslogLine, parseOffset, loadScenario, replayScenario, runScenario, formatOffset } = require('./scenario');
+const { readJsonFile, validateZones, validateUsers } = require('./config');
+const { validateRules } = require('./rules-engine');
+
+const argv = yargs(hideBin(process.argv))
+  .usage('$0 [message]')
+  .option('host', { type: 'string', default: '127.0.0.1', describe: 'Listener address' })
+  .option('port', { type: 'number', default: 514, describe: 'Listener UDP port' })
+  .option('scenario', { type: 'string', describe: 'Scenario file, events directory or day file, or listener log to replay' })
+  .option('since', { type: 'string', describe: 'Only replay history/log messages from this date/time' })
+  .option('until', { type: 'string', describe: 'Only replay history/log messages before this date/time' })
+  .option('speed', { type: 'number', default: 1, describe: 'Time compression (60 = an hour a minute)' })
+  .option('jitter', { type: 'number', default: 0, describe: 'Move each message by up to N seconds either way' })
+  .option('inProcess', { type: 'boolean', default: false, describe: 'Run the scenario on a virtual clock instead of sending it' })
+  .option('duration', { type: 'string', describe: 'With --inProcess: how long to run, e.g. 2h' })
+  .option('zonesPath', { type: 'string', describe: 'With --inProcess: zones.json' })
+  .option('usersPath', { type: 'string', describe: 'With --inProcess: users.json' })
+  .option('rulesPath', { type: 'string', describe: 'With --inProcess: rules.json' })
+  .option('timezone', { type: 'string', describe: 'With --inProcess: timezone for rule schedules' })
+  .option('json', { type: 'boolean', default: false, describe: 'With --inProcess: print JSON' })
+  .argv;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function sendUdp(client, line) {
+  const buffer = Buffer.from(line);
+  return new Promise((resolve, reject) => {
+    client.send(buffer, 0, buffer.length, argv.port, argv.host, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// A single hand-typed message
+async function sendOne() {
+  const syslogMessage = toSyslogLine(argv._.length > 0 ? String(argv._[0]) : 'Zone Open: 99');
+  const client = dgram.createSocket('udp4');
+  try {
+    await sendUdp(client, syslogMessage);
+    console.log(`Sent to ${argv.host}:${argv.port} -> ${syslogMessage}`);
+  } catch (err) {
+    console.error(`Failed to send: ${err.message}`);
+  }
+  client.close();
+}
 
-const args = process.argv.slice(2);
-let host = '127.0.0.1';
-let port = 514;
-let message = null;
-
-// Parse args
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--port' && args[i + 1]) {
-    port = parseInt(args[i + 1], 10);
-    i++;
-  } else if (args[i] === '--host' && args[i + 1]) {
-    host = args[i + 1];
-    i++;
-  } else if (!args[i].startsWith('--')) {
-    message = args[i];
+async function replay(scenario) {
+  const client = dgram.createSocket('udp4');
+  const lastOffset = scenario.events[scenario.events.length - 1].offsetMs;
+  console.log(`Replaying ${scenario.events.length} message(s)${scenario.description ? ` (${scenario.description})` : ''} ` +
+    `to ${argv.host}:${argv.port} over ${formatOffset(lastOffset / argv.speed).slice(1)}`);
+  try {
+    await replayScenario(scenario, {
+      send: (line) => sendUdp(client, line),
+      speed: argv.speed,
+      jitterMs: argv.jitter * 1000,
+      onSend: (event) => console.log(`${formatOffset(event.offsetMs)} ${event.raw}`)
+    });
+  } finally {
+    client.close();
   }
 }
 
-if (!message) {
-  message = 'Zone Open: 99';
+// Config files given on the command line replace the scenario's own
+function loadConfig(filePath, validate) {
+  try {
+    return validate(readJsonFile(filePath));
+  } catch (err) {
+    fail(`Could not load ${filePath}: ${err.message}`);
+  }
 }
 
-// Wrap in EVL4 syslog format
-const syslogMessage = `<166>ENVISALINK[001C2A02BB1F]:  ${message}`;
+async function simulate(scenario) {
+  const { events, alerts } = await runScenario(scenario, {
+    zones: argv.zonesPath ? loadConfig(argv.zonesPath, validateZones) : undefined,
+    users: argv.usersPath ? loadConfig(argv.usersPath, validateUsers) : undefined,
+    rules: argv.rulesPath ? loadConfig(argv.rulesPath, validateRules) : undefined,
+    durationMs: argv.duration ? parseOffset(argv.duration) : undefined,
+    jitterMs: argv.jitter * 1000,
+    scheduleDefaults: { timezone: argv.timezone }
+  });
 
-const client = dgram.createSocket('udp4');
-const buffer = Buffer.from(syslogMessage);
+  if (argv.json) {
+    console.log(JSON.stringify({ events, alerts }, null, 2));
+    return;
+  }
+  const lines = [
+    ...events.map(event => ({ offsetMs: event.offsetMs, text: `${event.event}${event.zoneName ? ` (${event.zoneName})` : ''} -- ${event.message}` })),
+    ...alerts.map(alert => ({
+      offsetMs: alert.offsetMs,
+      text: `ALERT ${alert.rule.description || alert.rule.id || alert.condition}${alert.zoneName ? ` (${alert.zoneName})` : ''}` +
+        `${alert.repeatCount ? ` -- repeat ${alert.repeatCount}` : ''}`
+    }))
+  ].sort((a, b) => a.offsetMs - b.offsetMs);
+  for (const line of lines) console.log(`${formatOffset(line.offsetMs)} ${line.text}`);
+  console.log(`${events.length} event(s), ${alerts.length} alert(s)`);
+}
 
-client.send(buffer, 0, buffer.length, port, host, (err) => {
-  if (err) {
-    console.error(`Failed to send: ${err.message}`);
-  } else {
-    console.log(`Sent to ${host}:${port} -> ${syslogMessage}`);
+async function main() {
+  if (!argv.scenario) {
+    await sendOne();
+    return;
   }
-  client.close();
-});
+  let scenario;
+  try {
+    scenario = loadScenario(argv.scenario, { since: argv.since, until: argv.until });
+  } catch (err) {
+    fail(`Could not load scenario ${argv.scenario}: ${err.message}`);
+  }
+  if (argv.inProcess) await simulate(scenario);
+  else await replay(scenario);
+}
+
+main().catch(err => fail(err.message));
@@ -0,0 +1,93 @@
+// Persistence for runtime state (zone states, rule timers) that should
+// survive a restart or crash. The state file is rewritten atomically -- a
+// temp file renamed over the original -- so a crash mid-write never leaves
+// a truncated file behind. Changes are saved a few seconds after they
+// happen, batched (see createStateSaver()), rather than on every event.
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+const STATE_SAVE_DELAY_MS = 5000;
+
+/**
+ * Reads a state file written by saveState().
+ * @param {string} filePath
+ * @returns {Object|null} The saved state, or null if there is no state file
+ * @throws {Error} If the file exists but is not a valid state file
+ */
+function loadState(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+  if (!state || typeof state !== 'object' || state.version !== STATE_VERSION) {
+    throw new Error(`unsupported state file version (expected ${STATE_VERSION})`);
+  }
+  return state;
+}
+
+/**
+ * Atomically writes a state file.
+ * @param {string} filePath
+ * @param {Object} state - JSON-serializable state (version and savedAt are added)
+ */
+function saveState(filePath, state) {
+  const data = Object.assign({ version: STATE_VERSION, savedAt: new Date().toISOString() }, state);
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Batches saves of a state file: schedule() saves the current state a little
+ * later, once however many changes come in meanwhile, save() saves it right
+ * away and flush() saves a scheduled change right away (call before exiting).
+ * @param {string} filePath
+ * @param {Function} getState - Returns the state to save
+ * @param {Object} [options]
+ * @param {number} [options.delayMs] - How long changes are batched before the file is written
+ * @param {Function} [options.onError] - Called with save errors (default: thrown)
+ * @returns {Object} Saver with schedule(), save() and flush()
+ */
+function createStateSaver(filePath, getState, options = {}) {
+  const delayMs = options.delayMs !== undefined ? options.delayMs : STATE_SAVE_DELAY_MS;
+  const onError = options.onError || ((err) => { throw err; });
+  let timer = null;
+
+  function save() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      saveState(filePath, getState());
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(save, delayMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function flush() {
+    if (timer) save();
+  }
+
+  return { schedule, save, flush };
+}
+
+module.exports = { loadState, saveState, createStateSaver, STATE_VERSION };
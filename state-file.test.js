@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadState, saveState, createStateSaver } = require('./state-file');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evl-state-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('state file', () => {
+  test('round-trips saved state', () => {
+    const filePath = path.join(dir, 'state.json');
+    saveState(filePath, { zones: { '3': { state: 'open' } } });
+
+    const state = loadState(filePath);
+    expect(state).toMatchObject({ version: 1, zones: { '3': { state: 'open' } } });
+    expect(typeof state.savedAt).toBe('string');
+    expect(fs.readdirSync(dir)).toEqual(['state.json']);
+  });
+
+  test('returns null when there is no state file', () => {
+    expect(loadState(path.join(dir, 'state.json'))).toBeNull();
+  });
+
+  test('rejects invalid JSON and unknown versions', () => {
+    const filePath = path.join(dir, 'state.json');
+    fs.writeFileSync(filePath, '{ "version": 1, ');
+    expect(() => loadState(filePath)).toThrow('invalid JSON');
+    fs.writeFileSync(filePath, '{ "version": 99 }');
+    expect(() => loadState(filePath)).toThrow('unsupported state file version');
+  });
+});
+
+describe('createStateSaver', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('saves once per batch of changes', () => {
+    jest.useFakeTimers();
+    const filePath = path.join(dir, 'state.json');
+    let opens = 0;
+    const getState = jest.fn(() => ({ opens }));
+    const saver = createStateSaver(filePath, getState, { delayMs: 1000 });
+
+    opens = 1;
+    saver.schedule();
+    opens = 2;
+    saver.schedule();
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(getState).toHaveBeenCalledTimes(1);
+    expect(loadState(filePath).opens).toBe(2);
+  });
+
+  test('flush saves a scheduled change right away, and only then', () => {
+    jest.useFakeTimers();
+    const filePath = path.join(dir, 'state.json');
+    const getState = jest.fn(() => ({ zones: {} }));
+    const saver = createStateSaver(filePath, getState);
+
+    saver.flush();
+    expect(getState).not.toHaveBeenCalled();
+
+    saver.schedule();
+    saver.flush();
+    expect(loadState(filePath).zones).toEqual({});
+    jest.runAllTimers();
+    expect(getState).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports save errors', () => {
+    const onError = jest.fn();
+    const saver = createStateSaver(path.join(dir, 'missing', 'state.json'), () => ({}), { onError });
+    saver.save();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'ENOENT' }));
+  });
+});
@@ -0,0 +1,489 @@
+// Syslog forwarding to upstream collectors (rsyslog, Graylog, syslog-ng, ...).
+//
+// The EVL4 can only send syslog to one server. forwarders.json lists
+// upstream targets that get a copy of every received message, so pointing
+// the EVL4 at this listener doesn't take it out of central logging. Each
+// target picks a transport (UDP, TCP or TLS), a format and its own filters:
+//
+//   raw      The datagram as received from the EVL4
+//   rfc5424  Rebuilt as RFC 5424, with the zone name, partition, user and
+//            device as structured data:
+//            <166>1 2026-10-19T14:03:07.123Z 192.168.1.50 ENVISALINK 001C2A02BB1F ZoneOpen
+//              [envisalink@32473 event="Zone Open" zone="3" zoneName="Garage Door" ...] Zone Open: 003
+//
+// UDP is fire-and-forget. TCP and TLS targets connect in the background and
+// reconnect with a growing delay when the collector goes away; messages are
+// queued in memory meanwhile (up to queueSize per target, oldest dropped
+// first), so a collector that is down never holds up the listener.
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { validateZoneSelector, matchesZoneSelector } = require('./parser');
+
+const PROTOCOLS = ['udp', 'tcp', 'tls'];
+const FORMATS = ['raw', 'rfc5424'];
+const FRAMINGS = ['lf', 'octet-counting'];
+const DEFAULT_PORTS = { udp: 514, tcp: 514, tls: 6514 };
+const DEFAULT_QUEUE_SIZE = 1000;
+const DEFAULT_PRI = 166;             // local4.info, what the EVL4 sends by default
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// Structured data ID: "envisalink" under the documentation enterprise
+// number from RFC 5612
+const SD_ID = 'envisalink@32473';
+const SD_FIELDS = ['event', 'zone', 'zoneName', 'partition', 'user', 'userName', 'cidCode', 'device', 'deviceName', 'source', 'mac', 'unknownSender'];
+
+/**
+ * Validates a parsed forwarders.json array.
+ * @param {*} forwarders - Parsed JSON
+ * @returns {Object[]} The same forwarders if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateForwarders(forwarders) {
+  if (!Array.isArray(forwarders)) {
+    throw new Error('forwarders must be a JSON array');
+  }
+
+  const errors = [];
+  const names = new Set();
+  forwarders.forEach((forwarder, i) => {
+    if (!forwarder || typeof forwarder !== 'object' || Array.isArray(forwarder)) {
+      errors.push(`forwarder ${i}: must be an object`);
+      return;
+    }
+    const label = `forwarder ${i}${forwarder.name ? ` ("${forwarder.name}")` : ''}`;
+
+    if (typeof forwarder.name !== 'string' || !/^[\w.-]+$/.test(forwarder.name)) {
+      errors.push(`${label}: name is required (letters, digits, "-", "_" and "." only)`);
+    } else if (names.has(forwarder.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(forwarder.name);
+    }
+    if (typeof forwarder.host !== 'string' || !forwarder.host.trim()) {
+      errors.push(`${label}: host is required`);
+    }
+    if (forwarder.port !== undefined && !(Number.isInteger(forwarder.port) && forwarder.port > 0 && forwarder.port < 65536)) {
+      errors.push(`${label}: port must be a port number`);
+    }
+    const protocol = forwarder.protocol || 'udp';
+    if (!PROTOCOLS.includes(protocol)) {
+      errors.push(`${label}: unsupported protocol "${forwarder.protocol}" (expected udp, tcp or tls)`);
+    }
+    if (forwarder.format !== undefined && !FORMATS.includes(forwarder.format)) {
+      errors.push(`${label}: unsupported format "${forwarder.format}" (expected raw or rfc5424)`);
+    }
+    if (forwarder.framing !== undefined) {
+      if (!FRAMINGS.includes(forwarder.framing)) {
+        errors.push(`${label}: unsupported framing "${forwarder.framing}" (expected lf or octet-counting)`);
+      } else if (protocol === 'udp') {
+        errors.push(`${label}: framing only applies to tcp and tls`);
+      }
+    }
+    if (forwarder.tls !== undefined) {
+      const options = forwarder.tls;
+      if (protocol !== 'tls') {
+        errors.push(`${label}: tls options need "protocol": "tls"`);
+      } else if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        errors.push(`${label}: tls must be an object`);
+      } else {
+        for (const field of Object.keys(options)) {
+          if (['ca', 'cert', 'key', 'servername'].includes(field)) {
+            if (typeof options[field] !== 'string' || !options[field].trim()) errors.push(`${label}: tls.${field} must be a string`);
+          } else if (field === 'rejectUnauthorized') {
+            if (typeof options[field] !== 'boolean') errors.push(`${label}: tls.rejectUnauthorized must be true or false`);
+          } else {
+            errors.push(`${label}: unknown tls option "${field}"`);
+          }
+        }
+        if ((options.cert === undefined) !== (options.key === undefined)) {
+          errors.push(`${label}: tls.cert and tls.key go together`);
+        }
+      }
+    }
+    for (const field of ['events', 'zones', 'devices']) {
+      if (forwarder[field] !== undefined && !Array.isArray(forwarder[field])) {
+        errors.push(`${label}: ${field} must be a list`);
+      }
+    }
+    if (Array.isArray(forwarder.zones)) {
+      for (const selector of forwarder.zones) {
+        const problem = validateZoneSelector(selector);
+        if (problem) errors.push(`${label}: zones: ${problem}`);
+      }
+    }
+    if (forwarder.queueSize !== undefined && !(Number.isInteger(forwarder.queueSize) && forwarder.queueSize > 0)) {
+      errors.push(`${label}: queueSize must be a positive whole number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return forwarders;
+}
+
+const NO_ZONE_INFO = { type: null, partition: null, groups: [] };
+
+/**
+ * Returns true if an event record passes a forwarder's event, zone and
+ * device filters.
+ * @param {Object} forwarder
+ * @param {Object} record - Event record (see event-store.js)
+ * @param {Object} [zoneInfo] - The zone's settings from getZoneInfo(), for group: and type: selectors
+ * @returns {boolean}
+ */
+function matchesForwarder(forwarder, record, zoneInfo) {
+  if (forwarder.events !== undefined && !forwarder.events.includes(record.event)) return false;
+  if (forwarder.zones !== undefined) {
+    if (record.zone === null || record.zone === undefined) return false;
+    if (!forwarder.zones.some(selector => matchesZoneSelector(selector, record.zone, zoneInfo || NO_ZONE_INFO))) return false;
+  }
+  if (forwarder.devices !== undefined && !forwarder.devices.includes(record.device)) return false;
+  return true;
+}
+
+// ---- Message formatting ----
+
+// Header fields are printable ASCII without spaces, "-" when empty
+function headerField(value, maxLength) {
+  if (value === null || value === undefined || value === '') return '-';
+  return String(value).replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+}
+
+function sdName(value) {
+  return String(value).replace(/[^\x21-\x7e]|[=\]" ]/g, '_').slice(0, 32);
+}
+
+// PARAM-VALUE escapes: \" \\ and \]
+function sdValue(value) {
+  return String(value).replace(/["\\\]]/g, '\\$&');
+}
+
+function sdElement(id, params) {
+  const pairs = Object.keys(params)
+    .filter(name => params[name] !== null && params[name] !== undefined && params[name] !== '')
+    .map(name => ` ${sdName(name)}="${sdValue(params[name])}"`);
+  return `[${id}${pairs.join('')}]`;
+}
+
+/**
+ * Builds an RFC 5424 message for an event. The header is carried over
+ * from the received message where it has one (priority, hostname, app
+ * name, process ID); the sender's address stands in for a missing
+ * hostname. Structured data from the received message is kept.
+ * @param {Object} record - Event record (see event-store.js)
+ * @param {Object} header - Syslog header from parseSyslogHeader()
+ * @returns {string}
+ */
+function formatRfc5424(record, header) {
+  const pri = header.pri !== null && header.pri !== undefined ? header.pri : DEFAULT_PRI;
+  const params = {};
+  for (const field of SD_FIELDS) params[field] = record[field];
+
+  const elements = Object.keys(header.structuredData || {})
+    .filter(id => id !== SD_ID)
+    .map(id => sdElement(sdName(id), header.structuredData[id]));
+  elements.push(sdElement(SD_ID, params));
+
+  return [
+    `<${pri}>1`,
+    headerField(record.timestamp, 64),
+    headerField(header.hostname || record.source, 255),
+    headerField(header.appName || 'ENVISALINK', 48),
+    headerField(header.procId, 128),
+    headerField(String(record.event || '').replace(/\W/g, ''), 32),
+    elements.join(''),
+    record.message
+  ].join(' ');
+}
+
+/**
+ * Frames a message for a stream transport (RFC 6587): a trailing newline,
+ * or the message length in bytes and a space in front.
+ * @param {string} message
+ * @param {string} framing - "lf" or "octet-counting"
+ * @returns {string}
+ */
+function frameMessage(message, framing) {
+  if (framing === 'octet-counting') return `${Buffer.byteLength(message)} ${message}`;
+  return `${message}\n`;
+}
+
+/**
+ * Renders a received message the way a target sends it.
+ * @param {Object} settings - From targetSettings()
+ * @param {Object} item - { raw, record, header }
+ * @returns {string}
+ */
+function renderMessage(settings, item) {
+  const message = settings.format === 'rfc5424'
+    ? formatRfc5424(item.record, item.header)
+    : item.raw.replace(/[\r\n]+$/, '');
+  return settings.protocol === 'udp' ? message : frameMessage(message, settings.framing);
+}
+
+// ---- Targets ----
+
+function targetSettings(forwarder) {
+  const protocol = forwarder.protocol || 'udp';
+  return {
+    name: forwarder.name,
+    protocol,
+    host: forwarder.host,
+    port: forwarder.port || DEFAULT_PORTS[protocol],
+    format: forwarder.format || 'raw',
+    // TLS syslog (RFC 5425) is octet-counted; plain TCP collectors mostly
+    // expect one message per line
+    framing: forwarder.framing || (protocol === 'tls' ? 'octet-counting' : 'lf'),
+    queueSize: forwarder.queueSize || DEFAULT_QUEUE_SIZE
+  };
+}
+
+function createUdpTarget(settings, log) {
+  const socket = dgram.createSocket(net.isIPv6(settings.host) ? 'udp6' : 'udp4');
+  const stats = { sent: 0, dropped: 0, lastError: null };
+  let errorReported = false;
+  socket.on('error', (err) => {
+    stats.lastError = err.message;
+  });
+
+  return {
+    send(item) {
+      socket.send(Buffer.from(renderMessage(settings, item)), settings.port, settings.host, (err) => {
+        if (err) {
+          stats.dropped++;
+          stats.lastError = err.message;
+          // Log only the first error of an outage
+          if (!errorReported) log(`Syslog forwarder "${settings.name}": ${err.message}`);
+          errorReported = true;
+          return;
+        }
+        stats.sent++;
+        errorReported = false;
+      });
+    },
+    status: () => Object.assign({ connected: null, queued: 0 }, stats),
+    takeQueue: () => [],
+    close() {
+      socket.close();
+    }
+  };
+}
+
+function createStreamTarget(settings, forwarder, options) {
+  const { log, baseDir } = options;
+  const retryMinMs = options.retryMinMs || RETRY_MIN_MS;
+  const retryMaxMs = options.retryMaxMs || RETRY_MAX_MS;
+  const stats = { sent: 0, dropped: 0, lastError: null };
+  let queue = [];
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let retryMs = retryMinMs;
+  let retryTimer = null;
+  let errorReported = false;
+
+  // Messages are queued unrendered, so a queue handed to a replacement
+  // target is sent in the new target's format
+  function enqueue(item) {
+    queue.push(item);
+    if (queue.length > settings.queueSize) {
+      queue.shift();
+      stats.dropped++;
+    }
+  }
+
+  function flush() {
+    while (connected && queue.length > 0) {
+      socket.write(renderMessage(settings, queue.shift()));
+      stats.sent++;
+    }
+  }
+
+  function fail(err) {
+    stats.lastError = err.message;
+    if (errorReported) return;
+    errorReported = true;
+    log(`Syslog forwarder "${settings.name}": ${err.message} -- queueing messages and retrying`);
+  }
+
+  function tlsOptions() {
+    const config = forwarder.tls || {};
+    const read = (file) => fs.readFileSync(path.resolve(baseDir, file));
+    return {
+      host: settings.host,
+      port: settings.port,
+      servername: config.servername || (net.isIP(settings.host) ? undefined : settings.host),
+      ca: config.ca ? read(config.ca) : undefined,
+      cert: config.cert ? read(config.cert) : undefined,
+      key: config.key ? read(config.key) : undefined,
+      rejectUnauthorized: config.rejectUnauthorized !== false
+    };
+  }
+
+  function scheduleRetry() {
+    if (closed || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, retryMs);
+    retryMs = Math.min(retryMs * 2, retryMaxMs);
+  }
+
+  function connect() {
+    try {
+      socket = settings.protocol === 'tls'
+        ? tls.connect(tlsOptions())
+        : net.connect({ host: settings.host, port: settings.port });
+    } catch (err) {
+      // e.g., an unreadable certificate file
+      socket = null;
+      fail(err);
+      scheduleRetry();
+      return;
+    }
+    const current = socket;
+    current.setTimeout(CONNECT_TIMEOUT_MS, () => current.destroy(new Error('connection timed out')));
+    current.on(settings.protocol === 'tls' ? 'secureConnect' : 'connect', () => {
+      current.setTimeout(0);
+      current.setKeepAlive(true, 60 * 1000);
+      connected = true;
+      retryMs = retryMinMs;
+      if (errorReported) log(`Syslog forwarder "${settings.name}": reconnected to ${settings.host}:${settings.port} -- sending ${queue.length} queued message(s)`);
+      errorReported = false;
+      flush();
+    });
+    current.on('error', fail);
+    // Collectors don't answer; discard anything they send
+    current.resume();
+    current.on('close', () => {
+      if (socket !== current) return;
+      socket = null;
+      connected = false;
+      scheduleRetry();
+    });
+  }
+
+  connect();
+
+  return {
+    send(item) {
+      enqueue(item);
+      flush();
+    },
+    status: () => Object.assign({ connected, queued: queue.length }, stats),
+    // Hands over unsent messages when the target is replaced on a reload
+    takeQueue() {
+      const taken = queue;
+      queue = [];
+      return taken;
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.end();
+    }
+  };
+}
+
+/**
+ * Creates the forwarding subsystem.
+ * @param {Object} options
+ * @param {Object[]} [options.forwarders] - Validated forwarders.json entries
+ * @param {string} [options.baseDir] - Directory TLS file paths are relative to
+ * @param {Function} [options.log] - Logger for connection problems
+ * @param {number} [options.retryMinMs] - First reconnect delay (default 1 s, doubling up to retryMaxMs)
+ * @param {number} [options.retryMaxMs] - Longest reconnect delay (default 60 s)
+ * @returns {Object} Forwarder with forward(), setForwarders(), getStatus() and close()
+ */
+function createSyslogForwarder(options) {
+  const targetOptions = {
+    log: options.log || (() => {}),
+    baseDir: options.baseDir || process.cwd(),
+    retryMinMs: options.retryMinMs,
+    retryMaxMs: options.retryMaxMs
+  };
+  let targets = [];  // { forwarder, settings, key, target }
+
+  function createTarget(forwarder) {
+    const settings = targetSettings(forwarder);
+    const target = settings.protocol === 'udp'
+      ? createUdpTarget(settings, targetOptions.log)
+      : createStreamTarget(settings, forwarder, targetOptions);
+    return { forwarder, settings, key: JSON.stringify(forwarder), target };
+  }
+
+  /**
+   * Replaces the targets (e.g., after forwarders.json is reloaded).
+   * Unchanged targets keep their connection; a changed target reconnects
+   * and keeps the messages it had queued.
+   * @param {Object[]} forwarders - Validated forwarders.json entries
+   */
+  function setForwarders(forwarders) {
+    const previous = new Map(targets.map(entry => [entry.forwarder.name, entry]));
+    targets = forwarders.map(forwarder => {
+      const old = previous.get(forwarder.name);
+      previous.delete(forwarder.name);
+      if (old && old.key === JSON.stringify(forwarder)) return old;
+
+      const entry = createTarget(forwarder);
+      if (old) {
+        const queued = old.target.takeQueue();
+        old.target.close();
+        for (const item of queued) entry.target.send(item);
+      }
+      return entry;
+    });
+    for (const old of previous.values()) old.target.close();
+  }
+
+  /**
+   * Sends a received message to every target whose filters it passes.
+   * @param {string} raw - Raw syslog message
+   * @param {Object} record - Event record (see event-store.js)
+   * @param {Object} header - Syslog header from parseSyslogHeader()
+   * @param {Object} [zoneInfo] - The zone's settings from getZoneInfo() (none for unknown senders)
+   */
+  function forward(raw, record, header, zoneInfo) {
+    for (const entry of targets) {
+      if (!matchesForwarder(entry.forwarder, record, zoneInfo)) continue;
+      entry.target.send({ raw, record, header });
+    }
+  }
+
+  /**
+   * @returns {Object[]} Per target: { name, protocol, host, port, format,
+   *   connected (null for UDP), queued, sent, dropped, lastError }
+   */
+  function getStatus() {
+    return targets.map(({ settings, target }) => Object.assign({
+      name: settings.name,
+      protocol: settings.protocol,
+      host: settings.host,
+      port: settings.port,
+      format: settings.format
+    }, target.status()));
+  }
+
+  function close() {
+    for (const entry of targets) entry.target.close();
+    targets = [];
+  }
+
+  setForwarders(options.forwarders || []);
+  return { forward, setForwarders, getStatus, close };
+}
+
+module.exports = {
+  validateForwarders,
+  matchesForwarder,
+  formatRfc5424,
+  frameMessage,
+  createSyslogForwarder
+};
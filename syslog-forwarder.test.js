@@ -0,0 +1,213 @@
+const dgram = require('dgram');
+const net = require('net');
+const {
+  validateForwarders,
+  matchesForwarder,
+  formatRfc5424,
+  frameMessage,
+  createSyslogForwarder
+} = require('./syslog-forwarder');
+const { parseSyslogHeader } = require('./syslog-header');
+
+const RAW = '<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 003\n';
+
+const record = {
+  timestamp: '2026-10-19T14:03:07.123Z',
+  event: 'Zone Open',
+  zone: 3,
+  zoneName: 'Garage "Big" Door',
+  partition: 1,
+  user: null,
+  userName: null,
+  cidCode: null,
+  message: 'Zone Open: 003',
+  source: '192.168.1.50',
+  device: 'house',
+  deviceName: 'House',
+  mac: '00:1C:2A:02:BB:1F'
+};
+
+// Resolves when fn() is true, polling
+function waitFor(fn, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (fn()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('timed out'));
+      }
+    }, 10);
+  });
+}
+
+// ---- validateForwarders ----
+
+describe('validateForwarders', () => {
+  test('accepts the sample forwarders', () => {
+    const forwarders = require('./forwarders.sample.json');
+    expect(validateForwarders(forwarders)).toBe(forwarders);
+  });
+
+  test('reports every problem with the forwarder index', () => {
+    expect(() => validateForwarders([
+      { name: 'graylog', host: 'graylog.local' },
+      { name: 'graylog', port: 70000, protocol: 'udp', format: 'json', framing: 'lf', tls: { ca: 'ca.pem' }, zones: '3' },
+      { name: 'secure', host: 'logs', protocol: 'tls', tls: { cert: 'c.pem', verify: true }, queueSize: 0 }
+    ])).toThrow('forwarder 1 ("graylog"): duplicate name; forwarder 1 ("graylog"): host is required; ' +
+      'forwarder 1 ("graylog"): port must be a port number; ' +
+      'forwarder 1 ("graylog"): unsupported format "json" (expected raw or rfc5424); ' +
+      'forwarder 1 ("graylog"): framing only applies to tcp and tls; ' +
+      'forwarder 1 ("graylog"): tls options need "protocol": "tls"; ' +
+      'forwarder 1 ("graylog"): zones must be a list; ' +
+      'forwarder 2 ("secure"): unknown tls option "verify"; ' +
+      'forwarder 2 ("secure"): tls.cert and tls.key go together; ' +
+      'forwarder 2 ("secure"): queueSize must be a positive whole number');
+  });
+
+  test('checks zone selectors', () => {
+    expect(() => validateForwarders([{ name: 'siem', host: 'logs', zones: [3, 'group:perimeter', 'type:motion'] }])).not.toThrow();
+    expect(() => validateForwarders([{ name: 'siem', host: 'logs', zones: ['garage', 'type:laser'] }]))
+      .toThrow('forwarder 0 ("siem"): zones: "garage" must be a zone number, "group:<name>" or "type:<type>"; ' +
+        'forwarder 0 ("siem"): zones: "type:laser": unknown zone type');
+  });
+});
+
+// ---- matchesForwarder ----
+
+describe('matchesForwarder', () => {
+  test('applies event, zone and device filters', () => {
+    expect(matchesForwarder({}, record)).toBe(true);
+    expect(matchesForwarder({ events: ['Zone Open'], zones: ['3'], devices: ['house'] }, record)).toBe(true);
+    expect(matchesForwarder({ events: ['Alarm'] }, record)).toBe(false);
+    expect(matchesForwarder({ zones: [1, 2] }, record)).toBe(false);
+    expect(matchesForwarder({ devices: ['garage'] }, record)).toBe(false);
+  });
+
+  test('matches group: and type: zone selectors against the zone settings', () => {
+    const info = { type: 'door', partition: 1, groups: ['perimeter'] };
+    expect(matchesForwarder({ zones: ['group:perimeter'] }, record, info)).toBe(true);
+    expect(matchesForwarder({ zones: ['type:door'] }, record, info)).toBe(true);
+    expect(matchesForwarder({ zones: ['type:motion', 'group:interior'] }, record, info)).toBe(false);
+    // Without zone settings (an unknown sender) only zone numbers match
+    expect(matchesForwarder({ zones: ['group:perimeter'] }, record)).toBe(false);
+  });
+});
+
+// ---- formatRfc5424 / frameMessage ----
+
+describe('formatRfc5424', () => {
+  test('adds the event fields as structured data', () => {
+    expect(formatRfc5424(record, parseSyslogHeader(RAW))).toBe(
+      '<166>1 2026-10-19T14:03:07.123Z 192.168.1.50 ENVISALINK 001C2A02BB1F ZoneOpen ' +
+      '[envisalink@32473 event="Zone Open" zone="3" zoneName="Garage \\"Big\\" Door" partition="1" ' +
+      'device="house" deviceName="House" source="192.168.1.50" mac="00:1C:2A:02:BB:1F"] Zone Open: 003');
+  });
+
+  test('keeps the received hostname and structured data', () => {
+    const header = parseSyslogHeader('<134>1 2026-10-19T14:03:07Z evl4 ENVISALINK - - [origin ip="10.0.0.2"] Zone Open: 003');
+    expect(formatRfc5424({ timestamp: '2026-10-19T14:03:08.000Z', event: 'Zone Open', message: 'Zone Open: 003' }, header))
+      .toBe('<134>1 2026-10-19T14:03:08.000Z evl4 ENVISALINK - ZoneOpen [origin ip="10.0.0.2"][envisalink@32473 event="Zone Open"] Zone Open: 003');
+  });
+
+  test('fills in a missing header', () => {
+    const header = parseSyslogHeader('Zone Open: 003');
+    expect(formatRfc5424({ timestamp: '2026-10-19T14:03:07.123Z', event: 'Unknown', message: 'Zone Open: 003', source: '10.0.0.9' }, header))
+      .toBe('<166>1 2026-10-19T14:03:07.123Z 10.0.0.9 ENVISALINK - Unknown [envisalink@32473 event="Unknown" source="10.0.0.9"] Zone Open: 003');
+  });
+});
+
+describe('frameMessage', () => {
+  test('appends a newline or prefixes the byte count', () => {
+    expect(frameMessage('Zone Open', 'lf')).toBe('Zone Open\n');
+    expect(frameMessage('Zoné', 'octet-counting')).toBe('5 Zoné');
+  });
+});
+
+// ---- createSyslogForwarder ----
+
+describe('createSyslogForwarder', () => {
+  let forwarder;
+  let server;
+
+  afterEach((done) => {
+    if (forwarder) forwarder.close();
+    forwarder = null;
+    if (server) server.close(() => done());
+    else done();
+    server = null;
+  });
+
+  test('sends raw datagrams over UDP', async () => {
+    const received = [];
+    server = dgram.createSocket('udp4');
+    server.on('message', (msg) => received.push(msg.toString()));
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+
+    forwarder = createSyslogForwarder({
+      forwarders: [{ name: 'udp', host: '127.0.0.1', port: server.address().port, events: ['Zone Open'] }]
+    });
+    forwarder.forward(RAW, record, parseSyslogHeader(RAW));
+    forwarder.forward(RAW, Object.assign({}, record, { event: 'Zone Close' }), parseSyslogHeader(RAW));
+
+    await waitFor(() => forwarder.getStatus()[0].sent === 1);
+    await waitFor(() => received.length === 1);
+    expect(received).toEqual(['<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 003']);
+    expect(forwarder.getStatus()[0]).toMatchObject({ name: 'udp', protocol: 'udp', connected: null, sent: 1, dropped: 0 });
+  });
+
+  test('queues TCP messages while the collector is down and sends them once it is up', async () => {
+    // Find a free port, then leave it closed for now
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const port = probe.address().port;
+    await new Promise(resolve => probe.close(resolve));
+
+    const logs = [];
+    forwarder = createSyslogForwarder({
+      forwarders: [{ name: 'central', host: '127.0.0.1', port, protocol: 'tcp', format: 'rfc5424', framing: 'octet-counting', queueSize: 2 }],
+      log: (message) => logs.push(message),
+      retryMinMs: 20,
+      retryMaxMs: 50
+    });
+    for (const zone of [1, 2, 3]) {
+      forwarder.forward(RAW, Object.assign({}, record, { zone }), parseSyslogHeader(RAW));
+    }
+    await waitFor(() => logs.length > 0);
+    expect(logs[0]).toMatch(/^Syslog forwarder "central": .*ECONNREFUSED.* -- queueing messages and retrying$/);
+    expect(forwarder.getStatus()[0]).toMatchObject({ connected: false, queued: 2, sent: 0, dropped: 1 });
+
+    let data = '';
+    server = net.createServer((socket) => socket.on('data', (chunk) => { data += chunk; }));
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    await waitFor(() => (data.match(/<166>1 /g) || []).length === 2);
+    // The oldest message was dropped when the queue overflowed
+    expect(data).not.toContain('zone="1"');
+    expect(data).toMatch(/^\d+ <166>1 .* zone="2" /);
+    expect(logs[logs.length - 1]).toBe(`Syslog forwarder "central": reconnected to 127.0.0.1:${port} -- sending 2 queued message(s)`);
+    expect(forwarder.getStatus()[0]).toMatchObject({ connected: true, queued: 0, sent: 2, dropped: 1 });
+  });
+
+  test('keeps an unchanged target and its connection on reload', async () => {
+    let connections = 0;
+    server = net.createServer((socket) => {
+      connections++;
+      socket.resume();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const tcp = { name: 'central', host: '127.0.0.1', port: server.address().port, protocol: 'tcp' };
+
+    forwarder = createSyslogForwarder({ forwarders: [tcp] });
+    await waitFor(() => forwarder.getStatus()[0].connected);
+    forwarder.setForwarders([Object.assign({}, tcp), { name: 'udp', host: '127.0.0.1', port: 9 }]);
+    expect(forwarder.getStatus().map(status => status.name)).toEqual(['central', 'udp']);
+    expect(forwarder.getStatus()[0].connected).toBe(true);
+    expect(connections).toBe(1);
+
+    forwarder.setForwarders([]);
+    expect(forwarder.getStatus()).toEqual([]);
+  });
+});
@@ -0,0 +1,231 @@
+// Syslog header parsing (RFC 3164 "BSD" and RFC 5424).
+//
+// The EVL4 sends a minimal BSD-style header with no timestamp or hostname,
+// and its MAC address where the process ID would be:
+//   <166>ENVISALINK[001C2A02BB1F]:  Zone Open: 003
+//
+// Relays such as rsyslog add the timestamp and hostname back:
+//   <166>Oct 19 14:03:07 evl4 ENVISALINK[001C2A02BB1F]: Zone Open: 003
+//   <166>1 2026-10-19T14:03:07.123Z evl4 ENVISALINK 001C2A02BB1F - - Zone Open: 003
+//
+// Parsing is tolerant: a field that is missing or malformed is null and the
+// rest of the header is still read. A message that does not start with a
+// PRI ("<N>") or a BSD timestamp has no header, and is returned whole as the
+// content.
+
+const FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PRI = /^<(\d{1,3})>/;
+const BSD_TIMESTAMP = /^([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?: +|$)/;
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2}))(?: +|$)/;
+// TAG, optionally with [PID], then ":" -- e.g. "ENVISALINK[001C2A02BB1F]:"
+const BSD_TAG = /^([^\s[\]:]{1,48})(?:\[([^\]]*)\])?:\s*/;
+const MAC = /^[0-9A-Fa-f]{2}(?:[:-]?[0-9A-Fa-f]{2}){5}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns a facility's number from its number or name.
+ * @param {number|string} value - e.g., 20, "20" or "local4"
+ * @returns {number|null} null if not a facility
+ */
+function facilityCode(value) {
+  if (/^\d+$/.test(String(value))) {
+    const code = Number(value);
+    return code < FACILITIES.length ? code : null;
+  }
+  const index = FACILITIES.indexOf(String(value).toLowerCase());
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Normalizes a MAC address to "00:1C:2A:02:BB:1F".
+ * @param {string} value
+ * @returns {string|null} null if not a MAC address
+ */
+function normalizeMac(value) {
+  if (!value || !MAC.test(value)) return null;
+  return value.replace(/[:-]/g, '').toUpperCase().match(/../g).join(':');
+}
+
+/**
+ * Reads a BSD timestamp ("Oct 19 14:03:07"), which has no year or time zone.
+ * It is taken as local time in the most recent year that doesn't put it
+ * more than a day in the future.
+ */
+function parseBsdTimestamp(match, now) {
+  const month = MONTHS.indexOf(match[1]);
+  if (month < 0) return null;
+  const build = (year) => new Date(year, month, Number(match[2]), Number(match[3]), Number(match[4]), Number(match[5]));
+  const reference = new Date(now);
+  let date = build(reference.getFullYear());
+  if (date.getTime() - reference.getTime() > DAY_MS) date = build(reference.getFullYear() - 1);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseIsoTimestamp(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads RFC 5424 structured data: [id name="value" ...][id2 ...]
+ * @returns {Object} { data: { id: { name: value } }, rest } -- data is null if malformed
+ */
+function parseStructuredData(text) {
+  if (text === '-' || text.startsWith('- ')) return { data: null, rest: text.slice(2) };
+
+  const data = {};
+  let i = 0;
+  while (text[i] === '[') {
+    const idMatch = /^\[([^\s\]=]+)/.exec(text.slice(i));
+    if (!idMatch) return { data: null, rest: text.slice(i) };
+    const params = {};
+    data[idMatch[1]] = params;
+    i += idMatch[0].length;
+
+    while (text[i] === ' ') {
+      const nameMatch = /^ ([^\s\]=]+)="/.exec(text.slice(i));
+      if (!nameMatch) break;
+      i += nameMatch[0].length;
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        // \" \\ and \] are escapes; any other backslash is literal
+        if (text[i] === '\\' && ['"', '\\', ']'].includes(text[i + 1])) i++;
+        value += text[i++];
+      }
+      params[nameMatch[1]] = value;
+      i++;
+    }
+    if (text[i] !== ']') return { data: Object.keys(data).length ? data : null, rest: text.slice(i) };
+    i++;
+  }
+  return { data: Object.keys(data).length ? data : null, rest: text.slice(i).replace(/^ /, '') };
+}
+
+function nil(value) {
+  return value === undefined || value === '-' || value === '' ? null : value;
+}
+
+/**
+ * Parses an RFC 5424 header after the PRI: VERSION TIMESTAMP HOSTNAME
+ * APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+ */
+function parseRfc5424(header, rest) {
+  const fields = [];
+  for (let n = 0; n < 6; n++) {
+    const space = rest.indexOf(' ');
+    fields.push(space >= 0 ? rest.slice(0, space) : rest);
+    rest = space >= 0 ? rest.slice(space + 1) : '';
+  }
+  const [version, timestamp, hostname, appName, procId, msgId] = fields;
+  const structured = parseStructuredData(rest);
+
+  header.format = 'rfc5424';
+  header.version = Number(version);
+  header.deviceTime = nil(timestamp) ? parseIsoTimestamp(timestamp) : null;
+  header.hostname = nil(hostname);
+  header.appName = nil(appName);
+  header.procId = nil(procId);
+  header.msgId = nil(msgId);
+  header.structuredData = structured.data;
+  // MSG may start with a UTF-8 byte order mark
+  header.content = structured.rest.replace(/^\uFEFF/, '').trim();
+}
+
+/**
+ * Parses an RFC 3164 header after the PRI: [TIMESTAMP] [HOSTNAME] TAG[PID]: MSG
+ * The EVL4 leaves out the timestamp and hostname.
+ */
+function parseRfc3164(header, rest, now) {
+  header.format = 'rfc3164';
+
+  const bsd = BSD_TIMESTAMP.exec(rest);
+  const iso = !bsd && ISO_TIMESTAMP.exec(rest);
+  if (bsd || iso) {
+    header.deviceTime = bsd ? parseBsdTimestamp(bsd, now) : parseIsoTimestamp(iso[1]);
+    rest = rest.slice((bsd || iso)[0].length);
+  }
+
+  // After a timestamp comes the hostname. Without one, the first word is
+  // only taken as the tag: "Zone Open: 003" would otherwise read as host
+  // "Zone" and tag "Open".
+  if (bsd || iso) {
+    const host = /^(\S+)(?: +|$)/.exec(rest);
+    if (host && !BSD_TAG.test(rest)) {
+      header.hostname = host[1];
+      rest = rest.slice(host[0].length);
+    }
+  }
+  const tag = BSD_TAG.exec(rest);
+  if (tag) {
+    header.appName = tag[1];
+    header.procId = nil(tag[2]);
+    rest = rest.slice(tag[0].length);
+  }
+  header.content = rest.trim();
+}
+
+/**
+ * Parses a syslog message's header.
+ * @param {string} raw - Raw syslog message
+ * @param {Date|number} [now] - Reference time for BSD timestamps, which have no year (defaults to now)
+ * @returns {Object} { format ("rfc3164", "rfc5424" or null if there is no header),
+ *   pri, facility, facilityName, severity, severityName, version, deviceTime,
+ *   hostname, appName, procId, msgId, structuredData, mac, content }
+ */
+function parseSyslogHeader(raw, now) {
+  const text = String(raw || '').replace(/[\r\n]+$/, '');
+  const header = {
+    format: null,
+    pri: null,
+    facility: null,
+    facilityName: null,
+    severity: null,
+    severityName: null,
+    version: null,
+    deviceTime: null,
+    hostname: null,
+    appName: null,
+    procId: null,
+    msgId: null,
+    structuredData: null,
+    mac: null,
+    content: text.trim()
+  };
+
+  const pri = PRI.exec(text);
+  if (!pri && !BSD_TIMESTAMP.test(text)) return header;
+
+  let rest = text;
+  if (pri) {
+    rest = text.slice(pri[0].length);
+    const value = Number(pri[1]);
+    // PRI is facility * 8 + severity; anything above local7.debug is invalid
+    if (value < FACILITIES.length * 8) {
+      header.pri = value;
+      header.facility = Math.floor(value / 8);
+      header.facilityName = FACILITIES[header.facility];
+      header.severity = value % 8;
+      header.severityName = SEVERITIES[header.severity];
+    }
+  }
+
+  if (pri && /^[1-9]\d{0,2} /.test(rest)) {
+    parseRfc5424(header, rest);
+  } else {
+    parseRfc3164(header, rest, now === undefined ? Date.now() : now);
+  }
+  // The EVL4 puts its MAC address in the PID field
+  header.mac = normalizeMac(header.procId);
+  return header;
+}
+
+module.exports = { parseSyslogHeader, facilityCode, normalizeMac, FACILITIES, SEVERITIES };
@@ -0,0 +1,216 @@
+const { parseSyslogHeader, facilityCode, normalizeMac } = require('./syslog-header');
+const { parseSyslogMessage } = require('./parser');
+
+// BSD timestamps have no year; read them relative to this
+const NOW = new Date(2026, 9, 19, 15, 0, 0);
+
+// ---- Corpus ----
+
+// Headers seen from the EVL4 directly, through relays, and broken ones.
+// Each entry lists the fields it expects; the rest are not checked.
+const CORPUS = [
+  {
+    name: 'EVL4 as sent (BSD, no timestamp or hostname)',
+    raw: '<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 003',
+    expected: {
+      format: 'rfc3164', pri: 166, facility: 20, facilityName: 'local4', severity: 6, severityName: 'info',
+      deviceTime: null, hostname: null, appName: 'ENVISALINK', procId: '001C2A02BB1F', mac: '00:1C:2A:02:BB:1F', content: 'Zone Open: 003'
+    }
+  },
+  {
+    name: 'EVL4 with a trailing newline',
+    raw: '<160>ENVISALINK[001C2A02BB1F]: CID Event: 3441010020\n',
+    expected: { facility: 20, severity: 0, severityName: 'emerg', content: 'CID Event: 3441010020' }
+  },
+  {
+    name: 'BSD relayed by rsyslog',
+    raw: '<166>Oct 19 14:03:07 evl4 ENVISALINK[001C2A02BB1F]: Zone Close: 003',
+    expected: {
+      format: 'rfc3164', deviceTime: new Date(2026, 9, 19, 14, 3, 7), hostname: 'evl4', appName: 'ENVISALINK',
+      mac: '00:1C:2A:02:BB:1F', content: 'Zone Close: 003'
+    }
+  },
+  {
+    name: 'BSD with a space-padded day',
+    raw: '<134>Jan  1 12:00:00 evl4 ENVISALINK[1234]: Zone Open: 001',
+    expected: { facility: 16, facilityName: 'local0', deviceTime: new Date(2026, 0, 1, 12, 0, 0), hostname: 'evl4', procId: '1234', mac: null, content: 'Zone Open: 001' }
+  },
+  {
+    name: 'BSD from late December, received in January, is last year',
+    raw: '<166>Dec 31 23:59:59 evl4 ENVISALINK[001C2A02BB1F]: Zone Open: 003',
+    now: new Date(2027, 0, 1, 0, 0, 5),
+    expected: { deviceTime: new Date(2026, 11, 31, 23, 59, 59) }
+  },
+  {
+    name: 'BSD with an ISO timestamp (rsyslog high-precision template)',
+    raw: '<166>2026-10-19T14:03:07.123456-05:00 evl4 ENVISALINK[001C2A02BB1F]: Zone Open: 003',
+    expected: { format: 'rfc3164', deviceTime: new Date('2026-10-19T19:03:07.123Z'), hostname: 'evl4', content: 'Zone Open: 003' }
+  },
+  {
+    name: 'BSD with a hostname and no tag',
+    raw: '<166>Oct 19 14:03:07 evl4 Zone Open: 003',
+    expected: { hostname: 'evl4', appName: null, content: 'Zone Open: 003' }
+  },
+  {
+    name: 'BSD timestamp without a PRI',
+    raw: 'Oct 19 14:03:07 evl4 ENVISALINK[001C2A02BB1F]: Zone Open: 003',
+    expected: { format: 'rfc3164', pri: null, facility: null, hostname: 'evl4', appName: 'ENVISALINK', content: 'Zone Open: 003' }
+  },
+  {
+    name: 'RFC 5424 relayed',
+    raw: '<166>1 2026-10-19T14:03:07.123Z evl4 ENVISALINK 001C2A02BB1F - - Zone Open: 003',
+    expected: {
+      format: 'rfc5424', version: 1, facility: 20, severity: 6, deviceTime: new Date('2026-10-19T14:03:07.123Z'),
+      hostname: 'evl4', appName: 'ENVISALINK', procId: '001C2A02BB1F', msgId: null, structuredData: null,
+      mac: '00:1C:2A:02:BB:1F', content: 'Zone Open: 003'
+    }
+  },
+  {
+    name: 'RFC 5424 with structured data and escapes',
+    raw: '<166>1 2026-10-19T14:03:07Z evl4 ENVISALINK - ZONE [evl@32473 zone="3" name="Garage \\"Big\\" Door"][origin ip="192.168.1.50"] Zone Open: 003',
+    expected: {
+      msgId: 'ZONE', procId: null, mac: null,
+      structuredData: { 'evl@32473': { zone: '3', name: 'Garage "Big" Door' }, origin: { ip: '192.168.1.50' } },
+      content: 'Zone Open: 003'
+    }
+  },
+  {
+    name: 'RFC 5424 with a byte order mark before the message',
+    raw: '<166>1 2026-10-19T14:03:07Z evl4 ENVISALINK - - - \uFEFFZone Open: 003',
+    expected: { content: 'Zone Open: 003' }
+  },
+  {
+    name: 'RFC 5424 with every field nil and no message',
+    raw: '<166>1 - - - - - -',
+    expected: { format: 'rfc5424', deviceTime: null, hostname: null, appName: null, procId: null, msgId: null, content: '' }
+  },
+  {
+    name: 'RFC 5424 cut short',
+    raw: '<166>1 2026-10-19T14:03:07Z evl4',
+    expected: { format: 'rfc5424', hostname: 'evl4', appName: null, content: '' }
+  },
+  {
+    name: 'RFC 5424 with an invalid timestamp',
+    raw: '<166>1 yesterday evl4 ENVISALINK - - - Zone Open: 003',
+    expected: { deviceTime: null, hostname: 'evl4', content: 'Zone Open: 003' }
+  },
+  {
+    name: 'RFC 5424 with unterminated structured data',
+    raw: '<166>1 - evl4 ENVISALINK - - [evl@32473 zone="3"',
+    expected: { structuredData: { 'evl@32473': { zone: '3' } }, content: '' }
+  },
+  {
+    name: 'PRI out of range',
+    raw: '<999>ENVISALINK[001C2A02BB1F]: Zone Open: 003',
+    expected: { format: 'rfc3164', pri: null, facility: null, severity: null, appName: 'ENVISALINK', content: 'Zone Open: 003' }
+  },
+  {
+    name: 'PRI with no tag',
+    raw: '<166>Zone Open: 003',
+    expected: { format: 'rfc3164', hostname: null, appName: null, content: 'Zone Open: 003' }
+  },
+  {
+    name: 'Unclosed PRI is no header',
+    raw: '<166ENVISALINK[001C2A02BB1F]: Zone Open: 003',
+    expected: { format: null, pri: null, content: '<166ENVISALINK[001C2A02BB1F]: Zone Open: 003' }
+  },
+  {
+    name: 'No header at all',
+    raw: 'Zone Open: 001',
+    expected: { format: null, appName: null, content: 'Zone Open: 001' }
+  },
+  {
+    name: 'Empty message',
+    raw: '',
+    expected: { format: null, content: '' }
+  }
+];
+
+describe('parseSyslogHeader - corpus', () => {
+  for (const entry of CORPUS) {
+    test(entry.name, () => {
+      const header = parseSyslogHeader(entry.raw, entry.now || NOW);
+      for (const field of Object.keys(entry.expected)) {
+        expect({ field, value: header[field] }).toEqual({ field, value: entry.expected[field] });
+      }
+    });
+  }
+});
+
+// ---- parseSyslogHeader ----
+
+describe('parseSyslogHeader', () => {
+  test('returns every field, null when absent', () => {
+    const header = parseSyslogHeader('Zone Open: 001');
+    expect(Object.keys(header).sort()).toEqual([
+      'appName', 'content', 'deviceTime', 'facility', 'facilityName', 'format', 'hostname',
+      'mac', 'msgId', 'pri', 'procId', 'severity', 'severityName', 'structuredData', 'version'
+    ]);
+    expect(header.hostname).toBeNull();
+  });
+
+  test('defaults the reference time to now', () => {
+    const header = parseSyslogHeader('<166>Jan  1 00:00:00 evl4 ENVISALINK[1]: x');
+    expect(header.deviceTime.getTime()).toBeLessThanOrEqual(Date.now() + 24 * 60 * 60 * 1000);
+  });
+});
+
+// ---- facilityCode / normalizeMac ----
+
+describe('facilityCode', () => {
+  test('accepts numbers and names', () => {
+    expect(facilityCode(20)).toBe(20);
+    expect(facilityCode('20')).toBe(20);
+    expect(facilityCode('local4')).toBe(20);
+    expect(facilityCode('LOCAL0')).toBe(16);
+  });
+
+  test('returns null for anything else', () => {
+    expect(facilityCode(24)).toBeNull();
+    expect(facilityCode('local8')).toBeNull();
+    expect(facilityCode('')).toBeNull();
+  });
+});
+
+describe('normalizeMac', () => {
+  test('formats bare, colon and dash forms alike', () => {
+    expect(normalizeMac('001c2a02bb1f')).toBe('00:1C:2A:02:BB:1F');
+    expect(normalizeMac('00:1C:2A:02:BB:1F')).toBe('00:1C:2A:02:BB:1F');
+    expect(normalizeMac('00-1C-2A-02-BB-1F')).toBe('00:1C:2A:02:BB:1F');
+  });
+
+  test('returns null for process IDs and empty values', () => {
+    expect(normalizeMac('1234')).toBeNull();
+    expect(normalizeMac(null)).toBeNull();
+  });
+});
+
+// ---- parseSyslogMessage ----
+
+describe('parseSyslogMessage - syslog header', () => {
+  test('exposes the header fields', () => {
+    const result = parseSyslogMessage('<166>ENVISALINK[001C2A02BB1F]:  Zone Open: 003', { '3': 'Garage Door' });
+    expect(result.syslog).toMatchObject({ format: 'rfc3164', facility: 20, severity: 6, mac: '00:1C:2A:02:BB:1F' });
+    expect(result.syslog.content).toBeUndefined();
+    expect(result.zoneName).toBe('Garage Door');
+  });
+
+  test('parses events from RFC 5424 messages', () => {
+    const result = parseSyslogMessage('<166>1 2026-10-19T14:03:07Z evl4 ENVISALINK 001C2A02BB1F - - CID Event: 3441010020', {});
+    expect(result.event).toBe('Armed Stay');
+    expect(result.syslog.hostname).toBe('evl4');
+    expect(result.syslog.deviceTime).toEqual(new Date('2026-10-19T14:03:07Z'));
+  });
+
+  test('does not mistake an event for a tag when there is no header', () => {
+    const result = parseSyslogMessage('Alarm: Zone 3', {});
+    expect(result.event).toBe('Alarm');
+    expect(result.syslog.format).toBeNull();
+  });
+
+  test('falls back to the ENVISALINK marker when the tag is not recognized', () => {
+    const result = parseSyslogMessage('<166>evl4 ENVISALINK[001C2A02BB1F]: Zone Open: 003', {});
+    expect(result.message).toBe('Zone Open: 003');
+    expect(result.zone).toBe(3);
+  });
+});
@@ -0,0 +1,225 @@
+// Message templates for alerts (email, ntfy and webhook bodies).
+//
+// Every alert kind has a built-in template; templates.json can override any
+// of its fields, and a rule's own `template` overrides those again. Text
+// templates use {{placeholder}} substitution plus two section forms:
+//
+//   {{#name}}...{{/name}}   rendered only if `name` has a value (not empty, 0 or false)
+//   {{^name}}...{{/name}}   rendered only if it doesn't
+//
+// Dates are formatted with the listener's local time format. webhookBody is
+// a JSON template rendered like webhooks.json bodies (see webhooks.js).
+// Unknown placeholders, kinds and fields are reported when templates load.
+
+const TEMPLATE_KINDS = ['open_duration', 'zone_event', 'frequency', 'sequence', 'alarm', 'open', 'heartbeat', 'suppressed', 'partition'];
+const TEMPLATE_FIELDS = ['emailSubject', 'emailBody', 'ntfyTitle', 'ntfyMessage', 'webhookBody'];
+
+// Every field an alert context can have. Fields that don't apply to an
+// alert kind render as empty.
+const PLACEHOLDERS = [
+  'type', 'timestamp', 'time',
+  'device', 'deviceName', 'zone', 'zoneName', 'zoneType', 'partition', 'user', 'userName', 'event', 'verb', 'message', 'raw',
+  'rule', 'description', 'ruleId', 'ruleIndex', 'condition', 'armState', 'ruleArmState',
+  'openedAt', 'firstAt', 'duration', 'minutes', 'seconds', 'count', 'repeatCount', 'restarted', 'summary',
+  'hours', 'threshold', 'lastMessageAt', 'state', 'previousState'
+];
+
+const DEFAULT_TEMPLATES = {
+  open_duration: {
+    emailSubject: '⚠️ {{zoneName}} {{#repeatCount}}still {{/repeatCount}}open for {{duration}}+ minutes',
+    emailBody: '{{zoneName}} {{#repeatCount}}still open{{/repeatCount}}{{^repeatCount}}has been open{{/repeatCount}} since {{openedAt}}.\n\n' +
+      'Rule: {{rule}}\nZone: {{zone}}\nDuration: {{duration}}+ minutes{{#repeatCount}}\nRepeat: {{repeatCount}}{{/repeatCount}}' +
+      '{{#restarted}}\n\nThis alert was due while the listener was restarting.{{/restarted}}',
+    ntfyTitle: '{{zoneName}} {{#repeatCount}}still {{/repeatCount}}open {{duration}}+ min',
+    ntfyMessage: '{{#repeatCount}}Still open{{/repeatCount}}{{^repeatCount}}Open{{/repeatCount}} since {{openedAt}}' +
+      '{{#restarted}} (delayed -- the listener was restarted){{/restarted}}'
+  },
+  zone_event: {
+    emailSubject: '🚨 {{zoneName}} {{verb}}{{#ruleArmState}} while {{armState}}{{/ruleArmState}}',
+    emailBody: '{{zoneName}} {{verb}} at {{time}}.\n\nRule: {{rule}}\nZone: {{zone}}\nEvent: {{event}}{{#armState}}\nArm state: {{armState}}{{/armState}}',
+    ntfyTitle: '{{zoneName}} {{verb}}{{#ruleArmState}} while {{armState}}{{/ruleArmState}}',
+    ntfyMessage: '{{event}} at {{time}}'
+  },
+  frequency: {
+    emailSubject: '⚠️ {{#description}}{{description}}{{/description}}{{^description}}{{#zoneName}}{{zoneName}}: {{/zoneName}}{{event}}{{/description}} -- {{summary}}',
+    emailBody: '{{summary}}, from {{firstAt}} to {{time}}.\n\nRule: {{rule}}{{#zoneName}}\nLatest zone: {{zoneName}} ({{zone}}){{/zoneName}}',
+    ntfyTitle: '{{#description}}{{description}}{{/description}}{{^description}}{{#zoneName}}{{zoneName}}: {{/zoneName}}{{event}}{{/description}}',
+    ntfyMessage: '{{summary}} (since {{firstAt}})'
+  },
+  sequence: {
+    emailSubject: '🚨 {{#description}}{{description}}{{/description}}{{^description}}{{summary}}{{/description}}',
+    emailBody: '{{summary}}.\n\nRule: {{rule}}\nTriggered: {{time}}{{#zoneName}}\nZone: {{zoneName}} ({{zone}}){{/zoneName}}',
+    ntfyTitle: '{{#description}}{{description}}{{/description}}{{^description}}{{summary}}{{/description}}',
+    ntfyMessage: '{{summary}} ({{time}})'
+  },
+  alarm: {
+    emailSubject: '🚨 EnvisaLink Alarm{{#deviceName}} ({{deviceName}}){{/deviceName}}: {{#zoneName}}{{zoneName}}{{/zoneName}}{{^zoneName}}System{{/zoneName}}',
+    emailBody: 'An alarm event was detected.\n\nDetails:\n{{#deviceName}}- Device: {{deviceName}}\n{{/deviceName}}- Event: {{event}}\n- Zone: {{#zoneName}}{{zoneName}}{{/zoneName}}{{^zoneName}}N/A{{/zoneName}}\n' +
+      '- Raw message: {{message}}\n- Time: {{time}}'
+  },
+  open: {
+    emailSubject: '🚪 Zone Opened: {{zoneName}}',
+    emailBody: 'A zone was opened.\n\nDetails:\n- Zone: {{zoneName}}\n- Time: {{time}}\n- Raw message: {{message}}',
+    ntfyTitle: '{{zoneName}} opened',
+    ntfyMessage: '{{time}}'
+  },
+  heartbeat: {
+    emailSubject: '💓 EnvisaLink heartbeat{{#deviceName}} ({{deviceName}}){{/deviceName}} -- no activity',
+    emailBody: 'No syslog messages received{{#deviceName}} from {{deviceName}}{{/deviceName}} for {{hours}} hours (threshold: {{threshold}} minutes).\n\n' +
+      'This could indicate:\n- The EVL4 is offline or unreachable\n- The syslog client is misconfigured\n- Network issues between the EVL4 and this server\n\n' +
+      'Last message received: {{lastMessageAt}}',
+    ntfyTitle: 'No {{#deviceName}}{{deviceName}} {{/deviceName}}EVL4 activity for {{hours}}h',
+    ntfyMessage: 'No syslog messages since {{lastMessageAt}}'
+  },
+  suppressed: {
+    emailSubject: '🔕 {{count}} notification(s) suppressed',
+    emailBody: '{{count}} notification(s) were suppressed by the notification policy since {{firstAt}}:\n\n{{summary}}',
+    ntfyTitle: '{{count}} notification(s) suppressed',
+    ntfyMessage: '{{summary}}'
+  },
+  partition: {
+    emailSubject: '🔐 {{#deviceName}}{{deviceName}} {{/deviceName}}Partition {{partition}}: {{state}}',
+    emailBody: '{{#deviceName}}{{deviceName}} {{/deviceName}}Partition {{partition}} changed from {{#previousState}}{{previousState}}{{/previousState}}{{^previousState}}unknown{{/previousState}} ' +
+      'to {{state}} at {{time}}.{{#userName}}\n\nBy: {{userName}}{{/userName}}{{#zoneName}}\nZone: {{zoneName}}{{/zoneName}}',
+    ntfyTitle: '{{#deviceName}}{{deviceName}} {{/deviceName}}Partition {{partition}}: {{state}}',
+    ntfyMessage: '{{#previousState}}Was {{previousState}}. {{/previousState}}{{#userName}}By {{userName}}, {{/userName}}{{time}}'
+  }
+};
+
+const SECTION = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const TAG = /\{\{\s*([#^/]?)\s*([\w.]*)\s*\}\}/g;
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== false && value !== 0;
+}
+
+/**
+ * Renders a text template.
+ * @param {string} template
+ * @param {Object} context - Alert fields
+ * @param {Function} [formatTime] - (Date) => string (default: ISO)
+ * @returns {string}
+ */
+function renderText(template, context, formatTime) {
+  const format = formatTime || (date => date.toISOString());
+  let text = template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SECTION, (match, kind, name, inner) =>
+      (kind === '#') === hasValue(context[name]) ? inner : '');
+  } while (text !== previous);
+
+  return text.replace(TAG, (match, kind, name) => {
+    const value = context[name];
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return format(value);
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  });
+}
+
+function collectPlaceholders(value, names) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TAG)) names.push(match[2].split('.')[0]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectPlaceholders(item, names));
+  }
+  return names;
+}
+
+/**
+ * Validates one template (an object with any of the template fields).
+ * @param {*} template
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return ['template must be an object'];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(template)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      errors.push(`template: unknown field "${field}" (expected one of ${TEMPLATE_FIELDS.join(', ')})`);
+      continue;
+    }
+    const value = template[field];
+    if (field !== 'webhookBody' && typeof value !== 'string') {
+      errors.push(`template.${field} must be a string`);
+      continue;
+    }
+    if (typeof value === 'string' && field !== 'webhookBody') {
+      // Every section tag must be closed by a matching end tag
+      let stripped = value;
+      let previous;
+      do {
+        previous = stripped;
+        stripped = stripped.replace(SECTION, (match, kind, name, inner) => inner);
+      } while (stripped !== previous);
+      if (/\{\{\s*[#^/]/.test(stripped)) {
+        errors.push(`template.${field}: unbalanced {{#...}}/{{^...}}/{{/...}} section`);
+      }
+    }
+    for (const name of new Set(collectPlaceholders(value, []))) {
+      if (!PLACEHOLDERS.includes(name)) {
+        errors.push(`template.${field}: unknown placeholder "{{${name}}}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a parsed templates.json object (alert kind -> template).
+ * @param {*} templates - Parsed JSON
+ * @returns {Object} The same templates if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new Error('templates must be a JSON object mapping alert kinds to templates');
+  }
+
+  const errors = [];
+  for (const kind of Object.keys(templates)) {
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      errors.push(`"${kind}": unknown alert kind (expected one of ${TEMPLATE_KINDS.join(', ')})`);
+      continue;
+    }
+    for (const problem of validateTemplate(templates[kind])) {
+      errors.push(`"${kind}": ${problem}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return templates;
+}
+
+/**
+ * Returns the template for an alert kind: the built-in template, overridden
+ * by templates.json, overridden by a rule's own template.
+ * @param {Object} templates - Validated templates.json contents
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @param {Object} [override] - A rule's `template`
+ * @returns {Object} Template with every field the kind supports
+ */
+function resolveTemplate(templates, kind, override) {
+  return Object.assign({}, DEFAULT_TEMPLATES[kind], templates && templates[kind], override);
+}
+
+module.exports = {
+  renderText,
+  validateTemplate,
+  validateTemplates,
+  resolveTemplate,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KINDS,
+  TEMPLATE_FIELDS,
+  PLACEHOLDERS
+};
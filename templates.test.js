@@ -0,0 +1,102 @@
+const {
+  renderText,
+  validateTemplate,
+  validateTemplates,
+  resolveTemplate,
+  DEFAULT_TEMPLATES
+} = require('./templates');
+
+const openContext = {
+  zone: 3,
+  zoneName: 'Garage Door',
+  rule: 'Garage open 20+ minutes',
+  duration: 20,
+  openedAt: new Date('2026-10-01T12:00:00Z'),
+  repeatCount: 0,
+  restarted: false
+};
+
+// ---- renderText ----
+
+describe('renderText', () => {
+  test('fills placeholders and formats dates', () => {
+    expect(renderText('{{zoneName}} since {{openedAt}}', openContext, date => date.toISOString().substring(11, 16)))
+      .toBe('Garage Door since 12:00');
+  });
+
+  test('renders sections only when the field has a value', () => {
+    const template = '{{#repeatCount}}still {{/repeatCount}}{{^repeatCount}}now {{/repeatCount}}open';
+    expect(renderText(template, openContext)).toBe('now open');
+    expect(renderText(template, Object.assign({}, openContext, { repeatCount: 2 }))).toBe('still open');
+  });
+
+  test('renders nested sections', () => {
+    const template = '{{^description}}{{#zoneName}}{{zoneName}}: {{/zoneName}}{{event}}{{/description}}';
+    expect(renderText(template, { zoneName: 'Shed', event: 'Zone Open' })).toBe('Shed: Zone Open');
+    expect(renderText(template, { zoneName: null, event: 'Alarm' })).toBe('Alarm');
+  });
+
+  test('renders missing fields as empty', () => {
+    expect(renderText('[{{user}}]', {})).toBe('[]');
+  });
+
+  test('reproduces the built-in open duration wording', () => {
+    const template = DEFAULT_TEMPLATES.open_duration;
+    expect(renderText(template.emailSubject, openContext)).toBe('⚠️ Garage Door open for 20+ minutes');
+    expect(renderText(template.ntfyTitle, Object.assign({}, openContext, { duration: 50, repeatCount: 1 })))
+      .toBe('Garage Door still open 50+ min');
+  });
+});
+
+// ---- validation ----
+
+describe('validateTemplate', () => {
+  test('accepts every built-in template', () => {
+    for (const template of Object.values(DEFAULT_TEMPLATES)) {
+      expect(validateTemplate(template)).toEqual([]);
+    }
+  });
+
+  test('reports unknown fields, placeholders and unbalanced sections', () => {
+    expect(validateTemplate({
+      smsText: 'hi',
+      emailSubject: '{{#zoneName}}{{zoneName}}',
+      ntfyTitle: 42,
+      webhookBody: { text: '{{zonename}}', nested: ['{{rule.description}}'] }
+    })).toEqual([
+      'template: unknown field "smsText" (expected one of emailSubject, emailBody, ntfyTitle, ntfyMessage, webhookBody)',
+      'template.emailSubject: unbalanced {{#...}}/{{^...}}/{{/...}} section',
+      'template.ntfyTitle must be a string',
+      'template.webhookBody: unknown placeholder "{{zonename}}"'
+    ]);
+  });
+});
+
+describe('validateTemplates', () => {
+  test('accepts the sample templates', () => {
+    const templates = require('./templates.sample.json');
+    expect(validateTemplates(templates)).toBe(templates);
+  });
+
+  test('reports unknown kinds and template problems with the kind', () => {
+    expect(() => validateTemplates({ door: {}, heartbeat: { ntfyTitle: '{{hour}}h' } }))
+      .toThrow('"door": unknown alert kind (expected one of open_duration, zone_event, frequency, sequence, alarm, open, heartbeat, suppressed, partition); ' +
+        '"heartbeat": template.ntfyTitle: unknown placeholder "{{hour}}"');
+    expect(() => validateTemplates([])).toThrow('templates must be a JSON object');
+  });
+});
+
+describe('resolveTemplate', () => {
+  test('layers the built-in template, templates.json and the rule override', () => {
+    const template = resolveTemplate(
+      { open_duration: { ntfyTitle: 'Config title', ntfyMessage: 'Config message' } },
+      'open_duration',
+      { ntfyMessage: 'Rule message' }
+    );
+    expect(template).toMatchObject({
+      emailSubject: DEFAULT_TEMPLATES.open_duration.emailSubject,
+      ntfyTitle: 'Config title',
+      ntfyMessage: 'Rule message'
+    });
+  });
+});
@@ -0,0 +1,249 @@
+// Generic webhook targets (Node-RED, n8n, Home Assistant, ...).
+//
+// webhooks.json holds a list of targets. Each target gets the events that
+// pass its filters, and rules can name one as their action
+// ("action": "webhook:<name>"). The body is a template: every string in it
+// may contain {{field}} placeholders, filled from the event (or alert)
+// fields. A string that is exactly one placeholder keeps the field's type,
+// so "{{zone}}" renders as a number. Without a body, the whole event is sent.
+
+const http = require('http');
+const https = require('https');
+const { validateZoneSelector, matchesZoneSelector } = require('./parser');
+
+const SUPPORTED_METHODS = ['POST', 'PUT', 'PATCH', 'GET'];
+const BODY_FORMATS = ['json', 'form'];
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const EXACT_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * Validates a parsed webhooks.json array.
+ * @param {*} webhooks - Parsed JSON
+ * @returns {Object[]} The same webhooks if valid
+ * @throws {Error} Listing every problem found
+ */
+function validateWebhooks(webhooks) {
+  if (!Array.isArray(webhooks)) {
+    throw new Error('webhooks must be a JSON array');
+  }
+
+  const errors = [];
+  const names = new Set();
+  webhooks.forEach((webhook, i) => {
+    if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+      errors.push(`webhook ${i}: must be an object`);
+      return;
+    }
+    const label = `webhook ${i}${webhook.name ? ` ("${webhook.name}")` : ''}`;
+
+    if (typeof webhook.name !== 'string' || !/^[\w.-]+$/.test(webhook.name)) {
+      errors.push(`${label}: name is required (letters, digits, "-", "_" and "." only)`);
+    } else if (names.has(webhook.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(webhook.name);
+    }
+    if (typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+      errors.push(`${label}: url must be an http:// or https:// URL`);
+    }
+    if (webhook.method !== undefined && !SUPPORTED_METHODS.includes(String(webhook.method).toUpperCase())) {
+      errors.push(`${label}: unsupported method "${webhook.method}" (expected one of ${SUPPORTED_METHODS.join(', ')})`);
+    }
+    if (webhook.format !== undefined && !BODY_FORMATS.includes(webhook.format)) {
+      errors.push(`${label}: unsupported format "${webhook.format}" (expected json or form)`);
+    }
+    if (webhook.headers !== undefined && (!webhook.headers || typeof webhook.headers !== 'object' || Array.isArray(webhook.headers))) {
+      errors.push(`${label}: headers must be an object`);
+    }
+    if (webhook.auth !== undefined) {
+      const auth = webhook.auth || {};
+      if (!(typeof auth.bearer === 'string' || (typeof auth.username === 'string' && typeof auth.password === 'string'))) {
+        errors.push(`${label}: auth must be { "bearer": "..." } or { "username": "...", "password": "..." }`);
+      }
+    }
+    for (const field of ['events', 'zones', 'devices']) {
+      if (webhook[field] !== undefined && !Array.isArray(webhook[field])) {
+        errors.push(`${label}: ${field} must be a list`);
+      }
+    }
+    if (Array.isArray(webhook.zones)) {
+      for (const selector of webhook.zones) {
+        const problem = validateZoneSelector(selector);
+        if (problem) errors.push(`${label}: zones: ${problem}`);
+      }
+    }
+    if (webhook.timeoutMs !== undefined && !(typeof webhook.timeoutMs === 'number' && webhook.timeoutMs > 0)) {
+      errors.push(`${label}: timeoutMs must be a positive number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return webhooks;
+}
+
+function lookup(context, fieldPath) {
+  let value = context;
+  for (const part of fieldPath.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Fills {{field}} placeholders in a template. Objects and arrays are
+ * rendered recursively; a string that is exactly one placeholder is
+ * replaced by the field's value as-is (missing fields become null).
+ * @param {*} template
+ * @param {Object} context - Field values
+ * @param {Function} [encode] - Applied to each substituted value inside a larger string
+ * @returns {*} Rendered value
+ */
+function renderTemplate(template, context, encode) {
+  if (typeof template === 'string') {
+    const exact = EXACT_PLACEHOLDER.exec(template);
+    if (exact && !encode) {
+      const value = lookup(context, exact[1]);
+      if (value === undefined) return null;
+      return value instanceof Date ? value.toISOString() : value;
+    }
+    return template.replace(PLACEHOLDER, (match, fieldPath) => {
+      const text = toText(lookup(context, fieldPath));
+      return encode ? encode(text) : text;
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context, encode));
+  }
+  if (template && typeof template === 'object') {
+    const result = {};
+    for (const key of Object.keys(template)) {
+      result[key] = renderTemplate(template[key], context, encode);
+    }
+    return result;
+  }
+  return template;
+}
+
+const NO_ZONE_INFO = { type: null, partition: null, groups: [] };
+
+/**
+ * Returns true if an event record passes a webhook's event, zone and device
+ * filters.
+ * @param {Object} webhook
+ * @param {Object} record - Event record (see event-store.js)
+ * @param {Object} [zoneInfo] - The zone's settings from getZoneInfo(), for group: and type: selectors
+ * @returns {boolean}
+ */
+function matchesWebhook(webhook, record, zoneInfo) {
+  if (webhook.events !== undefined && !webhook.events.includes(record.event)) return false;
+  if (webhook.zones !== undefined) {
+    if (record.zone === null || record.zone === undefined) return false;
+    if (!webhook.zones.some(selector => matchesZoneSelector(selector, record.zone, zoneInfo || NO_ZONE_INFO))) return false;
+  }
+  if (webhook.devices !== undefined && !webhook.devices.includes(record.device)) return false;
+  return true;
+}
+
+/**
+ * Renders the body of a webhook request.
+ * @param {Object} webhook
+ * @param {Object} context - Event or alert fields
+ * @returns {Object} { body, contentType } (body is null for GET requests)
+ */
+function renderBody(webhook, context) {
+  if ((webhook.method || 'POST').toUpperCase() === 'GET') return { body: null, contentType: null };
+
+  const rendered = webhook.body !== undefined ? renderTemplate(webhook.body, context) : context;
+  if (webhook.format === 'form') {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(rendered || {})) params.append(key, toText(rendered[key]));
+    return { body: params.toString(), contentType: 'application/x-www-form-urlencoded' };
+  }
+  return { body: JSON.stringify(rendered), contentType: 'application/json' };
+}
+
+/**
+ * Renders the request for a webhook. The URL may contain placeholders
+ * (values are URL-encoded); for GET requests a body template is sent as
+ * query parameters instead. Headers and auth are left out so a queued
+ * request never stores credentials -- see requestHeaders().
+ * @param {Object} webhook
+ * @param {Object} context - Event or alert fields
+ * @returns {Object} { method, url, body, contentType }
+ */
+function buildRequest(webhook, context) {
+  const method = (webhook.method || 'POST').toUpperCase();
+  const url = new URL(renderTemplate(webhook.url, context, encodeURIComponent));
+  if (method === 'GET' && webhook.body !== undefined) {
+    const query = renderTemplate(webhook.body, context);
+    for (const key of Object.keys(query || {})) url.searchParams.append(key, toText(query[key]));
+  }
+
+  const { body, contentType } = renderBody(webhook, context);
+  return { method, url: url.toString(), body, contentType };
+}
+
+/**
+ * Returns the headers for a webhook request, including auth.
+ * @param {Object} webhook
+ * @param {string|null} contentType
+ * @returns {Object}
+ */
+function requestHeaders(webhook, contentType) {
+  const headers = Object.assign({}, webhook.headers);
+  if (contentType) headers['Content-Type'] = contentType;
+  if (webhook.auth && webhook.auth.bearer) {
+    headers['Authorization'] = `Bearer ${webhook.auth.bearer}`;
+  } else if (webhook.auth) {
+    headers['Authorization'] = `Basic ${Buffer.from(`${webhook.auth.username}:${webhook.auth.password}`).toString('base64')}`;
+  }
+  return headers;
+}
+
+/**
+ * Sends a webhook request.
+ * @param {Object} request - { method, url, headers, body }
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Default 10s
+ * @returns {Promise<number>} Resolves with the status code; rejects on network errors, timeouts and HTTP 4xx/5xx
+ */
+function sendRequest(request, options) {
+  const timeoutMs = (options && options.timeoutMs) || DEFAULT_TIMEOUT_MS;
+  const url = new URL(request.url);
+  const transport = url.protocol === 'https:' ? https : http;
+  const headers = Object.assign({}, request.headers);
+  if (request.body !== null && request.body !== undefined) headers['Content-Length'] = Buffer.byteLength(request.body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, { method: request.method, headers, timeout: timeoutMs }, (res) => {
+      res.resume();
+      if (res.statusCode >= 400) reject(new Error(`HTTP ${res.statusCode}`));
+      else resolve(res.statusCode);
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    if (request.body !== null && request.body !== undefined) req.write(request.body);
+    req.end();
+  });
+}
+
+module.exports = {
+  validateWebhooks,
+  renderTemplate,
+  matchesWebhook,
+  buildRequest,
+  requestHeaders,
+  sendRequest,
+  SUPPORTED_METHODS
+};
@@ -0,0 +1,175 @@
+const http = require('http');
+const {
+  validateWebhooks,
+  renderTemplate,
+  matchesWebhook,
+  buildRequest,
+  requestHeaders,
+  sendRequest
+} = require('./webhooks');
+
+const record = {
+  timestamp: '2026-10-01T12:00:00.000Z',
+  event: 'Zone Open',
+  zone: 3,
+  zoneName: 'Garage Door',
+  partition: null,
+  message: 'Zone Open: 3'
+};
+
+// ---- validateWebhooks ----
+
+describe('validateWebhooks', () => {
+  test('accepts the sample webhooks', () => {
+    const webhooks = require('./webhooks.sample.json');
+    expect(validateWebhooks(webhooks)).toBe(webhooks);
+  });
+
+  test('reports every problem with the webhook index', () => {
+    expect(() => validateWebhooks([
+      { name: 'a', url: 'http://a' },
+      { name: 'a', url: 'ftp://b', method: 'DELETE', format: 'xml', auth: { token: 'x' }, events: 'Zone Open' }
+    ])).toThrow('webhook 1 ("a"): duplicate name; webhook 1 ("a"): url must be an http:// or https:// URL; ' +
+      'webhook 1 ("a"): unsupported method "DELETE" (expected one of POST, PUT, PATCH, GET); ' +
+      'webhook 1 ("a"): unsupported format "xml" (expected json or form); ' +
+      'webhook 1 ("a"): auth must be { "bearer": "..." } or { "username": "...", "password": "..." }; ' +
+      'webhook 1 ("a"): events must be a list');
+  });
+
+  test('checks zone selectors', () => {
+    expect(() => validateWebhooks([{ name: 'nodered', url: 'http://nr', zones: [3, 'group:perimeter', 'type:motion'] }])).not.toThrow();
+    expect(() => validateWebhooks([{ name: 'nodered', url: 'http://nr', zones: ['garage', 'type:laser'] }]))
+      .toThrow('webhook 0 ("nodered"): zones: "garage" must be a zone number, "group:<name>" or "type:<type>"; ' +
+        'webhook 0 ("nodered"): zones: "type:laser": unknown zone type');
+  });
+});
+
+// ---- renderTemplate ----
+
+describe('renderTemplate', () => {
+  test('fills placeholders in nested objects and arrays', () => {
+    expect(renderTemplate({ text: '{{zoneName}} -- {{event}}', tags: ['{{event}}', 'house'] }, record))
+      .toEqual({ text: 'Garage Door -- Zone Open', tags: ['Zone Open', 'house'] });
+  });
+
+  test('keeps the type of a lone placeholder', () => {
+    expect(renderTemplate({ zone: '{{zone}}', partition: '{{partition}}', missing: '{{nope}}' }, record))
+      .toEqual({ zone: 3, partition: null, missing: null });
+  });
+
+  test('reads nested fields', () => {
+    expect(renderTemplate('{{rule.description}}', { rule: { description: 'Garage open' } })).toBe('Garage open');
+  });
+});
+
+// ---- matchesWebhook ----
+
+describe('matchesWebhook', () => {
+  test('applies event and zone filters', () => {
+    expect(matchesWebhook({}, record)).toBe(true);
+    expect(matchesWebhook({ events: ['Zone Open'], zones: ['3'] }, record)).toBe(true);
+    expect(matchesWebhook({ events: ['Alarm'] }, record)).toBe(false);
+    expect(matchesWebhook({ zones: [1, 2] }, record)).toBe(false);
+    expect(matchesWebhook({ events: [] }, record)).toBe(false);
+  });
+
+  test('applies the device filter', () => {
+    const garage = Object.assign({}, record, { device: 'garage' });
+    expect(matchesWebhook({ devices: ['garage'] }, garage)).toBe(true);
+    expect(matchesWebhook({ devices: ['house'] }, garage)).toBe(false);
+    expect(matchesWebhook({ devices: ['house'] }, record)).toBe(false);
+  });
+
+  test('matches group: and type: zone selectors against the zone settings', () => {
+    const info = { type: 'door', partition: 1, groups: ['perimeter'] };
+    expect(matchesWebhook({ zones: ['group:perimeter'] }, record, info)).toBe(true);
+    expect(matchesWebhook({ zones: ['type:door'] }, record, info)).toBe(true);
+    expect(matchesWebhook({ zones: ['type:motion', 'group:interior'] }, record, info)).toBe(false);
+    // Without zone settings (an unknown sender) only zone numbers match
+    expect(matchesWebhook({ zones: ['group:perimeter'] }, record)).toBe(false);
+  });
+});
+
+// ---- buildRequest ----
+
+describe('buildRequest', () => {
+  test('sends the whole record as JSON by default', () => {
+    const request = buildRequest({ name: 'n', url: 'http://example.com/hook' }, record);
+    expect(request).toEqual({ method: 'POST', url: 'http://example.com/hook', body: JSON.stringify(record), contentType: 'application/json' });
+  });
+
+  test('renders form bodies and URL placeholders', () => {
+    const request = buildRequest({
+      name: 'n',
+      url: 'http://example.com/zones/{{zoneName}}',
+      method: 'put',
+      format: 'form',
+      body: { zone: '{{zone}}', state: 'open' }
+    }, record);
+    expect(request).toEqual({
+      method: 'PUT',
+      url: 'http://example.com/zones/Garage%20Door',
+      body: 'zone=3&state=open',
+      contentType: 'application/x-www-form-urlencoded'
+    });
+  });
+
+  test('sends a GET body template as query parameters', () => {
+    const request = buildRequest({ name: 'n', url: 'http://example.com/hook?key=1', method: 'GET', body: { event: '{{event}}' } }, record);
+    expect(request).toEqual({ method: 'GET', url: 'http://example.com/hook?key=1&event=Zone+Open', body: null, contentType: null });
+  });
+
+  test('adds configured headers and auth', () => {
+    expect(requestHeaders({ headers: { 'X-Source': 'evl' }, auth: { bearer: 'abc' } }, 'application/json'))
+      .toEqual({ 'X-Source': 'evl', 'Content-Type': 'application/json', 'Authorization': 'Bearer abc' });
+    expect(requestHeaders({ auth: { username: 'u', password: 'p' } }, null))
+      .toEqual({ 'Authorization': 'Basic dTpw' });
+  });
+});
+
+// ---- sendRequest ----
+
+describe('sendRequest', () => {
+  let server;
+  let received;
+  let statusCode;
+
+  beforeEach(async () => {
+    received = [];
+    statusCode = 200;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.statusCode = statusCode;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function url(pathname) {
+    return `http://127.0.0.1:${server.address().port}${pathname}`;
+  }
+
+  test('delivers the request', async () => {
+    const webhook = { name: 'n', url: url('/hook'), headers: { 'X-Source': 'evl' }, body: { text: '{{zoneName}}' } };
+    const request = buildRequest(webhook, record);
+    const status = await sendRequest(Object.assign({ headers: requestHeaders(webhook, request.contentType) }, request));
+
+    expect(status).toBe(200);
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ method: 'POST', url: '/hook', body: '{"text":"Garage Door"}' });
+    expect(received[0].headers).toMatchObject({ 'x-source': 'evl', 'content-type': 'application/json' });
+  });
+
+  test('rejects on HTTP errors', async () => {
+    statusCode = 503;
+    await expect(sendRequest({ method: 'POST', url: url('/hook'), headers: {}, body: '{}' })).rejects.toThrow('HTTP 503');
+  });
+});